@@ -15,6 +15,7 @@ const { wipeCollectorStorage } = require("./utils/files");
 const extensions = require("./extensions");
 const { processRawText } = require("./processRawText");
 const { verifyPayloadIntegrity } = require("./middleware/verifyIntegrity");
+const { setDataSigner } = require("./middleware/setDataSigner");
 const app = express();
 const FILE_LIMIT = "3GB";
 
@@ -30,7 +31,7 @@ app.use(
 
 app.post(
   "/process",
-  [verifyPayloadIntegrity],
+  [verifyPayloadIntegrity, setDataSigner],
   async function (request, response) {
     const { filename, options = {} } = reqBody(request);
     try {
@@ -41,7 +42,9 @@ app.post(
         success,
         reason,
         documents = [],
-      } = await processSingleFile(targetFilename, options);
+      } = await processSingleFile(targetFilename, options, {
+        encryptionWorker: response.locals.encryptionWorker,
+      });
       response
         .status(200)
         .json({ filename: targetFilename, success, reason, documents });
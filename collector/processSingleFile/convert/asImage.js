@@ -9,9 +9,10 @@ const OCRLoader = require("../../utils/OCRLoader");
 const { default: slugify } = require("slugify");
 
 async function asImage({ fullFilePath = "", filename = "", options = {} }) {
-  let content = await new OCRLoader({
+  const result = await new OCRLoader({
     targetLanguages: options?.ocr?.langList,
   }).ocrImage(fullFilePath);
+  const content = result?.pageContent;
 
   if (!content?.length) {
     console.error(`Resulting text content was empty for ${filename}.`);
@@ -36,6 +37,7 @@ async function asImage({ fullFilePath = "", filename = "", options = {} }) {
     wordCount: content.split(" ").length,
     pageContent: content,
     token_count_estimate: tokenizeString(content),
+    ocr: OCRLoader.documentOcr([result.ocr]),
   };
 
   const document = writeToServerDocuments(
@@ -9,6 +9,12 @@ const { default: slugify } = require("slugify");
 const PDFLoader = require("./PDFLoader");
 const OCRLoader = require("../../../utils/OCRLoader");
 
+/**
+ * Pages with fewer extractable (non-whitespace) characters than this are
+ * treated as scanned and OCR'd, eg: the scanned pages of a referral packet.
+ */
+const MIN_PAGE_TEXT_LENGTH = 25;
+
 async function asPdf({ fullFilePath = "", filename = "", options = {} }) {
   const pdfLoader = new PDFLoader(fullFilePath, {
     splitPages: true,
@@ -16,24 +22,43 @@ async function asPdf({ fullFilePath = "", filename = "", options = {} }) {
 
   console.log(`-- Working ${filename} --`);
   const pageContent = [];
+  const pages = [];
+  let contentLength = 0;
   let docs = await pdfLoader.load();
+  let ocr = null;
+  let ocrPages = [];
 
-  if (docs.length === 0) {
+  // null when no page has text - then every page is OCR'd.
+  const scannedPages = scannedPageNumbers(docs);
+  if (scannedPages === null || scannedPages.length > 0) {
     console.log(
-      `[asPDF] No text content found for ${filename}. Will attempt OCR parse.`
+      scannedPages === null
+        ? `[asPDF] No text content found for ${filename}. Will attempt OCR parse.`
+        : `[asPDF] Little or no text content found on pg ${scannedPages.join(", ")} of ${filename}. Will attempt OCR parse of those pages.`
     );
-    docs = await new OCRLoader({
+    const ocrDocs = await new OCRLoader({
       targetLanguages: options?.ocr?.langList,
-    }).ocrPDF(fullFilePath);
+    }).ocrPDF(fullFilePath, { pageNumbers: scannedPages });
+    ({ docs, ocrPages } = mergeOcrPages(docs, ocrDocs));
+    if (ocrPages.length > 0)
+      ocr = OCRLoader.documentOcr(docs.map((doc) => doc.ocr ?? textPage(doc)));
   }
 
-  for (const doc of docs) {
+  for (const [index, doc] of docs.entries()) {
     console.log(
       `-- Parsing content from pg ${
         doc.metadata?.loc?.pageNumber || "unknown"
       } --`
     );
     if (!doc.pageContent || !doc.pageContent.length) continue;
+
+    // Keep where each page sits in the joined content so chunks can be cited by page.
+    pages.push({
+      pageNumber: doc.metadata?.loc?.pageNumber || index + 1,
+      start: contentLength,
+      end: contentLength + doc.pageContent.length,
+    });
+    contentLength += doc.pageContent.length;
     pageContent.push(doc.pageContent);
   }
 
@@ -60,6 +85,8 @@ async function asPdf({ fullFilePath = "", filename = "", options = {} }) {
     wordCount: content.split(" ").length,
     pageContent: content,
     token_count_estimate: tokenizeString(content),
+    pages,
+    ...(ocr ? { ocr, ocrPages } : {}),
   };
 
   const document = writeToServerDocuments(
@@ -71,4 +98,67 @@ async function asPdf({ fullFilePath = "", filename = "", options = {} }) {
   return { success: true, reason: null, documents: [document] };
 }
 
+/**
+ * Finds the pages of a PDF that have little or no text layer.
+ * @param {{pageContent: string, metadata: object}[]} docs - The text pages from PDFLoader.
+ * @returns {number[]|null} The 1-based page numbers to OCR, or null when no page has text.
+ */
+function scannedPageNumbers(docs = []) {
+  if (docs.length === 0) return null;
+  const totalPages = docs[0].metadata?.pdf?.totalPages ?? docs.length;
+  const textLength = new Map(
+    docs.map((doc) => [
+      doc.metadata?.loc?.pageNumber,
+      doc.pageContent.replace(/\s/g, "").length,
+    ])
+  );
+  return Array.from({ length: totalPages }, (_, i) => i + 1).filter(
+    (pageNumber) => (textLength.get(pageNumber) ?? 0) < MIN_PAGE_TEXT_LENGTH
+  );
+}
+
+/**
+ * Merges OCR'd pages into the text pages of a PDF in page order. An OCR'd page
+ * replaces the text layer of its page unless OCR read less text than it.
+ * @param {{pageContent: string, metadata: object}[]} textDocs - The text pages from PDFLoader.
+ * @param {{pageContent: string, metadata: object, ocr: object}[]} ocrDocs - The OCR'd pages from OCRLoader.
+ * @returns {{docs: object[], ocrPages: number[]}} The merged pages and the page numbers that were OCR'd.
+ */
+function mergeOcrPages(textDocs = [], ocrDocs = []) {
+  const byPage = new Map(
+    textDocs.map((doc) => [doc.metadata?.loc?.pageNumber, doc])
+  );
+  const ocrPages = [];
+  for (const doc of ocrDocs) {
+    const pageNumber = doc.metadata?.loc?.pageNumber;
+    const text = byPage.get(pageNumber)?.pageContent ?? "";
+    if (doc.pageContent.trim().length <= text.trim().length) continue;
+    byPage.set(pageNumber, doc);
+    ocrPages.push(pageNumber);
+  }
+
+  return {
+    docs: [...byPage.values()].sort(
+      (a, b) => a.metadata.loc.pageNumber - b.metadata.loc.pageNumber
+    ),
+    ocrPages: ocrPages.sort((a, b) => a - b),
+  };
+}
+
+/**
+ * Describes a page read from the text layer the way OCRLoader describes an
+ * OCR'd page, so the document's `ocr` block covers every page of a mixed PDF.
+ * @param {{pageContent: string, metadata: object}} doc
+ * @returns {import("../../../utils/OCRLoader").OCRPage}
+ */
+function textPage(doc) {
+  return {
+    pageNumber: doc.metadata.loc.pageNumber,
+    text: doc.pageContent,
+    confidence: null,
+    lines: [],
+    words: [],
+  };
+}
+
 module.exports = asPdf;
@@ -10,9 +10,22 @@ const {
   normalizePath,
   isWithin,
 } = require("../utils/files");
+const { retainOriginal, attachOriginal } = require("../utils/originals");
 const RESERVED_FILES = ["__HOTDIR__.md"];
 
-async function processSingleFile(targetFilename, options = {}) {
+/**
+ * Converts an uploaded file in the hotdir into documents.
+ * @param {string} targetFilename - the file in the hotdir
+ * @param {Object} options - processing options sent by the server
+ * @param {Object} [context]
+ * @param {import("../utils/EncryptionWorker").EncryptionWorker|null} [context.encryptionWorker] - used to encrypt the kept original
+ * @returns {Promise<{success: boolean, reason: string|null, documents: Object[]}>}
+ */
+async function processSingleFile(
+  targetFilename,
+  options = {},
+  { encryptionWorker = null } = {}
+) {
   const fullFilePath = path.resolve(
     WATCH_DIRECTORY,
     normalizePath(targetFilename)
@@ -66,11 +79,20 @@ async function processSingleFile(targetFilename, options = {}) {
   const FileTypeProcessor = require(SUPPORTED_FILETYPE_CONVERTERS[
     processFileAs
   ]);
-  return await FileTypeProcessor({
-    fullFilePath,
+  // Keep the original before converting - converters remove the upload when they are done.
+  const original = await retainOriginal(fullFilePath, {
     filename: targetFilename,
-    options,
+    ...(options?.originals ?? {}),
+    encryptionWorker,
   });
+  return attachOriginal(
+    original,
+    await FileTypeProcessor({
+      fullFilePath,
+      filename: targetFilename,
+      options,
+    })
+  );
 }
 
 module.exports = {
@@ -1,4 +1,6 @@
 const crypto = require("crypto");
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
 
 // Differs from EncryptionManager in that is does not set or define the keys that will be used
 // to encrypt or read data and it must be told the key (as base64 string) explicitly that will be used and is provided to
@@ -57,6 +59,23 @@ class EncryptionWorker {
     }
   }
 
+  /**
+   * Encrypts a file for storage at rest. The IV is written as the first 16 bytes of the
+   * destination so the server can decrypt it with EncryptionManager.decryptFileStream.
+   * @param {string} sourcePath
+   * @param {string} destinationPath
+   * @returns {Promise<void>}
+   */
+  async encryptFile(sourcePath, destinationPath) {
+    const iv = crypto.randomBytes(16);
+    fs.writeFileSync(destinationPath, iv);
+    await pipeline(
+      fs.createReadStream(sourcePath),
+      crypto.createCipheriv(this.algorithm, this.key, iv),
+      fs.createWriteStream(destinationPath, { flags: "a" })
+    );
+  }
+
   decrypt(encryptedString) {
     try {
       const [encrypted, iv] = encryptedString.split(this.separator);
@@ -3,6 +3,29 @@ const os = require("os");
 const path = require("path");
 const { VALID_LANGUAGE_CODES } = require("./validLangs");
 
+/**
+ * Tesseract output to request: the plain text plus the block tree, which holds
+ * the line and word confidences and bounding boxes.
+ */
+const RECOGNIZE_OUTPUT = { text: true, blocks: true };
+
+/**
+ * @typedef {Object} OCRLayoutItem
+ * @property {string} text
+ * @property {number|null} confidence - 0-1
+ * @property {{x0: number, y0: number, x1: number, y1: number}|null} bbox - pixels of the recognized image
+ * @property {number} page - 1-based page number
+ */
+
+/**
+ * @typedef {Object} OCRPage
+ * @property {number} pageNumber
+ * @property {string} text
+ * @property {number|null} confidence - 0-1 mean confidence of the page
+ * @property {OCRLayoutItem[]} lines
+ * @property {OCRLayoutItem[]} words
+ */
+
 class OCRLoader {
   /**
    * The language code(s) to use for the OCR.
@@ -65,11 +88,19 @@ class OCRLoader {
   /**
    * Loads a PDF file and returns an array of documents.
    * This function is reserved to parsing for SCANNED documents - digital documents are not supported in this function
-   * @returns {Promise<{pageContent: string, metadata: object}[]>} An array of documents with page content and metadata.
+   * @param {string} filePath - The path to the PDF file.
+   * @param {Object} options - The options for the OCR.
+   * @param {number[]|null} options.pageNumbers - The 1-based pages to OCR, eg: the scanned pages of a mixed PDF. All pages when null.
+   * @returns {Promise<{pageContent: string, metadata: object, ocr: OCRPage}[]>} An array of documents with page content, metadata and the page OCR layout.
    */
   async ocrPDF(
     filePath,
-    { maxExecutionTime = 300_000, batchSize = 10, maxWorkers = null } = {}
+    {
+      maxExecutionTime = 300_000,
+      batchSize = 10,
+      maxWorkers = null,
+      pageNumbers = null,
+    } = {}
   ) {
     if (
       !filePath ||
@@ -87,6 +118,17 @@ class OCRLoader {
 
     const pdfDocument = await pdfjs.getDocument({ data: buffer });
 
+    const totalPages = pdfDocument.numPages;
+    const targetPages = Array.isArray(pageNumbers)
+      ? [...new Set(pageNumbers)]
+          .filter((pageNum) => pageNum >= 1 && pageNum <= totalPages)
+          .sort((a, b) => a - b)
+      : Array.from({ length: totalPages }, (_, i) => i + 1);
+    if (targetPages.length === 0) {
+      this.log(`No pages of ${documentTitle} to OCR. Skipping OCR.`);
+      return [];
+    }
+
     const documents = [];
     const meta = await pdfDocument.getMetadata().catch(() => null);
     const metadata = {
@@ -111,8 +153,10 @@ class OCRLoader {
     const { createWorker, OEM } = require("tesseract.js");
     const BATCH_SIZE = batchSize;
     const MAX_EXECUTION_TIME = maxExecutionTime;
-    const NUM_WORKERS = maxWorkers ?? Math.min(os.cpus().length, 4);
-    const totalPages = pdfDocument.numPages;
+    const NUM_WORKERS = Math.min(
+      maxWorkers ?? Math.min(os.cpus().length, 4),
+      targetPages.length
+    );
     const workerPool = await Promise.all(
       Array(NUM_WORKERS)
         .fill(0)
@@ -130,6 +174,7 @@ class OCRLoader {
         BATCH_SIZE,
         MAX_CONCURRENT_WORKERS: NUM_WORKERS,
         TOTAL_PAGES: totalPages,
+        PAGES_TO_OCR: targetPages.length,
       });
       const timeoutPromise = new Promise((_, reject) => {
         setTimeout(() => {
@@ -145,16 +190,17 @@ class OCRLoader {
 
       const processPages = async () => {
         for (
-          let startPage = 1;
-          startPage <= totalPages;
-          startPage += BATCH_SIZE
+          let batchStart = 0;
+          batchStart < targetPages.length;
+          batchStart += BATCH_SIZE
         ) {
-          const endPage = Math.min(startPage + BATCH_SIZE - 1, totalPages);
-          const pageNumbers = Array.from(
-            { length: endPage - startPage + 1 },
-            (_, i) => startPage + i
+          const pageNumbers = targetPages.slice(
+            batchStart,
+            batchStart + BATCH_SIZE
+          );
+          this.log(
+            `Working on pages ${pageNumbers[0]} - ${pageNumbers.at(-1)}`
           );
-          this.log(`Working on pages ${startPage} - ${endPage}`);
 
           const pageQueue = [...pageNumbers];
           const results = [];
@@ -169,7 +215,11 @@ class OCRLoader {
               const page = await pdfDocument.getPage(pageNum);
               const imageBuffer = await pdfSharp.pageToBuffer({ page });
               if (!imageBuffer) continue;
-              const { data } = await worker.recognize(imageBuffer, {}, "text");
+              const { data } = await worker.recognize(
+                imageBuffer,
+                {},
+                RECOGNIZE_OUTPUT
+              );
               this.log(
                 `✅ \x1b[34m[Worker ${
                   workerIndex + 1
@@ -181,6 +231,7 @@ class OCRLoader {
                   ...metadata,
                   loc: { pageNumber: pageNum },
                 },
+                ocr: pageLayout(data, pageNum),
               });
             }
           });
@@ -216,10 +267,10 @@ class OCRLoader {
    * @param {string} filePath - The path to the image file.
    * @param {Object} options - The options for the OCR.
    * @param {number} options.maxExecutionTime - The maximum execution time of the OCR in milliseconds.
-   * @returns {Promise<string>} The OCRed text.
+   * @returns {Promise<{pageContent: string, ocr: OCRPage}|null>} The OCRed text and its OCR layout.
    */
   async ocrImage(filePath, { maxExecutionTime = 300_000 } = {}) {
-    let content = "";
+    let result = null;
     let worker = null;
     if (
       !filePath ||
@@ -253,8 +304,8 @@ class OCRLoader {
       });
 
       const processImage = async () => {
-        const { data } = await worker.recognize(filePath, {}, "text");
-        content = data.text;
+        const { data } = await worker.recognize(filePath, {}, RECOGNIZE_OUTPUT);
+        result = { pageContent: data.text, ocr: pageLayout(data, 1) };
       };
 
       await Promise.race([timeoutPromise, processImage()]);
@@ -262,7 +313,7 @@ class OCRLoader {
         executionTime: `${((Date.now() - startTime) / 1000).toFixed(2)}s`,
       });
 
-      return content;
+      return result;
     } catch (e) {
       this.log(`Error: ${e.message}`);
       return null;
@@ -271,6 +322,85 @@ class OCRLoader {
       await worker.terminate();
     }
   }
+
+  /**
+   * Builds the `ocr` block of a document JSON from its OCRed pages so the server
+   * can merge the local reading with external OCR using real confidences.
+   * @param {OCRPage[]} pages
+   * @returns {{google_raw: null, anything_raw: string, user_corrected: null, engine: string, pages: Object[], lines: OCRLayoutItem[], words: OCRLayoutItem[]}}
+   */
+  static documentOcr(pages = []) {
+    const sorted = pages
+      .filter(Boolean)
+      .sort((a, b) => a.pageNumber - b.pageNumber);
+    return {
+      google_raw: null,
+      anything_raw: sorted
+        .map((page) => page.text.trim())
+        .filter(Boolean)
+        .join("\n"),
+      user_corrected: null,
+      engine: "tesseract",
+      pages: sorted.map(({ pageNumber, text, confidence }) => ({
+        pageNumber,
+        text,
+        confidence,
+      })),
+      lines: sorted.flatMap((page) => page.lines),
+      words: sorted.flatMap((page) => page.words),
+    };
+  }
+}
+
+/**
+ * Flattens the Tesseract block tree of a recognized page into its lines and words.
+ * @param {Object} data - The `data` of a Tesseract recognize result.
+ * @param {number} pageNumber - The 1-based page number.
+ * @returns {OCRPage}
+ */
+function pageLayout(data = {}, pageNumber = 1) {
+  const lines = [];
+  const words = [];
+  for (const block of data.blocks ?? []) {
+    for (const paragraph of block.paragraphs ?? []) {
+      for (const line of paragraph.lines ?? []) {
+        lines.push(layoutItem(line, pageNumber));
+        for (const word of line.words ?? [])
+          words.push(layoutItem(word, pageNumber));
+      }
+    }
+  }
+
+  return {
+    pageNumber,
+    text: data.text ?? "",
+    confidence: scaleConfidence(data.confidence),
+    lines,
+    words,
+  };
+}
+
+/**
+ * @param {Object} item - A Tesseract line or word.
+ * @param {number} pageNumber
+ * @returns {OCRLayoutItem}
+ */
+function layoutItem(item = {}, pageNumber = 1) {
+  const { x0, y0, x1, y1 } = item.bbox ?? {};
+  return {
+    text: String(item.text ?? "").trim(),
+    confidence: scaleConfidence(item.confidence),
+    bbox: item.bbox ? { x0, y0, x1, y1 } : null,
+    page: pageNumber,
+  };
+}
+
+// Tesseract reports confidences from 0-100, the server expects 0-1.
+function scaleConfidence(value) {
+  const confidence = Number(value);
+  if (value === null || value === undefined || Number.isNaN(confidence))
+    return null;
+  return Number((confidence / 100).toFixed(4));
 }
 
 /**
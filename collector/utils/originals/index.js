@@ -0,0 +1,154 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const { documentsFolder } = require("../files");
+const { MimeDetector } = require("../files/mime");
+
+/**
+ * Original uploaded files are kept next to storage/documents so a citation can
+ * show the source document and not only its extraction. They are stored by the
+ * sha256 of their content, so uploading the same file twice stores it once, and
+ * each stored file lists the ids of the documents made from it in a
+ * `<file>.refs.json` next to it. The server deletes the file once no document
+ * refers to it anymore (see server/utils/files/originals.js).
+ */
+const originalsFolder = path.resolve(documentsFolder, "../originals");
+
+/**
+ * @typedef {Object} OriginalFile
+ * @property {string} sha256 - sha256 of the original (unencrypted) content
+ * @property {string} filename - the name the file was uploaded as
+ * @property {string} mime - the mime type of the file
+ * @property {number} size - the size of the original content in bytes
+ * @property {boolean} encrypted - whether the stored file is encrypted
+ */
+
+/**
+ * Location of a stored original, relative to the originals folder.
+ * @param {{sha256: string, encrypted: boolean}} original
+ * @returns {string}
+ */
+function originalLocation({ sha256, encrypted }) {
+  return path.join(sha256.slice(0, 2), `${sha256}${encrypted ? ".enc" : ""}`);
+}
+
+async function sha256Of(filePath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+/**
+ * Stores the original of an uploaded file before it is converted.
+ * @param {string} fullFilePath - the uploaded file in the hotdir
+ * @param {Object} options
+ * @param {string} options.filename - the name the file was uploaded as
+ * @param {boolean} [options.retain] - false to not keep originals at all
+ * @param {boolean} [options.encrypt] - encrypt the stored file
+ * @param {import("../EncryptionWorker").EncryptionWorker|null} [options.encryptionWorker] - required to encrypt
+ * @returns {Promise<(OriginalFile & {stored: boolean})|null>} `stored` is true when this call wrote the file.
+ * null when originals are not kept or the file could not be stored.
+ */
+async function retainOriginal(
+  fullFilePath,
+  { filename, retain = true, encrypt = false, encryptionWorker = null } = {}
+) {
+  if (!retain) return null;
+  try {
+    if (encrypt && !encryptionWorker)
+      throw new Error("Encryption of originals requires the payload signer.");
+
+    const original = {
+      sha256: await sha256Of(fullFilePath),
+      filename: path.basename(filename || fullFilePath),
+      mime:
+        new MimeDetector().getType(fullFilePath) ?? "application/octet-stream",
+      size: fs.statSync(fullFilePath).size,
+      encrypted: !!encrypt,
+    };
+
+    const destination = path.resolve(
+      originalsFolder,
+      originalLocation(original)
+    );
+    if (fs.existsSync(destination)) return { ...original, stored: false };
+
+    // Write to a temporary file first so a failed write never leaves a partial original behind.
+    fs.mkdirSync(path.dirname(destination), { recursive: true });
+    const partial = `${destination}.${crypto.randomUUID()}.partial`;
+    try {
+      if (original.encrypted)
+        await encryptionWorker.encryptFile(fullFilePath, partial);
+      else fs.copyFileSync(fullFilePath, partial);
+      fs.renameSync(partial, destination);
+    } finally {
+      if (fs.existsSync(partial)) fs.rmSync(partial);
+    }
+    return { ...original, stored: true };
+  } catch (e) {
+    console.error(
+      `\x1b[33m[Originals]\x1b[0m Could not keep the original of ${filename}: ${e.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Records the documents made from an original on it and in their stored JSON,
+ * or removes the original again when the conversion made no documents.
+ * @param {(OriginalFile & {stored: boolean})|null} original - from retainOriginal
+ * @param {{success: boolean, reason: string|null, documents: Object[]}} result - the conversion result
+ * @returns {{success: boolean, reason: string|null, documents: Object[]}} the result with `original` on each document
+ */
+function attachOriginal(original = null, result = {}) {
+  if (!original) return result;
+  const { stored, ...descriptor } = original;
+  const storedPath = path.resolve(
+    originalsFolder,
+    originalLocation(descriptor)
+  );
+
+  const documents = result.documents ?? [];
+  if (!result.success || documents.length === 0) {
+    if (stored && !fs.existsSync(`${storedPath}.refs.json`))
+      fs.rmSync(storedPath, { force: true });
+    return result;
+  }
+
+  for (const document of documents) {
+    const documentPath = path.resolve(documentsFolder, document.location);
+    const data = JSON.parse(fs.readFileSync(documentPath, "utf8"));
+    fs.writeFileSync(
+      documentPath,
+      JSON.stringify({ ...data, original: descriptor }, null, 4),
+      { encoding: "utf-8" }
+    );
+  }
+
+  const refsPath = `${storedPath}.refs.json`;
+  const refs = fs.existsSync(refsPath)
+    ? JSON.parse(fs.readFileSync(refsPath, "utf8"))
+    : [];
+  fs.writeFileSync(
+    refsPath,
+    JSON.stringify([
+      ...new Set([...refs, ...documents.map((document) => document.id)]),
+    ])
+  );
+
+  return {
+    ...result,
+    documents: documents.map((document) => ({
+      ...document,
+      original: descriptor,
+    })),
+  };
+}
+
+module.exports = {
+  originalsFolder,
+  originalLocation,
+  retainOriginal,
+  attachOriginal,
+};
@@ -0,0 +1,79 @@
+import { useEffect, useState } from "react";
+import { CircleNotch, DownloadSimple, X } from "@phosphor-icons/react";
+import truncate from "truncate";
+import ModalWrapper from "@/components/ModalWrapper";
+import Workspace from "@/models/workspace";
+
+/**
+ * Shows the original uploaded file of a cited document - PDFs open at the
+ * cited page, images are shown as is and other files can be downloaded.
+ * @param {{slug: string, sha256: string, title: string, page: number|null, onClose: function}} props
+ */
+export default function OriginalViewer({ slug, sha256, title, page, onClose }) {
+  const [loading, setLoading] = useState(true);
+  const [original, setOriginal] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    Workspace.original(slug, sha256).then((result) => {
+      url = result?.url ?? null;
+      setOriginal(result);
+      setLoading(false);
+    });
+    return () => url && URL.revokeObjectURL(url);
+  }, [slug, sha256]);
+
+  return (
+    <ModalWrapper isOpen={true}>
+      <div className="w-full max-w-5xl h-[90vh] flex flex-col bg-theme-bg-secondary rounded-lg shadow border-2 border-theme-modal-border overflow-hidden">
+        <div className="relative p-4 border-b rounded-t border-theme-modal-border">
+          <h3 className="text-lg font-semibold text-white overflow-hidden overflow-ellipsis whitespace-nowrap pr-10">
+            {truncate(title, 60)}
+            {page && (
+              <span className="text-sm font-medium text-white/60 ml-2">
+                Page {page}
+              </span>
+            )}
+          </h3>
+          <button
+            onClick={onClose}
+            type="button"
+            className="absolute top-3 right-4 transition-all duration-300 bg-transparent rounded-lg text-sm p-1 inline-flex items-center hover:bg-theme-modal-border hover:border-theme-modal-border hover:border-opacity-50 border-transparent border"
+          >
+            <X size={24} weight="bold" className="text-white" />
+          </button>
+        </div>
+        <div className="flex-1 flex items-center justify-center overflow-auto">
+          {loading ? (
+            <CircleNotch size={32} className="text-white/60 animate-spin" />
+          ) : !original ? (
+            <p className="text-white/60 text-sm">
+              The original of this document is not available.
+            </p>
+          ) : original.mime === "application/pdf" ? (
+            <iframe
+              title={title}
+              src={page ? `${original.url}#page=${page}` : original.url}
+              className="w-full h-full border-none bg-white"
+            />
+          ) : original.mime.startsWith("image/") ? (
+            <img
+              src={original.url}
+              alt={title}
+              className="max-w-full max-h-full object-contain"
+            />
+          ) : (
+            <a
+              href={original.url}
+              download={title}
+              className="flex items-center gap-x-2 text-white hover:underline"
+            >
+              <DownloadSimple size={18} />
+              Download original
+            </a>
+          )}
+        </div>
+      </div>
+    </ModalWrapper>
+  );
+}
@@ -1,4 +1,5 @@
 import { memo, useState } from "react";
+import { useParams } from "react-router-dom";
 import { v4 } from "uuid";
 import { decode as HTMLDecode } from "he";
 import truncate from "truncate";
@@ -9,6 +10,7 @@ import {
   FileText,
   Info,
   ArrowSquareOut,
+  Eye,
   GithubLogo,
   X,
   YoutubeLogo,
@@ -22,18 +24,29 @@ import { toPercentString } from "@/utils/numbers";
 import { useTranslation } from "react-i18next";
 import pluralize from "pluralize";
 import useTextSize from "@/hooks/useTextSize";
+import OriginalViewer from "./OriginalViewer";
 
 function combineLikeSources(sources) {
   const combined = {};
   sources.forEach((source) => {
     const { id, title, text, chunkSource = "", score = null } = source;
+    const chunk = {
+      id,
+      text,
+      chunkSource,
+      score,
+      pages: pageLabel(source),
+      pageStart: Number(source.pageStart) || null,
+      // Pinned documents carry the whole original descriptor instead of its hash.
+      originalSha256: source.originalSha256 ?? source.original?.sha256 ?? null,
+    };
     if (combined.hasOwnProperty(title)) {
-      combined[title].chunks.push({ id, text, chunkSource, score });
+      combined[title].chunks.push(chunk);
       combined[title].references += 1;
     } else {
       combined[title] = {
         title,
-        chunks: [{ id, text, chunkSource, score }],
+        chunks: [chunk],
         references: 1,
       };
     }
@@ -41,10 +54,25 @@ function combineLikeSources(sources) {
   return Object.values(combined);
 }
 
+/**
+ * Page label for a chunk of a paged document (PDF), eg: "p. 3" or "pp. 3-4".
+ * @param {{pageStart?: number, pageEnd?: number}} source
+ * @returns {string|null}
+ */
+function pageLabel({ pageStart = null, pageEnd = null }) {
+  const start = Number(pageStart);
+  if (!Number.isInteger(start) || start < 1) return null;
+  const end = Number(pageEnd);
+  return Number.isInteger(end) && end > start
+    ? `pp. ${start}-${end}`
+    : `p. ${start}`;
+}
+
 export default function Citations({ sources = [] }) {
   if (sources.length === 0) return null;
   const [open, setOpen] = useState(false);
   const [selectedSource, setSelectedSource] = useState(null);
+  const { slug } = useParams();
   const { t } = useTranslation();
   const { textSizeClass } = useTextSize();
 
@@ -81,6 +109,7 @@ export default function Citations({ sources = [] }) {
       )}
       {selectedSource && (
         <CitationDetailModal
+          slug={slug}
           source={selectedSource}
           onClose={() => setSelectedSource(null)}
         />
@@ -90,8 +119,11 @@ export default function Citations({ sources = [] }) {
 }
 
 const Citation = memo(({ source, onClick, textSizeClass }) => {
-  const { title, references = 1 } = source;
+  const { title, references = 1, chunks = [] } = source;
   if (!title) return null;
+  const pages = [
+    ...new Set(chunks.map((chunk) => chunk.pages).filter(Boolean)),
+  ];
   const chunkSourceInfo = parseChunkSource(source);
   const truncatedTitle = chunkSourceInfo?.text ?? middleTruncate(title, 25);
   const CitationIcon = ICONS.hasOwnProperty(chunkSourceInfo?.icon)
@@ -115,7 +147,10 @@ const Citation = memo(({ source, onClick, textSizeClass }) => {
         </p>
         <p
           className={`!m-0 text-[10px] font-medium text-theme-text-secondary ${textSizeClass}`}
-        >{`${references} ${pluralize("Reference", Number(references) || 1)}`}</p>
+        >
+          {`${references} ${pluralize("Reference", Number(references) || 1)}`}
+          {pages.length > 0 && ` · ${pages.join(", ")}`}
+        </p>
       </div>
     </button>
   );
@@ -126,9 +161,21 @@ function omitChunkHeader(text) {
   return text.split("</document_metadata>")[1].trim();
 }
 
-function CitationDetailModal({ source, onClose }) {
+function CitationDetailModal({ slug, source, onClose }) {
   const { references, title, chunks } = source;
   const { isUrl, text: webpageUrl, href: linkTo } = parseChunkSource(source);
+  const [viewing, setViewing] = useState(null);
+
+  if (viewing)
+    return (
+      <OriginalViewer
+        slug={slug}
+        sha256={viewing.sha256}
+        page={viewing.page}
+        title={title}
+        onClose={() => setViewing(null)}
+      />
+    );
 
   return (
     <ModalWrapper isOpen={source}>
@@ -173,33 +220,55 @@ function CitationDetailModal({ source, onClose }) {
           style={{ maxHeight: "calc(100vh - 200px)" }}
         >
           <div className="py-7 px-9 space-y-2 flex-col">
-            {chunks.map(({ text, score }, idx) => (
-              <>
-                <div key={idx} className="pt-6 text-white">
-                  <div className="flex flex-col w-full justify-start pb-6 gap-y-1">
-                    <p className="text-white whitespace-pre-line">
-                      {HTMLDecode(omitChunkHeader(text))}
-                    </p>
+            {chunks.map(
+              ({ text, score, pages, pageStart, originalSha256 }, idx) => (
+                <>
+                  <div key={idx} className="pt-6 text-white">
+                    <div className="flex flex-col w-full justify-start pb-6 gap-y-1">
+                      {(pages || (slug && originalSha256)) && (
+                        <div className="flex items-center gap-x-3 text-xs font-semibold text-white/60">
+                          {pages && <p>{pages}</p>}
+                          {slug && originalSha256 && (
+                            <button
+                              type="button"
+                              onClick={() =>
+                                setViewing({
+                                  sha256: originalSha256,
+                                  page: pageStart,
+                                })
+                              }
+                              className="flex items-center gap-x-1 border-none text-white/60 hover:text-white hover:underline"
+                            >
+                              <Eye size={14} />
+                              View original
+                            </button>
+                          )}
+                        </div>
+                      )}
+                      <p className="text-white whitespace-pre-line">
+                        {HTMLDecode(omitChunkHeader(text))}
+                      </p>
 
-                    {!!score && (
-                      <div className="w-full flex items-center text-xs text-white/60 gap-x-2 cursor-default">
-                        <div
-                          data-tooltip-id="similarity-score"
-                          data-tooltip-content={`This is the semantic similarity score of this chunk of text compared to your query calculated by the vector database.`}
-                          className="flex items-center gap-x-1"
-                        >
-                          <Info size={14} />
-                          <p>{toPercentString(score)} match</p>
+                      {!!score && (
+                        <div className="w-full flex items-center text-xs text-white/60 gap-x-2 cursor-default">
+                          <div
+                            data-tooltip-id="similarity-score"
+                            data-tooltip-content={`This is the semantic similarity score of this chunk of text compared to your query calculated by the vector database.`}
+                            className="flex items-center gap-x-1"
+                          >
+                            <Info size={14} />
+                            <p>{toPercentString(score)} match</p>
+                          </div>
                         </div>
-                      </div>
-                    )}
+                      )}
+                    </div>
                   </div>
-                </div>
-                {idx !== chunks.length - 1 && (
-                  <hr className="border-theme-modal-border" />
-                )}
-              </>
-            ))}
+                  {idx !== chunks.length - 1 && (
+                    <hr className="border-theme-modal-border" />
+                  )}
+                </>
+              )
+            )}
             <div className="mb-6"></div>
           </div>
         </div>
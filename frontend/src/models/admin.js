@@ -219,16 +219,36 @@ const Admin = {
         return { apiKeys: [], error: e.message };
       });
   },
-  generateApiKey: async function () {
+  generateApiKey: async function (fields = {}) {
     return fetch(`${API_BASE}/admin/generate-api-key`, {
       method: "POST",
       headers: baseHeaders(),
+      body: JSON.stringify(fields),
     })
-      .then((res) => {
-        if (!res.ok) {
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok && !data.error) {
           throw new Error(res.statusText || "Error generating api key.");
         }
-        return res.json();
+        return data;
+      })
+      .catch((e) => {
+        console.error(e);
+        return { apiKey: null, error: e.message };
+      });
+  },
+  updateApiKey: async function (apiKeyId = "", updates = {}) {
+    return fetch(`${API_BASE}/admin/api-key/${apiKeyId}`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify(updates),
+    })
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok && !data.error) {
+          throw new Error(res.statusText || "Error updating api key.");
+        }
+        return data;
       })
       .catch((e) => {
         console.error(e);
@@ -478,16 +478,36 @@ const System = {
         return { apiKey: null, error: e.message };
       });
   },
-  generateApiKey: async function () {
+  generateApiKey: async function (fields = {}) {
     return fetch(`${API_BASE}/system/generate-api-key`, {
       method: "POST",
       headers: baseHeaders(),
+      body: JSON.stringify(fields),
     })
-      .then((res) => {
-        if (!res.ok) {
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok && !data.error) {
           throw new Error(res.statusText || "Error generating api key.");
         }
-        return res.json();
+        return data;
+      })
+      .catch((e) => {
+        console.error(e);
+        return { apiKey: null, error: e.message };
+      });
+  },
+  updateApiKey: async function (apiKeyId = "", updates = {}) {
+    return fetch(`${API_BASE}/system/api-key/${apiKeyId}`, {
+      method: "POST",
+      headers: baseHeaders(),
+      body: JSON.stringify(updates),
+    })
+      .then(async (res) => {
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok && !data.error) {
+          throw new Error(res.statusText || "Error updating api key.");
+        }
+        return data;
       })
       .catch((e) => {
         console.error(e);
@@ -574,6 +594,50 @@ const System = {
         return { success: false, error: e.message };
       });
   },
+  verifyAuditLog: async () => {
+    return await fetch(`${API_BASE}/system/audit-logs/verify`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => {
+        if (res.ok) return res.json();
+        throw new Error(res.statusText);
+      })
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
+  /**
+   * @param {{format: "jsonl"|"csv", from?: string, to?: string, events?: string, includeArchived?: boolean}} options
+   * @returns {Promise<string|null>} the exported entries
+   */
+  exportAuditLog: async ({
+    format = "jsonl",
+    from = "",
+    to = "",
+    events = "",
+    includeArchived = false,
+  }) => {
+    const url = new URL(`${fullApiUrl()}/system/audit-logs/export`);
+    url.searchParams.append("format", format);
+    if (from) url.searchParams.append("from", from);
+    if (to) url.searchParams.append("to", to);
+    if (events) url.searchParams.append("events", events);
+    if (includeArchived) url.searchParams.append("includeArchived", "true");
+    return await fetch(url, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => {
+        if (res.ok) return res.text();
+        throw new Error(res.statusText);
+      })
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
   deleteChat: async (chatId) => {
     return await fetch(`${API_BASE}/system/workspace-chats/${chatId}`, {
       method: "DELETE",
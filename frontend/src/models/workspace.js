@@ -330,6 +330,27 @@ const Workspace = {
         return null;
       });
   },
+  /**
+   * Fetches the original uploaded file of a cited document.
+   * @param {string} slug - workspace slug
+   * @param {string} sha256 - hash of the original
+   * @returns {Promise<{url: string, mime: string}|null>} an object URL of the original, or null if it is unavailable
+   */
+  original: async function (slug, sha256) {
+    return await fetch(`${API_BASE}/workspace/${slug}/original/${sha256}`, {
+      method: "GET",
+      headers: baseHeaders(),
+    })
+      .then((res) => {
+        if (!res.ok) throw new Error("Failed to fetch original.");
+        return res.blob();
+      })
+      .then((blob) => ({ url: URL.createObjectURL(blob), mime: blob.type }))
+      .catch((e) => {
+        console.error(e);
+        return null;
+      });
+  },
   uploadPfp: async function (formData, slug) {
     return await fetch(`${API_BASE}/workspace/${slug}/upload-pfp`, {
       method: "POST",
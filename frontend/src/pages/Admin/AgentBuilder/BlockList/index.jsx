@@ -9,6 +9,10 @@ import {
   Flag,
   Info,
   BracketsCurly,
+  GitBranch,
+  Repeat,
+  ShieldCheck,
+  MagnifyingGlass,
 } from "@phosphor-icons/react";
 import { Tooltip } from "react-tooltip";
 import StartNode from "../nodes/StartNode";
@@ -20,6 +24,11 @@ import LLMInstructionNode from "../nodes/LLMInstructionNode";
 import FinishNode from "../nodes/FinishNode";
 import WebScrapingNode from "../nodes/WebScrapingNode";
 import FlowInfoNode from "../nodes/FlowInfoNode";
+import WorkspaceSearchNode from "../nodes/WorkspaceSearchNode";
+import ConditionNode from "../nodes/ConditionNode";
+import LoopNode from "../nodes/LoopNode";
+import TryCatchNode from "../nodes/TryCatchNode";
+import NestedSteps from "../nodes/NestedSteps";
 
 const BLOCK_TYPES = {
   FLOW_INFO: "flowInfo",
@@ -30,6 +39,10 @@ const BLOCK_TYPES = {
   // CODE: "code", // Temporarily disabled
   LLM_INSTRUCTION: "llmInstruction",
   WEB_SCRAPING: "webScraping",
+  WORKSPACE_SEARCH: "workspaceSearch",
+  CONDITION: "condition",
+  LOOP: "loop",
+  TRY_CATCH: "tryCatch",
   FINISH: "finish",
 };
 
@@ -64,6 +77,8 @@ const BLOCK_INFO = {
       bodyType: "json",
       body: "",
       formData: [],
+      retryAttempts: 0,
+      retryBackoffMs: 1000,
       responseVariable: "",
       directOutput: false,
     },
@@ -134,6 +149,66 @@ const BLOCK_INFO = {
     },
     getSummary: (config) => config.url || "No URL specified",
   },
+  [BLOCK_TYPES.WORKSPACE_SEARCH]: {
+    label: "Workspace Search",
+    icon: <MagnifyingGlass className="w-5 h-5 text-theme-text-primary" />,
+    description: "Find relevant chunks in a workspace's documents",
+    defaultConfig: {
+      workspace: "",
+      query: "",
+      topN: "",
+      filters: "",
+      resultVariable: "",
+      directOutput: false,
+    },
+    getSummary: (config) =>
+      config.workspace
+        ? `Search ${config.workspace} for ${config.query || "(no query)"}`
+        : "No workspace selected",
+  },
+  [BLOCK_TYPES.CONDITION]: {
+    label: "Condition",
+    icon: <GitBranch className="w-5 h-5 text-theme-text-primary" />,
+    description: "Run different steps depending on a variable",
+    defaultConfig: {
+      variable: "",
+      operator: "equals",
+      value: "",
+      then: [],
+      else: [],
+    },
+    getSummary: (config) =>
+      config.variable
+        ? `If ${config.variable} ${config.operator || "equals"} ${config.value || ""}`
+        : "No condition set",
+  },
+  [BLOCK_TYPES.LOOP]: {
+    label: "Loop",
+    icon: <Repeat className="w-5 h-5 text-theme-text-primary" />,
+    description: "Run steps for every item of an array",
+    defaultConfig: {
+      variable: "",
+      itemVariable: "",
+      indexVariable: "",
+      steps: [],
+      resultVariable: "",
+    },
+    getSummary: (config) =>
+      config.variable ? `For each in ${config.variable}` : "No array selected",
+  },
+  [BLOCK_TYPES.TRY_CATCH]: {
+    label: "Try / Fallback",
+    icon: <ShieldCheck className="w-5 h-5 text-theme-text-primary" />,
+    description: "Run fallback steps when a step fails",
+    defaultConfig: {
+      steps: [],
+      catch: [],
+      errorVariable: "",
+      resultVariable: "",
+    },
+    getSummary: (config) =>
+      `${config.steps?.length || 0} step(s), ${config.catch?.length || 0} fallback step(s)`,
+  },
   [BLOCK_TYPES.FINISH]: {
     label: "Flow Complete",
     icon: <Flag className="w-4 h-4" />,
@@ -144,6 +219,17 @@ const BLOCK_INFO = {
   },
 };
 
+// Blocks that can be added inside condition, loop and try/catch blocks
+const NESTABLE_BLOCK_TYPES = [
+  BLOCK_TYPES.API_CALL,
+  BLOCK_TYPES.LLM_INSTRUCTION,
+  BLOCK_TYPES.WEB_SCRAPING,
+  BLOCK_TYPES.WORKSPACE_SEARCH,
+  BLOCK_TYPES.CONDITION,
+  BLOCK_TYPES.LOOP,
+  BLOCK_TYPES.TRY_CATCH,
+];
+
 export default function BlockList({
   blocks,
   updateBlockConfig,
@@ -161,6 +247,7 @@ export default function BlockList({
       onConfigChange: (config) => updateBlockConfig(block.id, config),
       renderVariableSelect,
       onDeleteVariable,
+      renderSteps,
     };
 
     // Direct output switch to the last configurable block before finish
@@ -207,6 +294,25 @@ export default function BlockList({
     return renderBlockConfigContent(block, props);
   };
 
+  const renderSteps = (label, steps, onChange) => (
+    <NestedSteps
+      label={label}
+      steps={steps}
+      onChange={onChange}
+      blockInfo={BLOCK_INFO}
+      addableTypes={NESTABLE_BLOCK_TYPES}
+      renderStepConfig={(step, onConfigChange) =>
+        renderBlockConfigContent(step, {
+          config: step.config || {},
+          onConfigChange,
+          renderVariableSelect,
+          onDeleteVariable,
+          renderSteps,
+        })
+      }
+    />
+  );
+
   const renderBlockConfigContent = (block, props) => {
     switch (block.type) {
       case BLOCK_TYPES.FLOW_INFO:
@@ -225,6 +331,14 @@ export default function BlockList({
         return <LLMInstructionNode {...props} />;
       case BLOCK_TYPES.WEB_SCRAPING:
         return <WebScrapingNode {...props} />;
+      case BLOCK_TYPES.WORKSPACE_SEARCH:
+        return <WorkspaceSearchNode {...props} />;
+      case BLOCK_TYPES.CONDITION:
+        return <ConditionNode {...props} />;
+      case BLOCK_TYPES.LOOP:
+        return <LoopNode {...props} />;
+      case BLOCK_TYPES.TRY_CATCH:
+        return <TryCatchNode {...props} />;
       case BLOCK_TYPES.FINISH:
         return <FinishNode />;
       default:
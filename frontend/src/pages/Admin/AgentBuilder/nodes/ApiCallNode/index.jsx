@@ -278,6 +278,40 @@ export default function ApiCallNode({
         </div>
       )}
 
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-theme-text-primary mb-2">
+            Retries
+          </label>
+          <input
+            type="number"
+            min={0}
+            max={5}
+            placeholder="0"
+            value={config.retryAttempts ?? ""}
+            onChange={(e) => onConfigChange({ retryAttempts: e.target.value })}
+            className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+          />
+        </div>
+        <div className="flex-1">
+          <label className="block text-sm font-medium text-theme-text-primary mb-2">
+            First Retry After (ms)
+          </label>
+          <input
+            type="number"
+            min={0}
+            max={60000}
+            placeholder="1000"
+            value={config.retryBackoffMs ?? ""}
+            onChange={(e) => onConfigChange({ retryBackoffMs: e.target.value })}
+            className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+          />
+        </div>
+      </div>
+      <p className="text-xs text-theme-text-secondary -mt-2">
+        Failed requests are retried with the delay doubling after every retry.
+      </p>
+
       <div>
         <label className="block text-sm font-medium text-theme-text-primary mb-2">
           Store Response In
@@ -0,0 +1,73 @@
+import React from "react";
+
+const OPERATORS = [
+  { label: "equals", value: "equals" },
+  { label: "does not equal", value: "notEquals" },
+  { label: "contains", value: "contains" },
+  { label: "does not contain", value: "notContains" },
+  { label: "is greater than", value: "greaterThan" },
+  { label: "is less than", value: "lessThan" },
+  { label: "is empty", value: "isEmpty" },
+  { label: "is not empty", value: "isNotEmpty" },
+];
+
+export default function ConditionNode({ config, onConfigChange, renderSteps }) {
+  const needsValue = !["isEmpty", "isNotEmpty"].includes(config.operator);
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Variable
+        </label>
+        <input
+          type="text"
+          value={config?.variable || ""}
+          onChange={(e) => onConfigChange({ variable: e.target.value })}
+          className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+          placeholder="response.status"
+          autoComplete="off"
+          spellCheck={false}
+        />
+        <p className="text-xs text-theme-text-secondary mt-1">
+          A variable name or a path into it, like response.items[0].id
+        </p>
+      </div>
+
+      <div className="flex gap-2">
+        <select
+          value={config.operator || "equals"}
+          onChange={(e) => onConfigChange({ operator: e.target.value })}
+          className="flex-1 border-none bg-theme-settings-input-bg text-theme-text-primary text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+        >
+          {OPERATORS.map((operator) => (
+            <option
+              key={operator.value}
+              value={operator.value}
+              className="bg-theme-settings-input-bg"
+            >
+              {operator.label}
+            </option>
+          ))}
+        </select>
+        {needsValue && (
+          <input
+            type="text"
+            value={config?.value || ""}
+            onChange={(e) => onConfigChange({ value: e.target.value })}
+            className="flex-1 border-none bg-theme-settings-input-bg text-theme-text-primary placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+            placeholder="Value or ${variable}"
+            autoComplete="off"
+            spellCheck={false}
+          />
+        )}
+      </div>
+
+      {renderSteps("Then", config.then, (steps) =>
+        onConfigChange({ then: steps })
+      )}
+      {renderSteps("Otherwise", config.else, (steps) =>
+        onConfigChange({ else: steps })
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from "react";
+
+export default function LoopNode({
+  config,
+  onConfigChange,
+  renderVariableSelect,
+  renderSteps,
+}) {
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Array to Loop Over
+        </label>
+        <input
+          type="text"
+          value={config?.variable || ""}
+          onChange={(e) => onConfigChange({ variable: e.target.value })}
+          className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+          placeholder="response.patients"
+          autoComplete="off"
+          spellCheck={false}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Current Item Variable
+        </label>
+        {renderVariableSelect(
+          config.itemVariable,
+          (value) => onConfigChange({ itemVariable: value }),
+          "Select variable"
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Current Index Variable (optional)
+        </label>
+        {renderVariableSelect(
+          config.indexVariable,
+          (value) => onConfigChange({ indexVariable: value }),
+          "Select variable"
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Maximum Items
+        </label>
+        <input
+          type="number"
+          min={1}
+          max={1000}
+          value={config?.maxIterations ?? ""}
+          onChange={(e) => onConfigChange({ maxIterations: e.target.value })}
+          className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+          placeholder="100"
+        />
+      </div>
+
+      {renderSteps("For Each Item", config.steps, (steps) =>
+        onConfigChange({ steps })
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Store Results In
+        </label>
+        {renderVariableSelect(
+          config.resultVariable,
+          (value) => onConfigChange({ resultVariable: value }),
+          "Select or create variable"
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+import { CaretDown, CaretRight, X } from "@phosphor-icons/react";
+
+/**
+ * Edits the steps nested in a condition, loop or try/catch block.
+ * Block definitions and config rendering are passed in by the BlockList so
+ * nested blocks look and behave like top-level ones.
+ */
+export default function NestedSteps({
+  label,
+  steps = [],
+  onChange,
+  blockInfo,
+  addableTypes,
+  renderStepConfig,
+}) {
+  const [expanded, setExpanded] = useState({});
+
+  const addStep = (type) => {
+    if (!type) return;
+    setExpanded({ ...expanded, [steps.length]: true });
+    onChange([
+      ...steps,
+      { type, config: { ...(blockInfo[type].defaultConfig || {}) } },
+    ]);
+  };
+
+  const updateStep = (index, config) =>
+    onChange(
+      steps.map((step, i) =>
+        i === index ? { ...step, config: { ...step.config, ...config } } : step
+      )
+    );
+
+  const removeStep = (index) => {
+    setExpanded({});
+    onChange(steps.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-theme-text-primary mb-2">
+        {label}
+      </label>
+      <div className="space-y-2 border-l-2 border-white/10 light:border-black/10 pl-3">
+        {steps.map((step, index) => (
+          <div
+            key={index}
+            className="rounded-lg border border-white/10 bg-theme-action-menu-bg overflow-hidden"
+          >
+            <div
+              onClick={() =>
+                setExpanded({ ...expanded, [index]: !expanded[index] })
+              }
+              className="flex items-center justify-between p-2.5 cursor-pointer hover:bg-theme-action-menu-item-hover transition-colors duration-300"
+            >
+              <div className="flex items-center gap-2 min-w-0">
+                {expanded[index] ? (
+                  <CaretDown className="w-3.5 h-3.5 text-white shrink-0" />
+                ) : (
+                  <CaretRight className="w-3.5 h-3.5 text-white shrink-0" />
+                )}
+                <span className="text-sm font-medium text-white shrink-0">
+                  {blockInfo[step.type]?.label || step.type}
+                </span>
+                {!expanded[index] && (
+                  <span className="text-xs text-white/60 truncate">
+                    {blockInfo[step.type]?.getSummary(step.config || {})}
+                  </span>
+                )}
+              </div>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  removeStep(index);
+                }}
+                className="w-6 h-6 flex items-center justify-center rounded-lg text-red-400 hover:bg-red-500/10 transition-colors duration-300"
+                title="Remove step"
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </div>
+            {expanded[index] && (
+              <div className="border-t border-white/10 p-3 bg-theme-bg-secondary">
+                {renderStepConfig(step, (config) => updateStep(index, config))}
+              </div>
+            )}
+          </div>
+        ))}
+        <select
+          value=""
+          onChange={(e) => addStep(e.target.value)}
+          className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+        >
+          <option value="" className="bg-theme-bg-primary">
+            + Add step
+          </option>
+          {addableTypes.map((type) => (
+            <option key={type} value={type} className="bg-theme-bg-primary">
+              {blockInfo[type].label}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
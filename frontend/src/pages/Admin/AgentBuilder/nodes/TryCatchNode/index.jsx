@@ -0,0 +1,39 @@
+import React from "react";
+
+export default function TryCatchNode({
+  config,
+  onConfigChange,
+  renderVariableSelect,
+  renderSteps,
+}) {
+  return (
+    <div className="space-y-4">
+      {renderSteps("Try", config.steps, (steps) => onConfigChange({ steps }))}
+      {renderSteps("If a Step Fails", config.catch, (steps) =>
+        onConfigChange({ catch: steps })
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Store Error Message In
+        </label>
+        {renderVariableSelect(
+          config.errorVariable,
+          (value) => onConfigChange({ errorVariable: value }),
+          "Select or create variable"
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Store Result In
+        </label>
+        {renderVariableSelect(
+          config.resultVariable,
+          (value) => onConfigChange({ resultVariable: value }),
+          "Select or create variable"
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import Workspace from "@/models/workspace";
+
+export default function WorkspaceSearchNode({
+  config,
+  onConfigChange,
+  renderVariableSelect,
+}) {
+  const [workspaces, setWorkspaces] = useState([]);
+
+  useEffect(() => {
+    Workspace.all().then((workspaces) => setWorkspaces(workspaces));
+  }, []);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Workspace
+        </label>
+        <select
+          value={config?.workspace || ""}
+          onChange={(e) => onConfigChange({ workspace: e.target.value })}
+          className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+        >
+          <option value="" className="bg-theme-bg-primary">
+            Select workspace
+          </option>
+          {workspaces.map((workspace) => (
+            <option
+              key={workspace.slug}
+              value={workspace.slug}
+              className="bg-theme-bg-primary"
+            >
+              {workspace.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Query
+        </label>
+        <textarea
+          value={config?.query || ""}
+          onChange={(e) => onConfigChange({ query: e.target.value })}
+          className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+          rows={2}
+          placeholder="Known allergies of ${patientName}"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Number of Results
+        </label>
+        <input
+          type="number"
+          min={1}
+          max={100}
+          value={config?.topN ?? ""}
+          onChange={(e) => onConfigChange({ topN: e.target.value })}
+          className="w-full border-none bg-theme-settings-input-bg text-theme-text-primary placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none p-2.5"
+          placeholder="Workspace default"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Metadata Filter (optional)
+        </label>
+        <textarea
+          value={config?.filters || ""}
+          onChange={(e) => onConfigChange({ filters: e.target.value })}
+          className="w-full p-2.5 text-sm rounded-lg bg-theme-bg-primary border border-white/5 text-theme-text-primary placeholder:text-theme-text-secondary/20 focus:border-primary-button focus:ring-1 focus:ring-primary-button outline-none light:bg-theme-settings-input-bg light:border-black/10 font-mono"
+          rows={3}
+          placeholder='{"ocr.patient_id": "${patientId}"}'
+          autoComplete="off"
+          spellCheck={false}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-theme-text-primary mb-2">
+          Store Results In
+        </label>
+        {renderVariableSelect(
+          config.resultVariable,
+          (value) => onConfigChange({ resultVariable: value }),
+          "Select or create variable"
+        )}
+        <p className="text-xs text-theme-text-secondary mt-1">
+          Use {"${variable.context}"} in a later instruction for the numbered
+          chunks, or {"${variable.results}"} for the chunks with citations.
+        </p>
+      </div>
+    </div>
+  );
+}
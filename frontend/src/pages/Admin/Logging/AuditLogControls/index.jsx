@@ -0,0 +1,145 @@
+import { useState } from "react";
+import { saveAs } from "file-saver";
+import { Download, ShieldCheck } from "@phosphor-icons/react";
+import System from "@/models/system";
+import showToast from "@/utils/toast";
+
+const FORMATS = {
+  jsonl: { name: "JSONL", mimeType: "application/jsonl" },
+  csv: { name: "CSV", mimeType: "text/csv" },
+};
+
+/**
+ * Verification and filtered export of the tamper-evident audit log.
+ */
+export default function AuditLogControls() {
+  const [verifying, setVerifying] = useState(false);
+  const [verification, setVerification] = useState(null);
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    const result = await System.verifyAuditLog();
+    setVerifying(false);
+    if (!result) return showToast("Failed to verify the audit log.", "error");
+    setVerification(result);
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    const data = new FormData(e.target);
+    const format = data.get("format");
+    const to = data.get("to");
+    const entries = await System.exportAuditLog({
+      format,
+      from: data.get("from"),
+      // Include the whole last day.
+      to: to ? `${to}T23:59:59.999Z` : "",
+      events: String(data.get("events") || "")
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .join(","),
+      includeArchived: data.get("includeArchived") === "on",
+    });
+    if (entries === null)
+      return showToast("Failed to export the audit log.", "error");
+
+    const blob = new Blob([entries], { type: FORMATS[format].mimeType });
+    saveAs(
+      blob,
+      `anythingllm-audit-log-${new Date().toLocaleDateString()}.${format}`
+    );
+    showToast(
+      `Audit log exported successfully as ${FORMATS[format].name}.`,
+      "success"
+    );
+  };
+
+  return (
+    <div className="w-full flex flex-col gap-y-3 py-6 border-white/10 border-b-2">
+      <div className="flex flex-col gap-y-1">
+        <p className="text-sm leading-6 font-bold text-theme-text-primary">
+          Audit log
+        </p>
+        <p className="text-xs leading-[18px] font-base text-theme-text-secondary">
+          Every event, sign-in and document access is also kept in a
+          tamper-evident audit log that clearing the event logs does not remove.
+        </p>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          type="button"
+          onClick={handleVerify}
+          disabled={verifying}
+          className="flex items-center gap-x-2 px-4 py-2 rounded-lg border border-slate-200 text-slate-200 light:text-theme-text-secondary light:border-theme-sidebar-border text-sm hover:bg-slate-200 hover:text-slate-800 disabled:opacity-50"
+        >
+          <ShieldCheck size={18} />
+          {verifying ? "Verifying..." : "Verify integrity"}
+        </button>
+        {verification && (
+          <p
+            className={`text-xs ${verification.valid ? "text-green-400 light:text-green-600" : "text-red-300 light:text-red-500"}`}
+          >
+            {verification.valid
+              ? `Intact - ${verification.entries} entries verified across ${verification.archives} archive(s) and the database.`
+              : `Tampering detected${verification.error?.archive ? ` in ${verification.error.archive}` : ""}${verification.error?.id ? ` at entry ${verification.error.id}` : ""}: ${verification.error?.reason}`}
+          </p>
+        )}
+      </div>
+      <form
+        onSubmit={handleExport}
+        className="flex flex-wrap items-end gap-3 text-xs text-theme-text-secondary"
+      >
+        <label className="flex flex-col gap-y-1">
+          From
+          <input
+            type="date"
+            name="from"
+            className="border-none bg-theme-settings-input-bg text-white text-sm rounded-lg outline-none p-2"
+          />
+        </label>
+        <label className="flex flex-col gap-y-1">
+          To
+          <input
+            type="date"
+            name="to"
+            className="border-none bg-theme-settings-input-bg text-white text-sm rounded-lg outline-none p-2"
+          />
+        </label>
+        <label className="flex flex-col gap-y-1">
+          Events
+          <input
+            type="text"
+            name="events"
+            placeholder="All events"
+            autoComplete="off"
+            className="border-none bg-theme-settings-input-bg text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg outline-none p-2 w-[220px]"
+          />
+        </label>
+        <label className="flex flex-col gap-y-1">
+          Format
+          <select
+            name="format"
+            className="border-none bg-theme-settings-input-bg text-white text-sm rounded-lg outline-none p-2"
+          >
+            {Object.entries(FORMATS).map(([value, { name }]) => (
+              <option key={value} value={value}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-x-2 pb-2">
+          <input type="checkbox" name="includeArchived" />
+          Include archived entries
+        </label>
+        <button
+          type="submit"
+          className="flex items-center gap-x-2 px-4 py-2 rounded-lg border border-slate-200 text-slate-200 light:text-theme-text-secondary light:border-theme-sidebar-border text-sm hover:bg-slate-200 hover:text-slate-800"
+        >
+          <Download size={18} />
+          Export
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -5,6 +5,7 @@ import { useEffect, useState } from "react";
 import { isMobile } from "react-device-detect";
 import * as Skeleton from "react-loading-skeleton";
 import LogRow from "./LogRow";
+import AuditLogControls from "./AuditLogControls";
 import showToast from "@/utils/toast";
 import CTAButton from "@/components/lib/CTAButton";
 import { useTranslation } from "react-i18next";
@@ -71,6 +72,7 @@ export default function AdminLogs() {
               {t("event.description")}
             </p>
           </div>
+          <AuditLogControls />
           <div className="w-full justify-end flex">
             <CTAButton
               onClick={handleResetLogs}
@@ -0,0 +1,175 @@
+import { useEffect, useState } from "react";
+import Workspace from "@/models/workspace";
+
+const SCOPES = [
+  {
+    value: "admin",
+    title: "Admin",
+    description: "Full access, including users, workspaces and settings.",
+  },
+  {
+    value: "documents",
+    title: "Documents",
+    description: "Upload, read, move and remove documents.",
+  },
+  {
+    value: "workspaces",
+    title: "All workspaces",
+    description: "Create, read, update and embed into every workspace.",
+  },
+  {
+    value: "chat",
+    title: "Chat",
+    description:
+      "Chat with workspaces and threads. Limited to the workspaces selected below if any are.",
+  },
+];
+const WORKSPACE_SCOPE_PREFIX = "workspaces:";
+
+/**
+ * Reads the fields rendered by ApiKeyFields from a submitted form.
+ * @param {HTMLFormElement} form
+ * @returns {{name: string, scopes: string[], expiresAt: string|null, ipAllowlist: string[]}}
+ */
+export function apiKeyFieldsFromForm(form) {
+  const data = new FormData(form);
+  return {
+    name: data.get("name"),
+    scopes: [
+      ...data.getAll("scopes"),
+      ...data
+        .getAll("workspaceScopes")
+        .map((slug) => `${WORKSPACE_SCOPE_PREFIX}${slug}`),
+    ],
+    expiresAt: data.get("expiresAt") || null,
+    ipAllowlist: String(data.get("ipAllowlist") || "")
+      .split(/[\s,]+/)
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Name, scope, expiry and IP allowlist inputs of an API key.
+ * @param {{apiKey?: Object|null}} props - the key being edited, if any
+ */
+export default function ApiKeyFields({ apiKey = null }) {
+  const [workspaces, setWorkspaces] = useState([]);
+  const scopes = apiKey?.scopes ?? [];
+  const workspaceSlugs = scopes
+    .filter((scope) => scope.startsWith(WORKSPACE_SCOPE_PREFIX))
+    .map((scope) => scope.slice(WORKSPACE_SCOPE_PREFIX.length));
+
+  useEffect(() => {
+    Workspace.all().then(setWorkspaces);
+  }, []);
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label
+          htmlFor="name"
+          className="block mb-2 text-sm font-medium text-white"
+        >
+          Name
+        </label>
+        <input
+          name="name"
+          type="text"
+          className="border-none bg-theme-settings-input-bg w-full text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+          placeholder="What is this key for?"
+          defaultValue={apiKey?.name ?? ""}
+          required={true}
+          autoComplete="off"
+        />
+      </div>
+      <div>
+        <p className="block mb-2 text-sm font-medium text-white">Scopes</p>
+        <div className="flex flex-col gap-y-2">
+          {SCOPES.map((scope) => (
+            <label
+              key={scope.value}
+              className="flex items-start gap-x-2 text-white cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                name="scopes"
+                value={scope.value}
+                defaultChecked={scopes.includes(scope.value)}
+                className="mt-1"
+              />
+              <span className="flex flex-col">
+                <span className="text-sm">{scope.title}</span>
+                <span className="text-xs text-white/60">
+                  {scope.description}
+                </span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </div>
+      {workspaces.length > 0 && (
+        <div>
+          <p className="block mb-2 text-sm font-medium text-white">
+            Workspaces
+          </p>
+          <p className="mb-2 text-xs text-white/60">
+            Limit the key to these workspaces. The Documents scope is not
+            limited to them.
+          </p>
+          <div className="flex flex-col gap-y-1 max-h-[120px] overflow-y-auto">
+            {workspaces.map((workspace) => (
+              <label
+                key={workspace.slug}
+                className="flex items-center gap-x-2 text-sm text-white cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  name="workspaceScopes"
+                  value={workspace.slug}
+                  defaultChecked={workspaceSlugs.includes(workspace.slug)}
+                />
+                {workspace.name}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+      <div>
+        <label
+          htmlFor="expiresAt"
+          className="block mb-2 text-sm font-medium text-white"
+        >
+          Expires
+        </label>
+        <input
+          name="expiresAt"
+          type="date"
+          className="border-none bg-theme-settings-input-bg text-white text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block p-2.5"
+          defaultValue={apiKey?.expiresAt?.slice(0, 10) ?? ""}
+        />
+        <p className="mt-2 text-xs text-white/60">
+          Leave empty for a key that does not expire.
+        </p>
+      </div>
+      <div>
+        <label
+          htmlFor="ipAllowlist"
+          className="block mb-2 text-sm font-medium text-white"
+        >
+          IP allowlist
+        </label>
+        <textarea
+          name="ipAllowlist"
+          className="border-none bg-theme-settings-input-bg w-full text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+          placeholder={"203.0.113.7\n10.0.0.0/24"}
+          defaultValue={(apiKey?.ipAllowlist ?? []).join("\n")}
+          autoComplete="off"
+          rows={2}
+        />
+        <p className="mt-2 text-xs text-white/60">
+          One address or CIDR range per line. Leave empty to allow any address.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { X } from "@phosphor-icons/react";
+import Admin from "@/models/admin";
+import System from "@/models/system";
+import { userFromStorage } from "@/utils/request";
+import ApiKeyFields, { apiKeyFieldsFromForm } from "../../ApiKeyFields";
+
+export default function EditApiKeyModal({ apiKey, closeModal, onUpdate }) {
+  const [error, setError] = useState(null);
+
+  const handleUpdate = async (e) => {
+    setError(null);
+    e.preventDefault();
+    const user = userFromStorage();
+    const Model = !!user ? Admin : System;
+
+    const { apiKey: updatedKey, error } = await Model.updateApiKey(
+      apiKey.id,
+      apiKeyFieldsFromForm(e.target)
+    );
+    if (!!updatedKey) {
+      onUpdate(updatedKey);
+      closeModal();
+      return;
+    }
+    setError(error);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-auto bg-black bg-opacity-50 flex items-center justify-center">
+      <div className="relative w-full max-w-2xl bg-theme-bg-secondary rounded-lg shadow border-2 border-theme-modal-border">
+        <div className="relative p-6 border-b rounded-t border-theme-modal-border">
+          <div className="w-full flex gap-x-2 items-center">
+            <h3 className="text-xl font-semibold text-white overflow-hidden overflow-ellipsis whitespace-nowrap">
+              Edit {apiKey.name || "API key"}
+            </h3>
+          </div>
+          <button
+            onClick={closeModal}
+            type="button"
+            className="absolute top-4 right-4 transition-all duration-300 bg-transparent rounded-lg text-sm p-1 inline-flex items-center hover:bg-theme-modal-border hover:border-theme-modal-border hover:border-opacity-50 border-transparent border"
+          >
+            <X size={24} weight="bold" className="text-white" />
+          </button>
+        </div>
+        <div className="px-7 py-6">
+          <form onSubmit={handleUpdate}>
+            <div className="space-y-6 max-h-[60vh] overflow-y-auto pr-2">
+              <ApiKeyFields apiKey={apiKey} />
+              {error && <p className="text-red-400 text-sm">Error: {error}</p>}
+            </div>
+            <div className="flex justify-between items-center mt-6 pt-6 border-t border-theme-modal-border">
+              <button
+                onClick={closeModal}
+                type="button"
+                className="transition-all duration-300 text-white hover:bg-zinc-700 px-4 py-2 rounded-lg text-sm"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="transition-all duration-300 bg-white text-black hover:opacity-60 px-4 py-2 rounded-lg text-sm"
+              >
+                Update API key
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+}
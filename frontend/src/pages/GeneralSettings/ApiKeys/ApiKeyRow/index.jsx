@@ -1,12 +1,19 @@
-import { useEffect, useState } from "react";
+import { useState } from "react";
 import Admin from "@/models/admin";
 import showToast from "@/utils/toast";
 import { Trash } from "@phosphor-icons/react";
 import { userFromStorage } from "@/utils/request";
 import System from "@/models/system";
+import EditApiKeyModal from "./EditApiKeyModal";
+import { useModal } from "@/hooks/useModal";
+import ModalWrapper from "@/components/ModalWrapper";
+
+export default function ApiKeyRow({ apiKey: initialKey, removeApiKey }) {
+  const [apiKey, setApiKey] = useState(initialKey);
+  const { isOpen, openModal, closeModal } = useModal();
+  const expired =
+    !!apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date();
 
-export default function ApiKeyRow({ apiKey, removeApiKey }) {
-  const [copied, setCopied] = useState(false);
   const handleDelete = async () => {
     if (
       !window.confirm(
@@ -22,38 +29,47 @@ export default function ApiKeyRow({ apiKey, removeApiKey }) {
     removeApiKey(apiKey.id);
   };
 
-  const copyApiKey = () => {
-    if (!apiKey) return false;
-    window.navigator.clipboard.writeText(apiKey.secret);
-    showToast("API Key copied to clipboard", "success");
-    setCopied(true);
-  };
-
-  useEffect(() => {
-    function resetStatus() {
-      if (!copied) return false;
-      setTimeout(() => {
-        setCopied(false);
-      }, 3000);
-    }
-    resetStatus();
-  }, [copied]);
-
   return (
     <>
       <tr className="bg-transparent text-white text-opacity-80 text-xs font-medium border-b border-white/10 h-10">
         <td scope="row" className="px-6 whitespace-nowrap">
-          {apiKey.secret}
+          {apiKey.name || "Unnamed key"}
+        </td>
+        <td className="px-6 whitespace-nowrap font-mono">
+          {apiKey.prefix ? `${apiKey.prefix}-•••••••` : "--"}
+        </td>
+        <td className="px-6">
+          <div className="flex flex-wrap gap-1 py-2">
+            {apiKey.scopes.map((scope) => (
+              <span
+                key={scope}
+                className="bg-white/10 light:bg-black/10 rounded px-1.5 py-0.5 whitespace-nowrap"
+              >
+                {scope}
+              </span>
+            ))}
+          </div>
+        </td>
+        <td className="px-6 whitespace-nowrap">
+          {apiKey.lastUsedAt
+            ? `${new Date(apiKey.lastUsedAt).toLocaleString()} (${apiKey.usageCount})`
+            : "Never"}
+        </td>
+        <td
+          className={`px-6 whitespace-nowrap ${expired ? "text-red-300 light:text-red-500" : ""}`}
+        >
+          {apiKey.expiresAt
+            ? `${expired ? "Expired " : ""}${new Date(apiKey.expiresAt).toLocaleDateString()}`
+            : "Never"}
         </td>
         <td className="px-6 text-left">{apiKey.createdBy?.username || "--"}</td>
         <td className="px-6">{apiKey.createdAt}</td>
         <td className="px-6 flex items-center gap-x-6 h-full mt-1">
           <button
-            onClick={copyApiKey}
-            disabled={copied}
-            className="text-xs font-medium text-blue-300 rounded-lg hover:text-white hover:light:text-blue-500 hover:text-opacity-60 hover:underline"
+            onClick={openModal}
+            className="text-xs font-medium text-white/80 light:text-black/80 rounded-lg hover:text-white hover:light:text-gray-500 px-2 py-1 hover:bg-white hover:bg-opacity-10"
           >
-            {copied ? "Copied" : "Copy API Key"}
+            Edit
           </button>
           <button
             onClick={handleDelete}
@@ -63,6 +79,15 @@ export default function ApiKeyRow({ apiKey, removeApiKey }) {
           </button>
         </td>
       </tr>
+      <ModalWrapper isOpen={isOpen}>
+        <EditApiKeyModal
+          apiKey={apiKey}
+          closeModal={closeModal}
+          onUpdate={(updatedKey) =>
+            setApiKey({ ...updatedKey, createdBy: apiKey.createdBy })
+          }
+        />
+      </ModalWrapper>
     </>
   );
 }
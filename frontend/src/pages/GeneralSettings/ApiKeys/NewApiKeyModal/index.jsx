@@ -5,6 +5,7 @@ import paths from "@/utils/paths";
 import { userFromStorage } from "@/utils/request";
 import System from "@/models/system";
 import showToast from "@/utils/toast";
+import ApiKeyFields, { apiKeyFieldsFromForm } from "../ApiKeyFields";
 
 export default function NewApiKeyModal({ closeModal, onSuccess }) {
   const [apiKey, setApiKey] = useState(null);
@@ -17,7 +18,9 @@ export default function NewApiKeyModal({ closeModal, onSuccess }) {
     const user = userFromStorage();
     const Model = !!user ? Admin : System;
 
-    const { apiKey: newApiKey, error } = await Model.generateApiKey();
+    const { apiKey: newApiKey, error } = await Model.generateApiKey(
+      apiKeyFieldsFromForm(e.target)
+    );
     if (!!newApiKey) {
       setApiKey(newApiKey);
       onSuccess();
@@ -65,6 +68,7 @@ export default function NewApiKeyModal({ closeModal, onSuccess }) {
           <form onSubmit={handleCreate}>
             <div className="space-y-6 max-h-[60vh] overflow-y-auto pr-2">
               {error && <p className="text-red-400 text-sm">Error: {error}</p>}
+              {!apiKey && <ApiKeyFields />}
               {apiKey && (
                 <div className="relative">
                   <input
@@ -92,8 +96,9 @@ export default function NewApiKeyModal({ closeModal, onSuccess }) {
                 </div>
               )}
               <p className="text-white text-opacity-60 text-xs md:text-sm">
-                Once created the API key can be used to programmatically access
-                and configure this AnythingLLM instance.
+                {apiKey
+                  ? "Copy the API key now - it is not stored and will not be shown again."
+                  : "Once created the API key can be used to programmatically access this AnythingLLM instance within its scopes."}
               </p>
               <a
                 href={paths.apiDocs()}
@@ -84,12 +84,24 @@ export default function AdminApiKeys() {
                 containerClassName="flex w-full"
               />
             ) : (
-              <table className="w-full text-xs text-left rounded-lg min-w-[640px] border-spacing-0">
+              <table className="w-full text-xs text-left rounded-lg min-w-[960px] border-spacing-0">
                 <thead className="text-theme-text-secondary text-xs leading-[18px] font-bold uppercase border-white/10 border-b">
                   <tr>
                     <th scope="col" className="px-6 py-3 rounded-tl-lg">
+                      Name
+                    </th>
+                    <th scope="col" className="px-6 py-3">
                       {t("api.table.key")}
                     </th>
+                    <th scope="col" className="px-6 py-3">
+                      Scopes
+                    </th>
+                    <th scope="col" className="px-6 py-3">
+                      Last used
+                    </th>
+                    <th scope="col" className="px-6 py-3">
+                      Expires
+                    </th>
                     <th scope="col" className="px-6 py-3">
                       {t("api.table.by")}
                     </th>
@@ -104,7 +116,7 @@ export default function AdminApiKeys() {
                 <tbody>
                   {apiKeys.length === 0 ? (
                     <tr className="bg-transparent text-theme-text-secondary text-sm font-medium">
-                      <td colSpan="4" className="px-6 py-4 text-center">
+                      <td colSpan="8" className="px-6 py-4 text-center">
                         No API keys found
                       </td>
                     </tr>
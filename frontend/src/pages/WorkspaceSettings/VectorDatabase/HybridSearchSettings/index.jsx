@@ -0,0 +1,108 @@
+const inputClassName =
+  "border-none bg-theme-settings-input-bg text-white placeholder:text-theme-settings-input-placeholder text-sm rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5 mt-2";
+
+const fusionHint = {
+  rrf: "Reciprocal rank fusion only looks at where a result ranks in each search. It is robust and works well without tuning.",
+  weighted:
+    "Weighted fusion combines the normalized relevance scores of each search. Use it when one search should clearly dominate.",
+};
+
+export default function HybridSearchSettings({ workspace, setHasChanges }) {
+  return (
+    <div className="flex flex-col gap-y-6">
+      <div>
+        <div className="flex flex-col">
+          <label htmlFor="hybridFusionMethod" className="block input-label">
+            Hybrid Fusion Method
+          </label>
+          <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+            How the semantic and keyword results are merged into one ranking.
+            Settings left empty use the instance default.
+            <br />
+            <i>RRF: {fusionHint.rrf}</i>
+            <br />
+            <i>Weighted: {fusionHint.weighted}</i>
+          </p>
+        </div>
+        <select
+          name="hybridFusionMethod"
+          defaultValue={workspace?.hybridFusionMethod ?? ""}
+          className="border-none bg-theme-settings-input-bg text-white text-sm mt-2 rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+          onChange={() => setHasChanges(true)}
+        >
+          <option value="">Instance default</option>
+          <option value="rrf">Reciprocal Rank Fusion (RRF)</option>
+          <option value="weighted">Weighted Score</option>
+        </select>
+      </div>
+
+      <div className="flex gap-x-4">
+        <div className="w-full">
+          <label htmlFor="hybridDenseWeight" className="block input-label">
+            Semantic Weight
+          </label>
+          <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+            Influence of the vector (meaning) search.
+          </p>
+          <input
+            name="hybridDenseWeight"
+            type="number"
+            min={0}
+            step={0.1}
+            onWheel={(e) => e.target.blur()}
+            defaultValue={workspace?.hybridDenseWeight ?? ""}
+            className={inputClassName}
+            placeholder="Default"
+            autoComplete="off"
+            onChange={() => setHasChanges(true)}
+          />
+        </div>
+        <div className="w-full">
+          <label htmlFor="hybridSparseWeight" className="block input-label">
+            Keyword Weight
+          </label>
+          <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+            Influence of the keyword (exact term) search.
+          </p>
+          <input
+            name="hybridSparseWeight"
+            type="number"
+            min={0}
+            step={0.1}
+            onWheel={(e) => e.target.blur()}
+            defaultValue={workspace?.hybridSparseWeight ?? ""}
+            className={inputClassName}
+            placeholder="Default"
+            autoComplete="off"
+            onChange={() => setHasChanges(true)}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="hybridCandidatePool" className="block input-label">
+          Candidate Pool Size
+        </label>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          How many results each search returns before they are fused. Larger
+          pools can surface better matches at the cost of speed.
+          <br />
+          <i>Leave empty to use the instance default.</i>
+        </p>
+        <input
+          name="hybridCandidatePool"
+          type="number"
+          min={1}
+          max={200}
+          step={1}
+          onWheel={(e) => e.target.blur()}
+          defaultValue={workspace?.hybridCandidatePool ?? ""}
+          className={inputClassName}
+          placeholder="Default"
+          autoComplete="off"
+          onChange={() => setHasChanges(true)}
+        />
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,23 @@
 import { useState } from "react";
+import HybridSearchSettings from "../HybridSearchSettings";
 
 // We dont support all vectorDBs yet for reranking due to complexities of how each provider
 // returns information. We need to normalize the response data so Reranker can be used for each provider.
 const supportedVectorDBs = ["lancedb"];
+
+// LanceDB and PGVector run a full-text search next to the vector search. Milvus and Zilliz
+// can only run hybrid search when sparse vectors are written by the hybrid embedder.
+const hybridVectorDBs = ["lancedb", "pgvector"];
+const sparseHybridVectorDBs = ["milvus", "zilliz"];
+
+function supportsHybridSearch(workspace) {
+  if (hybridVectorDBs.includes(workspace?.vectorDB)) return true;
+  return (
+    sparseHybridVectorDBs.includes(workspace?.vectorDB) &&
+    workspace?.embeddingEngine === "hybrid"
+  );
+}
+
 const hint = {
   default: {
     title: "Default",
@@ -14,38 +29,54 @@ const hint = {
     description:
       "LLM responses may take longer to generate, but your responses will be more accurate and relevant.",
   },
+  hybrid: {
+    title: "Hybrid",
+    description:
+      "Combines semantic and keyword search. Best for exact terms like names, codes or identifiers that semantic search alone can miss.",
+  },
 };
 
 export default function VectorSearchMode({ workspace, setHasChanges }) {
   const [selection, setSelection] = useState(
     workspace?.vectorSearchMode ?? "default"
   );
-  if (!workspace?.vectorDB || !supportedVectorDBs.includes(workspace?.vectorDB))
-    return null;
+  const canRerank = supportedVectorDBs.includes(workspace?.vectorDB);
+  const canHybrid = supportsHybridSearch(workspace);
+  if (!workspace?.vectorDB || (!canRerank && !canHybrid)) return null;
 
   return (
-    <div>
-      <div className="flex flex-col">
-        <label htmlFor="name" className="block input-label">
-          Search Preference
-        </label>
+    <>
+      <div>
+        <div className="flex flex-col">
+          <label htmlFor="name" className="block input-label">
+            Search Preference
+          </label>
+        </div>
+        <select
+          name="vectorSearchMode"
+          value={selection}
+          className="border-none bg-theme-settings-input-bg text-white text-sm mt-2 rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
+          onChange={(e) => {
+            setSelection(e.target.value);
+            setHasChanges(true);
+          }}
+          required={true}
+        >
+          <option value="default">Default</option>
+          {canRerank && <option value="rerank">Accuracy Optimized</option>}
+          {canHybrid && <option value="hybrid">Hybrid</option>}
+        </select>
+        <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
+          {hint[selection]?.description}
+        </p>
       </div>
-      <select
-        name="vectorSearchMode"
-        value={selection}
-        className="border-none bg-theme-settings-input-bg text-white text-sm mt-2 rounded-lg focus:outline-primary-button active:outline-primary-button outline-none block w-full p-2.5"
-        onChange={(e) => {
-          setSelection(e.target.value);
-          setHasChanges(true);
-        }}
-        required={true}
-      >
-        <option value="default">Default</option>
-        <option value="rerank">Accuracy Optimized</option>
-      </select>
-      <p className="text-white text-opacity-60 text-xs font-medium py-1.5">
-        {hint[selection]?.description}
-      </p>
-    </div>
+      {canHybrid &&
+        (selection === "hybrid" || workspace?.embeddingEngine === "hybrid") && (
+          <HybridSearchSettings
+            workspace={workspace}
+            setHasChanges={setHasChanges}
+          />
+        )}
+    </>
   );
 }
@@ -65,6 +65,7 @@ function ShowWorkspaceChat() {
       setWorkspace({
         ..._workspace,
         vectorDB: _settings?.VectorDB,
+        embeddingEngine: _settings?.EmbeddingEngine,
         suggestedMessages,
       });
       setLoading(false);
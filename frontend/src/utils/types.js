@@ -12,6 +12,18 @@ export function castToType(key, value) {
     topN: {
       cast: (value) => Number(value),
     },
+    hybridDenseWeight: {
+      cast: (value) => (value === "" ? null : parseFloat(value)),
+    },
+    hybridSparseWeight: {
+      cast: (value) => (value === "" ? null : parseFloat(value)),
+    },
+    hybridFusionMethod: {
+      cast: (value) => (value === "" ? null : value),
+    },
+    hybridCandidatePool: {
+      cast: (value) => (value === "" ? null : Number(value)),
+    },
   };
 
   if (!definitions.hasOwnProperty(key)) return value;
@@ -0,0 +1,93 @@
+// Documents live in a temporary storage folder - the routes are registered on a
+// stub app and called directly, like the middleware would after validation.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../../utils/prisma", () => ({}));
+jest.mock("../../../utils/middleware/validatedRequest", () => ({
+  validatedRequest: jest.fn(),
+}));
+jest.mock("../../../utils/documentAccess", () => ({
+  ...jest.requireActual("../../../utils/documentAccess"),
+  logDocumentAccess: jest.fn(async () => null),
+}));
+jest.mock("../../../models/documentOcrRevisions", () => ({
+  DocumentOcrRevisions: {
+    where: jest.fn(async () => [
+      { id: 1, docName: "labs.pdf-1.json", revision: 1, ocr: {} },
+    ]),
+  },
+}));
+process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "documents-"));
+
+const { apiDocumentEndpoints } = require("../../../endpoints/api/document");
+
+const routes = {};
+const register =
+  (method) =>
+  (route, middleware = [], handler) => {
+    routes[`${method.toUpperCase()} ${route}`] =
+      handler ?? middleware[middleware.length - 1];
+  };
+apiDocumentEndpoints({
+  get: register("get"),
+  post: register("post"),
+  patch: register("patch"),
+  delete: register("delete"),
+});
+
+async function call(route, params, user) {
+  const response = { locals: { user }, statusCode: 200, body: null };
+  response.status = jest.fn((code) => {
+    response.statusCode = code;
+    return response;
+  });
+  response.sendStatus = response.status;
+  response.json = jest.fn((body) => {
+    response.body = body;
+    return response;
+  });
+  response.end = jest.fn(() => response);
+  await routes[route]({ params, query: {} }, response);
+  return response;
+}
+
+describe("document API routes", () => {
+  const owner = { id: 5, role: "default" };
+  const stranger = { id: 7, role: "default" };
+
+  beforeAll(() => {
+    const folder = path.join(process.env.STORAGE_DIR, "documents", "intake");
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(
+      path.join(folder, "labs.pdf-1.json"),
+      JSON.stringify({
+        id: "labs-1",
+        title: "labs.pdf",
+        pageContent: "Potassium 5.9 mmol/L",
+        acl: { ownerUserId: 5 },
+      })
+    );
+  });
+  afterAll(() =>
+    fs.rmSync(process.env.STORAGE_DIR, { recursive: true, force: true })
+  );
+
+  it("hides a restricted document from users outside its ACL", async () => {
+    const params = { docName: "labs.pdf-1.json" };
+    expect(
+      (await call("GET /v1/document/:docName", params, stranger)).statusCode
+    ).toBe(404);
+    const read = await call("GET /v1/document/:docName", params, owner);
+    expect(read.statusCode).toBe(200);
+    expect(read.body.document.title).toBe("labs.pdf");
+  });
+
+  it("hides the OCR history of a restricted document from users outside its ACL", async () => {
+    const params = { docName: "labs.pdf-1.json" };
+    const route = "GET /v1/document/:docName/ocr/revisions";
+    expect((await call(route, params, stranger)).statusCode).toBe(404);
+    expect((await call(route, params, owner)).body.revisions).toHaveLength(1);
+  });
+});
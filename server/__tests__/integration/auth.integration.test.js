@@ -110,7 +110,8 @@ describe("Authentication Security Tests (Read-Only)", () => {
       
       const response = await request(BASE_URL)
         .post("/api/admin/generate-api-key")
-        .set("Authorization", `Bearer ${adminJWT}`);
+        .set("Authorization", `Bearer ${adminJWT}`)
+        .send({ name: "Auth integration test", scopes: ["admin"] });
 
       const duration = performance.now() - start;
       trackMetric(duration, response.status === 200, response.status !== 200 ? `API key gen failed: ${response.status}` : null);
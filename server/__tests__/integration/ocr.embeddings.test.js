@@ -21,6 +21,7 @@ const {
   waitForEmbeddings,
   updateWorkspaceEmbeddings,
   updateDocumentJSONFile,
+  patchDocumentOcr,
   searchWorkspace,
   verifyOcrInSearch,
 } = require("../utils/ocr.helpers");
@@ -320,6 +321,43 @@ describe("OCR Embedding Integration Tests - Phase 2", () => {
     }, 120000); // 120 second timeout for upload + update + re-embedding
   });
 
+  describe("OCR Corrections via PATCH", () => {
+    it("Should re-embed a corrected document without editing files", async () => {
+      const testFile = path.join(__dirname, "../fixtures/ocr-medical-records/diabetes-diagnosis.txt");
+      const uploadResponse = await request(BASE_URL)
+        .post("/api/v1/document/upload")
+        .set("Authorization", `Bearer ${adminJWT}`)
+        .field("externalOCRFields", JSON.stringify([
+          { fieldKey: "patient_name", fieldValue: "Misread Pateint Nmae", fieldType: "string", confidence: 0.61 },
+        ]))
+        .attach("file", testFile);
+
+      expect(uploadResponse.status).toBe(200);
+      const docLocation = uploadResponse.body.documents[0].location;
+      uploadedDocuments.push(docLocation);
+
+      await addDocumentToWorkspace(docLocation, WORKSPACE_SLUG, adminJWT, BASE_URL);
+      await waitForEmbeddings(WORKSPACE_SLUG, adminJWT, EMBEDDING_WAIT_MS, BASE_URL);
+      performanceMetrics.apiCalls++;
+
+      console.log("   📝 Correcting OCR via PATCH /v1/document/:docName/ocr...");
+      const result = await patchDocumentOcr(
+        docLocation,
+        { user_corrected: "Patient: Corrected Reviewer Name\nDiagnosis: Type 2 diabetes" },
+        adminJWT,
+        BASE_URL
+      );
+      expect(result?.success).toBe(true);
+      expect(result.workspaces).toContain(WORKSPACE_SLUG);
+      expect(result.document.ocr.user_corrected).toContain("Corrected Reviewer Name");
+      performanceMetrics.apiCalls++;
+
+      const search = await searchWorkspace(WORKSPACE_SLUG, "Corrected Reviewer Name", adminJWT, BASE_URL);
+      expect(verifyOcrInSearch(search, "Corrected Reviewer Name")).toBe(true);
+      console.log("   ✅ Corrected OCR searchable immediately after PATCH");
+    }, 90000);
+  });
+
   describe("Performance Metrics", () => {
     it("Should measure search performance", async () => {
       console.log("   ⏱️  Measuring search performance...");
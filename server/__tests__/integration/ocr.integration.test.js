@@ -105,7 +105,8 @@ describe("OCR Integration Tests", () => {
     // Generate API key
     const apiKeyResponse = await request(BASE_URL)
       .post("/api/admin/generate-api-key")
-      .set("Authorization", `Bearer ${adminJWT}`);
+      .set("Authorization", `Bearer ${adminJWT}`)
+      .send({ name: "OCR integration test", scopes: ["admin"] });
 
     if (apiKeyResponse.status !== 200) {
       throw new Error(`Failed to generate API key: ${apiKeyResponse.status}`);
@@ -58,7 +58,10 @@ describe("Authentication Matrix Tests", () => {
     });
 
     // Generate API key for admin
-    const apiKeyResult = await ApiKey.create(adminUser.user.id);
+    const apiKeyResult = await ApiKey.create(adminUser.user.id, {
+      name: "Auth matrix test",
+      scopes: ["admin"],
+    });
     apiKey = apiKeyResult.apiKey.secret;
 
     // Generate internal admin JWT
@@ -81,7 +84,7 @@ describe("Authentication Matrix Tests", () => {
     // Cleanup test data
     await User.delete({ id: adminUser.user.id });
     await User.delete({ id: defaultUser.user.id });
-    await ApiKey.delete({ secret: apiKey });
+    await ApiKey.delete({ secretHash: ApiKey.hashSecret(apiKey) });
   });
 
   describe("Admin Endpoint: GET /admin/users", () => {
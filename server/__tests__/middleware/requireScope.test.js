@@ -0,0 +1,196 @@
+jest.mock("../../models/eventLogs", () => ({
+  EventLogs: { logEvent: jest.fn().mockResolvedValue(null) },
+}));
+jest.mock("../../utils/prisma", () => ({}));
+jest.mock("../../utils/AiProviders/modelMap", () => ({ MODEL_MAP: {} }));
+jest.mock("../../utils/middleware/validatedRequest", () => ({
+  validatedRequest: jest.fn(),
+}));
+
+const { EventLogs } = require("../../models/eventLogs");
+const {
+  requireScope,
+  routeDeclaresScope,
+  SCOPES,
+} = require("../../utils/middleware/requireScope");
+
+function mockResponse(locals = {}) {
+  const response = { locals, headers: {} };
+  response.set = jest.fn((key, value) => (response.headers[key] = value));
+  response.status = jest.fn(() => response);
+  response.json = jest.fn(() => response);
+  return response;
+}
+
+const request = {
+  method: "DELETE",
+  baseUrl: "/api",
+  path: "/v1/workspace/demo",
+};
+
+describe("requireScope", () => {
+  beforeEach(() => EventLogs.logEvent.mockClear());
+
+  it("skips requests that were not authenticated by an external token", async () => {
+    const next = jest.fn();
+    const response = mockResponse({ user: { id: 1, role: "admin" } });
+    await requireScope(SCOPES.workspacesWrite)(request, response, next);
+    expect(next).toHaveBeenCalled();
+    expect(response.status).not.toHaveBeenCalled();
+  });
+
+  it("allows external tokens that carry every required scope", async () => {
+    const next = jest.fn();
+    const response = mockResponse({
+      user: { id: 2 },
+      externalUser: { id: "ext-2" },
+      scope: ["workspaces:read", "workspaces:write"],
+    });
+    await requireScope(SCOPES.workspacesWrite)(request, response, next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("rejects with 403 naming the missing scope and logs the denial", async () => {
+    const next = jest.fn();
+    const response = mockResponse({
+      user: { id: 3 },
+      externalUser: { id: "ext-3" },
+      scope: ["workspaces:read", "chat"],
+    });
+    await requireScope(SCOPES.workspacesWrite)(request, response, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(response.status).toHaveBeenCalledWith(403);
+    expect(response.json.mock.calls[0][0].missingScopes).toEqual([
+      "workspaces:write",
+    ]);
+    expect(response.json.mock.calls[0][0].error).toMatch("workspaces:write");
+    expect(response.headers["WWW-Authenticate"]).toContain(
+      'error="insufficient_scope"'
+    );
+    expect(EventLogs.logEvent).toHaveBeenCalledWith(
+      "api_scope_denied",
+      expect.objectContaining({
+        method: "DELETE",
+        path: "/api/v1/workspace/demo",
+        missingScopes: ["workspaces:write"],
+        externalUserId: "ext-3",
+      }),
+      3
+    );
+  });
+});
+
+describe("requireScope with developer API keys", () => {
+  beforeEach(() => EventLogs.logEvent.mockClear());
+
+  const run = async (scopes, requiredScope, slug = null) => {
+    const next = jest.fn();
+    const response = mockResponse({
+      apiKey: { id: 7, name: "Integration", scopes },
+    });
+    await requireScope(requiredScope)(
+      { ...request, params: slug ? { slug } : {} },
+      response,
+      next
+    );
+    return { next, response };
+  };
+
+  it("maps key scopes to the scopes routes require", async () => {
+    expect((await run(["admin"], SCOPES.usersWrite)).next).toHaveBeenCalled();
+    expect(
+      (await run(["documents"], SCOPES.documentsWrite)).next
+    ).toHaveBeenCalled();
+    expect((await run(["chat"], SCOPES.chat, "demo")).next).toHaveBeenCalled();
+
+    const { next, response } = await run(["documents"], SCOPES.chat, "demo");
+    expect(next).not.toHaveBeenCalled();
+    expect(response.status).toHaveBeenCalledWith(403);
+    expect(EventLogs.logEvent).toHaveBeenCalledWith(
+      "api_scope_denied",
+      expect.objectContaining({ apiKeyId: 7, missingScopes: ["chat"] }),
+      null
+    );
+  });
+
+  it("limits workspace scoped keys to their workspaces", async () => {
+    const scopes = ["workspaces:demo", "chat"];
+    expect(
+      (await run(scopes, SCOPES.workspacesWrite, "demo")).next
+    ).toHaveBeenCalled();
+    expect((await run(scopes, SCOPES.chat, "demo")).next).toHaveBeenCalled();
+    expect(
+      (await run(scopes, SCOPES.chat, "other")).next
+    ).not.toHaveBeenCalled();
+    expect(
+      (await run(scopes, SCOPES.workspacesRead)).next
+    ).not.toHaveBeenCalled();
+    expect(
+      (await run([...scopes, "workspaces"], SCOPES.chat, "other")).next
+    ).toHaveBeenCalled();
+  });
+
+  it("marks the middleware so API keys are only accepted on scoped routes", () => {
+    const scoped = requireScope(SCOPES.chat);
+    expect(scoped.requiredScopes).toEqual(["chat"]);
+    expect(
+      routeDeclaresScope({
+        route: { stack: [{ handle: jest.fn() }, { handle: scoped }] },
+      })
+    ).toBe(true);
+    expect(
+      routeDeclaresScope({ route: { stack: [{ handle: jest.fn() }] } })
+    ).toBe(false);
+  });
+});
+
+describe("admin API routes", () => {
+  it("declare the users and system scopes they need", () => {
+    const { apiAdminEndpoints } = require("../../endpoints/api/admin");
+    const routes = {};
+    const register =
+      (method) =>
+      (path, middleware = []) => {
+        const scoped = middleware.find((handle) => handle.requiredScopes);
+        routes[`${method.toUpperCase()} ${path}`] = scoped?.requiredScopes;
+      };
+    apiAdminEndpoints({
+      get: register("get"),
+      post: register("post"),
+      delete: register("delete"),
+    });
+
+    expect(Object.keys(routes).length).toBeGreaterThan(0);
+    expect(Object.entries(routes).filter(([, scopes]) => !scopes)).toEqual([]);
+    expect(routes["POST /v1/admin/users/new"]).toEqual(["users:write"]);
+    expect(routes["DELETE /v1/admin/users/:id"]).toEqual(["users:write"]);
+    expect(routes["GET /v1/admin/users"]).toEqual(["users:read"]);
+    expect(routes["POST /v1/admin/preferences"]).toEqual(["system:write"]);
+  });
+});
+
+describe("workspace API routes", () => {
+  it("require workspaces:read to read the chats of every user", () => {
+    // Only resolves storage paths - nothing is written there.
+    process.env.STORAGE_DIR ??= require("os").tmpdir();
+    const { apiWorkspaceEndpoints } = require("../../endpoints/api/workspace");
+    const routes = {};
+    const register =
+      (method) =>
+      (path, middleware = []) => {
+        const scoped = middleware.find((handle) => handle.requiredScopes);
+        routes[`${method.toUpperCase()} ${path}`] = scoped?.requiredScopes;
+      };
+    apiWorkspaceEndpoints({
+      get: register("get"),
+      post: register("post"),
+      delete: register("delete"),
+    });
+
+    expect(routes["GET /v1/workspace/:slug/chats"]).toEqual([
+      "workspaces:read",
+    ]);
+    expect(routes["POST /v1/workspace/:slug/chat"]).toEqual(["chat"]);
+  });
+});
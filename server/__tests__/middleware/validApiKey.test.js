@@ -0,0 +1,110 @@
+jest.mock("../../utils/prisma", () => ({
+  api_keys: {
+    findFirst: jest.fn(),
+    update: jest.fn().mockResolvedValue(null),
+  },
+}));
+jest.mock("../../models/systemSettings", () => ({
+  SystemSettings: { isMultiUserMode: jest.fn().mockResolvedValue(false) },
+}));
+
+const prisma = require("../../utils/prisma");
+const { ApiKey } = require("../../models/apiKeys");
+const { authenticateApiKey } = require("../../utils/middleware/validApiKey");
+
+const secret = ApiKey.makeSecret();
+function storedKey(fields = {}) {
+  return {
+    id: 1,
+    name: "Integration",
+    secret: null,
+    secretHash: ApiKey.hashSecret(secret),
+    prefix: secret.split("-")[0],
+    scopes: JSON.stringify(["documents"]),
+    ipAllowlist: null,
+    expiresAt: null,
+    createdBy: null,
+    ...fields,
+  };
+}
+
+describe("authenticateApiKey", () => {
+  beforeEach(() => {
+    prisma.api_keys.findFirst.mockReset();
+    prisma.api_keys.update.mockClear();
+  });
+
+  it("looks keys up by the hash of their secret and records the use", async () => {
+    prisma.api_keys.findFirst.mockResolvedValue(storedKey());
+    const { apiKey, error } = await authenticateApiKey(secret, {
+      ip: "10.0.0.5",
+    });
+
+    expect(error).toBeNull();
+    expect(prisma.api_keys.findFirst).toHaveBeenCalledWith({
+      where: { secretHash: ApiKey.hashSecret(secret) },
+    });
+    expect(apiKey.scopes).toEqual(["documents"]);
+    expect(apiKey).not.toHaveProperty("secretHash");
+    expect(prisma.api_keys.update).toHaveBeenCalledWith({
+      where: { id: 1 },
+      data: { lastUsedAt: expect.any(Date), usageCount: { increment: 1 } },
+    });
+  });
+
+  it("rejects expired keys and keys used from outside their IP allowlist", async () => {
+    prisma.api_keys.findFirst.mockResolvedValue(
+      storedKey({ expiresAt: new Date(Date.now() - 1000) })
+    );
+    expect((await authenticateApiKey(secret, { ip: "10.0.0.5" })).status).toBe(
+      401
+    );
+
+    prisma.api_keys.findFirst.mockResolvedValue(
+      storedKey({ ipAllowlist: JSON.stringify(["10.0.0.0/24", "2001:db8::1"]) })
+    );
+    expect(
+      (await authenticateApiKey(secret, { ip: "::ffff:10.0.0.5" })).apiKey
+    ).not.toBeNull();
+    expect(
+      (await authenticateApiKey(secret, { ip: "2001:db8::1" })).apiKey
+    ).not.toBeNull();
+    expect((await authenticateApiKey(secret, { ip: "10.0.1.5" })).error).toBe(
+      "API key cannot be used from this IP address"
+    );
+    expect(prisma.api_keys.update).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not look up tokens that are not API key secrets", async () => {
+    const { apiKey } = await authenticateApiKey("a.jwt.token", { ip: "" });
+    expect(apiKey).toBeNull();
+    expect(prisma.api_keys.findFirst).not.toHaveBeenCalled();
+  });
+});
+
+describe("ApiKey.validateFields", () => {
+  it("validates scopes, expiry and IP allowlists", () => {
+    expect(
+      ApiKey.validateFields({
+        name: " Support bot ",
+        scopes: ["chat", "workspaces:support", "chat"],
+        ipAllowlist: ["192.168.1.0/24"],
+      })
+    ).toEqual({
+      data: {
+        name: "Support bot",
+        scopes: JSON.stringify(["chat", "workspaces:support"]),
+        ipAllowlist: JSON.stringify(["192.168.1.0/24"]),
+      },
+      error: null,
+    });
+    expect(ApiKey.validateFields({ scopes: [] }).error).toBeTruthy();
+    expect(ApiKey.validateFields({ scopes: ["root"] }).error).toBeTruthy();
+    expect(
+      ApiKey.validateFields({ expiresAt: "2000-01-01T00:00:00Z" }).error
+    ).toBeTruthy();
+    expect(
+      ApiKey.validateFields({ ipAllowlist: ["10.0.0.0/33"] }).error
+    ).toBeTruthy();
+  });
+});
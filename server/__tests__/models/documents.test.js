@@ -0,0 +1,85 @@
+const mockVectorDb = {
+  addDocumentToNamespace: jest.fn(),
+  deleteDocumentFromNamespace: jest.fn(async () => true),
+};
+jest.mock("../../utils/helpers", () => ({
+  getVectorDbClass: () => mockVectorDb,
+}));
+jest.mock("../../utils/prisma", () => ({
+  workspace_documents: {
+    findMany: jest.fn(async () => [
+      { id: 1, docId: "doc-1", workspace: { slug: "intake" } },
+    ]),
+    update: jest.fn(async () => null),
+  },
+}));
+jest.mock("../../utils/files", () => ({
+  purgeVectorCache: jest.fn(async () => null),
+}));
+jest.mock("../../models/vectors", () => ({
+  DocumentVectors: {
+    reassign: jest.fn(async () => true),
+    delete: jest.fn(async () => true),
+  },
+}));
+jest.mock("../../models/telemetry", () => ({ Telemetry: {} }));
+jest.mock("../../models/eventLogs", () => ({ EventLogs: {} }));
+jest.mock("../../endpoints/utils", () => ({ getModelTag: () => null }));
+
+const { Document } = require("../../models/documents");
+const { DocumentVectors } = require("../../models/vectors");
+
+describe("Document.reembed", () => {
+  const documentData = { title: "Intake form", pageContent: "Patient intake" };
+
+  beforeEach(() => jest.clearAllMocks());
+
+  it("only removes the old vectors once the new ones are stored", async () => {
+    mockVectorDb.addDocumentToNamespace.mockResolvedValue({
+      vectorized: true,
+      error: null,
+    });
+    expect(
+      await Document.reembed("custom-documents/intake.json", documentData)
+    ).toEqual({ reembedded: ["intake"], failed: [] });
+
+    const [[, embedded]] = mockVectorDb.addDocumentToNamespace.mock.calls;
+    const pendingDocId = embedded.docId;
+    expect(pendingDocId).not.toBe("doc-1");
+    const [[fromDocId, retiredDocId], [swappedDocId, toDocId]] =
+      DocumentVectors.reassign.mock.calls;
+    expect([fromDocId, swappedDocId, toDocId]).toEqual([
+      "doc-1",
+      pendingDocId,
+      "doc-1",
+    ]);
+    expect(mockVectorDb.deleteDocumentFromNamespace).toHaveBeenCalledWith(
+      "intake",
+      retiredDocId
+    );
+    expect(DocumentVectors.delete).toHaveBeenCalledWith({
+      docId: retiredDocId,
+    });
+  });
+
+  it("keeps the old vectors when embedding fails", async () => {
+    mockVectorDb.addDocumentToNamespace.mockResolvedValue({
+      vectorized: false,
+      error: "Embedder offline",
+    });
+    expect(
+      await Document.reembed("custom-documents/intake.json", documentData)
+    ).toEqual({
+      reembedded: [],
+      failed: [{ workspace: "intake", error: "Embedder offline" }],
+    });
+
+    const [[, embedded]] = mockVectorDb.addDocumentToNamespace.mock.calls;
+    expect(DocumentVectors.reassign).not.toHaveBeenCalled();
+    expect(mockVectorDb.deleteDocumentFromNamespace).toHaveBeenCalledTimes(1);
+    expect(mockVectorDb.deleteDocumentFromNamespace).toHaveBeenCalledWith(
+      "intake",
+      embedded.docId
+    );
+  });
+});
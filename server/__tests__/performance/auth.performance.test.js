@@ -141,7 +141,8 @@ describe("Performance and Stress Tests", () => {
 
     const apiKeyResponse = await request(BASE_URL)
       .post("/api/admin/generate-api-key")
-      .set("Authorization", `Bearer ${adminJWT}`);
+      .set("Authorization", `Bearer ${adminJWT}`)
+      .send({ name: "Auth performance test", scopes: ["admin"] });
     
     if (!apiKeyResponse.body.apiKey || !apiKeyResponse.body.apiKey.secret) {
       throw new Error(`API key generation failed: ${apiKeyResponse.status} - ${JSON.stringify(apiKeyResponse.body)}`);
@@ -203,7 +204,8 @@ describe("Performance and Stress Tests", () => {
         try {
           const response = await request(BASE_URL)
             .post("/api/admin/generate-api-key")
-            .set("Authorization", `Bearer ${adminJWT}`);
+            .set("Authorization", `Bearer ${adminJWT}`)
+            .send({ name: "Auth performance test", scopes: ["admin"] });
 
           const duration = performance.now() - start;
           performanceMetrics.apiKeyGen.times.push(duration);
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  BM25Vocabulary,
+} = require("../../../../utils/EmbeddingEngines/bm25/vocabulary");
+
+describe("BM25Vocabulary", () => {
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "bm25-vocab-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it("assigns stable ids that survive a reload from disk", async () => {
+    const vocab = new BM25Vocabulary("workspace-a", cacheDir);
+    await vocab.register(["insulin", "metformin", "insulin"]);
+    expect(vocab.idOf("insulin")).toBe(0);
+    expect(vocab.idOf("metformin")).toBe(1);
+
+    const reloaded = new BM25Vocabulary("workspace-a", cacheDir);
+    expect(reloaded.idOf("insulin")).toBe(0);
+    expect(reloaded.idOf("metformin")).toBe(1);
+    await reloaded.register(["lisinopril"]);
+    expect(reloaded.idOf("lisinopril")).toBe(2);
+  });
+
+  it("does not grow the vocabulary on lookup", () => {
+    const vocab = new BM25Vocabulary("workspace-b", cacheDir);
+    expect(vocab.idOf("unknown")).toBeUndefined();
+    expect(vocab.size).toBe(0);
+  });
+
+  it("never hands out the same id twice under concurrent registration", async () => {
+    const first = new BM25Vocabulary("workspace-c", cacheDir);
+    const second = new BM25Vocabulary("workspace-c", cacheDir);
+    await Promise.all([
+      first.register(["alpha", "beta"]),
+      second.register(["gamma", "delta"]),
+      first.register(["epsilon"]),
+    ]);
+
+    const reloaded = new BM25Vocabulary("workspace-c", cacheDir);
+    const ids = ["alpha", "beta", "gamma", "delta", "epsilon"].map((t) =>
+      reloaded.idOf(t)
+    );
+    expect(new Set(ids).size).toBe(5);
+    expect(ids.every((id) => Number.isInteger(id))).toBe(true);
+  });
+
+  it("shares one instance per namespace in-process", () => {
+    expect(BM25Vocabulary.forNamespace("ns", cacheDir)).toBe(
+      BM25Vocabulary.forNamespace("ns", cacheDir)
+    );
+    expect(BM25Vocabulary.forNamespace("ns", cacheDir)).not.toBe(
+      BM25Vocabulary.forNamespace("other", cacheDir)
+    );
+  });
+});
@@ -0,0 +1,226 @@
+// Telemetry, models and the vector search are stubbed and API calls go to a mocked fetch.
+jest.mock("../../../utils/prisma", () => ({}));
+jest.mock("../../../models/telemetry", () => ({
+  Telemetry: { sendTelemetry: jest.fn() },
+}));
+jest.mock("../../../models/user", () => ({
+  User: { get: jest.fn(async ({ id }) => ({ id, role: "default" })) },
+}));
+jest.mock("../../../models/workspace", () => ({
+  Workspace: {
+    get: jest.fn(),
+    getWithUser: jest.fn(async (_, { slug }) =>
+      slug === "intake" ? { id: 1, slug, name: "Intake" } : null
+    ),
+  },
+}));
+jest.mock("../../../utils/documentAccess", () => ({
+  documentAccessFilters: jest.fn(async () => []),
+  logDocumentAccess: jest.fn(async () => null),
+}));
+jest.mock("../../../utils/vectorStore/workspaceSearch", () => ({
+  searchWorkspace: jest.fn(),
+}));
+
+const { FlowExecutor } = require("../../../utils/agentFlows/executor");
+const { validateFlowSteps } = require("../../../utils/agentFlows/validate");
+const {
+  searchWorkspace,
+} = require("../../../utils/vectorStore/workspaceSearch");
+
+const flowOf = (steps) => ({ name: "test", config: { steps } });
+const start = (variables = []) => ({ type: "start", config: { variables } });
+const apiCall = (config = {}) => ({
+  type: "apiCall",
+  config: { url: "https://api.example.com/check", method: "GET", ...config },
+});
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  text: async () => JSON.stringify(body),
+});
+
+const aibitat = { introspect: () => {}, handlerProps: { log: () => {} } };
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe("FlowExecutor: control flow steps", () => {
+  it("branches on a value from an API response", async () => {
+    fetch.mockResolvedValue(
+      jsonResponse({ eligibility: { status: "denied" } })
+    );
+    const { success, variables } = await new FlowExecutor().executeFlow(
+      flowOf([
+        start([{ name: "response" }, { name: "route" }]),
+        apiCall({ responseVariable: "response" }),
+        {
+          type: "condition",
+          config: {
+            variable: "response.eligibility.status",
+            operator: "equals",
+            value: "approved",
+            then: [],
+            else: [
+              apiCall({
+                url: "https://api.example.com/review/${response.eligibility.status}",
+                responseVariable: "route",
+              }),
+            ],
+          },
+        },
+      ]),
+      {},
+      aibitat
+    );
+
+    expect(success).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(fetch.mock.calls[1][0]).toBe(
+      "https://api.example.com/review/denied"
+    );
+    expect(variables.route).toEqual({ eligibility: { status: "denied" } });
+  });
+
+  it("loops over an array variable and collects every iteration", async () => {
+    fetch.mockImplementation(async (url) => jsonResponse({ url }));
+    const { variables } = await new FlowExecutor().executeFlow(
+      flowOf([
+        start([{ name: "patients", value: '[{"id":"a"},{"id":"b"}]' }]),
+        {
+          type: "loop",
+          config: {
+            variable: "patients",
+            itemVariable: "patient",
+            indexVariable: "i",
+            resultVariable: "checked",
+            steps: [
+              apiCall({ url: "https://api.example.com/${patient.id}/${i}" }),
+            ],
+          },
+        },
+      ]),
+      {},
+      aibitat
+    );
+
+    expect(variables.checked).toEqual([
+      { url: "https://api.example.com/a/0" },
+      { url: "https://api.example.com/b/1" },
+    ]);
+  });
+
+  it("retries an API call with backoff and falls back when it keeps failing", async () => {
+    fetch.mockResolvedValue(jsonResponse({}, 503));
+    const { success, variables } = await new FlowExecutor().executeFlow(
+      flowOf([
+        start([{ name: "failure" }, { name: "outcome" }]),
+        {
+          type: "tryCatch",
+          config: {
+            errorVariable: "failure",
+            resultVariable: "outcome",
+            steps: [apiCall({ retryAttempts: 2, retryBackoffMs: 1 })],
+            catch: [apiCall({ url: "https://api.example.com/fallback" })],
+          },
+        },
+      ]),
+      {},
+      aibitat
+    );
+
+    expect(success).toBe(false);
+    // 1 call + 2 retries, then the fallback call which also fails.
+    expect(fetch).toHaveBeenCalledTimes(4);
+    expect(variables.failure).toMatch("status: 503");
+  });
+});
+
+describe("FlowExecutor: workspace search step", () => {
+  const searchStep = (config = {}) => ({
+    type: "workspaceSearch",
+    config: {
+      workspace: "intake",
+      query: "allergies of ${patient}",
+      topN: "2",
+      filters: '{"ocr.patient_id": "${patient}"}',
+      resultVariable: "found",
+      ...config,
+    },
+  });
+  const invokedBy = (userId) => ({
+    ...aibitat,
+    handlerProps: { log: () => {}, invocation: { user_id: userId } },
+  });
+
+  it("searches with the flow variables and returns chunks with citations", async () => {
+    searchWorkspace.mockResolvedValue({
+      message: null,
+      sources: [
+        { text: "Penicillin", title: "intake.pdf", score: 0.9 },
+        { text: "None known", title: "visit.pdf", score: 0.7 },
+      ],
+    });
+    const { success, variables } = await new FlowExecutor().executeFlow(
+      flowOf([start([{ name: "patient" }, { name: "found" }]), searchStep()]),
+      { patient: "p-17" },
+      invokedBy(3)
+    );
+
+    expect(success).toBe(true);
+    expect(searchWorkspace.mock.calls[0][0]).toMatchObject({
+      workspace: { slug: "intake" },
+      query: "allergies of p-17",
+      topN: 2,
+      filters: [{ field: "ocr_patient_id", op: "eq", value: "p-17" }],
+    });
+    expect(variables.found.results[0]).toMatchObject({
+      citation: 1,
+      text: "Penicillin",
+      title: "intake.pdf",
+    });
+    expect(variables.found.context).toBe(
+      "[1] intake.pdf\nPenicillin\n\n[2] visit.pdf\nNone known"
+    );
+  });
+
+  it("fails for workspaces the invoking user cannot access", async () => {
+    const { success, results } = await new FlowExecutor().executeFlow(
+      flowOf([start(), searchStep({ workspace: "billing" })]),
+      { patient: "p-17" },
+      invokedBy(3)
+    );
+    expect(success).toBe(false);
+    expect(results[1].error).toMatch("not available to you");
+  });
+});
+
+describe("validateFlowSteps", () => {
+  it("validates nested steps", () => {
+    expect(
+      validateFlowSteps([
+        start(),
+        {
+          type: "condition",
+          config: { variable: "status", operator: "equals", then: [apiCall()] },
+        },
+      ])
+    ).toBeNull();
+    expect(
+      validateFlowSteps([
+        { type: "loop", config: { variable: "items", steps: [] } },
+      ])
+    ).toMatch("variable for the current item");
+    expect(
+      validateFlowSteps([
+        { type: "tryCatch", config: { steps: [{ type: "code", config: {} }] } },
+      ])
+    ).toMatch("unsupported blocks");
+    expect(validateFlowSteps([apiCall({ retryAttempts: 50 })])).toMatch(
+      "retryAttempts must be between 0 and 5"
+    );
+  });
+});
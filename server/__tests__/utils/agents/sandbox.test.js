@@ -0,0 +1,111 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  skillPermissions,
+  runSandboxedSkill,
+} = require("../../../utils/agents/sandbox");
+
+// Each test writes a throwaway handler.js and runs it in a real worker.
+let pluginDir;
+const writeSkill = (handlerBody) => {
+  const handlerLocation = path.join(pluginDir, "handler.js");
+  fs.writeFileSync(
+    handlerLocation,
+    `module.exports.runtime = { handler: async function (args) { ${handlerBody} } };`
+  );
+  return handlerLocation;
+};
+
+beforeEach(() => {
+  pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), "skill-"));
+});
+afterEach(() => {
+  fs.rmSync(pluginDir, { recursive: true, force: true });
+  delete process.env.AGENT_SKILL_TIMEOUT_MS;
+});
+
+describe("skillPermissions", () => {
+  it("resolves declared paths against the plugin folder", () => {
+    const permissions = skillPermissions(
+      {
+        permissions: {
+          filesystem: { read: ["data"], write: ["/tmp/out"] },
+          network: ["API.example.com", 42],
+        },
+      },
+      "/plugins/my-skill"
+    );
+    expect(permissions).toEqual({
+      read: ["/plugins/my-skill", "/plugins/my-skill/data", "/tmp/out"],
+      write: ["/tmp/out"],
+      network: ["api.example.com"],
+    });
+    expect(skillPermissions({}, "/plugins/my-skill").network).toEqual([]);
+  });
+});
+
+describe("runSandboxedSkill", () => {
+  it("runs the handler without the server environment and relays introspect and logger", async () => {
+    process.env.OPEN_AI_KEY = "sk-secret";
+    const introspect = jest.fn();
+    const logger = jest.fn();
+    const handlerLocation = writeSkill(`
+      this.introspect("Looking up " + args.term);
+      this.logger("called by", this.config.hubId, this.runtimeArgs.region);
+      return JSON.stringify(Object.keys(process.env));
+    `);
+
+    const result = await runSandboxedSkill({
+      handlerLocation,
+      config: { hubId: "lookup", name: "Lookup" },
+      runtimeArgs: { region: "us" },
+      args: { term: "aspirin" },
+      introspect,
+      logger,
+    });
+    delete process.env.OPEN_AI_KEY;
+
+    expect(JSON.parse(result)).toEqual(["NODE_ENV"]);
+    expect(introspect).toHaveBeenCalledWith("Looking up aspirin");
+    expect(logger).toHaveBeenCalledWith("called by lookup us");
+  });
+
+  it("only allows declared filesystem paths and network hosts", async () => {
+    fs.writeFileSync(path.join(pluginDir, "notes.txt"), "allowed");
+    const handlerLocation = writeSkill(`
+      const fs = require("fs");
+      const attempt = async (fn) => { try { return await fn(); } catch (e) { return e.message; } };
+      return JSON.stringify({
+        own: fs.readFileSync(__dirname + "/notes.txt", "utf8"),
+        server: await attempt(() => fs.readFileSync(${JSON.stringify(__filename)}, "utf8")),
+        spawn: await attempt(() => require("child_process").execSync("id")),
+        network: await attempt(() => fetch("http://undeclared.example.com")),
+      });
+    `);
+
+    const result = JSON.parse(
+      await runSandboxedSkill({
+        handlerLocation,
+        config: { hubId: "reader", permissions: { network: ["example.org"] } },
+      })
+    );
+    expect(result.own).toBe("allowed");
+    expect(result.server).toMatch("is not declared in plugin.json");
+    expect(result.spawn).toMatch("not available to imported agent skills");
+    expect(result.network).toMatch(
+      "Network access to undeclared.example.com is not declared"
+    );
+  });
+
+  it("stops a handler that exceeds its time budget", async () => {
+    process.env.AGENT_SKILL_TIMEOUT_MS = "200";
+    const handlerLocation = writeSkill(`while (true) {}`);
+    const result = await runSandboxedSkill({
+      handlerLocation,
+      config: { hubId: "spin", name: "Spin" },
+      logger: () => {},
+    });
+    expect(result).toBe("Spin did not finish within 200ms.");
+  });
+});
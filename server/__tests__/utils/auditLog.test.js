@@ -0,0 +1,213 @@
+// The audit_logs tables are kept in memory - the prisma mock supports only the
+// queries models/auditLogs makes.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Writable } = require("stream");
+
+process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "audit-log-"));
+
+jest.mock("../../utils/prisma", () => {
+  const mockTables = { audit_logs: [], audit_log_archives: [], ids: {} };
+  const compare = (value, ops) =>
+    Object.entries(ops).every(([op, expected]) => {
+      if (op === "in") return expected.includes(value);
+      const [a, b] = [new Date(value).getTime(), new Date(expected).getTime()];
+      return {
+        gt: a > b,
+        gte: a >= b,
+        lt: a < b,
+        lte: a <= b,
+      }[op];
+    });
+  const matches = (row, where = {}) =>
+    Object.entries(where).every(([key, condition]) => {
+      if (key === "AND") return condition.every((part) => matches(row, part));
+      if (
+        condition &&
+        typeof condition === "object" &&
+        !(condition instanceof Date)
+      )
+        return compare(row[key], condition);
+      return row[key] === condition;
+    });
+  const sorted = (rows, orderBy = {}) => {
+    const [[key, direction] = ["id", "asc"]] = Object.entries(orderBy);
+    return [...rows].sort((a, b) =>
+      direction === "desc" ? b[key] - a[key] : a[key] - b[key]
+    );
+  };
+  const table = (name, unique = []) => ({
+    findFirst: jest.fn(
+      async ({ where, orderBy } = {}) =>
+        sorted(mockTables[name], orderBy).find((row) => matches(row, where)) ??
+        null
+    ),
+    findMany: jest.fn(async ({ where, orderBy, take } = {}) =>
+      sorted(mockTables[name], orderBy)
+        .filter((row) => matches(row, where))
+        .slice(0, take ?? Infinity)
+        .map((row) => ({ ...row }))
+    ),
+    create: jest.fn(async ({ data }) => {
+      for (const key of unique)
+        if (mockTables[name].some((row) => row[key] === data[key]))
+          throw Object.assign(new Error(`Unique ${key}`), { code: "P2002" });
+      mockTables.ids[name] = (mockTables.ids[name] ?? 0) + 1;
+      const row = { id: mockTables.ids[name], ...data };
+      mockTables[name].push(row);
+      return { ...row };
+    }),
+    deleteMany: jest.fn(async ({ where }) => {
+      mockTables[name] = mockTables[name].filter((row) => !matches(row, where));
+    }),
+    count: jest.fn(async () => mockTables[name].length),
+  });
+  return {
+    mockTables,
+    audit_logs: table("audit_logs", ["prevHash", "hash"]),
+    audit_log_archives: table("audit_log_archives", ["filename"]),
+    $transaction: (operations) => Promise.all(operations),
+  };
+});
+
+const prisma = require("../../utils/prisma");
+const { AuditLog } = require("../../models/auditLogs");
+const {
+  verifyAuditLog,
+  exportAuditLog,
+  archiveAuditLog,
+} = require("../../utils/auditLog");
+const { forwardToSinks } = require("../../utils/auditLog/sinks");
+
+function collect() {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, _, callback) {
+      chunks.push(chunk.toString());
+      callback();
+    },
+  });
+  return { output, text: () => chunks.join("") };
+}
+
+describe("AuditLog", () => {
+  afterAll(() =>
+    fs.rmSync(process.env.STORAGE_DIR, { recursive: true, force: true })
+  );
+
+  beforeEach(() => {
+    prisma.mockTables.audit_logs = [];
+    prisma.mockTables.audit_log_archives = [];
+    prisma.mockTables.ids = {};
+  });
+
+  it("chains concurrent appends and detects changed or removed entries", async () => {
+    await Promise.all(
+      ["login", "document_accessed", "logout"].map((event, i) =>
+        AuditLog.append(event, { i }, i + 1)
+      )
+    );
+    await AuditLog.append("token_introspection_failed", {}, "external-sub");
+
+    const rows = prisma.mockTables.audit_logs;
+    expect(rows.map((row) => row.event)).toEqual([
+      "login",
+      "document_accessed",
+      "logout",
+      "token_introspection_failed",
+    ]);
+    expect(rows[0].prevHash).toBe(AuditLog.GENESIS_HASH);
+    expect(rows[3].userId).toBeNull();
+    expect(await verifyAuditLog()).toMatchObject({
+      valid: true,
+      entries: 4,
+      error: null,
+    });
+
+    rows[1].metadata = JSON.stringify({ i: 42 });
+    expect((await verifyAuditLog()).error).toEqual({
+      id: 2,
+      reason: "Entry hash does not match its content",
+    });
+
+    rows.splice(1, 1);
+    expect((await verifyAuditLog()).error).toEqual({
+      id: 3,
+      reason: "Entry does not link to the previous entry",
+    });
+  });
+
+  it("archives old entries instead of deleting them and still verifies and exports them", async () => {
+    jest.useFakeTimers({
+      now: new Date("2020-01-01T00:00:00Z"),
+      doNotFake: ["nextTick", "setImmediate", "queueMicrotask"],
+    });
+    await AuditLog.append("login", { ipAddress: "10.0.0.1" }, 1);
+    await AuditLog.append("document_accessed", { via: "chat" }, 1);
+    jest.useRealTimers();
+    await AuditLog.append("logout", {}, 1);
+
+    const archive = await archiveAuditLog(30);
+    expect(archive).toMatchObject({ fromId: 1, toId: 2, count: 2 });
+    expect(
+      fs.existsSync(
+        path.resolve(
+          process.env.STORAGE_DIR,
+          "audit-logs/archives",
+          archive.filename
+        )
+      )
+    ).toBe(true);
+    expect(prisma.mockTables.audit_logs.map((row) => row.event)).toEqual([
+      "logout",
+      "audit_log_archived",
+    ]);
+    expect(await verifyAuditLog()).toMatchObject({
+      valid: true,
+      entries: 4,
+      archives: 1,
+    });
+
+    const csv = collect();
+    await exportAuditLog(csv.output, {
+      format: "csv",
+      filters: { events: ["login", "logout"] },
+      includeArchived: true,
+    });
+    const lines = csv.text().trim().split("\n");
+    expect(lines[0]).toBe("id,occurredAt,event,userId,metadata,prevHash,hash");
+    expect(lines.slice(1).map((line) => line.split(",")[2])).toEqual([
+      "login",
+      "logout",
+    ]);
+    expect(lines[1]).toContain('"{""ipAddress"":""10.0.0.1""}"');
+
+    const jsonl = collect();
+    await exportAuditLog(jsonl.output, { filters: { from: "2021-01-01" } });
+    expect(
+      jsonl
+        .text()
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line).event)
+    ).toEqual(["logout", "audit_log_archived"]);
+  });
+});
+
+describe("audit log sinks", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.AUDIT_LOG_SINK;
+  });
+
+  it("warns about a missing syslog host only once", () => {
+    process.env.AUDIT_LOG_SINK = "syslog";
+    const log = jest.spyOn(console, "log").mockImplementation(() => null);
+    const entry = { id: 1, occurredAt: new Date(), event: "login" };
+    forwardToSinks(entry);
+    forwardToSinks(entry);
+    expect(log).toHaveBeenCalledTimes(1);
+    expect(log.mock.calls[0][0]).toMatch("AUDIT_LOG_SYSLOG_HOST is not set");
+  });
+});
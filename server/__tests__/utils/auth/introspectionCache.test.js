@@ -0,0 +1,91 @@
+// Only the in-memory store is exercised here - no database access is needed.
+jest.mock("../../../utils/prisma", () => ({}));
+
+const {
+  IntrospectionCache,
+  MemoryLRUStore,
+} = require("../../../utils/auth/introspectionCache");
+
+function fakeJwt(payload) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${encode({ alg: "RS256", typ: "JWT" })}.${encode(payload)}.signature`;
+}
+
+function introspection(sub, overrides = {}) {
+  return {
+    active: true,
+    sub,
+    sid: `session-${sub}`,
+    exp: Math.floor(Date.now() / 1000) + 3600,
+    ...overrides,
+  };
+}
+
+describe("IntrospectionCache", () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new IntrospectionCache({ secret: "test-secret" });
+  });
+
+  it("keys entries by a keyed hash of the full token", async () => {
+    const aliceToken = fakeJwt({ sub: "alice" });
+    const bobToken = fakeJwt({ sub: "bob" });
+    expect(aliceToken.substring(0, 20)).toBe(bobToken.substring(0, 20));
+
+    await cache.set(aliceToken, introspection("alice"));
+    expect((await cache.get(aliceToken)).sub).toBe("alice");
+    expect(await cache.get(bobToken)).toBeNull();
+
+    const key = cache.getCacheKey(aliceToken);
+    expect(key).not.toContain(aliceToken.substring(0, 20));
+    expect(
+      new IntrospectionCache({ secret: "other" }).getCacheKey(aliceToken)
+    ).not.toBe(key);
+  });
+
+  it("never caches inactive tokens or past the token's exp", async () => {
+    const token = fakeJwt({ sub: "alice" });
+    await cache.set(token, introspection("alice", { active: false }));
+    expect(await cache.get(token)).toBeNull();
+
+    const exp = Math.floor(Date.now() / 1000) + 5;
+    await cache.set(token, introspection("alice", { exp }), 60_000);
+    const [entry] = cache.store.cache.values();
+    expect(entry.expiresAt).toBe(exp * 1000);
+
+    await cache.set(token, introspection("alice", { exp: 1 }));
+    expect(cache.store.cache.size).toBe(1);
+  });
+
+  it("evicts the least recently used entry once full", async () => {
+    cache = new IntrospectionCache({
+      store: new MemoryLRUStore(2),
+      secret: "test-secret",
+    });
+    const [a, b, c] = ["a", "b", "c"].map((sub) => fakeJwt({ sub }));
+    await cache.set(a, introspection("a"));
+    await cache.set(b, introspection("b"));
+    await cache.get(a);
+    await cache.set(c, introspection("c"));
+
+    expect(await cache.get(a)).not.toBeNull();
+    expect(await cache.get(b)).toBeNull();
+    expect(await cache.get(c)).not.toBeNull();
+  });
+
+  it("revokes entries by token, subject or session", async () => {
+    const tokens = ["t1", "t2", "t3", "t4"].map((jti) => fakeJwt({ jti }));
+    await cache.set(tokens[0], introspection("alice"));
+    await cache.set(tokens[1], introspection("alice", { sid: "other" }));
+    await cache.set(tokens[2], introspection("bob"));
+    await cache.set(tokens[3], introspection("carol"));
+
+    expect(await cache.revoke({ sub: "alice" })).toBe(2);
+    expect(await cache.revoke({ sid: "session-bob" })).toBe(1);
+    await cache.revoke({ token: tokens[3] });
+
+    for (const token of tokens) expect(await cache.get(token)).toBeNull();
+  });
+});
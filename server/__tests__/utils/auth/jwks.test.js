@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const {
+  JwksClient,
+  JwksVerificationError,
+} = require("../../../utils/auth/jwks");
+
+const ISSUER = "keystone-core-api";
+const AUDIENCE = "anythingllm";
+
+function generateKey(alg, kid) {
+  const { privateKey, publicKey } =
+    alg === "RS256"
+      ? crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+      : crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  return {
+    alg,
+    kid,
+    privateKey,
+    jwk: { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg },
+  };
+}
+
+function signToken(key, claims = {}, header = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const signingInput = `${encode({ alg: key.alg, typ: "JWT", kid: key.kid, ...header })}.${encode({ sub: "user-1", role: "user", scope: "chat", iss: ISSUER, aud: AUDIENCE, iat: now, exp: now + 300, ...claims })}`;
+  const signature = crypto.sign(
+    "sha256",
+    Buffer.from(signingInput),
+    key.alg === "ES256"
+      ? { key: key.privateKey, dsaEncoding: "ieee-p1363" }
+      : key.privateKey
+  );
+  return `${signingInput}.${signature.toString("base64url")}`;
+}
+
+function mockJwks(...keys) {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ keys: keys.map((key) => key.jwk) }),
+  });
+}
+
+async function verificationReason(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    expect(error).toBeInstanceOf(JwksVerificationError);
+    return error.reason;
+  }
+}
+
+describe("JwksClient", () => {
+  const rsaKey = generateKey("RS256", "rsa-1");
+  const ecKey = generateKey("ES256", "ec-1");
+  const expected = { issuer: ISSUER, audience: AUDIENCE };
+  let client;
+
+  beforeEach(() => {
+    client = new JwksClient({
+      url: "https://keystone.test/.well-known/jwks.json",
+      refreshInterval: 60_000,
+      minRefetchInterval: -1,
+    });
+    mockJwks(rsaKey, ecKey);
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it("verifies RS256 and ES256 tokens", async () => {
+    const rsaPayload = await client.verify(signToken(rsaKey), expected);
+    const ecPayload = await client.verify(signToken(ecKey), expected);
+    expect(rsaPayload.sub).toBe("user-1");
+    expect(ecPayload.sub).toBe("user-1");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects tampered signatures and unsupported algorithms", async () => {
+    const [header, , signature] = signToken(rsaKey).split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ sub: "admin", iss: ISSUER, aud: AUDIENCE, exp: 9e9 })
+    ).toString("base64url");
+    expect(
+      await verificationReason(
+        client.verify(`${header}.${forged}.${signature}`, expected)
+      )
+    ).toBe("invalid_signature");
+    expect(
+      await verificationReason(
+        client.verify(signToken(rsaKey, {}, { alg: "HS256" }), expected)
+      )
+    ).toBe("unsupported_algorithm");
+  });
+
+  it("checks iss, aud, exp and nbf", async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const cases = [
+      [{ iss: "someone-else" }, "issuer_audience_mismatch"],
+      [{ aud: "other-app" }, "issuer_audience_mismatch"],
+      [{ exp: now - 3600 }, "expired_token"],
+      [{ nbf: now + 3600 }, "token_not_yet_valid"],
+    ];
+    for (const [claims, reason] of cases)
+      expect(
+        await verificationReason(
+          client.verify(signToken(ecKey, claims), expected)
+        )
+      ).toBe(reason);
+
+    const payload = await client.verify(
+      signToken(ecKey, { aud: ["other-app", AUDIENCE] }),
+      expected
+    );
+    expect(payload.aud).toContain(AUDIENCE);
+  });
+
+  it("refetches the JWKS when an unknown kid appears", async () => {
+    await client.verify(signToken(rsaKey), expected);
+    const rotatedKey = generateKey("RS256", "rsa-2");
+    mockJwks(rsaKey, rotatedKey);
+
+    const payload = await client.verify(signToken(rotatedKey), expected);
+    expect(payload.sub).toBe("user-1");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    const unknownKey = generateKey("RS256", "rsa-3");
+    expect(
+      await verificationReason(client.verify(signToken(unknownKey), expected))
+    ).toBe("unknown_kid");
+  });
+
+  it("keeps using cached keys when a refresh fails", async () => {
+    await client.verify(signToken(rsaKey), expected);
+    client.fetchedAt = 0;
+    global.fetch = jest.fn().mockRejectedValue(new Error("ECONNREFUSED"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const payload = await client.verify(signToken(rsaKey), expected);
+    expect(payload.sub).toBe("user-1");
+    console.error.mockRestore();
+  });
+
+  it("serves cached keys while a stale key set is refreshed", async () => {
+    await client.verify(signToken(rsaKey), expected);
+    client.fetchedAt = 0;
+    global.fetch = jest.fn(() => new Promise(() => {}));
+
+    const payload = await client.verify(signToken(rsaKey), expected);
+    expect(payload.sub).toBe("user-1");
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(client.pending).not.toBeNull();
+  });
+
+  it("aborts JWKS requests that do not answer in time", async () => {
+    client = new JwksClient({
+      url: "https://keystone.test/.well-known/jwks.json",
+      fetchTimeout: 10,
+    });
+    global.fetch = jest.fn(
+      (_url, { signal }) =>
+        new Promise((_resolve, reject) =>
+          signal.addEventListener("abort", () => reject(signal.reason))
+        )
+    );
+    expect(
+      await verificationReason(client.verify(signToken(rsaKey), expected))
+    ).toBe("jwks_unavailable");
+  });
+
+  it("reports the JWKS as unavailable when no keys were ever fetched", async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+    expect(
+      await verificationReason(client.verify(signToken(rsaKey), expected))
+    ).toBe("jwks_unavailable");
+  });
+});
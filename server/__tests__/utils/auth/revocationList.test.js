@@ -0,0 +1,139 @@
+// Only the in-memory store is exercised here - no database access is needed.
+jest.mock("../../../utils/prisma", () => ({}));
+jest.mock("../../../utils/auth/config", () => ({
+  ExternalAuthConfig: {
+    enabled: true,
+    mode: "jwks",
+    issuer: "keystone-core-api",
+    audience: "anythingllm",
+    cacheStore: "memory",
+    cacheSecret: "test-secret",
+    revocationTTL: 3600,
+  },
+}));
+jest.mock("../../../utils/auth/jwks", () => ({
+  jwksClient: { verify: jest.fn() },
+}));
+jest.mock("../../../models/systemSettings", () => ({
+  SystemSettings: { isMultiUserMode: async () => true },
+}));
+jest.mock("../../../models/eventLogs", () => ({
+  EventLogs: { logEvent: async () => {} },
+}));
+jest.mock("../../../utils/auth/syncExternalUser", () => ({
+  syncExternalUser: async (user) => ({ id: 1, externalId: user.id }),
+}));
+
+const { jwksClient } = require("../../../utils/auth/jwks");
+const {
+  RevocationList,
+  revocationList,
+} = require("../../../utils/auth/revocationList");
+const {
+  validateExternalUserToken,
+} = require("../../../utils/middleware/validateExternalUserToken");
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function fakeJwt(payload) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${encode({ alg: "RS256", typ: "JWT" })}.${encode(payload)}.signature`;
+}
+
+function claims(overrides = {}) {
+  return {
+    sub: "alice",
+    sid: "session-1",
+    role: "default",
+    scope: "chat",
+    iss: "keystone-core-api",
+    aud: "anythingllm",
+    iat: now() - 60,
+    exp: now() + 300,
+    ...overrides,
+  };
+}
+
+describe("RevocationList", () => {
+  let list;
+
+  beforeEach(() => {
+    list = new RevocationList({ secret: "test-secret", ttl: 60 });
+  });
+
+  it("denies a revoked token until its exp", async () => {
+    const token = fakeJwt(claims());
+    const other = fakeJwt(claims({ sid: "session-2" }));
+    await list.revoke({ token });
+
+    expect(await list.isRevoked(token, claims())).toBe(true);
+    expect(await list.isRevoked(other, claims({ sid: "session-2" }))).toBe(
+      false
+    );
+    const [entry] = list.store.entries.values();
+    expect(entry.expiresAt).toBe(claims().exp * 1000);
+  });
+
+  it("denies a subject's tokens issued up to the revocation", async () => {
+    await list.revoke({ sub: "alice" });
+
+    expect(await list.isRevoked("a", claims({ sid: "session-2" }))).toBe(true);
+    expect(
+      await list.isRevoked("b", claims({ sid: "session-3", iat: now() + 5 }))
+    ).toBe(false);
+    expect(await list.isRevoked("c", claims({ sub: "bob" }))).toBe(false);
+  });
+
+  it("denies every token of a revoked session", async () => {
+    await list.revoke({ sid: "session-1" });
+
+    expect(await list.isRevoked("a", claims({ iat: now() + 5 }))).toBe(true);
+    expect(await list.isRevoked("b", claims({ sid: "session-2" }))).toBe(false);
+  });
+
+  it("drops entries once the revoked tokens have expired", async () => {
+    await list.revoke({ sub: "alice", exp: now() + 1 });
+    await list.revoke({ sid: "session-1" });
+    const entries = Object.fromEntries(list.store.entries);
+    expect(entries["sub:alice"].expiresAt).toBe((now() + 1) * 1000);
+    expect(entries["sid:session-1"].expiresAt).toBeLessThanOrEqual(
+      Date.now() + 60_000
+    );
+
+    jest.spyOn(Date, "now").mockReturnValue(Date.now() + 120_000);
+    try {
+      expect(await list.isRevoked("a", claims({ iat: 1 }))).toBe(false);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+});
+
+describe("validateExternalUserToken in jwks mode", () => {
+  function authenticate(token) {
+    const req = { header: () => `Bearer ${token}`, ip: "127.0.0.1" };
+    const res = {
+      locals: {},
+      status: jest.fn(() => res),
+      json: jest.fn(() => res),
+    };
+    const next = jest.fn();
+    return validateExternalUserToken(req, res, next).then(() => ({
+      res,
+      next,
+    }));
+  }
+
+  it("rejects a verified token after Keystone revokes it", async () => {
+    const token = fakeJwt(claims());
+    jwksClient.verify.mockResolvedValue(claims());
+
+    expect((await authenticate(token)).next).toHaveBeenCalled();
+
+    await revocationList.revoke({ token });
+    const { res, next } = await authenticate(token);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
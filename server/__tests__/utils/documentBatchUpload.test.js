@@ -0,0 +1,160 @@
+// The collector, OCR and ACL helpers and models are stubbed - no database, collector or embedder is needed.
+jest.mock("../../utils/prisma", () => ({}));
+const mockProcessDocument = jest.fn();
+jest.mock("../../utils/collectorApi", () => ({
+  CollectorApi: jest.fn().mockImplementation(() => ({
+    processDocument: mockProcessDocument,
+  })),
+}));
+jest.mock("../../utils/documentOcr", () => ({
+  applyUploadOcr: jest.fn(),
+}));
+jest.mock("../../utils/documentAccess", () => ({
+  applyUploadAcl: jest.fn(),
+}));
+jest.mock("../../models/workspace", () => ({
+  Workspace: { get: jest.fn(async ({ slug }) => ({ id: 1, slug })) },
+}));
+jest.mock("../../models/documents", () => ({
+  Document: { addDocuments: jest.fn(), removeDocuments: jest.fn() },
+}));
+
+const { Document } = require("../../models/documents");
+const { applyUploadOcr } = require("../../utils/documentOcr");
+const {
+  parseOcrFieldsByFile,
+  mapWithConcurrency,
+  processBatchUpload,
+} = require("../../utils/documentBatchUpload");
+
+const processed = (filename) => ({
+  success: true,
+  documents: [
+    { name: `${filename}.json`, location: `custom-documents/${filename}.json` },
+  ],
+});
+
+describe("parseOcrFieldsByFile", () => {
+  it("accepts a map of field arrays keyed by filename", () => {
+    const fields = [{ fieldKey: "patient_name", fieldValue: "Jane Doe" }];
+    expect(
+      parseOcrFieldsByFile(JSON.stringify({ "page-1.png": fields }))
+    ).toEqual({ map: { "page-1.png": fields }, error: null });
+    expect(parseOcrFieldsByFile(null)).toEqual({ map: {}, error: null });
+  });
+
+  it("rejects arrays and non-array entries", () => {
+    expect(parseOcrFieldsByFile("[]").error).toMatch("keyed by filename");
+    expect(parseOcrFieldsByFile({ "page-1.png": "x" }).error).toMatch(
+      "page-1.png"
+    );
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("never runs more than the limit at once and keeps order", async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency(
+      [5, 1, 4, 2, 3],
+      2,
+      async (value) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, value));
+        running--;
+        return value * 10;
+      }
+    );
+    expect(peak).toBe(2);
+    expect(results).toEqual([50, 10, 40, 20, 30]);
+  });
+});
+
+describe("processBatchUpload", () => {
+  beforeEach(() => {
+    mockProcessDocument.mockReset();
+    Document.addDocuments.mockReset();
+    Document.removeDocuments.mockReset();
+    applyUploadOcr.mockClear();
+  });
+
+  it("reports each file on its own and applies its OCR fields", async () => {
+    mockProcessDocument.mockImplementation(async (filename) =>
+      filename === "bad.xyz"
+        ? { success: false, reason: "Unsupported file", documents: [] }
+        : processed(filename)
+    );
+    Document.addDocuments.mockImplementation(async (_, locations) => ({
+      failedToEmbed: [],
+      errors: [],
+      embedded: locations,
+    }));
+
+    const fields = [{ fieldKey: "patient_name", fieldValue: "Jane Doe" }];
+    const { files, workspaces } = await processBatchUpload(
+      ["page-1.png", "bad.xyz", "page-2.png"],
+      { addToWorkspaces: "intake", ocrFieldsByFile: { "page-1.png": fields } }
+    );
+
+    expect(files.map((file) => [file.filename, file.success])).toEqual([
+      ["page-1.png", true],
+      ["bad.xyz", false],
+      ["page-2.png", true],
+    ]);
+    expect(files[1].error).toBe("Unsupported file");
+    expect(applyUploadOcr).toHaveBeenCalledTimes(1);
+    expect(applyUploadOcr.mock.calls[0][1]).toEqual({
+      externalOCRFields: fields,
+    });
+    expect(Document.addDocuments).toHaveBeenCalledTimes(1);
+    expect(Document.addDocuments.mock.calls[0][1]).toEqual([
+      "custom-documents/page-1.png.json",
+      "custom-documents/page-2.png.json",
+    ]);
+    expect(workspaces).toEqual([
+      { slug: "intake", success: true, error: null, embedded: 2 },
+    ]);
+  });
+
+  it("removes the documents already embedded when one fails to embed", async () => {
+    mockProcessDocument.mockImplementation(async (filename) =>
+      processed(filename)
+    );
+    Document.addDocuments.mockResolvedValue({
+      failedToEmbed: ["page-2.png"],
+      errors: ["Embedder offline"],
+      embedded: ["custom-documents/page-1.png.json"],
+    });
+
+    const { workspaces } = await processBatchUpload(
+      ["page-1.png", "page-2.png"],
+      { addToWorkspaces: "intake" }
+    );
+
+    expect(Document.removeDocuments).toHaveBeenCalledWith(
+      { id: 1, slug: "intake" },
+      ["custom-documents/page-1.png.json"],
+      null
+    );
+    expect(workspaces[0]).toMatchObject({ success: false, embedded: 0 });
+    expect(workspaces[0].error).toMatch("Embedder offline");
+  });
+
+  it("reports files skipped for a duplicate name as failed", async () => {
+    mockProcessDocument.mockImplementation(async (filename) =>
+      processed(filename)
+    );
+
+    const { files } = await processBatchUpload(["page-1.png"], {
+      duplicateFilenames: ["page-1.png"],
+    });
+
+    expect(files.map((file) => [file.filename, file.success])).toEqual([
+      ["page-1.png", true],
+      ["page-1.png", false],
+    ]);
+    expect(files[1].error).toMatch("same name");
+    expect(mockProcessDocument).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,122 @@
+// Only the OCR merge helpers are tested here - no database access is needed.
+jest.mock("../../utils/prisma", () => ({}));
+
+const {
+  mergeOcrSourcesWithReport,
+  buildCanonicalOcrContent,
+} = require("../../utils/documentEnrichment");
+
+describe("mergeOcrSourcesWithReport", () => {
+  it("keeps lines both sources agree on once", () => {
+    const text = "Patient: Jane Doe\nDOB: 01/02/1980";
+    const { text: merged, quality } = mergeOcrSourcesWithReport(text, text);
+    expect(merged).toBe(text);
+    expect(quality.score).toBe(1);
+    expect(quality.agreed).toBe(2);
+  });
+
+  it("picks the higher confidence reading of a disagreeing line", () => {
+    const google = "Patient: Jane Doe\nDiagnosis: Type 2 diabetes";
+    const tesseract = "Patient: Jane Doe\nDiagnosis: Type 2 diabetcs";
+    const ocr = {
+      rawFields: [
+        {
+          fieldKey: "diagnosis",
+          fieldValue: "Diagnosis: Type 2 diabetes",
+          confidence: 0.4,
+        },
+      ],
+      words: [
+        { text: "Diagnosis", confidence: 95 },
+        { text: "Type", confidence: 96 },
+        { text: "2", confidence: 90 },
+        { text: "diabetcs", confidence: 88 },
+      ],
+    };
+
+    const { text, quality } = mergeOcrSourcesWithReport(google, tesseract, ocr);
+    expect(text).toBe(tesseract);
+    expect(quality.resolved).toBe(1);
+    expect(quality.picked.tesseract).toBe(1);
+    expect(quality.score).toBeGreaterThan(0.9);
+    expect(quality.score).toBeLessThan(1);
+
+    // Without confidences Google wins the tie.
+    expect(mergeOcrSourcesWithReport(google, tesseract).text).toBe(google);
+  });
+
+  it("keeps content found by only one source without duplicating the rest", () => {
+    const google = "Patient: Jane Doe";
+    const tesseract = "General Hospital\nPatient: Jane Doe\nPage 1 of 2";
+    const { text, quality } = mergeOcrSourcesWithReport(google, tesseract);
+    expect(text).toBe(tesseract);
+    expect(text).not.toContain("Additional OCR Content");
+    expect(quality.tesseractOnly).toBe(2);
+    expect(quality.score).toBeCloseTo(0.5);
+  });
+});
+
+describe("buildCanonicalOcrContent", () => {
+  it("prefers user corrections and reports merges", () => {
+    expect(
+      buildCanonicalOcrContent({
+        pageContent: "raw",
+        ocr: { user_corrected: "fixed", google_raw: "a", anything_raw: "b" },
+      })
+    ).toEqual({
+      pageContent: "fixed",
+      source: "user_corrected",
+      mergeQuality: null,
+    });
+
+    const merged = buildCanonicalOcrContent({
+      pageContent: "raw",
+      ocr: { google_raw: "a line", anything_raw: "a line" },
+    });
+    expect(merged.source).toBe("merged");
+    expect(merged.mergeQuality.score).toBe(1);
+  });
+});
+
+describe("buildCanonicalOcrContent low-confidence fields", () => {
+  const ocr = {
+    google_raw: "John Doe\n19??-03-15",
+    rawFields: [
+      { fieldKey: "patient_name", fieldValue: "John Doe", confidence: 0.95 },
+      { fieldKey: "date_of_birth", fieldValue: "19??-03-15", confidence: 0.32 },
+    ],
+  };
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("tags low-confidence fields by default", () => {
+    expect(buildCanonicalOcrContent({ ocr }).pageContent).toBe(
+      "John Doe\n[low confidence 0.32] 19??-03-15"
+    );
+  });
+
+  it("excludes or ignores them based on OCR_LOW_CONFIDENCE_MODE", () => {
+    process.env.OCR_LOW_CONFIDENCE_MODE = "exclude";
+    expect(buildCanonicalOcrContent({ ocr }).pageContent).toBe("John Doe");
+
+    process.env.OCR_LOW_CONFIDENCE_MODE = "off";
+    expect(buildCanonicalOcrContent({ ocr }).pageContent).toBe(ocr.google_raw);
+  });
+
+  it("respects OCR_CONFIDENCE_THRESHOLD and reviewed fields", () => {
+    process.env.OCR_LOW_CONFIDENCE_MODE = "exclude";
+    process.env.OCR_CONFIDENCE_THRESHOLD = "0.3";
+    expect(buildCanonicalOcrContent({ ocr }).pageContent).toBe(ocr.google_raw);
+
+    process.env.OCR_CONFIDENCE_THRESHOLD = "0.5";
+    const reviewed = {
+      ...ocr,
+      fieldReviews: { 1: { status: "corrected", value: "1985-03-15" } },
+    };
+    expect(buildCanonicalOcrContent({ ocr: reviewed }).pageContent).toBe(
+      "John Doe\n1985-03-15"
+    );
+  });
+});
@@ -0,0 +1,295 @@
+// Only the pure OCR helpers are tested here - no database or storage access is needed.
+jest.mock("../../utils/prisma", () => ({}));
+jest.mock("../../utils/files", () => ({
+  documentsPath: "/storage/documents",
+  normalizePath: (filepath) => filepath,
+  fileData: jest.fn(),
+  writeFileData: jest.fn(),
+}));
+
+const {
+  validateOcrUpdate,
+  applyOcrUpdate,
+  applyUploadOcr,
+  ocrReviewQueue,
+  validateFieldReview,
+  diffLines,
+  diffOcrRevisions,
+} = require("../../utils/documentOcr");
+const { DocumentOcrRevisions } = require("../../models/documentOcrRevisions");
+const { DocumentOcrReviews } = require("../../models/documentOcrReviews");
+const { lowConfidenceFields } = require("../../utils/ocrFieldParser");
+const { fileData, writeFileData } = require("../../utils/files");
+
+const document = {
+  title: "record.pdf",
+  pageContent: "collector text",
+  ocr: {
+    google_raw: "Old Name",
+    anything_raw: null,
+    user_corrected: null,
+    fields: { patient_name: "Old Name" },
+    rawFields: [],
+  },
+};
+
+describe("validateOcrUpdate", () => {
+  it("requires at least one OCR source", () => {
+    expect(validateOcrUpdate({})).not.toBeNull();
+    expect(validateOcrUpdate({ user_corrected: null })).toBeNull();
+  });
+
+  it("rejects malformed external fields and corrections", () => {
+    expect(validateOcrUpdate({ externalOCRFields: "not json" })).not.toBeNull();
+    expect(validateOcrUpdate({ externalOCRFields: { a: 1 } })).not.toBeNull();
+    expect(validateOcrUpdate({ user_corrected: 42 })).not.toBeNull();
+    expect(
+      validateOcrUpdate({
+        externalOCRFields: JSON.stringify([
+          { fieldKey: "patient_name", fieldValue: "Jane Doe" },
+        ]),
+      })
+    ).toBeNull();
+  });
+});
+
+describe("applyOcrUpdate", () => {
+  it("merges external fields and rebuilds pageContent", () => {
+    const updated = applyOcrUpdate(document, {
+      externalOCRFields: [
+        { fieldKey: "patient_name", fieldValue: "Jane Doe", confidence: 0.9 },
+      ],
+    });
+    expect(updated.ocr.google_raw).toBe("Jane Doe");
+    expect(updated.ocr.fields).toEqual({ patient_name: "Jane Doe" });
+    expect(updated.pageContent).toBe("Jane Doe");
+    expect(updated.wordCount).toBe(2);
+    expect(updated.token_count_estimate).toBeGreaterThan(0);
+  });
+
+  it("prefers user corrections and can clear them", () => {
+    const corrected = applyOcrUpdate(document, {
+      user_corrected: "Patient: Jane Doe",
+    });
+    expect(corrected.pageContent).toBe("Patient: Jane Doe");
+    expect(corrected.ocr.fields).toEqual(document.ocr.fields);
+
+    const cleared = applyOcrUpdate(corrected, { user_corrected: null });
+    expect(cleared.ocr.user_corrected).toBeNull();
+    expect(cleared.pageContent).toBe("Old Name");
+  });
+});
+
+describe("applyUploadOcr", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fileData.mockResolvedValue({
+      ...document,
+      ocr: { anything_raw: "collector text" },
+    });
+    jest.spyOn(DocumentOcrRevisions, "count").mockResolvedValue(0);
+    jest.spyOn(DocumentOcrRevisions, "record").mockResolvedValue(null);
+    jest.spyOn(DocumentOcrReviews, "index").mockResolvedValue(true);
+  });
+
+  const documents = [{ location: "custom-documents/raw-record-1234.json" }];
+
+  it("does nothing when the request carries no OCR", async () => {
+    expect(await applyUploadOcr(documents, {})).toBe(0);
+    expect(writeFileData).not.toHaveBeenCalled();
+  });
+
+  it("keeps the collector OCR as baseline and records the correction", async () => {
+    const updated = await applyUploadOcr(documents, {
+      user_corrected: "Patient: Jane Doe",
+    });
+
+    expect(updated).toBe(1);
+    const [location, written] = writeFileData.mock.calls[0];
+    expect(location).toBe(documents[0].location);
+    expect(written.pageContent).toBe("Patient: Jane Doe");
+    expect(written.ocr.anything_raw).toBe("collector text");
+    expect(
+      DocumentOcrRevisions.record.mock.calls.map((c) => c[1].source)
+    ).toEqual(["tesseract", "user"]);
+    expect(DocumentOcrRevisions.record.mock.calls[1][0]).toBe(
+      "raw-record-1234.json"
+    );
+  });
+
+  it("indexes the low-confidence fields for review", async () => {
+    await applyUploadOcr(documents, {
+      externalOCRFields: [
+        { fieldKey: "patient_name", fieldValue: "Jane Doe", confidence: 0.99 },
+        { fieldKey: "date_of_birth", fieldValue: "19??", confidence: 0.32 },
+        { fieldKey: "mrn", fieldValue: "MRN-1", confidence: 1 },
+      ],
+    });
+
+    const [[location, indexed]] = DocumentOcrReviews.index.mock.calls;
+    expect(location).toBe(documents[0].location);
+    expect(indexed.docName).toBe("raw-record-1234.json");
+    expect(indexed.fields.map((field) => field.fieldKey)).toEqual([
+      "patient_name",
+      "date_of_birth",
+    ]);
+  });
+});
+
+describe("validateOcrUpdate source", () => {
+  it("only accepts known revision sources", () => {
+    expect(
+      validateOcrUpdate({ user_corrected: "text", source: "tesseract" })
+    ).toBeNull();
+    expect(
+      validateOcrUpdate({ user_corrected: "text", source: "scanner" })
+    ).not.toBeNull();
+  });
+});
+
+describe("diffLines", () => {
+  it("marks added, removed and unchanged lines", () => {
+    expect(diffLines("a\nb\nc", "a\nx\nc")).toEqual([
+      { type: "equal", line: "a" },
+      { type: "removed", line: "b" },
+      { type: "added", line: "x" },
+      { type: "equal", line: "c" },
+    ]);
+    expect(diffLines("", "new")).toEqual([{ type: "added", line: "new" }]);
+  });
+});
+
+describe("diffOcrRevisions", () => {
+  it("diffs text sources and structured fields", () => {
+    const from = {
+      ocr: {
+        google_raw: "Name: Jon",
+        fields: { patient_name: "Jon", mrn: "1" },
+      },
+      confidence: null,
+    };
+    const to = {
+      ocr: {
+        google_raw: "Name: Jon",
+        user_corrected: "Name: John",
+        fields: { patient_name: "John", dob: "1990-01-01" },
+      },
+      confidence: null,
+    };
+    const diff = diffOcrRevisions(from, to);
+    expect(diff.text.google_raw.changed).toBe(false);
+    expect(diff.text.user_corrected.lines).toEqual([
+      { type: "added", line: "Name: John" },
+    ]);
+    expect(diff.fields).toEqual({
+      added: { dob: "1990-01-01" },
+      removed: { mrn: "1" },
+      changed: { patient_name: { from: "Jon", to: "John" } },
+    });
+  });
+});
+
+describe("DocumentOcrRevisions.summarizeConfidence", () => {
+  it("summarizes field and word confidences", () => {
+    expect(
+      DocumentOcrRevisions.summarizeConfidence({
+        rawFields: [{ confidence: 0.5 }, { confidence: 1 }],
+        words: [{ confidence: 0.75 }],
+      })
+    ).toEqual({ count: 3, average: 0.75, min: 0.5, max: 1 });
+    expect(DocumentOcrRevisions.summarizeConfidence({})).toBeNull();
+  });
+});
+
+describe("validateFieldReview", () => {
+  it("requires a known action and a value for corrections", () => {
+    expect(validateFieldReview({})).not.toBeNull();
+    expect(validateFieldReview({ action: "reject" })).not.toBeNull();
+    expect(
+      validateFieldReview({ action: "correct", value: " " })
+    ).not.toBeNull();
+    expect(validateFieldReview({ action: "approve" })).toBeNull();
+    expect(
+      validateFieldReview({ action: "correct", value: "1985-03-15" })
+    ).toBeNull();
+  });
+});
+
+describe("lowConfidenceFields", () => {
+  it("lists unreviewed fields below the threshold", () => {
+    const ocr = {
+      rawFields: [
+        { fieldKey: "patient_name", fieldValue: "John Doe", confidence: 0.95 },
+        { fieldKey: "date_of_birth", fieldValue: "19??", confidence: 0.32 },
+        { fieldKey: "mrn", fieldValue: "MRN-1", confidence: 41 },
+        { fieldKey: "notes", fieldValue: "n/a" },
+      ],
+      fieldReviews: { 2: { status: "approved", value: "MRN-1" } },
+    };
+    expect(lowConfidenceFields(ocr, 0.5)).toEqual([
+      {
+        index: 1,
+        fieldKey: "date_of_birth",
+        fieldValue: "19??",
+        fieldType: "string",
+        confidence: 0.32,
+      },
+    ]);
+  });
+});
+
+describe("ocrReviewQueue", () => {
+  const fs = require("fs");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(fs, "existsSync").mockReturnValue(true);
+    jest.spyOn(DocumentOcrReviews, "count").mockResolvedValue(3);
+    jest.spyOn(DocumentOcrReviews, "where").mockResolvedValue([
+      {
+        location: "custom-documents/scan.json",
+        docName: "scan.json",
+        title: "scan.pdf",
+        fields: [
+          { index: 0, fieldKey: "patient_name", confidence: 0.7 },
+          { index: 1, fieldKey: "date_of_birth", confidence: 0.32 },
+        ],
+      },
+    ]);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it("pages through the index instead of reading every document", async () => {
+    const queue = await ocrReviewQueue({ threshold: 0.5, offset: 1, limit: 1 });
+
+    expect(DocumentOcrReviews.where).toHaveBeenCalledWith(
+      { minConfidence: { lt: 0.5 } },
+      1,
+      1
+    );
+    expect(fileData).not.toHaveBeenCalled();
+    expect(queue).toEqual({
+      threshold: 0.5,
+      documents: [
+        {
+          name: "scan.json",
+          location: "custom-documents/scan.json",
+          title: "scan.pdf",
+          fields: [{ index: 1, fieldKey: "date_of_birth", confidence: 0.32 }],
+        },
+      ],
+      hasPages: true,
+    });
+  });
+
+  it("drops index entries of documents that no longer exist", async () => {
+    fs.existsSync.mockReturnValue(false);
+    jest.spyOn(DocumentOcrReviews, "delete").mockResolvedValue(true);
+
+    const queue = await ocrReviewQueue({ threshold: 0.5 });
+    expect(queue.documents).toEqual([]);
+    expect(DocumentOcrReviews.delete).toHaveBeenCalledWith({
+      location: "custom-documents/scan.json",
+    });
+  });
+});
@@ -0,0 +1,64 @@
+// Uploads go through a real multipart request into a temporary collector hotdir.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+jest.mock("../../../models/documents", () => ({ Document: {} }));
+jest.mock("../../../models/documentSyncQueue", () => ({
+  DocumentSyncQueue: {},
+}));
+process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "multer-"));
+process.env.COLLECTOR_HOTDIR = path.join(process.env.STORAGE_DIR, "hotdir");
+
+const { handleAPIBatchFileUpload } = require("../../../utils/files/multer");
+
+function upload(files) {
+  const server = http.createServer((request, response) =>
+    handleAPIBatchFileUpload(request, response, () =>
+      response.end(
+        JSON.stringify({
+          stored: request.files.map((file) => file.originalname),
+          duplicates: request.duplicateFilenames,
+        })
+      )
+    )
+  );
+  return new Promise((resolve) => server.listen(0, resolve))
+    .then(() => {
+      const body = new FormData();
+      for (const [name, content] of files)
+        body.append("files", new Blob([content]), name);
+      return fetch(`http://127.0.0.1:${server.address().port}`, {
+        method: "POST",
+        body,
+      });
+    })
+    .then((response) => response.json())
+    .finally(() => server.close());
+}
+
+describe("handleAPIBatchFileUpload", () => {
+  afterAll(() =>
+    fs.rmSync(process.env.STORAGE_DIR, { recursive: true, force: true })
+  );
+
+  it("does not let a file overwrite an earlier file of the same name", async () => {
+    expect(
+      await upload([
+        ["page-1.txt", "first"],
+        ["page-2.txt", "second"],
+        ["page-1.txt", "third"],
+      ])
+    ).toEqual({
+      stored: ["page-1.txt", "page-2.txt"],
+      duplicates: ["page-1.txt"],
+    });
+    expect(
+      fs.readFileSync(
+        path.join(process.env.COLLECTOR_HOTDIR, "page-1.txt"),
+        "utf8"
+      )
+    ).toBe("first");
+  });
+});
@@ -0,0 +1,122 @@
+// Originals are written to a temporary storage folder with the format the collector uses.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+jest.mock("../../../utils/helpers/updateENV", () => ({ dumpENV: jest.fn() }));
+process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "originals-"));
+process.env.SIG_KEY = "test-key";
+process.env.SIG_SALT = "test-salt";
+
+const {
+  originalFilePath,
+  parseByteRange,
+  openOriginal,
+  releaseOriginal,
+} = require("../../../utils/files/originals");
+const { EncryptionManager } = require("../../../utils/EncryptionManager");
+
+const content = crypto.randomBytes(1000);
+const sha256 = crypto.createHash("sha256").update(content).digest("hex");
+
+function storeOriginal({ encrypted = false, refs = [] } = {}) {
+  const original = {
+    sha256,
+    filename: "referral.pdf",
+    mime: "application/pdf",
+    size: content.length,
+    encrypted,
+  };
+  const filePath = originalFilePath(original);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  if (encrypted) {
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv(
+      "aes-256-cbc",
+      new EncryptionManager().key,
+      iv
+    );
+    fs.writeFileSync(
+      filePath,
+      Buffer.concat([iv, cipher.update(content), cipher.final()])
+    );
+  } else fs.writeFileSync(filePath, content);
+  fs.writeFileSync(`${filePath}.refs.json`, JSON.stringify(refs));
+  return original;
+}
+
+const read = (stream) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+
+afterAll(() =>
+  fs.rmSync(process.env.STORAGE_DIR, { recursive: true, force: true })
+);
+
+describe("parseByteRange", () => {
+  it("parses single byte ranges", () => {
+    expect(parseByteRange(undefined, 1000)).toBeNull();
+    expect(parseByteRange("bytes=0-99", 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseByteRange("bytes=900-", 1000)).toEqual({
+      start: 900,
+      end: 999,
+    });
+    expect(parseByteRange("bytes=-100", 1000)).toEqual({
+      start: 900,
+      end: 999,
+    });
+    expect(parseByteRange("bytes=500-5000", 1000)).toEqual({
+      start: 500,
+      end: 999,
+    });
+    expect(parseByteRange("bytes=0-1,5-9", 1000)).toBeNull();
+    expect(parseByteRange("bytes=1000-", 1000)).toBe(false);
+  });
+});
+
+describe("openOriginal", () => {
+  it.each([false, true])(
+    "reads whole originals and byte ranges (encrypted: %s)",
+    async (encrypted) => {
+      const original = storeOriginal({ encrypted });
+      expect((await read(openOriginal(original))).equals(content)).toBe(true);
+      for (const [start, end] of [
+        [0, 0],
+        [5, 40],
+        [16, 31],
+        [500, 999],
+        [999, 999],
+      ]) {
+        const range = await read(openOriginal(original, { start, end }));
+        expect(range.equals(content.subarray(start, end + 1))).toBe(true);
+      }
+    }
+  );
+
+  it("returns null for originals that are not stored", () => {
+    expect(openOriginal({ sha256: "a".repeat(64) })).toBeNull();
+    expect(openOriginal({ sha256: "../../secrets" })).toBeNull();
+  });
+});
+
+describe("releaseOriginal", () => {
+  it("deletes the original once no document refers to it", () => {
+    const original = storeOriginal({ refs: ["doc-1", "doc-2"] });
+    const filePath = originalFilePath(original);
+
+    expect(releaseOriginal({ id: "doc-1", original })).toBe(false);
+    expect(fs.existsSync(filePath)).toBe(true);
+    expect(JSON.parse(fs.readFileSync(`${filePath}.refs.json`))).toEqual([
+      "doc-2",
+    ]);
+
+    expect(releaseOriginal({ id: "doc-2", original })).toBe(true);
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(fs.existsSync(`${filePath}.refs.json`)).toBe(false);
+  });
+});
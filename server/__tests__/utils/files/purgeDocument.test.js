@@ -0,0 +1,62 @@
+// Documents live in a temporary folder - storage helpers and models are stubbed.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const mockDocumentsPath = fs.mkdtempSync(path.join(os.tmpdir(), "purge-"));
+jest.mock("../../../utils/files", () => ({
+  purgeVectorCache: jest.fn(async () => null),
+  purgeSourceDocument: jest.fn(async () => null),
+  normalizePath: (filepath) => filepath,
+  isWithin: () => true,
+  documentsPath: mockDocumentsPath,
+  fileData: jest.fn(async () => null),
+}));
+jest.mock("../../../utils/files/originals", () => ({
+  releaseOriginal: jest.fn(),
+}));
+jest.mock("../../../models/documents", () => ({
+  Document: { removeDocuments: jest.fn(async () => true) },
+}));
+jest.mock("../../../models/workspace", () => ({
+  Workspace: { where: jest.fn(async () => []) },
+}));
+jest.mock("../../../models/documentOcrReviews", () => ({
+  DocumentOcrReviews: { delete: jest.fn(async () => true) },
+}));
+jest.mock("../../../models/documentOcrRevisions", () => ({
+  DocumentOcrRevisions: { delete: jest.fn(async () => true) },
+}));
+
+const {
+  DocumentOcrRevisions,
+} = require("../../../models/documentOcrRevisions");
+const {
+  purgeDocument,
+  purgeFolder,
+} = require("../../../utils/files/purgeDocument");
+
+describe("purging documents", () => {
+  beforeEach(() => jest.clearAllMocks());
+  afterAll(() => fs.rmSync(mockDocumentsPath, { recursive: true }));
+
+  it("removes the OCR revisions of a purged document", async () => {
+    await purgeDocument("custom-documents/scan.pdf-1234.json");
+    expect(DocumentOcrRevisions.delete).toHaveBeenCalledWith({
+      docName: "scan.pdf-1234.json",
+    });
+  });
+
+  it("removes the OCR revisions of every document in a purged folder", async () => {
+    const folder = path.join(mockDocumentsPath, "referrals");
+    fs.mkdirSync(folder);
+    for (const name of ["a.pdf-1.json", "b.pdf-2.json"])
+      fs.writeFileSync(path.join(folder, name), "{}");
+
+    await purgeFolder("referrals");
+    expect(fs.existsSync(folder)).toBe(false);
+    expect(DocumentOcrRevisions.delete).toHaveBeenCalledWith({
+      docName: { in: ["a.pdf-1.json", "b.pdf-2.json"] },
+    });
+  });
+});
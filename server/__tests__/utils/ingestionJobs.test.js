@@ -0,0 +1,303 @@
+const crypto = require("crypto");
+const dns = require("dns");
+
+// Jobs are kept in memory and every collaborator is stubbed - no database, collector or embedder is needed.
+const mockJobs = new Map();
+jest.mock("../../utils/prisma", () => ({
+  document_ingestion_jobs: {
+    create: jest.fn(async ({ data }) => {
+      const job = {
+        id: mockJobs.size + 1,
+        status: "queued",
+        progress: 0,
+        result: null,
+        error: null,
+        webhookStatus: null,
+        completedAt: null,
+        ...data,
+      };
+      mockJobs.set(job.id, job);
+      return { ...job };
+    }),
+    update: jest.fn(async ({ where, data }) => {
+      const job = Object.assign(mockJobs.get(where.id), data);
+      return { ...job };
+    }),
+    findFirst: jest.fn(async ({ where }) => {
+      const job = mockJobs.get(where.id);
+      return job ? { ...job } : null;
+    }),
+  },
+}));
+const mockProcessDocument = jest.fn();
+jest.mock("../../utils/collectorApi", () => ({
+  CollectorApi: jest.fn().mockImplementation(() => ({
+    online: jest.fn().mockResolvedValue(true),
+    processDocument: mockProcessDocument,
+    log: jest.fn(),
+  })),
+}));
+jest.mock("../../models/workspace", () => ({
+  Workspace: {
+    get: jest.fn(async ({ slug }) =>
+      slug === "intake" ? { id: 1, slug } : null
+    ),
+  },
+}));
+jest.mock("../../models/documents", () => ({
+  Document: {
+    addDocuments: jest.fn(async () => ({ failedToEmbed: [], errors: [] })),
+  },
+}));
+jest.mock("../../models/documentOcrRevisions", () => ({
+  DocumentOcrRevisions: {
+    sources: { google: "google" },
+    record: jest.fn(),
+  },
+}));
+jest.mock("../../models/user", () => ({ User: { get: jest.fn() } }));
+jest.mock("../../models/telemetry", () => ({
+  Telemetry: { sendTelemetry: jest.fn() },
+}));
+jest.mock("../../models/eventLogs", () => ({
+  EventLogs: { logEvent: jest.fn() },
+}));
+const mockDocument = {
+  title: "scan.pdf",
+  pageContent: "Patient: Jane Doe",
+};
+jest.mock("../../utils/files", () => ({
+  fileData: jest.fn(async () => ({ ...mockDocument })),
+  writeFileData: jest.fn(),
+}));
+
+const { DocumentIngestionJobs } = require("../../models/documentIngestionJobs");
+const { Document } = require("../../models/documents");
+const {
+  runIngestionJob,
+  settleWebhookDeliveries,
+} = require("../../utils/ingestionJobs");
+const {
+  validCallbackUrl,
+  blockedCallbackHost,
+  signWebhookPayload,
+  deliverWebhook,
+} = require("../../utils/ingestionJobs/webhook");
+
+const documents = [
+  {
+    name: "scan.pdf-1234.json",
+    location: "custom-documents/scan.pdf-1234.json",
+  },
+];
+
+describe("runIngestionJob", () => {
+  beforeAll(() =>
+    jest
+      .spyOn(dns.promises, "lookup")
+      .mockResolvedValue([{ address: "93.184.215.14", family: 4 }])
+  );
+  afterAll(() => jest.restoreAllMocks());
+
+  beforeEach(() => {
+    mockJobs.clear();
+    mockProcessDocument.mockReset();
+    Document.addDocuments.mockClear();
+  });
+
+  it("reports every stage and a per-workspace embed status", async () => {
+    mockProcessDocument.mockResolvedValue({ success: true, documents });
+    const created = await DocumentIngestionJobs.create({
+      filename: "scan.pdf",
+      options: {
+        addToWorkspaces: "intake,missing",
+        externalOCRFields: JSON.stringify([
+          { fieldKey: "patient_name", fieldValue: "Jane Doe", confidence: 0.9 },
+        ]),
+      },
+    });
+    expect(created.progress).toBe(0);
+
+    await runIngestionJob(created.id);
+    const job = await DocumentIngestionJobs.get({ id: created.id });
+
+    expect(job.status).toBe("completed_with_errors");
+    expect(job.progress).toBe(100);
+    expect(job.result.documents).toEqual(documents);
+    expect(job.stages.collect.status).toBe("completed");
+    expect(job.stages.ocr.status).toBe("completed");
+    expect(job.stages.merge.status).toBe("completed");
+    expect(job.stages.embed.workspaces.intake.status).toBe("completed");
+    expect(job.stages.embed.workspaces.missing).toMatchObject({
+      status: "failed",
+      error: "Workspace missing does not exist.",
+    });
+    expect(job.error).toBe("embed:missing: Workspace missing does not exist.");
+    expect(Document.addDocuments).toHaveBeenCalledTimes(1);
+  });
+
+  it("fails the job and skips later stages when collection fails", async () => {
+    mockProcessDocument.mockResolvedValue({
+      success: false,
+      reason: "Unsupported file type",
+      documents: [],
+    });
+    const created = await DocumentIngestionJobs.create({
+      filename: "scan.xyz",
+      options: { addToWorkspaces: "intake" },
+    });
+
+    await runIngestionJob(created.id);
+    const job = await DocumentIngestionJobs.get({ id: created.id });
+
+    expect(job.status).toBe("failed");
+    expect(job.error).toBe("Unsupported file type");
+    expect(job.stages.ocr.status).toBe("skipped");
+    expect(job.stages.embed.workspaces.intake.status).toBe("skipped");
+    expect(Document.addDocuments).not.toHaveBeenCalled();
+  });
+
+  it("does not collect again when resuming a job interrupted during collection", async () => {
+    const interrupted = async (result) => {
+      const { id, stages } = await DocumentIngestionJobs.create({
+        filename: "scan.pdf",
+        options: { addToWorkspaces: "intake" },
+      });
+      stages.collect.status = "running";
+      await DocumentIngestionJobs.update(id, {
+        status: "running",
+        stages,
+        result,
+      });
+      await runIngestionJob(id);
+      return DocumentIngestionJobs.get({ id });
+    };
+
+    const lost = await interrupted(null);
+    expect(lost.status).toBe("failed");
+    expect(lost.error).toBe(
+      "Collection was interrupted by a server restart - upload the document again."
+    );
+    expect(lost.stages.embed.workspaces.intake.status).toBe("skipped");
+
+    const collected = await interrupted({ documents });
+    expect(collected.status).toBe("completed");
+    expect(collected.stages.collect.status).toBe("completed");
+    expect(Document.addDocuments).toHaveBeenCalledTimes(1);
+    expect(mockProcessDocument).not.toHaveBeenCalled();
+  });
+
+  it("finishes the job before its webhook is delivered", async () => {
+    const fetch = global.fetch;
+    let respond;
+    const response = new Promise((resolve) => (respond = resolve));
+    global.fetch = jest.fn(() => response);
+    process.env.DOCUMENT_JOB_WEBHOOK_SECRET = "secret";
+    mockProcessDocument.mockResolvedValue({ success: true, documents });
+    const created = await DocumentIngestionJobs.create({
+      filename: "scan.pdf",
+      options: { addToWorkspaces: "intake" },
+      callbackUrl: "https://hooks.example.com/ingestion",
+    });
+
+    try {
+      await runIngestionJob(created.id);
+      expect(await DocumentIngestionJobs.get({ id: created.id })).toMatchObject(
+        { status: "completed", webhookStatus: "pending" }
+      );
+
+      respond({ ok: true, status: 200 });
+      await settleWebhookDeliveries();
+      const job = await DocumentIngestionJobs.get({ id: created.id });
+      expect(job.webhookStatus).toBe("delivered");
+      expect(global.fetch).toHaveBeenCalledWith(
+        "https://hooks.example.com/ingestion",
+        expect.objectContaining({ method: "POST" })
+      );
+    } finally {
+      global.fetch = fetch;
+      delete process.env.DOCUMENT_JOB_WEBHOOK_SECRET;
+    }
+  });
+});
+
+describe("signWebhookPayload", () => {
+  it("signs the timestamp and body with HMAC-SHA256", () => {
+    const body = JSON.stringify({ event: "document.ingestion.completed" });
+    const expected = crypto
+      .createHmac("sha256", "secret")
+      .update(`1760882400.${body}`)
+      .digest("hex");
+    expect(signWebhookPayload(body, 1760882400, "secret")).toBe(
+      `sha256=${expected}`
+    );
+  });
+});
+
+describe("webhook callback hosts", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.COLLECTOR_ALLOW_ANY_IP;
+  });
+
+  it("refuses private and loopback hosts", () => {
+    for (const url of [
+      "http://localhost:3001/hook",
+      "http://127.0.0.1/hook",
+      "http://2130706433/hook",
+      "http://10.1.2.3/hook",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hook",
+      "http://[::ffff:192.168.1.10]/hook",
+      "http://[fd12::1]/hook",
+      "ftp://hooks.example.com/hook",
+    ])
+      expect(validCallbackUrl(url)).toBe(false);
+    expect(validCallbackUrl("https://hooks.example.com/hook")).toBe(true);
+    expect(validCallbackUrl("https://93.184.215.14/hook")).toBe(true);
+
+    process.env.COLLECTOR_ALLOW_ANY_IP = "true";
+    expect(validCallbackUrl("http://localhost:3001/hook")).toBe(true);
+  });
+
+  it("refuses hostnames that resolve to a private address at delivery", async () => {
+    jest.spyOn(dns.promises, "lookup").mockResolvedValue([
+      { address: "93.184.215.14", family: 4 },
+      { address: "10.0.0.5", family: 4 },
+    ]);
+    expect(await blockedCallbackHost("https://hooks.example.com/hook")).toBe(
+      "hooks.example.com resolves to private address 10.0.0.5"
+    );
+
+    dns.promises.lookup.mockResolvedValue([
+      { address: "2606:2800:21f:cb07:6820:80da:af6b:8b2c", family: 6 },
+    ]);
+    expect(await blockedCallbackHost("https://hooks.example.com/hook")).toBe(
+      null
+    );
+  });
+
+  it("does not follow redirects from the callback host", async () => {
+    const fetch = global.fetch;
+    global.fetch = jest.fn(async () => ({ ok: false, status: 302 }));
+    process.env.DOCUMENT_JOB_WEBHOOK_SECRET = "secret";
+    jest
+      .spyOn(dns.promises, "lookup")
+      .mockResolvedValue([{ address: "93.184.215.14", family: 4 }]);
+
+    try {
+      expect(
+        await deliverWebhook(
+          "https://hooks.example.com/hook",
+          "document.ingestion.completed",
+          {}
+        )
+      ).toBe("failed: HTTP 302 - redirects are not followed");
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][1].redirect).toBe("manual");
+    } finally {
+      global.fetch = fetch;
+      delete process.env.DOCUMENT_JOB_WEBHOOK_SECRET;
+    }
+  });
+});
@@ -503,6 +503,39 @@ async function updateDocumentJSONFile(docLocation, newOCRFields, baseUrl = null)
   }
 }
 
+/**
+ * Update OCR of a stored document via PATCH /v1/document/:docName/ocr
+ * 
+ * @param {string} docLocation - Document path (e.g., "custom-documents/doc.json")
+ * @param {Object} updates - { externalOCRFields, user_corrected }
+ * @param {string} jwt - JWT token
+ * @param {string} baseUrl - Base URL for API
+ * @returns {Promise<Object|null>} Response body or null on failure
+ */
+async function patchDocumentOcr(docLocation, updates, jwt, baseUrl = "http://localhost:3001") {
+  try {
+    const docName = docLocation.split("/").pop();
+    const response = await fetch(`${baseUrl}/api/v1/document/${docName}/ocr`, {
+      method: "PATCH",
+      headers: {
+        "Authorization": `Bearer ${jwt}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(updates),
+    });
+
+    if (!response.ok) {
+      console.error(`Failed to update document OCR: ${response.status}`);
+      return null;
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error(`Error updating document OCR: ${error.message}`);
+    return null;
+  }
+}
+
 module.exports = {
   generateOcrFields,
   generateLowConfidenceOcrFields,
@@ -518,6 +551,7 @@ module.exports = {
   waitForEmbeddings,
   updateWorkspaceEmbeddings,
   updateDocumentJSONFile,
+  patchDocumentOcr,
   searchWorkspace,
   verifyOcrInSearch,
 };
@@ -0,0 +1,61 @@
+// Runs against a real LanceDB database in a temporary storage folder.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../../../utils/prisma", () => ({}));
+process.env.STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lancedb-"));
+process.env.VECTOR_DB = "lancedb";
+
+const { LanceDb } = require("../../../utils/vectorDbProviders/lance");
+
+const chunk = (id, text, vector) => ({
+  id,
+  vector,
+  text,
+  title: `${id}.txt`,
+  docId: id,
+});
+
+describe("LanceDb hybrid search", () => {
+  afterAll(() =>
+    fs.rmSync(process.env.STORAGE_DIR, { recursive: true, force: true })
+  );
+
+  it("finds documents added after the full-text index was built", async () => {
+    const { client } = await LanceDb.connect();
+    const search = (query) =>
+      LanceDb.hybridSimilarityResponse({
+        client,
+        namespace: "intake",
+        query,
+        queryVector: [0, 1],
+        // Keeps the dense leg empty so only full-text matches are returned.
+        similarityThreshold: 1.1,
+      });
+
+    await LanceDb.updateOrCreateCollection(
+      client,
+      [chunk("referral", "cardiology referral letter", [1, 0])],
+      "intake"
+    );
+    expect((await search("referral")).contextTexts).toEqual([
+      "cardiology referral letter",
+    ]);
+
+    await LanceDb.updateOrCreateCollection(
+      client,
+      [chunk("labs", "potassium lab results", [1, 0])],
+      "intake"
+    );
+    const table = await client.openTable("intake");
+    const [index] = await table.listIndices();
+    expect(await table.indexStats(index.name)).toMatchObject({
+      numIndexedRows: 2,
+      numUnindexedRows: 0,
+    });
+    expect((await search("potassium")).contextTexts).toEqual([
+      "potassium lab results",
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  parseDocumentAcl,
+  documentAccessMetadata,
+  accessPrincipalOf,
+  canAccessDocument,
+  grantedDocumentIds,
+  documentAccessConditions,
+} = require("../../../utils/vectorStore/documentAccess");
+const {
+  matchesMetadataFilters,
+} = require("../../../utils/vectorStore/metadataFilters");
+
+const patientRecord = {
+  id: "record-1",
+  title: "labs.pdf",
+  acl: { ownerUserId: 5, externalSubjectId: "patient-8f2c" },
+};
+const sharedRecord = {
+  id: "record-2",
+  title: "care-plan.pdf",
+  acl: { userIds: [7], groups: ["care-team-a"] },
+};
+const reference = { id: "reference-1", title: "formulary.pdf" };
+
+const patient = accessPrincipalOf({
+  id: 9,
+  externalId: "patient-8f2c",
+  externalGroups: "[]",
+});
+const nurse = accessPrincipalOf({
+  id: 11,
+  externalId: "nurse-1",
+  externalGroups: JSON.stringify(["care-team-a"]),
+});
+
+describe("parseDocumentAcl", () => {
+  it("normalizes an acl and treats an empty one as public", () => {
+    expect(
+      parseDocumentAcl('{"ownerUserId": 5, "groups": ["care-team-a"]}')
+    ).toEqual({
+      acl: {
+        ownerUserId: 5,
+        userIds: [],
+        groups: ["care-team-a"],
+        externalSubjectId: null,
+      },
+      error: null,
+    });
+    expect(parseDocumentAcl({ userIds: [] })).toEqual({
+      acl: null,
+      error: null,
+    });
+  });
+
+  it("rejects unknown keys and malformed principals", () => {
+    expect(parseDocumentAcl({ roles: ["admin"] }).error).toMatch("roles");
+    expect(parseDocumentAcl({ userIds: ["5"] }).error).toMatch("userIds");
+    expect(parseDocumentAcl("[]").error).not.toBeNull();
+  });
+});
+
+describe("document access", () => {
+  it("lets the owner, subject, listed users and groups read a record", () => {
+    expect(canAccessDocument(patientRecord, patient)).toBe(true);
+    expect(canAccessDocument(patientRecord, nurse)).toBe(false);
+    expect(canAccessDocument(sharedRecord, nurse)).toBe(true);
+    expect(canAccessDocument(reference, null)).toBe(true);
+    expect(canAccessDocument(sharedRecord, null)).toBe(false);
+  });
+
+  it("pre-filters chunks to public ones and the principal's own", () => {
+    const documents = [patientRecord, sharedRecord, reference];
+    const chunks = documents.map((doc) => ({
+      title: doc.title,
+      ...documentAccessMetadata(doc),
+    }));
+    const visibleTo = (principal) => {
+      const conditions = documentAccessConditions(
+        principal,
+        grantedDocumentIds(documents, principal)
+      );
+      return chunks
+        .filter((chunk) => matchesMetadataFilters(chunk, conditions))
+        .map((chunk) => chunk.title);
+    };
+
+    expect(visibleTo(patient)).toEqual(["labs.pdf", "formulary.pdf"]);
+    expect(visibleTo(nurse)).toEqual(["care-plan.pdf", "formulary.pdf"]);
+    expect(visibleTo(null)).toEqual(["formulary.pdf"]);
+  });
+
+  it("keeps chunks embedded without acl metadata public", () => {
+    const conditions = documentAccessConditions(null);
+    expect(matchesMetadataFilters({ title: "legacy.pdf" }, conditions)).toBe(
+      true
+    );
+    expect(
+      matchesMetadataFilters(
+        { title: "legacy.pdf", acl_public: null },
+        conditions
+      )
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,219 @@
+const {
+  reciprocalRankFusion,
+  normalizeRrfScore,
+  shouldUseHybridSearch,
+  denseVectorOf,
+  hybridSearchConfig,
+  candidateLimit,
+  weightedScoreFusion,
+  fuseHybridResults,
+} = require("../../../utils/vectorStore/hybridSearch");
+
+describe("reciprocalRankFusion", () => {
+  const key = (item) => item.id;
+
+  it("ranks results found by both legs above results found by one", () => {
+    const dense = [{ id: "a" }, { id: "b" }, { id: "c" }];
+    const lexical = [{ id: "c" }, { id: "d" }];
+    const fused = reciprocalRankFusion(
+      [{ results: dense }, { results: lexical }],
+      { k: 60, key }
+    );
+    expect(fused.map((r) => r.id)).toEqual(["c", "a", "b", "d"]);
+    expect(fused[0]._rrfScore).toBeCloseTo(1 / 63 + 1 / 61);
+  });
+
+  it("respects leg weights", () => {
+    const dense = [{ id: "a" }, { id: "b" }];
+    const lexical = [{ id: "b" }, { id: "a" }];
+    const lexicalHeavy = reciprocalRankFusion(
+      [
+        { results: dense, weight: 0.2 },
+        { results: lexical, weight: 1 },
+      ],
+      { key }
+    );
+    expect(lexicalHeavy[0].id).toBe("b");
+  });
+
+  it("ignores legs with a zero weight", () => {
+    const fused = reciprocalRankFusion(
+      [
+        { results: [{ id: "a" }], weight: 0 },
+        { results: [{ id: "b" }], weight: 1 },
+      ],
+      { key }
+    );
+    expect(fused.map((r) => r.id)).toEqual(["b"]);
+  });
+
+  it("requires a key function", () => {
+    expect(() => reciprocalRankFusion([])).toThrow();
+  });
+});
+
+describe("normalizeRrfScore", () => {
+  it("scores a result ranked first in every leg as 1", () => {
+    const score = 1 / 61 + 0.5 / 61;
+    expect(normalizeRrfScore(score, { k: 60, weights: [1, 0.5] })).toBe(1);
+  });
+});
+
+describe("shouldUseHybridSearch", () => {
+  const OLD_ENV = process.env.EMBEDDING_ENGINE;
+  afterAll(() => {
+    process.env.EMBEDDING_ENGINE = OLD_ENV;
+  });
+
+  it("requires the hybrid engine and a capable provider", () => {
+    const capable = {
+      performHybridSearch: () => null,
+      supportsHybridSearch: () => true,
+    };
+    process.env.EMBEDDING_ENGINE = "native";
+    expect(shouldUseHybridSearch(capable)).toBe(false);
+
+    process.env.EMBEDDING_ENGINE = "hybrid";
+    expect(shouldUseHybridSearch(capable)).toBe(true);
+    process.env.EMBEDDING_ENGINE = "Hybrid";
+    expect(shouldUseHybridSearch(capable)).toBe(true);
+    expect(shouldUseHybridSearch({ performSimilaritySearch: () => null })).toBe(
+      false
+    );
+    expect(
+      shouldUseHybridSearch({ ...capable, supportsHybridSearch: () => false })
+    ).toBe(false);
+  });
+
+  it("can be enabled per workspace with the hybrid search mode", () => {
+    const capable = {
+      performHybridSearch: () => null,
+      supportsHybridSearch: () => true,
+    };
+    process.env.EMBEDDING_ENGINE = "native";
+    expect(shouldUseHybridSearch(capable, { vectorSearchMode: "hybrid" })).toBe(
+      true
+    );
+    expect(
+      shouldUseHybridSearch(capable, { vectorSearchMode: "default" })
+    ).toBe(false);
+  });
+});
+
+describe("hybridSearchConfig", () => {
+  const OLD_ENV = { ...process.env };
+  afterEach(() => {
+    process.env = { ...OLD_ENV };
+  });
+
+  it("prefers workspace settings over the environment", () => {
+    process.env.HYBRID_SEARCH_DENSE_WEIGHT = "0.3";
+    process.env.HYBRID_SEARCH_FUSION_METHOD = "weighted";
+    const config = hybridSearchConfig({
+      hybridDenseWeight: 2,
+      hybridSparseWeight: 0,
+      hybridFusionMethod: "rrf",
+      hybridCandidatePool: 25,
+    });
+    expect(config).toMatchObject({
+      fusionMethod: "rrf",
+      denseWeight: 2,
+      sparseWeight: 0,
+      candidatePool: 25,
+    });
+  });
+
+  it("falls back to the environment and defaults", () => {
+    process.env.HYBRID_SEARCH_DENSE_WEIGHT = "0.3";
+    process.env.HYBRID_SEARCH_FUSION_METHOD = "weighted";
+    const config = hybridSearchConfig({ hybridFusionMethod: "bogus" });
+    expect(config).toMatchObject({
+      fusionMethod: "weighted",
+      denseWeight: 0.3,
+      sparseWeight: 1,
+      candidatePool: null,
+    });
+    expect(
+      hybridSearchConfig({
+        hybridDenseWeight: null,
+        hybridSparseWeight: null,
+        hybridFusionMethod: null,
+        hybridCandidatePool: null,
+      })
+    ).toMatchObject({ fusionMethod: "weighted", denseWeight: 0.3 });
+    expect(candidateLimit(config, 4)).toBe(12);
+    expect(candidateLimit({ ...config, candidatePool: 2 }, 4)).toBe(4);
+  });
+});
+
+describe("weightedScoreFusion", () => {
+  const key = (item) => item.id;
+
+  it("sums weighted min-max normalized scores", () => {
+    const fused = weightedScoreFusion(
+      [
+        {
+          results: [
+            { id: "a", s: 0.9 },
+            { id: "b", s: 0.5 },
+          ],
+          weight: 1,
+          score: (item) => item.s,
+        },
+        {
+          results: [
+            { id: "b", s: 12 },
+            { id: "c", s: 2 },
+          ],
+          weight: 3,
+          score: (item) => item.s,
+        },
+      ],
+      { key }
+    );
+    expect(fused.map((r) => r.id)).toEqual(["b", "a", "c"]);
+    expect(fused[0]._weightedScore).toBeCloseTo(0.75);
+    expect(fused[1]._weightedScore).toBeCloseTo(0.25);
+    expect(fused[2]._weightedScore).toBe(0);
+  });
+});
+
+describe("fuseHybridResults", () => {
+  const dense = [
+    { id: "a", sim: 0.9 },
+    { id: "b", sim: 0.85 },
+    { id: "d", sim: 0.1 },
+  ];
+  const lexical = [
+    { id: "b", rank: 3 },
+    { id: "c", rank: 1 },
+  ];
+  const params = {
+    dense,
+    denseScore: (item) => item.sim,
+    lexical,
+    lexicalScore: (item) => item.rank,
+    key: (item) => item.id,
+  };
+
+  it("uses the configured fusion method and returns 0-1 scores", () => {
+    for (const fusionMethod of ["rrf", "weighted"]) {
+      const fused = fuseHybridResults({
+        ...params,
+        config: { fusionMethod, rrfK: 60, denseWeight: 1, sparseWeight: 1 },
+      });
+      expect(fused[0].id).toBe("b");
+      fused.forEach((item) => {
+        expect(item._fusedScore).toBeGreaterThanOrEqual(0);
+        expect(item._fusedScore).toBeLessThanOrEqual(1);
+      });
+    }
+  });
+});
+
+describe("denseVectorOf", () => {
+  it("unwraps hybrid embeddings and passes plain vectors through", () => {
+    expect(denseVectorOf({ dense: [1, 2], sparse: {} })).toEqual([1, 2]);
+    expect(denseVectorOf([3, 4])).toEqual([3, 4]);
+  });
+});
@@ -0,0 +1,142 @@
+// Settings and the embedder are stubbed - no database or embedding provider is needed.
+jest.mock("../../../utils/prisma", () => ({}));
+jest.mock("../../../models/systemSettings", () => ({
+  SystemSettings: {
+    getValueOrFallback: jest.fn(async ({ label }, fallback = null) =>
+      label === "text_splitter_chunk_size" ? 1000 : fallback
+    ),
+  },
+}));
+
+const mockEmbedder = {
+  embeddingMaxChunkLength: 8000,
+  supportsSparseVectors: false,
+  embedChunks: jest.fn(async (chunks) => chunks.map(() => [0.1, 0.2, 0.3])),
+};
+jest.mock("../../../utils/helpers", () => ({
+  getEmbeddingEngineSelection: jest.fn(() => mockEmbedder),
+}));
+
+const {
+  prepareDocumentChunks,
+} = require("../../../utils/vectorStore/ingestion");
+
+const document = {
+  docId: "doc-1",
+  title: "record.pdf",
+  published: "2024-03-15T10:00:00.000Z",
+  pageContent: "Patient: Jane Doe\nDiagnosis: Type 2 diabetes",
+  ocr: {
+    anything_raw: "Patient: Jane Doe\nDiagnosis: Type 2 diabetes",
+    engine: "tesseract",
+    words: [{ text: "Patient:", confidence: 0.95 }],
+  },
+};
+
+describe("prepareDocumentChunks", () => {
+  beforeEach(() => {
+    mockEmbedder.supportsSparseVectors = false;
+    mockEmbedder.embedChunks.mockClear();
+  });
+
+  it("embeds enriched chunks and keeps the raw chunk for lexical search", async () => {
+    const { vectors, documentVectors, vectorDimension, sparse } =
+      await prepareDocumentChunks(document, { log: () => {} });
+
+    expect(vectors).toHaveLength(1);
+    expect(vectorDimension).toBe(3);
+    expect(sparse).toBe(false);
+    expect(documentVectors).toEqual([
+      { docId: "doc-1", vectorId: vectors[0].id },
+    ]);
+
+    const [record] = vectors;
+    const embedded = mockEmbedder.embedChunks.mock.calls[0][0];
+    expect(record.metadata.text).toBe(embedded[0]);
+    expect(record.metadata.text_raw).toBe(record.text);
+    expect(record.text).toContain("Diagnosis: Type 2 diabetes");
+    expect(record.metadata.title).toBe("record.pdf");
+    expect(record.metadata).not.toHaveProperty("ocr");
+    expect(record.metadata).not.toHaveProperty("pageContent");
+  });
+
+  it("splits dense and sparse values from hybrid embedders", async () => {
+    mockEmbedder.supportsSparseVectors = true;
+    mockEmbedder.embedChunks.mockImplementationOnce(async (chunks) =>
+      chunks.map(() => ({
+        dense: [0.4, 0.5],
+        sparse: { indices: [1], values: [0.9] },
+      }))
+    );
+
+    const { vectors, vectorDimension, sparse } = await prepareDocumentChunks(
+      document,
+      { log: () => {} }
+    );
+    expect(sparse).toBe(true);
+    expect(vectorDimension).toBe(2);
+    expect(vectors[0].values).toEqual([0.4, 0.5]);
+    expect(vectors[0].sparseValues).toEqual({ indices: [1], values: [0.9] });
+  });
+
+  it("tags chunks of paged documents with the pages they come from", async () => {
+    const pages = [
+      "Visit summary. Blood pressure 150/95. ",
+      "Medications: metformin 500mg twice daily. ",
+      "Allergies: penicillin causes hives. Follow up in three months.",
+    ];
+    const paged = {
+      docId: "doc-2",
+      title: "visit.pdf",
+      pageContent: pages.join(""),
+      pages: pages.map((text, i) => {
+        const start = pages.slice(0, i).join("").length;
+        return { pageNumber: i + 1, start, end: start + text.length };
+      }),
+    };
+
+    const { vectors } = await prepareDocumentChunks(paged, {
+      maxChunkSize: 60,
+      log: () => {},
+    });
+    // Chunks that cross a page boundary cover both pages.
+    expect(
+      vectors.map(({ metadata }) => [metadata.pageStart, metadata.pageEnd])
+    ).toEqual([
+      [1, 2],
+      [2, 3],
+      [3, 3],
+    ]);
+    expect(vectors[0].metadata).not.toHaveProperty("pages");
+  });
+
+  it("finds the pages of mixed PDFs in their OCR text", async () => {
+    const pages = [
+      "Referral cover letter. ",
+      "Scanned lab results: HbA1c 8.1%.",
+    ];
+    const mixed = {
+      docId: "doc-3",
+      title: "referral.pdf",
+      pageContent: pages.join(""),
+      pages: [
+        { pageNumber: 1, start: 0, end: pages[0].length },
+        { pageNumber: 2, start: pages[0].length, end: pages.join("").length },
+      ],
+      ocrPages: [2],
+      ocr: { anything_raw: pages.map((page) => page.trim()).join("\n") },
+    };
+
+    const { vectors } = await prepareDocumentChunks(mixed, { log: () => {} });
+    expect(vectors[0].text).toContain("Referral cover letter.\nScanned");
+    expect(vectors[0].metadata).toMatchObject({ pageStart: 1, pageEnd: 2 });
+    expect(vectors[0].metadata).not.toHaveProperty("ocrPages");
+  });
+
+  it("rejects documents that produce no embeddings", async () => {
+    mockEmbedder.embedChunks.mockResolvedValueOnce([]);
+    await expect(
+      prepareDocumentChunks(document, { log: () => {} })
+    ).rejects.toThrow("Could not embed document chunks!");
+  });
+});
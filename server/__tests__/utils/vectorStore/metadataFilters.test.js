@@ -0,0 +1,255 @@
+const {
+  PUBLISHED_AT_KEY,
+  filterableMetadata,
+  parseMetadataFilters,
+  matchesMetadataFilters,
+  conditionsOnFields,
+  toLanceFilter,
+  toPGVectorFilter,
+  toMilvusFilter,
+  toChromaFilter,
+  toQdrantFilter,
+  toWeaviateFilter,
+  toAstraFilter,
+} = require("../../../utils/vectorStore/metadataFilters");
+
+const document = {
+  title: "record.pdf",
+  published: "2024-03-15T10:00:00.000Z",
+  ocr: {
+    fields: {
+      patient_name: "John Doe",
+      "Date Of Service": "2024-03-14",
+      allergies: ["Penicillin", "Latex"],
+      notes: { nested: true },
+    },
+  },
+};
+
+describe("filterableMetadata", () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("flattens scalar OCR fields and the published timestamp", () => {
+    expect(filterableMetadata(document)).toEqual({
+      [PUBLISHED_AT_KEY]: Date.parse(document.published),
+      ocr_patient_name: "John Doe",
+      ocr_date_of_service: "2024-03-14",
+      ocr_allergies: "Penicillin",
+    });
+  });
+
+  it("stores boolean OCR values as strings and filters them the same way", () => {
+    const metadata = filterableMetadata({ ocr: { fields: { consent: true } } });
+    expect(metadata).toEqual({ ocr_consent: "true" });
+    const { conditions } = parseMetadataFilters({ "ocr.consent": true });
+    expect(conditions).toEqual([
+      { field: "ocr_consent", op: "eq", value: "true" },
+    ]);
+    expect(matchesMetadataFilters(metadata, conditions)).toBe(true);
+  });
+
+  it("only writes the fields listed in OCR_FILTERABLE_FIELDS", () => {
+    process.env.OCR_FILTERABLE_FIELDS = "patient_name";
+    expect(Object.keys(filterableMetadata(document))).toEqual([
+      PUBLISHED_AT_KEY,
+      "ocr_patient_name",
+    ]);
+  });
+});
+
+describe("parseMetadataFilters", () => {
+  it("normalizes equality, in and range filters", () => {
+    const { conditions, error } = parseMetadataFilters({
+      "ocr.patient_name": "John Doe",
+      "ocr.date_of_service": { gte: "2024-01-01", lt: "2025-01-01" },
+      docSource: { in: ["upload"] },
+      published: { gte: "2024-01-01T00:00:00.000Z" },
+    });
+    expect(error).toBeNull();
+    expect(conditions).toEqual([
+      { field: "ocr_patient_name", op: "eq", value: "John Doe" },
+      { field: "ocr_date_of_service", op: "gte", value: "2024-01-01" },
+      { field: "ocr_date_of_service", op: "lt", value: "2025-01-01" },
+      { field: "docSource", op: "in", value: ["upload"] },
+      {
+        field: PUBLISHED_AT_KEY,
+        op: "gte",
+        value: Date.parse("2024-01-01T00:00:00.000Z"),
+      },
+    ]);
+  });
+
+  it("rejects unknown fields, operators and malformed values", () => {
+    expect(parseMetadataFilters(null)).toEqual({ conditions: [], error: null });
+    expect(parseMetadataFilters([]).error).not.toBeNull();
+    expect(parseMetadataFilters({ text: "x" }).error).not.toBeNull();
+    expect(parseMetadataFilters({ title: { like: "x" } }).error).not.toBeNull();
+    expect(parseMetadataFilters({ title: { in: [] } }).error).not.toBeNull();
+    expect(
+      parseMetadataFilters({ published: { gt: "not a date" } }).error
+    ).not.toBeNull();
+  });
+});
+
+describe("matchesMetadataFilters", () => {
+  const { conditions } = parseMetadataFilters({
+    "ocr.patient_name": { in: ["John Doe", "Jane Doe"] },
+    "ocr.date_of_service": { gte: "2024-01-01", lte: "2024-12-31" },
+  });
+
+  it("applies every condition", () => {
+    const metadata = filterableMetadata(document);
+    expect(matchesMetadataFilters(metadata, conditions)).toBe(true);
+    expect(
+      matchesMetadataFilters(
+        { ...metadata, ocr_date_of_service: "2023-12-31" },
+        conditions
+      )
+    ).toBe(false);
+    expect(matchesMetadataFilters({}, conditions)).toBe(false);
+  });
+});
+
+describe("provider filter translation", () => {
+  const { conditions } = parseMetadataFilters({
+    "ocr.patient_name": "O'Brien",
+    "ocr.date_of_service": { gte: "2024-01-01" },
+    "ocr.visit_count": { gt: 2 },
+    docSource: { in: ["upload", "api"] },
+  });
+
+  it("builds SQL and expression filters natively", () => {
+    expect(toLanceFilter(conditions)).toBe(
+      "`ocr_patient_name` = 'O''Brien' AND `ocr_date_of_service` >= '2024-01-01' AND `ocr_visit_count` > 2 AND `docSource` IN ('upload', 'api')"
+    );
+    expect(toMilvusFilter(conditions)).toBe(
+      'metadata["ocr_patient_name"] == "O\'Brien" and metadata["ocr_date_of_service"] >= "2024-01-01" and metadata["ocr_visit_count"] > 2 and metadata["docSource"] in ["upload", "api"]'
+    );
+
+    const { sql, params } = toPGVectorFilter(conditions.slice(0, 1), 4);
+    expect(sql).toBe("metadata->($4::text) = $5::jsonb");
+    expect(params).toEqual(["ocr_patient_name", '"O\'Brien"']);
+  });
+
+  it("leaves string ranges to be applied after the search where needed", () => {
+    const stringRange = [conditions[1]];
+    expect(toChromaFilter(conditions).residual).toEqual(stringRange);
+    expect(toQdrantFilter(conditions).residual).toEqual(stringRange);
+    expect(toWeaviateFilter(conditions).residual).toEqual(stringRange);
+    expect(toAstraFilter(conditions).residual).toEqual(stringRange);
+
+    expect(toQdrantFilter(conditions).filter.must).toEqual([
+      { key: "ocr_patient_name", match: { value: "O'Brien" } },
+      { key: "ocr_visit_count", range: { gt: 2 } },
+      { key: "docSource", match: { any: ["upload", "api"] } },
+    ]);
+    expect(toChromaFilter(conditions).where).toEqual({
+      $and: [
+        { ocr_patient_name: { $eq: "O'Brien" } },
+        { ocr_visit_count: { $gt: 2 } },
+        { docSource: { $in: ["upload", "api"] } },
+      ],
+    });
+  });
+});
+
+describe("condition groups", () => {
+  const group = {
+    any: [
+      { field: "acl_public", op: "eq", value: true },
+      { field: "acl_doc", op: "in", value: ["doc-1", "doc-2"] },
+    ],
+  };
+  const conditions = [{ field: "docSource", op: "eq", value: "upload" }, group];
+
+  it("matches when any condition in the group does", () => {
+    const base = { docSource: "upload", acl_public: false };
+    expect(
+      matchesMetadataFilters({ ...base, acl_doc: "doc-2" }, conditions)
+    ).toBe(true);
+    expect(
+      matchesMetadataFilters({ ...base, acl_doc: "doc-3" }, conditions)
+    ).toBe(false);
+  });
+
+  it("translates groups to each provider's or", () => {
+    expect(toLanceFilter(conditions)).toBe(
+      "`docSource` = 'upload' AND (`acl_public` = TRUE OR `acl_doc` IN ('doc-1', 'doc-2'))"
+    );
+    expect(toMilvusFilter([group])).toBe(
+      '(metadata["acl_public"] == true or metadata["acl_doc"] in ["doc-1", "doc-2"])'
+    );
+    expect(toPGVectorFilter([group]).sql).toBe(
+      "(metadata->($1::text) = $2::jsonb OR metadata->($3::text) = ANY($4::jsonb[]))"
+    );
+    expect(toQdrantFilter([group]).filter.must).toEqual([
+      {
+        should: [
+          { key: "acl_public", match: { value: true } },
+          { key: "acl_doc", match: { any: ["doc-1", "doc-2"] } },
+        ],
+      },
+    ]);
+    expect(toChromaFilter([group]).where).toEqual({
+      $or: [
+        { acl_public: { $eq: true } },
+        { acl_doc: { $in: ["doc-1", "doc-2"] } },
+      ],
+    });
+    expect(toWeaviateFilter([group]).where.operator).toBe("Or");
+  });
+
+  it("resolves conditions on fields a fixed schema store does not have", () => {
+    expect(conditionsOnFields(conditions, ["docSource", "acl_public"])).toEqual(
+      [conditions[0], { any: [{ field: "acl_public", op: "eq", value: true }] }]
+    );
+    expect(conditionsOnFields(conditions, ["acl_public", "acl_doc"])).toBe(
+      null
+    );
+    expect(conditionsOnFields([group], ["docSource"])).toBe(null);
+  });
+
+  it("matches chunks without a value for a field with missing", () => {
+    const legacy = {
+      any: [
+        { field: "acl_public", op: "eq", value: true },
+        { field: "acl_public", op: "missing" },
+      ],
+    };
+    expect(toLanceFilter([legacy])).toBe(
+      "(`acl_public` = TRUE OR `acl_public` IS NULL)"
+    );
+    expect(toPGVectorFilter([legacy]).sql).toBe(
+      "(metadata->($1::text) = $2::jsonb OR metadata->($3::text) IS NULL)"
+    );
+    expect(toMilvusFilter([legacy])).toBe(
+      '(metadata["acl_public"] == true or not exists metadata["acl_public"])'
+    );
+    expect(toQdrantFilter([legacy]).filter.must[0].should[1]).toEqual({
+      is_empty: { key: "acl_public" },
+    });
+    expect(toChromaFilter([legacy])).toEqual({
+      where: null,
+      residual: [legacy],
+    });
+    expect(toWeaviateFilter([legacy]).residual).toEqual([legacy]);
+
+    expect(conditionsOnFields([legacy], ["acl_public"])).toEqual([legacy]);
+    expect(conditionsOnFields([conditions[0], legacy], ["docSource"])).toEqual([
+      conditions[0],
+    ]);
+  });
+
+  it("applies a group after the search when one of its conditions must be", () => {
+    const mixed = {
+      any: [
+        { field: "acl_public", op: "eq", value: true },
+        { field: "ocr_date_of_service", op: "gte", value: "2024-01-01" },
+      ],
+    };
+    expect(toChromaFilter([mixed])).toEqual({ where: null, residual: [mixed] });
+  });
+});
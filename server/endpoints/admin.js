@@ -477,7 +477,7 @@ function adminEndpoints(app) {
     }
   );
 
-  app.get("/admin/api-keys", [requireAdmin], async (_request, response) => {
+  app.get("/admin/api-keys", [requireAdminJWT], async (_request, response) => {
     try {
       const apiKeys = await ApiKey.whereWithUser({});
       return response.status(200).json({
@@ -507,13 +507,25 @@ function adminEndpoints(app) {
           });
         }
         const user = await User.get({ id: request.user.id });
-        const { apiKey, error } = await ApiKey.create(user.id);
-        await EventLogs.logEvent(
-          "api_key_created",
-          { createdBy: user?.username },
-          user?.id
-        );
-        return response.status(200).json({
+        const { name, scopes, expiresAt, ipAllowlist } = reqBody(request);
+        const { apiKey, error } = await ApiKey.create(user.id, {
+          name,
+          scopes,
+          expiresAt,
+          ipAllowlist,
+        });
+        if (apiKey)
+          await EventLogs.logEvent(
+            "api_key_created",
+            {
+              createdBy: user?.username,
+              apiKeyId: apiKey.id,
+              name: apiKey.name,
+              scopes: apiKey.scopes,
+            },
+            user?.id
+          );
+        return response.status(apiKey ? 200 : 400).json({
           apiKey,
           error,
         });
@@ -524,9 +536,42 @@ function adminEndpoints(app) {
     }
   );
 
+  app.post(
+    "/admin/api-key/:id",
+    [requireAdminJWT],
+    async (request, response) => {
+      try {
+        const { id } = request.params;
+        if (!id || isNaN(Number(id))) return response.sendStatus(400).end();
+        if (!(await ApiKey.get({ id: Number(id) })))
+          return response.sendStatus(404).end();
+
+        const { apiKey, error } = await ApiKey.update(
+          Number(id),
+          reqBody(request)
+        );
+        if (apiKey)
+          await EventLogs.logEvent(
+            "api_key_updated",
+            {
+              updatedBy: request.user.username || "admin",
+              apiKeyId: apiKey.id,
+              name: apiKey.name,
+              scopes: apiKey.scopes,
+            },
+            request.user.id
+          );
+        return response.status(apiKey ? 200 : 400).json({ apiKey, error });
+      } catch (e) {
+        console.error(e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.delete(
     "/admin/delete-api-key/:id",
-    [requireAdmin],
+    [requireAdminJWT],
     async (request, response) => {
       try {
         const { id } = request.params;
@@ -535,7 +580,7 @@ function adminEndpoints(app) {
 
         await EventLogs.logEvent(
           "api_key_deleted",
-          { deletedBy: request.user.username || "admin" },
+          { deletedBy: request.user.username || "admin", apiKeyId: Number(id) },
           request.user.id
         );
         return response.status(200).end();
@@ -8,13 +8,18 @@ const { WorkspaceUser } = require("../../../models/workspaceUsers");
 const { canModifyAdmin } = require("../../../utils/helpers/admin");
 const { multiUserMode, reqBody } = require("../../../utils/http");
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
+const {
+  requireScope,
+  SCOPES,
+} = require("../../../utils/middleware/requireScope");
 
 function apiAdminEndpoints(app) {
   if (!app) return;
 
-  app.get("/v1/admin/is-multi-user-mode", [validatedRequest], (_, response) => {
+  app.get("/v1/admin/is-multi-user-mode", [validatedRequest, requireScope(SCOPES.systemRead)], (_, response) => {
     /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["system:read"] }]
     #swagger.description = 'Check to see if the instance is in multi-user-mode first. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.responses[200] = {
       content: {
@@ -38,9 +43,10 @@ function apiAdminEndpoints(app) {
     response.status(200).json({ isMultiUser });
   });
 
-  app.get("/v1/admin/users", [validatedRequest], async (request, response) => {
+  app.get("/v1/admin/users", [validatedRequest, requireScope(SCOPES.usersRead)], async (request, response) => {
     /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:read"] }]
     #swagger.description = 'Check to see if the instance is in multi-user-mode first. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.responses[200] = {
       content: {
@@ -82,9 +88,10 @@ function apiAdminEndpoints(app) {
     }
   });
 
-  app.post("/v1/admin/users/new", [validatedRequest], async (request, response) => {
+  app.post("/v1/admin/users/new", [validatedRequest, requireScope(SCOPES.usersWrite)], async (request, response) => {
     /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:write"] }]
     #swagger.description = 'Create a new user with username and password. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.requestBody = {
         description: 'Key pair object that will define the new user to add to the system.',
@@ -140,9 +147,10 @@ function apiAdminEndpoints(app) {
     }
   });
 
-  app.post("/v1/admin/users/:id", [validatedRequest], async (request, response) => {
+  app.post("/v1/admin/users/:id", [validatedRequest, requireScope(SCOPES.usersWrite)], async (request, response) => {
     /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:write"] }]
     #swagger.parameters['id'] = {
       in: 'path',
       description: 'id of the user in the database.',
@@ -214,10 +222,11 @@ function apiAdminEndpoints(app) {
 
   app.delete(
     "/v1/admin/users/:id",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.usersWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:write"] }]
     #swagger.description = 'Delete existing user by id. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.parameters['id'] = {
       in: 'path',
@@ -267,9 +276,10 @@ function apiAdminEndpoints(app) {
     }
   );
 
-  app.get("/v1/admin/invites", [validatedRequest], async (request, response) => {
+  app.get("/v1/admin/invites", [validatedRequest, requireScope(SCOPES.usersRead)], async (request, response) => {
     /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:read"] }]
     #swagger.description = 'List all existing invitations to instance regardless of status. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.responses[200] = {
       content: {
@@ -313,9 +323,10 @@ function apiAdminEndpoints(app) {
     }
   });
 
-  app.post("/v1/admin/invite/new", [validatedRequest], async (request, response) => {
+  app.post("/v1/admin/invite/new", [validatedRequest, requireScope(SCOPES.usersWrite)], async (request, response) => {
     /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:write"] }]
     #swagger.description = 'Create a new invite code for someone to use to register with instance. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.requestBody = {
         description: 'Request body for creation parameters of the invitation',
@@ -373,10 +384,11 @@ function apiAdminEndpoints(app) {
 
   app.delete(
     "/v1/admin/invite/:id",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.usersWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:write"] }]
     #swagger.description = 'Deactivates (soft-delete) invite by id. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.parameters['id'] = {
       in: 'path',
@@ -424,10 +436,11 @@ function apiAdminEndpoints(app) {
 
   app.get(
     "/v1/admin/workspaces/:workspaceId/users",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.usersRead)],
     async (request, response) => {
       /*
       #swagger.tags = ['Admin']
+      #swagger.security = [{ "BearerAuth": ["users:read"] }]
       #swagger.parameters['workspaceId'] = {
         in: 'path',
         description: 'id of the workspace.',
@@ -479,10 +492,11 @@ function apiAdminEndpoints(app) {
 
   app.post(
     "/v1/admin/workspaces/:workspaceId/update-users",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.usersWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:write"] }]
     #swagger.deprecated = true
     #swagger.parameters['workspaceId'] = {
       in: 'path',
@@ -546,10 +560,11 @@ function apiAdminEndpoints(app) {
 
   app.post(
     "/v1/admin/workspaces/:workspaceSlug/manage-users",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.usersWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["users:write"] }]
     #swagger.parameters['workspaceSlug'] = {
       in: 'path',
       description: 'slug of the workspace in the database',
@@ -661,10 +676,11 @@ function apiAdminEndpoints(app) {
 
   app.post(
     "/v1/admin/workspace-chats",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.systemRead)],
     async (request, response) => {
       /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["system:read"] }]
     #swagger.description = 'All chats in the system ordered by most recent. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.requestBody = {
         description: 'Page offset to show of workspace chats. All fields are optional and will not update unless specified.',
@@ -717,10 +733,11 @@ function apiAdminEndpoints(app) {
 
   app.post(
     "/v1/admin/preferences",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.systemWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Admin']
+    #swagger.security = [{ "BearerAuth": ["system:write"] }]
     #swagger.description = 'Update multi-user preferences for instance. Methods are disabled until multi user mode is enabled via the UI.'
     #swagger.requestBody = {
       description: 'Object with setting key and new value to set. All keys are optional and will not update unless specified.',
@@ -1,4 +1,13 @@
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
+const {
+  validKeystoneRevocationKey,
+} = require("../../../utils/middleware/validKeystoneRevocationKey");
+const {
+  introspectionCache,
+} = require("../../../utils/auth/introspectionCache");
+const { revocationList } = require("../../../utils/auth/revocationList");
+const { EventLogs } = require("../../../models/eventLogs");
+const { reqBody } = require("../../../utils/http");
 
 function apiAuthEndpoints(app) {
   if (!app) return;
@@ -28,6 +37,89 @@ function apiAuthEndpoints(app) {
     */
     response.status(200).json({ authenticated: true });
   });
+
+  app.post(
+    "/v1/auth/revoke",
+    [validKeystoneRevocationKey],
+    async (request, response) => {
+      /*
+      #swagger.tags = ['Authentication']
+      #swagger.description = 'Revocation hook for Keystone. Evicts cached introspection results for a logged out or revoked token, subject or session so they are introspected again on next use, and deny-lists them so tokens verified locally in jwks mode are rejected too. A subject revocation covers tokens issued up to the revocation, a session revocation every token of the session. Deny-list entries are kept until exp, or EXTERNAL_AUTH_REVOCATION_TTL when none is sent. Authenticated with the Keystone revocation key, not a user token.'
+      #swagger.requestBody = {
+        description: 'At least one of token, sub or sid. event is informational (logout or revoke). exp (epoch seconds, optional) is the latest expiry of the revoked tokens.',
+        required: true,
+        content: {
+          "application/json": {
+            example: {
+              event: "logout",
+              sub: "user-123",
+              sid: "session-456",
+              exp: 1767225600,
+            }
+          }
+        }
+      }
+      #swagger.responses[200] = {
+        content: {
+          "application/json": {
+            schema: {
+              type: 'object',
+              example: {
+                success: true,
+                revoked: 2,
+              }
+            }
+          }
+        }
+      }
+      #swagger.responses[400] = {
+        description: 'No token, sub or sid was provided.'
+      }
+      #swagger.responses[403] = {
+        description: 'Invalid revocation key.'
+      }
+      */
+      try {
+        const {
+          event = "revoke",
+          token = null,
+          sub = null,
+          sid = null,
+          exp = null,
+        } = reqBody(request);
+        if (![token, sub, sid].some((value) => typeof value === "string")) {
+          response.status(400).json({
+            success: false,
+            error: "One of token, sub or sid is required.",
+          });
+          return;
+        }
+
+        const target = {
+          token: typeof token === "string" ? token : null,
+          sub: typeof sub === "string" ? sub : null,
+          sid: typeof sid === "string" ? sid : null,
+        };
+        await revocationList.revoke({
+          ...target,
+          exp: Number.isFinite(exp) ? exp : null,
+        });
+        const revoked = await introspectionCache.revoke(target);
+        await EventLogs.logEvent("external_auth_token_revoked", {
+          event: String(event),
+          externalUserId: typeof sub === "string" ? sub : null,
+          bySession: typeof sid === "string",
+          byToken: typeof token === "string",
+          revoked,
+          authProvider: "keystone-core-api",
+        });
+        response.status(200).json({ success: true, revoked });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
 }
 
 module.exports = { apiAuthEndpoints };
@@ -1,6 +1,13 @@
 const { Telemetry } = require("../../../models/telemetry");
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
-const { handleAPIFileUpload } = require("../../../utils/files/multer");
+const {
+  requireScope,
+  SCOPES,
+} = require("../../../utils/middleware/requireScope");
+const {
+  handleAPIFileUpload,
+  handleAPIBatchFileUpload,
+} = require("../../../utils/files/multer");
 const {
   viewLocalFiles,
   findDocumentInDocuments,
@@ -11,27 +18,83 @@ const {
 const { reqBody, safeJsonParse } = require("../../../utils/http");
 const { EventLogs } = require("../../../models/eventLogs");
 const { CollectorApi } = require("../../../utils/collectorApi");
-const { buildOcrFromExternalFields } = require("../../../utils/ocrFieldParser");
+const {
+  validateOcrUpdate,
+  updateDocumentOcr,
+  applyUploadOcr,
+  rollbackDocumentOcr,
+  diffOcrRevisions,
+  validateFieldReview,
+  ocrReviewQueue,
+  reviewOcrField,
+} = require("../../../utils/documentOcr");
 const fs = require("fs");
 const path = require("path");
 const { Document } = require("../../../models/documents");
+const {
+  DocumentOcrRevisions,
+} = require("../../../models/documentOcrRevisions");
+const { DocumentOcrReviews } = require("../../../models/documentOcrReviews");
 const { purgeFolder } = require("../../../utils/files/purgeDocument");
-const { fileData } = require("../../../utils/files");
+const {
+  DocumentIngestionJobs,
+} = require("../../../models/documentIngestionJobs");
+const { enqueueIngestionJob } = require("../../../utils/ingestionJobs");
+const {
+  parseOcrFieldsByFile,
+  processBatchUpload,
+} = require("../../../utils/documentBatchUpload");
+const {
+  validCallbackUrl,
+  webhookSecret,
+} = require("../../../utils/ingestionJobs/webhook");
+const {
+  parseDocumentAcl,
+} = require("../../../utils/vectorStore/documentAccess");
+const {
+  userCanAccessDocument,
+  userCanAccessDocumentNamed,
+  updateDocumentAcl,
+  applyUploadAcl,
+  logDocumentAccess,
+} = require("../../../utils/documentAccess");
 const documentsPath =
   process.env.NODE_ENV === "development"
     ? path.resolve(__dirname, "../../../storage/documents")
     : path.resolve(process.env.STORAGE_DIR, `documents`);
 
+/**
+ * Applies OCR fields and/or a correction sent with a document creation request.
+ * OCR problems never fail the upload itself - the document is kept as the
+ * collector produced it.
+ */
+async function applyRequestOcr(documents = [], ocrUpdate = {}, user = null) {
+  try {
+    const updated = await applyUploadOcr(documents, ocrUpdate, { user });
+    if (updated > 0)
+      console.log(`[OCR] Applied upload OCR to ${updated} document(s).`);
+  } catch (error) {
+    console.error("[OCR] Error processing upload OCR:", error.message);
+  }
+}
+
 function apiDocumentEndpoints(app) {
   if (!app) return;
 
   app.post(
     "/v1/document/upload",
-    [validatedRequest, handleAPIFileUpload],
+    [validatedRequest, requireScope(SCOPES.documentsWrite), handleAPIFileUpload],
     async (request, response) => {
       /*
     #swagger.tags = ['Documents']
-    #swagger.description = 'Upload a new file to AnythingLLM to be parsed and prepared for embedding.'
+    #swagger.security = [{ "BearerAuth": ["documents:write"] }]
+    #swagger.description = 'Upload a new file to AnythingLLM to be parsed and prepared for embedding. With ?async=true the file is processed in the background and a job id is returned immediately - poll GET /v1/document/jobs/{id} for progress.'
+    #swagger.parameters['async'] = {
+        in: 'query',
+        description: 'Set to true to process the upload as a background job and return 202 with the job instead of waiting for processing to finish.',
+        required: false,
+        type: 'boolean'
+    }
     #swagger.requestBody = {
       description: 'File to be uploaded.',
       required: true,
@@ -53,6 +116,18 @@ function apiDocumentEndpoints(app) {
               externalOCRFields: {
                 type: 'string',
                 description: 'JSON array string of external OCR fields extracted by Google OCR or other providers. Format: [{"fieldKey": "patient_name", "fieldValue": "John Doe", "fieldType": "string", "confidence": 0.9}, ...]',
+              },
+              user_corrected: {
+                type: 'string',
+                description: 'Corrected OCR text. Takes precedence over every other OCR source when the document is embedded.',
+              },
+              callbackUrl: {
+                type: 'string',
+                description: 'Async uploads only. URL notified with a signed POST when the job finishes. Must not point to a private or loopback address. Requires DOCUMENT_JOB_WEBHOOK_SECRET on the server.',
+              },
+              acl: {
+                type: 'string',
+                description: 'JSON object string limiting who may retrieve the document: {"ownerUserId": 12, "userIds": [3], "groups": ["care-team"], "externalSubjectId": "patient-8f2c"}. Omit to let every workspace member retrieve it.',
               }
             },
             required: ['file']
@@ -88,6 +163,43 @@ function apiDocumentEndpoints(app) {
         }
       }
     }
+    #swagger.responses[202] = {
+      description: 'Returned for ?async=true uploads. The job has been queued.',
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              success: true,
+              error: null,
+              job: {
+                id: "8a3c52c4-2f0e-4d1f-9a61-0f4b8e0c9d7e",
+                filename: "scan.pdf",
+                status: "queued",
+                progress: 0,
+                stages: {
+                  collect: { status: "pending", error: null, startedAt: null, completedAt: null },
+                  ocr: { status: "skipped", error: null, startedAt: null, completedAt: null },
+                  merge: { status: "skipped", error: null, startedAt: null, completedAt: null },
+                  embed: {
+                    status: "pending",
+                    error: null,
+                    startedAt: null,
+                    completedAt: null,
+                    workspaces: {
+                      workspace1: { status: "pending", error: null, startedAt: null, completedAt: null }
+                    }
+                  }
+                },
+                documents: [],
+                error: null,
+                webhookStatus: null,
+              }
+            }
+          }
+        }
+      }
+    }
     #swagger.responses[403] = {
       schema: {
         "$ref": "#/definitions/InvalidAPIKey"
@@ -97,7 +209,18 @@ function apiDocumentEndpoints(app) {
       try {
         const Collector = new CollectorApi();
         const { originalname } = request.file;
-        const { addToWorkspaces = "", externalOCRFields = null } = reqBody(request);
+        const {
+          addToWorkspaces = "",
+          externalOCRFields = null,
+          user_corrected,
+          callbackUrl = null,
+          acl: rawAcl = null,
+        } = reqBody(request);
+        const { acl, error: aclError } = parseDocumentAcl(rawAcl);
+        if (aclError) {
+          response.status(400).json({ success: false, error: aclError });
+          return;
+        }
         const processingOnline = await Collector.online();
 
         if (!processingOnline) {
@@ -111,6 +234,51 @@ function apiDocumentEndpoints(app) {
           return;
         }
 
+        if (request.query?.async === "true") {
+          if (callbackUrl && !validCallbackUrl(callbackUrl)) {
+            response.status(400).json({
+              success: false,
+              error: "callbackUrl must be a public http(s) URL.",
+            });
+            return;
+          }
+          if (callbackUrl && !webhookSecret()) {
+            response.status(400).json({
+              success: false,
+              error:
+                "Webhook callbacks require DOCUMENT_JOB_WEBHOOK_SECRET to be set on the server.",
+            });
+            return;
+          }
+
+          const job = await DocumentIngestionJobs.create({
+            filename: originalname,
+            options: {
+              addToWorkspaces,
+              externalOCRFields,
+              user_corrected,
+              acl,
+            },
+            callbackUrl,
+            userId: response.locals?.user?.id,
+          });
+          if (!job) {
+            response.status(500).json({
+              success: false,
+              error: "Failed to create ingestion job.",
+            });
+            return;
+          }
+
+          enqueueIngestionJob(job.id);
+          response.status(202).json({
+            success: true,
+            error: null,
+            job: DocumentIngestionJobs.toResponse(job),
+          });
+          return;
+        }
+
         const { success, reason, documents } =
           await Collector.processDocument(originalname);
         if (!success) {
@@ -121,44 +289,13 @@ function apiDocumentEndpoints(app) {
           return;
         }
 
-        // Process external OCR fields if provided
-        if (externalOCRFields && documents && documents.length > 0) {
-          try {
-            for (const doc of documents) {
-              const docPath = path.resolve(documentsPath, doc.location);
-              if (fs.existsSync(docPath)) {
-                const docData = await fileData(doc.location);
-                if (docData) {
-                  // Build OCR object from external fields
-                  const ocrData = buildOcrFromExternalFields(
-                    externalOCRFields,
-                    docData.ocr || {}
-                  );
-                  
-                  // Update document with OCR data
-                  docData.ocr = ocrData;
-                  
-                  // Write back to file
-                  fs.writeFileSync(
-                    docPath,
-                    JSON.stringify(docData, null, 2),
-                    "utf8"
-                  );
-                  
-                  console.log(
-                    `[OCR] Added external OCR fields to document: ${doc.location}`
-                  );
-                }
-              }
-            }
-          } catch (ocrError) {
-            console.error(
-              "[OCR] Error processing external OCR fields:",
-              ocrError.message
-            );
-            // Don't fail the upload if OCR processing fails
-          }
-        }
+        await applyRequestOcr(
+          documents,
+          { externalOCRFields, user_corrected },
+          response.locals?.user
+        );
+        // Unlike OCR, a failed ACL fails the upload so the document is never embedded unrestricted.
+        await applyUploadAcl(documents, acl);
 
         Collector.log(
           `Document ${originalname} uploaded processed and successfully. It is now available in documents.`
@@ -181,12 +318,107 @@ function apiDocumentEndpoints(app) {
     }
   );
 
+  app.get(
+    "/v1/document/jobs/:id",
+    [validatedRequest, requireScope(SCOPES.documentsRead)],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
+    #swagger.description = 'Get the status of an asynchronous upload job (POST /v1/document/upload?async=true). Stages are collect, ocr, merge and embed - embed has one entry per workspace. Each stage is pending, running, completed, failed or skipped.'
+    #swagger.parameters['id'] = {
+        in: 'path',
+        description: 'Job id returned by the async upload',
+        required: true,
+        type: 'string'
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              job: {
+                id: "8a3c52c4-2f0e-4d1f-9a61-0f4b8e0c9d7e",
+                filename: "scan.pdf",
+                status: "completed_with_errors",
+                progress: 100,
+                stages: {
+                  collect: { status: "completed", error: null, startedAt: "2026-10-19T14:00:00.000Z", completedAt: "2026-10-19T14:00:41.000Z" },
+                  ocr: { status: "completed", error: null, startedAt: "2026-10-19T14:00:41.000Z", completedAt: "2026-10-19T14:00:41.000Z" },
+                  merge: { status: "completed", error: null, startedAt: "2026-10-19T14:00:41.000Z", completedAt: "2026-10-19T14:00:42.000Z", mergeQuality: [] },
+                  embed: {
+                    status: "failed",
+                    error: "Failed to embed into workspace2",
+                    startedAt: "2026-10-19T14:00:42.000Z",
+                    completedAt: "2026-10-19T14:00:50.000Z",
+                    workspaces: {
+                      workspace1: { status: "completed", error: null, startedAt: "2026-10-19T14:00:42.000Z", completedAt: "2026-10-19T14:00:48.000Z" },
+                      workspace2: { status: "failed", error: "Workspace workspace2 does not exist.", startedAt: "2026-10-19T14:00:48.000Z", completedAt: "2026-10-19T14:00:50.000Z" }
+                    }
+                  }
+                },
+                documents: [
+                  {
+                    "location": "custom-documents/scan.pdf-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                    "name": "scan.pdf-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                    "title": "scan.pdf"
+                  }
+                ],
+                error: "embed:workspace2: Workspace workspace2 does not exist.",
+                webhookStatus: "delivered",
+                createdAt: "2026-10-19T14:00:00.000Z",
+                lastUpdatedAt: "2026-10-19T14:00:51.000Z",
+                completedAt: "2026-10-19T14:00:50.000Z"
+              }
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    #swagger.responses[404] = {
+      description: "Job not found"
+    }
+    */
+      try {
+        const job = await DocumentIngestionJobs.get({
+          uuid: String(request.params.id),
+        });
+        // Users only see their own jobs - API keys and admins see every job.
+        const user = response.locals?.user;
+        const visible =
+          !!job &&
+          (!user ||
+            !job.userId ||
+            user.role === "admin" ||
+            user.id === job.userId);
+        if (!visible) {
+          response.status(404).json({ job: null, error: "Job not found." });
+          return;
+        }
+
+        response
+          .status(200)
+          .json({ job: DocumentIngestionJobs.toResponse(job) });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/v1/document/upload/:folderName",
-    [validatedRequest, handleAPIFileUpload],
+    [validatedRequest, requireScope(SCOPES.documentsWrite), handleAPIFileUpload],
     async (request, response) => {
       /*
       #swagger.tags = ['Documents']
+      #swagger.security = [{ "BearerAuth": ["documents:write"] }]
       #swagger.description = 'Upload a new file to a specific folder in AnythingLLM to be parsed and prepared for embedding. If the folder does not exist, it will be created.'
       #swagger.parameters['folderName'] = {
         in: 'path',
@@ -216,6 +448,14 @@ function apiDocumentEndpoints(app) {
               externalOCRFields: {
                 type: 'string',
                 description: 'JSON array string of external OCR fields extracted by Google OCR or other providers. Format: [{"fieldKey": "patient_name", "fieldValue": "John Doe", "fieldType": "string", "confidence": 0.9}, ...]',
+              },
+              user_corrected: {
+                type: 'string',
+                description: 'Corrected OCR text. Takes precedence over every other OCR source when the document is embedded.',
+              },
+              acl: {
+                type: 'string',
+                description: 'JSON object string limiting who may retrieve the document. Same format as on /v1/document/upload.',
               }
               }
             }
@@ -270,7 +510,17 @@ function apiDocumentEndpoints(app) {
       */
       try {
         const { originalname } = request.file;
-        const { addToWorkspaces = "", externalOCRFields = null } = reqBody(request);
+        const {
+          addToWorkspaces = "",
+          externalOCRFields = null,
+          user_corrected,
+          acl: rawAcl = null,
+        } = reqBody(request);
+        const { acl, error: aclError } = parseDocumentAcl(rawAcl);
+        if (aclError) {
+          response.status(400).json({ success: false, error: aclError });
+          return;
+        }
         let folder = request.params?.folderName || "custom-documents";
         folder = normalizePath(folder);
         const targetFolderPath = path.join(documentsPath, folder);
@@ -332,44 +582,13 @@ function apiDocumentEndpoints(app) {
           }
         }
 
-        // Process external OCR fields if provided
-        if (externalOCRFields && documents && documents.length > 0) {
-          try {
-            for (const doc of documents) {
-              const docPath = path.resolve(documentsPath, doc.location);
-              if (fs.existsSync(docPath)) {
-                const docData = await fileData(doc.location);
-                if (docData) {
-                  // Build OCR object from external fields
-                  const ocrData = buildOcrFromExternalFields(
-                    externalOCRFields,
-                    docData.ocr || {}
-                  );
-                  
-                  // Update document with OCR data
-                  docData.ocr = ocrData;
-                  
-                  // Write back to file
-                  fs.writeFileSync(
-                    docPath,
-                    JSON.stringify(docData, null, 2),
-                    "utf8"
-                  );
-                  
-                  console.log(
-                    `[OCR] Added external OCR fields to document: ${doc.location}`
-                  );
-                }
-              }
-            }
-          } catch (ocrError) {
-            console.error(
-              "[OCR] Error processing external OCR fields:",
-              ocrError.message
-            );
-            // Don't fail the upload if OCR processing fails
-          }
-        }
+        await applyRequestOcr(
+          documents,
+          { externalOCRFields, user_corrected },
+          response.locals?.user
+        );
+        // Unlike OCR, a failed ACL fails the upload so the document is never embedded unrestricted.
+        await applyUploadAcl(documents, acl);
 
         Collector.log(
           `Document ${originalname} uploaded, processed, and moved to folder ${folder} successfully.`
@@ -394,15 +613,184 @@ function apiDocumentEndpoints(app) {
     }
   );
 
+  app.post(
+    "/v1/document/upload-batch",
+    [
+      validatedRequest,
+      requireScope(SCOPES.documentsWrite),
+      handleAPIBatchFileUpload,
+    ],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:write"] }]
+    #swagger.description = 'Upload several files at once. Files are processed with bounded concurrency and each one is reported on its own, so a failed file does not fail the batch. Filenames must be unique within a batch - a file named like an earlier one is not uploaded and is reported as failed. Successfully processed documents are embedded into each workspace in addToWorkspaces as one unit - if any of them fails to embed, none are kept in that workspace.'
+    #swagger.requestBody = {
+      description: 'Files to be uploaded.',
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: 'object',
+            required: ['files'],
+            properties: {
+              files: {
+                type: 'array',
+                items: { type: 'string', format: 'binary' },
+                description: 'The files to upload (up to 50)'
+              },
+              addToWorkspaces: {
+                type: 'string',
+                description: 'comma-separated text-string of workspace slugs to embed the documents into post-upload. eg: workspace1,workspace2',
+              },
+              externalOCRFields: {
+                type: 'string',
+                description: 'JSON object string of external OCR fields keyed by filename. Format: {"page-1.png": [{"fieldKey": "patient_name", "fieldValue": "John Doe", "fieldType": "string", "confidence": 0.9}, ...], ...}',
+              },
+              acl: {
+                type: 'string',
+                description: 'JSON object string limiting who may retrieve every document in the batch. Same format as on /v1/document/upload.',
+              }
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              success: false,
+              error: "1 of 2 files failed to process.",
+              files: [
+                {
+                  filename: "page-1.png",
+                  success: true,
+                  error: null,
+                  documents: [
+                    {
+                      "location": "custom-documents/page-1.png-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                      "name": "page-1.png-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                      "title": "page-1.png"
+                    }
+                  ]
+                },
+                {
+                  filename: "page-2.xyz",
+                  success: false,
+                  error: "File extension .xyz not supported for parsing.",
+                  documents: []
+                }
+              ],
+              workspaces: [
+                { slug: "workspace1", success: true, error: null, embedded: 1 }
+              ]
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const filenames = (request.files ?? []).map(
+          (file) => file.originalname
+        );
+        const duplicateFilenames = request.duplicateFilenames ?? [];
+        if (filenames.length === 0) {
+          response
+            .status(400)
+            .json({ success: false, error: "No files were uploaded." });
+          return;
+        }
+
+        const {
+          addToWorkspaces = "",
+          externalOCRFields = null,
+          acl: rawAcl = null,
+        } = reqBody(request);
+        const { map: ocrFieldsByFile, error: ocrError } =
+          parseOcrFieldsByFile(externalOCRFields);
+        if (ocrError) {
+          response.status(400).json({ success: false, error: ocrError });
+          return;
+        }
+        const { acl, error: aclError } = parseDocumentAcl(rawAcl);
+        if (aclError) {
+          response.status(400).json({ success: false, error: aclError });
+          return;
+        }
+
+        const Collector = new CollectorApi();
+        if (!(await Collector.online())) {
+          response.status(500).json({
+            success: false,
+            error: `Document processing API is not online. ${filenames.length} documents will not be processed automatically.`,
+          });
+          return;
+        }
+
+        const { files, workspaces } = await processBatchUpload(filenames, {
+          addToWorkspaces,
+          ocrFieldsByFile,
+          acl,
+          user: response.locals?.user,
+          duplicateFilenames,
+        });
+        const failedFiles = files.filter((file) => !file.success);
+        const failedWorkspaces = workspaces.filter((ws) => !ws.success);
+        const errors = [
+          failedFiles.length > 0
+            ? `${failedFiles.length} of ${files.length} files failed to process.`
+            : null,
+          failedWorkspaces.length > 0
+            ? `Failed to embed into ${failedWorkspaces.map((ws) => ws.slug).join(", ")}.`
+            : null,
+        ].filter(Boolean);
+
+        Collector.log(
+          `Batch of ${files.length} documents processed, ${failedFiles.length} failed.`
+        );
+        await Telemetry.sendTelemetry("document_uploaded");
+        await EventLogs.logEvent(
+          "api_document_batch_uploaded",
+          {
+            documentNames: filenames.join(", "),
+            failed: failedFiles.length,
+            workspaces: workspaces.map((ws) => ws.slug).join(", "),
+          },
+          response.locals?.user?.id
+        );
+
+        response.status(200).json({
+          success: errors.length === 0,
+          error: errors.length > 0 ? errors.join(" ") : null,
+          files,
+          workspaces,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/v1/document/upload-link",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:write"] }]
     #swagger.description = 'Upload a valid URL for AnythingLLM to scrape and prepare for embedding. Optionally, specify a comma-separated list of workspace slugs to embed the document into post-upload.'
     #swagger.requestBody = {
-      description: 'Link of web address to be scraped and optionally a comma-separated list of workspace slugs to embed the document into post-upload.',
+      description: 'Link of web address to be scraped and optionally a comma-separated list of workspace slugs to embed the document into post-upload. externalOCRFields (array of OCR fields) and user_corrected (corrected text) are applied to the scraped document like on file uploads. An optional acl object limits who may retrieve it.',
       required: true,
       content: {
           "application/json": {
@@ -414,7 +802,10 @@ function apiDocumentEndpoints(app) {
                 "scraperHeaders": {
                   "Authorization": "Bearer token123",
                   "My-Custom-Header": "value"
-                }
+                },
+                "externalOCRFields": [
+                  { "fieldKey": "patient_name", "fieldValue": "John Doe", "fieldType": "string", "confidence": 0.9 }
+                ]
               }
             }
           }
@@ -461,7 +852,15 @@ function apiDocumentEndpoints(app) {
           link,
           addToWorkspaces = "",
           scraperHeaders = {},
+          externalOCRFields = null,
+          user_corrected,
+          acl: rawAcl = null,
         } = reqBody(request);
+        const { acl, error: aclError } = parseDocumentAcl(rawAcl);
+        if (aclError) {
+          response.status(400).json({ success: false, error: aclError });
+          return;
+        }
         const processingOnline = await Collector.online();
 
         if (!processingOnline) {
@@ -487,6 +886,14 @@ function apiDocumentEndpoints(app) {
           return;
         }
 
+        await applyRequestOcr(
+          documents,
+          { externalOCRFields, user_corrected },
+          response.locals?.user
+        );
+        // Unlike OCR, a failed ACL fails the upload so the document is never embedded unrestricted.
+        await applyUploadAcl(documents, acl);
+
         Collector.log(
           `Link ${link} uploaded processed and successfully. It is now available in documents.`
         );
@@ -510,13 +917,14 @@ function apiDocumentEndpoints(app) {
 
   app.post(
     "/v1/document/raw-text",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
     async (request, response) => {
       /*
      #swagger.tags = ['Documents']
-     #swagger.description = 'Upload a file by specifying its raw text content and metadata values without having to upload a file.'
+     #swagger.security = [{ "BearerAuth": ["documents:write"] }]
+     #swagger.description = 'Upload a file by specifying its raw text content and metadata values without having to upload a file. Text and fields already extracted by an upstream OCR service can be sent as textContent plus externalOCRFields, and an already reviewed text as user_corrected.'
      #swagger.requestBody = {
-      description: 'Text content and metadata of the file to be saved to the system. Use metadata-schema endpoint to get the possible metadata keys',
+      description: 'Text content and metadata of the file to be saved to the system. Use metadata-schema endpoint to get the possible metadata keys. externalOCRFields (array of OCR fields), user_corrected (corrected text) and acl (who may retrieve the document) are optional.',
       required: true,
       content: {
         "application/json": {
@@ -530,7 +938,10 @@ function apiDocumentEndpoints(app) {
                 "keyOne": "valueOne",
                 "keyTwo": "valueTwo",
                 "etc": "etc"
-              }
+              },
+              "externalOCRFields": [
+                { "fieldKey": "patient_name", "fieldValue": "John Doe", "fieldType": "string", "confidence": 0.9 }
+              ]
             }
           }
         }
@@ -578,7 +989,15 @@ function apiDocumentEndpoints(app) {
           textContent,
           metadata = {},
           addToWorkspaces = "",
+          externalOCRFields = null,
+          user_corrected,
+          acl: rawAcl = null,
         } = reqBody(request);
+        const { acl, error: aclError } = parseDocumentAcl(rawAcl);
+        if (aclError) {
+          response.status(400).json({ success: false, error: aclError });
+          return;
+        }
         const processingOnline = await Collector.online();
 
         if (!processingOnline) {
@@ -633,6 +1052,14 @@ function apiDocumentEndpoints(app) {
           return;
         }
 
+        await applyRequestOcr(
+          documents,
+          { externalOCRFields, user_corrected },
+          response.locals?.user
+        );
+        // Unlike OCR, a failed ACL fails the upload so the document is never embedded unrestricted.
+        await applyUploadAcl(documents, acl);
+
         Collector.log(
           `Document created successfully. It is now available in documents.`
         );
@@ -652,9 +1079,10 @@ function apiDocumentEndpoints(app) {
     }
   );
 
-  app.get("/v1/documents", [validatedRequest], async (_, response) => {
+  app.get("/v1/documents", [validatedRequest, requireScope(SCOPES.documentsRead)], async (_, response) => {
     /*
     #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
     #swagger.description = 'List of all locally-stored documents in instance'
     #swagger.responses[200] = {
       content: {
@@ -698,10 +1126,11 @@ function apiDocumentEndpoints(app) {
 
   app.get(
     "/v1/documents/folder/:folderName",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsRead)],
     async (request, response) => {
       /*
     #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
     #swagger.description = 'Get all documents stored in a specific folder.'
     #swagger.parameters['folderName'] = {
       in: 'path',
@@ -758,10 +1187,11 @@ function apiDocumentEndpoints(app) {
 
   app.get(
     "/v1/document/accepted-file-types",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsRead)],
     async (_, response) => {
       /*
     #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
     #swagger.description = 'Check available filetypes and MIMEs that can be uploaded.'
     #swagger.responses[200] = {
       content: {
@@ -815,10 +1245,11 @@ function apiDocumentEndpoints(app) {
 
   app.get(
     "/v1/document/metadata-schema",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsRead)],
     async (_, response) => {
       /*
     #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
     #swagger.description = 'Get the known available metadata schema for when doing a raw-text upload and the acceptable type of value for each key.'
     #swagger.responses[200] = {
       content: {
@@ -863,11 +1294,782 @@ function apiDocumentEndpoints(app) {
     }
   );
 
+  app.patch(
+    "/v1/document/:docName/ocr",
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:write"] }]
+    #swagger.description = 'Update the OCR of an existing document and re-embed it in every workspace it is embedded in. External OCR fields are merged with the stored OCR data and the document content is rebuilt from the OCR sources (user_corrected > google_raw > anything_raw). Send user_corrected as null to clear a correction.'
+    #swagger.parameters['docName'] = {
+        in: 'path',
+        description: 'Unique document name to update (name in /documents)',
+        required: true,
+        type: 'string'
+    }
+    #swagger.requestBody = {
+      description: 'OCR updates. At least one of externalOCRFields or user_corrected is required.',
+      required: true,
+      content: {
+        "application/json": {
+          example: {
+            externalOCRFields: [
+              {
+                "fieldKey": "patient_name",
+                "fieldValue": "John Doe",
+                "fieldType": "string",
+                "confidence": 0.97
+              }
+            ],
+            user_corrected: "Patient: John Doe\nDiagnosis: Type 2 diabetes"
+          }
+        }
+      }
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              success: true,
+              error: null,
+              document: {
+                "location": "custom-documents/anythingllm.txt-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                "title": "anythingllm.txt",
+                "wordCount": 93,
+                "token_count_estimate": 115,
+                "ocr": {
+                  "google_raw": "John Doe",
+                  "anything_raw": null,
+                  "user_corrected": "Patient: John Doe\nDiagnosis: Type 2 diabetes",
+                  "fields": { "patient_name": "John Doe" }
+                }
+              },
+              workspaces: ["my-workspace"],
+              failed: []
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[400] = {
+      description: 'Invalid OCR update.'
+    }
+    #swagger.responses[404] = {
+      description: 'Document not found.'
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { docName } = request.params;
+        const { externalOCRFields, user_corrected, source } = reqBody(request);
+        const error = validateOcrUpdate({
+          externalOCRFields,
+          user_corrected,
+          source,
+        });
+        if (error) {
+          response.status(400).json({ success: false, error });
+          return;
+        }
+        if (
+          !(await userCanAccessDocumentNamed(docName, response.locals?.user))
+        ) {
+          response
+            .status(404)
+            .json({ success: false, error: `Document ${docName} not found.` });
+          return;
+        }
+
+        const result = await updateDocumentOcr(
+          docName,
+          { externalOCRFields, user_corrected },
+          { source, user: response.locals?.user }
+        );
+        if (!result) {
+          response
+            .status(404)
+            .json({ success: false, error: `Document ${docName} not found.` });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          "api_document_ocr_updated",
+          {
+            documentName: docName,
+            workspaces: result.reembedded.join(", "),
+          },
+          response.locals?.user?.id
+        );
+        response.status(200).json({
+          success: result.failed.length === 0,
+          error:
+            result.failed.length > 0
+              ? `Failed to re-embed in ${result.failed.map((f) => f.workspace).join(", ")}.`
+              : null,
+          document: { location: result.location, ...result.document },
+          revision: result.revision?.revision ?? null,
+          workspaces: result.reembedded,
+          failed: result.failed,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.patch(
+    "/v1/document/:docName/acl",
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:write"] }]
+    #swagger.description = 'Set who may retrieve a document and re-embed it in every workspace it is embedded in. Chats, vector searches and agents only retrieve restricted documents for their owner, the listed users, members of the listed groups or the external subject. Admins retrieve every document. Send acl as null to make the document available to every workspace member again.'
+    #swagger.parameters['docName'] = {
+        in: 'path',
+        description: 'Unique document name to update (name in /documents)',
+        required: true,
+        type: 'string'
+    }
+    #swagger.requestBody = {
+      description: 'The access control list of the document.',
+      required: true,
+      content: {
+        "application/json": {
+          example: {
+            acl: {
+              ownerUserId: 12,
+              userIds: [3],
+              groups: ["care-team-a"],
+              externalSubjectId: "patient-8f2c"
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              success: true,
+              error: null,
+              acl: {
+                ownerUserId: 12,
+                userIds: [3],
+                groups: ["care-team-a"],
+                externalSubjectId: "patient-8f2c"
+              },
+              workspaces: ["my-workspace"],
+              failed: []
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[400] = {
+      description: 'Invalid acl.'
+    }
+    #swagger.responses[404] = {
+      description: 'Document not found.'
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { docName } = request.params;
+        const body = reqBody(request);
+        if (!body || !Object.prototype.hasOwnProperty.call(body, "acl")) {
+          response
+            .status(400)
+            .json({ success: false, error: "acl is required." });
+          return;
+        }
+
+        const { acl, error } = parseDocumentAcl(body.acl);
+        if (error) {
+          response.status(400).json({ success: false, error });
+          return;
+        }
+        if (
+          !(await userCanAccessDocumentNamed(docName, response.locals?.user))
+        ) {
+          response
+            .status(404)
+            .json({ success: false, error: `Document ${docName} not found.` });
+          return;
+        }
+
+        const result = await updateDocumentAcl(docName, acl);
+        if (!result) {
+          response
+            .status(404)
+            .json({ success: false, error: `Document ${docName} not found.` });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          "api_document_acl_updated",
+          {
+            documentName: docName,
+            restricted: acl !== null,
+            workspaces: result.reembedded.join(", "),
+          },
+          response.locals?.user?.id
+        );
+        response.status(200).json({
+          success: result.failed.length === 0,
+          error:
+            result.failed.length > 0
+              ? `Failed to re-embed in ${result.failed.map((f) => f.workspace).join(", ")}.`
+              : null,
+          acl,
+          workspaces: result.reembedded,
+          failed: result.failed,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/document/:docName/ocr/revisions",
+    [validatedRequest, requireScope(SCOPES.documentsRead)],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
+    #swagger.description = 'List the OCR revision history of a document, newest first. Each revision records what produced it (google, tesseract or user), who made the change, when, and a confidence summary.'
+    #swagger.parameters['docName'] = {
+        in: 'path',
+        description: 'Unique document name (name in /documents)',
+        required: true,
+        type: 'string'
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              revisions: [
+                {
+                  "revision": 2,
+                  "source": "user",
+                  "author": "reviewer",
+                  "userId": 4,
+                  "confidence": { "count": 3, "average": 0.91, "min": 0.82, "max": 0.97 },
+                  "restoredFrom": null,
+                  "createdAt": "2026-10-19T12:00:00.000Z",
+                  "ocr": { "google_raw": "John Doe", "user_corrected": "Patient: John Doe" }
+                }
+              ]
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[404] = {
+      description: 'Document not found, or restricted and not readable by the caller.'
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { docName } = request.params;
+        if (
+          !(await userCanAccessDocumentNamed(docName, response.locals?.user))
+        ) {
+          response.status(404).json({ error: "Document not found." });
+          return;
+        }
+        const revisions = await DocumentOcrRevisions.where(
+          { docName: String(docName) },
+          null,
+          { revision: "desc" }
+        );
+        if (revisions.length > 0)
+          await logDocumentAccess([{ title: String(docName) }], {
+            user: response.locals?.user,
+            apiKey: response.locals?.apiKey,
+            via: "api_ocr_revisions",
+          });
+        response.status(200).json({
+          revisions: revisions.map(({ id, docName, ...revision }) => revision),
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/document/:docName/ocr/revisions/diff",
+    [validatedRequest, requireScope(SCOPES.documentsRead)],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
+    #swagger.description = 'Diff the OCR of two revisions of a document. Text sources are diffed line by line, structured fields are compared by key.'
+    #swagger.parameters['docName'] = {
+        in: 'path',
+        description: 'Unique document name (name in /documents)',
+        required: true,
+        type: 'string'
+    }
+    #swagger.parameters['from'] = {
+        in: 'query',
+        description: 'Base revision number',
+        required: true,
+        type: 'number'
+    }
+    #swagger.parameters['to'] = {
+        in: 'query',
+        description: 'Revision number to compare against the base',
+        required: true,
+        type: 'number'
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              from: { "revision": 1, "source": "google", "author": null, "createdAt": "2026-10-19T11:00:00.000Z" },
+              to: { "revision": 2, "source": "user", "author": "reviewer", "createdAt": "2026-10-19T12:00:00.000Z" },
+              text: {
+                "user_corrected": {
+                  "changed": true,
+                  "lines": [{ "type": "added", "line": "Patient: John Doe" }]
+                },
+                "google_raw": { "changed": false, "lines": [] },
+                "anything_raw": { "changed": false, "lines": [] }
+              },
+              fields: { added: {}, removed: {}, changed: {} },
+              confidence: { from: { "count": 3, "average": 0.91, "min": 0.82, "max": 0.97 }, to: { "count": 3, "average": 0.91, "min": 0.82, "max": 0.97 } }
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[404] = {
+      description: 'Revision not found.'
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { docName } = request.params;
+        const { from = null, to = null } = request.query;
+        if (!Number(from) || !Number(to)) {
+          response
+            .status(400)
+            .json({ error: "from and to revision numbers are required." });
+          return;
+        }
+        if (
+          !(await userCanAccessDocumentNamed(docName, response.locals?.user))
+        ) {
+          response.status(404).json({ error: "Revision not found." });
+          return;
+        }
+
+        const [base, target] = await Promise.all([
+          DocumentOcrRevisions.get({ docName, revision: Number(from) }),
+          DocumentOcrRevisions.get({ docName, revision: Number(to) }),
+        ]);
+        if (!base || !target) {
+          response.status(404).json({ error: "Revision not found." });
+          return;
+        }
+        await logDocumentAccess([{ title: String(docName) }], {
+          user: response.locals?.user,
+          apiKey: response.locals?.apiKey,
+          via: "api_ocr_revisions",
+        });
+
+        const summary = ({ revision, source, author, createdAt }) => ({
+          revision,
+          source,
+          author,
+          createdAt,
+        });
+        response.status(200).json({
+          from: summary(base),
+          to: summary(target),
+          ...diffOcrRevisions(base, target),
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/document/:docName/ocr/revisions/:revision/rollback",
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:write"] }]
+    #swagger.description = 'Roll the OCR of a document back to an earlier revision. The document content is rebuilt from the restored OCR, re-embedded in every workspace it is embedded in, and the rollback is recorded as a new revision.'
+    #swagger.parameters['docName'] = {
+        in: 'path',
+        description: 'Unique document name (name in /documents)',
+        required: true,
+        type: 'string'
+    }
+    #swagger.parameters['revision'] = {
+        in: 'path',
+        description: 'Revision number to restore',
+        required: true,
+        type: 'number'
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              success: true,
+              error: null,
+              revision: 3,
+              restoredFrom: 1,
+              workspaces: ["my-workspace"],
+              failed: []
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[404] = {
+      description: 'Document or revision not found.'
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { docName, revision } = request.params;
+        if (
+          !(await userCanAccessDocumentNamed(docName, response.locals?.user))
+        ) {
+          response.status(404).json({
+            success: false,
+            error: `Revision ${revision} of ${docName} not found.`,
+          });
+          return;
+        }
+        const result = await rollbackDocumentOcr(docName, revision, {
+          user: response.locals?.user,
+        });
+        if (!result) {
+          response.status(404).json({
+            success: false,
+            error: `Revision ${revision} of ${docName} not found.`,
+          });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          "api_document_ocr_rolled_back",
+          {
+            documentName: docName,
+            restoredRevision: Number(revision),
+            workspaces: result.reembedded.join(", "),
+          },
+          response.locals?.user?.id
+        );
+        response.status(200).json({
+          success: result.failed.length === 0,
+          error:
+            result.failed.length > 0
+              ? `Failed to re-embed in ${result.failed.map((f) => f.workspace).join(", ")}.`
+              : null,
+          revision: result.revision?.revision ?? null,
+          restoredFrom: Number(revision),
+          workspaces: result.reembedded,
+          failed: result.failed,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/v1/document/ocr/review-queue",
+    [validatedRequest, requireScope(SCOPES.documentsRead)],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
+    #swagger.description = 'List documents with OCR fields below the confidence threshold that have not been reviewed yet. Depending on OCR_LOW_CONFIDENCE_MODE these fields are tagged or excluded from the embedded content until they are approved or corrected. Restricted documents the caller may not read are left out, so a page can hold fewer documents than limit.'
+    #swagger.parameters['threshold'] = {
+        in: 'query',
+        description: 'Confidence threshold between 0 and 1. Defaults to OCR_CONFIDENCE_THRESHOLD (0.5).',
+        required: false,
+        type: 'number'
+    }
+    #swagger.parameters['offset'] = {
+        in: 'query',
+        description: 'Page of documents to return, starting at 0.',
+        required: false,
+        type: 'number'
+    }
+    #swagger.parameters['limit'] = {
+        in: 'query',
+        description: 'Documents per page, between 1 and 100. Defaults to 20.',
+        required: false,
+        type: 'number'
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              threshold: 0.5,
+              documents: [
+                {
+                  "name": "scan.pdf-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                  "location": "custom-documents/scan.pdf-6e8be64c-c162-4b43-9997-b068c0071e8b.json",
+                  "title": "scan.pdf",
+                  "fields": [
+                    {
+                      "index": 1,
+                      "fieldKey": "date_of_birth",
+                      "fieldValue": "19??-03-15",
+                      "fieldType": "date",
+                      "confidence": 0.32
+                    }
+                  ]
+                }
+              ],
+              hasPages: false
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[400] = {
+      description: 'Invalid threshold, offset or limit.'
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { threshold = null, offset = 0, limit = 20 } = request.query;
+        if (
+          threshold !== null &&
+          (Number.isNaN(Number(threshold)) ||
+            Number(threshold) < 0 ||
+            Number(threshold) > 1)
+        ) {
+          response
+            .status(400)
+            .json({ error: "threshold must be a number between 0 and 1." });
+          return;
+        }
+
+        const page = Number(offset);
+        const pageSize = Number(limit);
+        if (
+          !Number.isInteger(page) ||
+          page < 0 ||
+          !Number.isInteger(pageSize) ||
+          pageSize < 1 ||
+          pageSize > 100
+        ) {
+          response.status(400).json({
+            error:
+              "offset must be a non-negative integer and limit an integer between 1 and 100.",
+          });
+          return;
+        }
+
+        const queue = await ocrReviewQueue({
+          threshold: threshold === null ? null : Number(threshold),
+          offset: page,
+          limit: pageSize,
+        });
+        // Restricted documents the caller may not read are left out of the page.
+        const readable = await Promise.all(
+          queue.documents.map((doc) =>
+            userCanAccessDocumentNamed(doc.name, response.locals?.user)
+          )
+        );
+        queue.documents = queue.documents.filter((_, i) => readable[i]);
+        response.status(200).json(queue);
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.post(
+    "/v1/document/:docName/ocr/fields/:fieldIndex/review",
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
+    async (request, response) => {
+      /*
+    #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:write"] }]
+    #swagger.description = 'Approve or correct a low-confidence OCR field. The reviewed value is written to user_corrected, recorded as a new OCR revision and the document is re-embedded in every workspace it is embedded in.'
+    #swagger.parameters['docName'] = {
+        in: 'path',
+        description: 'Unique document name (name in /documents)',
+        required: true,
+        type: 'string'
+    }
+    #swagger.parameters['fieldIndex'] = {
+        in: 'path',
+        description: 'Index of the field as listed by the review queue',
+        required: true,
+        type: 'number'
+    }
+    #swagger.requestBody = {
+      description: 'Review action. value is required when correcting a field.',
+      required: true,
+      content: {
+        "application/json": {
+          example: {
+            action: "correct",
+            value: "1985-03-15"
+          }
+        }
+      }
+    }
+    #swagger.responses[200] = {
+      content: {
+        "application/json": {
+          schema: {
+            type: 'object',
+            example: {
+              success: true,
+              error: null,
+              review: {
+                "fieldKey": "date_of_birth",
+                "status": "corrected",
+                "originalValue": "19??-03-15",
+                "value": "1985-03-15",
+                "confidence": 0.32,
+                "reviewer": "admin",
+                "reviewedAt": "2026-10-19T12:00:00.000Z"
+              },
+              revision: 2,
+              workspaces: ["my-workspace"],
+              failed: []
+            }
+          }
+        }
+      }
+    }
+    #swagger.responses[400] = {
+      description: 'Invalid review.'
+    }
+    #swagger.responses[404] = {
+      description: 'Document or field not found.'
+    }
+    #swagger.responses[403] = {
+      schema: {
+        "$ref": "#/definitions/InvalidAPIKey"
+      }
+    }
+    */
+      try {
+        const { docName, fieldIndex } = request.params;
+        const { action, value } = reqBody(request);
+        const error = validateFieldReview({ action, value });
+        if (error) {
+          response.status(400).json({ success: false, error });
+          return;
+        }
+        if (
+          !(await userCanAccessDocumentNamed(docName, response.locals?.user))
+        ) {
+          response
+            .status(404)
+            .json({ success: false, error: `Document ${docName} not found.` });
+          return;
+        }
+
+        const result = await reviewOcrField(
+          docName,
+          fieldIndex,
+          { action, value },
+          { user: response.locals?.user }
+        );
+        if (!result) {
+          response.status(404).json({
+            success: false,
+            error: `Field ${fieldIndex} of ${docName} not found.`,
+          });
+          return;
+        }
+
+        await EventLogs.logEvent(
+          "api_document_ocr_field_reviewed",
+          {
+            documentName: docName,
+            fieldKey: result.review.fieldKey,
+            status: result.review.status,
+            workspaces: result.reembedded.join(", "),
+          },
+          response.locals?.user?.id
+        );
+        response.status(200).json({
+          success: result.failed.length === 0,
+          error:
+            result.failed.length > 0
+              ? `Failed to re-embed in ${result.failed.map((f) => f.workspace).join(", ")}.`
+              : null,
+          review: result.review,
+          revision: result.revision?.revision ?? null,
+          workspaces: result.reembedded,
+          failed: result.failed,
+        });
+      } catch (e) {
+        console.error(e.message, e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   // Be careful and place as last route to prevent override of the other /document/ GET
   // endpoints!
-  app.get("/v1/document/:docName", [validatedRequest], async (request, response) => {
+  app.get("/v1/document/:docName", [validatedRequest, requireScope(SCOPES.documentsRead)], async (request, response) => {
     /*
     #swagger.tags = ['Documents']
+    #swagger.security = [{ "BearerAuth": ["documents:read"] }]
     #swagger.description = 'Get a single document by its unique AnythingLLM document name'
     #swagger.parameters['docName'] = {
         in: 'path',
@@ -909,10 +2111,18 @@ function apiDocumentEndpoints(app) {
     try {
       const { docName } = request.params;
       const document = await findDocumentInDocuments(docName);
-      if (!document) {
+      if (
+        !document ||
+        !userCanAccessDocument(document, response.locals?.user)
+      ) {
         response.sendStatus(404).end();
         return;
       }
+      await logDocumentAccess([document], {
+        user: response.locals?.user,
+        apiKey: response.locals?.apiKey,
+        via: "api_document",
+      });
       response.status(200).json({ document });
     } catch (e) {
       console.error(e.message, e);
@@ -922,10 +2132,11 @@ function apiDocumentEndpoints(app) {
 
   app.post(
     "/v1/document/create-folder",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
     async (request, response) => {
       /*
       #swagger.tags = ['Documents']
+      #swagger.security = [{ "BearerAuth": ["documents:write"] }]
       #swagger.description = 'Create a new folder inside the documents storage directory.'
       #swagger.requestBody = {
         description: 'Name of the folder to create.',
@@ -988,10 +2199,11 @@ function apiDocumentEndpoints(app) {
 
   app.delete(
     "/v1/document/remove-folder",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
     async (request, response) => {
       /*
       #swagger.tags = ['Documents']
+      #swagger.security = [{ "BearerAuth": ["documents:write"] }]
       #swagger.description = 'Remove a folder and all its contents from the documents storage directory.'
       #swagger.requestBody = {
         description: 'Name of the folder to remove.',
@@ -1047,10 +2259,11 @@ function apiDocumentEndpoints(app) {
 
   app.post(
     "/v1/document/move-files",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
     async (request, response) => {
       /*
       #swagger.tags = ['Documents']
+      #swagger.security = [{ "BearerAuth": ["documents:write"] }]
       #swagger.description = 'Move files within the documents storage directory.'
       #swagger.requestBody = {
         description: 'Array of objects containing source and destination paths of files to move.',
@@ -1113,7 +2326,7 @@ function apiDocumentEndpoints(app) {
                 console.error(`Error moving file ${from} to ${to}:`, err);
                 reject(err);
               } else {
-                resolve();
+                DocumentOcrReviews.move(from, to).then(() => resolve());
               }
             });
           });
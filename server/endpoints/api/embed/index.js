@@ -1,15 +1,20 @@
 const { EmbedConfig } = require("../../../models/embedConfig");
 const { EmbedChats } = require("../../../models/embedChats");
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
+const {
+  requireScope,
+  SCOPES,
+} = require("../../../utils/middleware/requireScope");
 const { reqBody } = require("../../../utils/http");
 const { Workspace } = require("../../../models/workspace");
 
 function apiEmbedEndpoints(app) {
   if (!app) return;
 
-  app.get("/v1/embed", [validatedRequest], async (request, response) => {
+  app.get("/v1/embed", [validatedRequest, requireScope(SCOPES.embedsRead)], async (request, response) => {
     /*
       #swagger.tags = ['Embed']
+      #swagger.security = [{ "BearerAuth": ["embeds:read"] }]
       #swagger.description = 'List all active embeds'
       #swagger.responses[200] = {
         content: {
@@ -77,10 +82,11 @@ function apiEmbedEndpoints(app) {
 
   app.get(
     "/v1/embed/:embedUuid/chats",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.embedsRead)],
     async (request, response) => {
       /*
       #swagger.tags = ['Embed']
+      #swagger.security = [{ "BearerAuth": ["embeds:read"] }]
       #swagger.description = 'Get all chats for a specific embed'
       #swagger.parameters['embedUuid'] = {
         in: 'path',
@@ -139,10 +145,11 @@ function apiEmbedEndpoints(app) {
 
   app.get(
     "/v1/embed/:embedUuid/chats/:sessionUuid",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.embedsRead)],
     async (request, response) => {
       /*
       #swagger.tags = ['Embed']
+      #swagger.security = [{ "BearerAuth": ["embeds:read"] }]
       #swagger.description = 'Get chats for a specific embed and session'
       #swagger.parameters['embedUuid'] = {
         in: 'path',
@@ -198,9 +205,10 @@ function apiEmbedEndpoints(app) {
     }
   );
 
-  app.post("/v1/embed/new", [validatedRequest], async (request, response) => {
+  app.post("/v1/embed/new", [validatedRequest, requireScope(SCOPES.embedsWrite)], async (request, response) => {
     /*
       #swagger.tags = ['Embed']
+      #swagger.security = [{ "BearerAuth": ["embeds:write"] }]
       #swagger.description = 'Create a new embed configuration'
       #swagger.requestBody = {
         description: 'JSON object containing embed configuration details',
@@ -284,9 +292,10 @@ function apiEmbedEndpoints(app) {
     }
   });
 
-  app.post("/v1/embed/:embedUuid", [validatedRequest], async (request, response) => {
+  app.post("/v1/embed/:embedUuid", [validatedRequest, requireScope(SCOPES.embedsWrite)], async (request, response) => {
     /*
       #swagger.tags = ['Embed']
+      #swagger.security = [{ "BearerAuth": ["embeds:write"] }]
       #swagger.description = 'Update an existing embed configuration'
       #swagger.parameters['embedUuid'] = {
         in: 'path',
@@ -356,10 +365,11 @@ function apiEmbedEndpoints(app) {
 
   app.delete(
     "/v1/embed/:embedUuid",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.embedsWrite)],
     async (request, response) => {
       /*
       #swagger.tags = ['Embed']
+      #swagger.security = [{ "BearerAuth": ["embeds:write"] }]
       #swagger.description = 'Delete an existing embed configuration'
       #swagger.parameters['embedUuid'] = {
         in: 'path',
@@ -8,18 +8,24 @@ const {
 } = require("../../../utils/helpers");
 const { reqBody } = require("../../../utils/http");
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
+const {
+  requireScope,
+  SCOPES,
+} = require("../../../utils/middleware/requireScope");
 const { EventLogs } = require("../../../models/eventLogs");
 const {
   OpenAICompatibleChat,
 } = require("../../../utils/chats/openaiCompatible");
+const { documentAccessFilters } = require("../../../utils/documentAccess");
 const { getModelTag } = require("../../utils");
 
 function apiOpenAICompatibleEndpoints(app) {
   if (!app) return;
 
-  app.get("/v1/openai/models", [validatedRequest], async (request, response) => {
+  app.get("/v1/openai/models", [validatedRequest, requireScope(SCOPES.workspacesRead)], async (request, response) => {
     /*
     #swagger.tags = ['OpenAI Compatible Endpoints']
+    #swagger.security = [{ "BearerAuth": ["workspaces:read"] }]
     #swagger.description = 'Get all available "models" which are workspaces you can use for chatting.'
     #swagger.responses[200] = {
       content: {
@@ -83,11 +89,12 @@ function apiOpenAICompatibleEndpoints(app) {
 
   app.post(
     "/v1/openai/chat/completions",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
       #swagger.tags = ['OpenAI Compatible Endpoints']
-      #swagger.description = 'Execute a chat with a workspace with OpenAI compatibility. Supports streaming as well. Model must be a workspace slug from /models.'
+      #swagger.security = [{ "BearerAuth": ["chat"] }]
+      #swagger.description = 'Execute a chat with a workspace with OpenAI compatibility. Supports streaming as well. Model must be a workspace slug from /models. Responses include the sources used for the answer, with pageStart and pageEnd for passages from PDFs (the final chunk carries them when streaming).'
       #swagger.requestBody = {
           description: 'Send a prompt to the workspace with full use of documents as if sending a chat in AnythingLLM. Only supports some values of OpenAI API. See example below.',
           required: true,
@@ -147,6 +154,10 @@ function apiOpenAICompatibleEndpoints(app) {
             history,
             prompt: userMessage.content,
             temperature: Number(temperature),
+            filters: await documentAccessFilters(
+              workspace,
+              response.locals?.user
+            ),
           });
 
           await Telemetry.sendTelemetry("sent_chat", {
@@ -176,6 +187,10 @@ function apiOpenAICompatibleEndpoints(app) {
           prompt: userMessage.content,
           temperature: Number(temperature),
           response,
+          filters: await documentAccessFilters(
+            workspace,
+            response.locals?.user
+          ),
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection: process.env.LLM_PROVIDER || "openai",
@@ -198,10 +213,11 @@ function apiOpenAICompatibleEndpoints(app) {
 
   app.post(
     "/v1/openai/embeddings",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
       #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.security = [{ "BearerAuth": ["chat"] }]
       #swagger.description = 'Get the embeddings of any arbitrary text string. This will use the embedder provider set in the system. Please ensure the token length of each string fits within the context of your embedder model.'
       #swagger.requestBody = {
           description: 'The input string(s) to be embedded. If the text is too long for the embedder model context, it will fail to embed. The vector and associated chunk metadata will be returned in the array order provided',
@@ -265,10 +281,11 @@ function apiOpenAICompatibleEndpoints(app) {
 
   app.get(
     "/v1/openai/vector_stores",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.workspacesRead)],
     async (request, response) => {
       /*
       #swagger.tags = ['OpenAI Compatible Endpoints']
+      #swagger.security = [{ "BearerAuth": ["workspaces:read"] }]
       #swagger.description = 'List all the vector database collections connected to AnythingLLM. These are essentially workspaces but return their unique vector db identifier - this is the same as the workspace slug.'
       #swagger.responses[200] = {
         content: {
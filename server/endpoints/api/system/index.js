@@ -9,6 +9,10 @@ const {
 const { dumpENV, updateENV } = require("../../../utils/helpers/updateENV");
 const { reqBody } = require("../../../utils/http");
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
+const {
+  requireScope,
+  SCOPES,
+} = require("../../../utils/middleware/requireScope");
 
 function apiSystemEndpoints(app) {
   if (!app) return;
@@ -34,9 +38,10 @@ function apiSystemEndpoints(app) {
     }
   });
 
-  app.get("/v1/system", [validatedRequest], async (_, response) => {
+  app.get("/v1/system", [validatedRequest, requireScope(SCOPES.systemRead)], async (_, response) => {
     /*
     #swagger.tags = ['System Settings']
+    #swagger.security = [{ "BearerAuth": ["system:read"] }]
     #swagger.description = 'Get all current system settings that are defined.'
     #swagger.responses[200] = {
       content: {
@@ -71,9 +76,10 @@ function apiSystemEndpoints(app) {
     }
   });
 
-  app.get("/v1/system/vector-count", [validatedRequest], async (_, response) => {
+  app.get("/v1/system/vector-count", [validatedRequest, requireScope(SCOPES.systemRead)], async (_, response) => {
     /*
     #swagger.tags = ['System Settings']
+    #swagger.security = [{ "BearerAuth": ["system:read"] }]
     #swagger.description = 'Number of all vectors in connected vector database'
     #swagger.responses[200] = {
       content: {
@@ -105,10 +111,11 @@ function apiSystemEndpoints(app) {
 
   app.post(
     "/v1/system/update-env",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.systemWrite)],
     async (request, response) => {
       /*
       #swagger.tags = ['System Settings']
+      #swagger.security = [{ "BearerAuth": ["system:write"] }]
       #swagger.description = 'Update a system setting or preference.'
       #swagger.requestBody = {
         description: 'Key pair object that matches a valid setting and value. Get keys from GET /v1/system or refer to codebase.',
@@ -154,10 +161,11 @@ function apiSystemEndpoints(app) {
 
   app.get(
     "/v1/system/export-chats",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.systemRead)],
     async (request, response) => {
       /*
     #swagger.tags = ['System Settings']
+    #swagger.security = [{ "BearerAuth": ["system:read"] }]
     #swagger.description = 'Export all of the chats from the system in a known format. Output depends on the type sent. Will be send with the correct header for the output.'
    #swagger.parameters['type'] = {
       in: 'query',
@@ -207,10 +215,11 @@ function apiSystemEndpoints(app) {
   );
   app.delete(
     "/v1/system/remove-documents",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.documentsWrite)],
     async (request, response) => {
       /*
       #swagger.tags = ['System Settings']
+      #swagger.security = [{ "BearerAuth": ["documents:write"] }]
       #swagger.description = 'Permanently remove documents from the system.'
       #swagger.requestBody = {
         description: 'Array of document names to be removed permanently.',
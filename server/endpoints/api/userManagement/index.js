@@ -5,13 +5,18 @@ const {
   simpleSSOEnabled,
 } = require("../../../utils/middleware/simpleSSOEnabled");
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
+const {
+  requireScope,
+  SCOPES,
+} = require("../../../utils/middleware/requireScope");
 
 function apiUserManagementEndpoints(app) {
   if (!app) return;
 
-  app.get("/v1/users", [validatedRequest], async (request, response) => {
+  app.get("/v1/users", [validatedRequest, requireScope(SCOPES.usersRead)], async (request, response) => {
     /*
       #swagger.tags = ['User Management']
+      #swagger.security = [{ "BearerAuth": ["users:read"] }]
       #swagger.description = 'List all users'
       #swagger.responses[200] = {
         content: {
@@ -66,10 +71,11 @@ function apiUserManagementEndpoints(app) {
 
   app.get(
     "/v1/users/:id/issue-auth-token",
-    [validatedRequest, simpleSSOEnabled],
+    [validatedRequest, requireScope(SCOPES.usersWrite), simpleSSOEnabled],
     async (request, response) => {
       /*
       #swagger.tags = ['User Management']
+      #swagger.security = [{ "BearerAuth": ["users:write"] }]
       #swagger.description = 'Issue a temporary auth token for a user'
       #swagger.parameters['id'] = {
         in: 'path',
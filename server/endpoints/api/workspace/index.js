@@ -7,6 +7,10 @@ const { WorkspaceChats } = require("../../../models/workspaceChats");
 const { getVectorDbClass, getLLMProvider } = require("../../../utils/helpers");
 const { multiUserMode, reqBody } = require("../../../utils/http");
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
+const {
+  requireScope,
+  SCOPES,
+} = require("../../../utils/middleware/requireScope");
 const { VALID_CHAT_MODE } = require("../../../utils/chats/stream");
 const { EventLogs } = require("../../../models/eventLogs");
 const {
@@ -15,13 +19,22 @@ const {
 } = require("../../../utils/helpers/chat/responses");
 const { ApiChatHandler } = require("../../../utils/chats/apiChatHandler");
 const { getModelTag } = require("../../utils");
+const {
+  searchWorkspace,
+} = require("../../../utils/vectorStore/workspaceSearch");
+const {
+  parseMetadataFilters,
+} = require("../../../utils/vectorStore/metadataFilters");
+const { documentAccessFilters } = require("../../../utils/documentAccess");
+const { pageCitation } = require("../../../utils/vectorStore/pageRanges");
 
 function apiWorkspaceEndpoints(app) {
   if (!app) return;
 
-  app.post("/v1/workspace/new", [validatedRequest], async (request, response) => {
+  app.post("/v1/workspace/new", [validatedRequest, requireScope(SCOPES.workspacesWrite)], async (request, response) => {
     /*
     #swagger.tags = ['Workspaces']
+    #swagger.security = [{ "BearerAuth": ["workspaces:write"] }]
     #swagger.description = 'Create a new workspace'
     #swagger.requestBody = {
       description: 'JSON object containing workspace configuration.',
@@ -100,9 +113,10 @@ function apiWorkspaceEndpoints(app) {
     }
   });
 
-  app.get("/v1/workspaces", [validatedRequest], async (request, response) => {
+  app.get("/v1/workspaces", [validatedRequest, requireScope(SCOPES.workspacesRead)], async (request, response) => {
     /*
     #swagger.tags = ['Workspaces']
+    #swagger.security = [{ "BearerAuth": ["workspaces:read"] }]
     #swagger.description = 'List all current workspaces'
     #swagger.responses[200] = {
       content: {
@@ -154,9 +168,10 @@ function apiWorkspaceEndpoints(app) {
     }
   });
 
-  app.get("/v1/workspace/:slug", [validatedRequest], async (request, response) => {
+  app.get("/v1/workspace/:slug", [validatedRequest, requireScope(SCOPES.workspacesRead)], async (request, response) => {
     /*
     #swagger.tags = ['Workspaces']
+    #swagger.security = [{ "BearerAuth": ["workspaces:read"] }]
     #swagger.description = 'Get a workspace by its unique slug.'
     #swagger.parameters['slug'] = {
         in: 'path',
@@ -221,10 +236,11 @@ function apiWorkspaceEndpoints(app) {
 
   app.delete(
     "/v1/workspace/:slug",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.workspacesWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Workspaces']
+    #swagger.security = [{ "BearerAuth": ["workspaces:write"] }]
     #swagger.description = 'Deletes a workspace by its slug.'
     #swagger.parameters['slug'] = {
         in: 'path',
@@ -272,10 +288,11 @@ function apiWorkspaceEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/update",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.workspacesWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Workspaces']
+    #swagger.security = [{ "BearerAuth": ["workspaces:write"] }]
     #swagger.description = 'Update workspace settings by its unique slug.'
     #swagger.parameters['slug'] = {
         in: 'path',
@@ -292,7 +309,12 @@ function apiWorkspaceEndpoints(app) {
             "name": 'Updated Workspace Name',
             "openAiTemp": 0.2,
             "openAiHistory": 20,
-            "openAiPrompt": "Respond to all inquires and questions in binary - do not respond in any other format."
+            "openAiPrompt": "Respond to all inquires and questions in binary - do not respond in any other format.",
+            "vectorSearchMode": "hybrid",
+            "hybridDenseWeight": 1,
+            "hybridSparseWeight": 0.5,
+            "hybridFusionMethod": "rrf",
+            "hybridCandidatePool": 20
           }
         }
       }
@@ -350,11 +372,12 @@ function apiWorkspaceEndpoints(app) {
 
   app.get(
     "/v1/workspace/:slug/chats",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.workspacesRead)],
     async (request, response) => {
       /*
     #swagger.tags = ['Workspaces']
-    #swagger.description = 'Get a workspaces chats regardless of user by its unique slug.'
+    #swagger.security = [{ "BearerAuth": ["workspaces:read"] }]
+    #swagger.description = 'Get a workspaces chats regardless of user by its unique slug. Requires workspaces:read - the chat scope only allows chatting, not reading the history of every user.'
     #swagger.parameters['slug'] = {
         in: 'path',
         description: 'Unique slug of workspace to find',
@@ -447,10 +470,11 @@ function apiWorkspaceEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/update-embeddings",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.workspacesWrite)],
     async (request, response) => {
       /*
     #swagger.tags = ['Workspaces']
+    #swagger.security = [{ "BearerAuth": ["workspaces:write"] }]
     #swagger.description = 'Add or remove documents from a workspace by its unique slug.'
     #swagger.parameters['slug'] = {
         in: 'path',
@@ -524,10 +548,11 @@ function apiWorkspaceEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/update-pin",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.workspacesWrite)],
     async (request, response) => {
       /*
       #swagger.tags = ['Workspaces']
+      #swagger.security = [{ "BearerAuth": ["workspaces:write"] }]
       #swagger.description = 'Add or remove pin from a document in a workspace by its unique slug.'
       #swagger.parameters['slug'] = {
           in: 'path',
@@ -592,13 +617,14 @@ function apiWorkspaceEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/chat",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
    #swagger.tags = ['Workspaces']
+   #swagger.security = [{ "BearerAuth": ["chat"] }]
    #swagger.description = 'Execute a chat with a workspace'
    #swagger.requestBody = {
-       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.',
+       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.<br/><b>filters:</b> Optional metadata filters limiting which document chunks are searched. Use ocr.&lt;field&gt; for OCR fields or title, docAuthor, docSource, chunkSource, url, published. A value matches by equality, or pass an object with eq, in, gt, gte, lt, lte.',
        required: true,
        content: {
          "application/json": {
@@ -613,7 +639,11 @@ function apiWorkspaceEndpoints(app) {
                  contentString: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..."
                }
              ],
-             reset: false
+             reset: false,
+             filters: {
+               "ocr.patient_name": "John Doe",
+               "ocr.date_of_service": { gte: "2024-01-01", lte: "2024-12-31" }
+             }
            }
          }
        }
@@ -649,6 +679,7 @@ function apiWorkspaceEndpoints(app) {
           sessionId = null,
           attachments = [],
           reset = false,
+          filters: rawFilters = null,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(slug) });
 
@@ -678,6 +709,20 @@ function apiWorkspaceEndpoints(app) {
           return;
         }
 
+        const { conditions: filters, error: filterError } =
+          parseMetadataFilters(rawFilters);
+        if (filterError) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: filterError,
+          });
+          return;
+        }
+
         const result = await ApiChatHandler.chatSync({
           workspace,
           message,
@@ -687,6 +732,10 @@ function apiWorkspaceEndpoints(app) {
           sessionId: !!sessionId ? String(sessionId) : null,
           attachments,
           reset,
+          filters: [
+            ...filters,
+            ...(await documentAccessFilters(workspace, response.locals?.user)),
+          ],
         });
 
         await Telemetry.sendTelemetry("sent_chat", {
@@ -717,13 +766,14 @@ function apiWorkspaceEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/stream-chat",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
    #swagger.tags = ['Workspaces']
+   #swagger.security = [{ "BearerAuth": ["chat"] }]
    #swagger.description = 'Execute a streamable chat with a workspace'
    #swagger.requestBody = {
-       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.',
+       description: 'Send a prompt to the workspace and the type of conversation (query or chat).<br/><b>Query:</b> Will not use LLM unless there are relevant sources from vectorDB & does not recall chat history.<br/><b>Chat:</b> Uses LLM general knowledge w/custom embeddings to produce output, uses rolling chat history.<br/><b>filters:</b> Optional metadata filters limiting which document chunks are searched. Use ocr.&lt;field&gt; for OCR fields or title, docAuthor, docSource, chunkSource, url, published. A value matches by equality, or pass an object with eq, in, gt, gte, lt, lte.',
        required: true,
        content: {
          "application/json": {
@@ -738,7 +788,11 @@ function apiWorkspaceEndpoints(app) {
                  contentString: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..."
                }
              ],
-             reset: false
+             reset: false,
+             filters: {
+               "ocr.patient_name": "John Doe",
+               "ocr.date_of_service": { gte: "2024-01-01", lte: "2024-12-31" }
+             }
            }
          }
        }
@@ -795,6 +849,7 @@ function apiWorkspaceEndpoints(app) {
           sessionId = null,
           attachments = [],
           reset = false,
+          filters: rawFilters = null,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(slug) });
 
@@ -824,6 +879,20 @@ function apiWorkspaceEndpoints(app) {
           return;
         }
 
+        const { conditions: filters, error: filterError } =
+          parseMetadataFilters(rawFilters);
+        if (filterError) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: filterError,
+          });
+          return;
+        }
+
         response.setHeader("Cache-Control", "no-cache");
         response.setHeader("Content-Type", "text/event-stream");
         response.setHeader("Access-Control-Allow-Origin", "*");
@@ -840,6 +909,10 @@ function apiWorkspaceEndpoints(app) {
           sessionId: !!sessionId ? String(sessionId) : null,
           attachments,
           reset,
+          filters: [
+            ...filters,
+            ...(await documentAccessFilters(workspace, response.locals?.user)),
+          ],
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection:
@@ -870,11 +943,12 @@ function apiWorkspaceEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/vector-search",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.workspacesRead)],
     async (request, response) => {
       /*
     #swagger.tags = ['Workspaces']
-    #swagger.description = 'Perform a vector similarity search in a workspace'
+    #swagger.security = [{ "BearerAuth": ["workspaces:read"] }]
+    #swagger.description = 'Perform a vector similarity search in a workspace. Optional filters limit the search to chunks whose metadata matches - use ocr.<field> for OCR fields or title, docAuthor, docSource, chunkSource, url, published. A value matches by equality, or pass an object with eq, in, gt, gte, lt, lte. Documents restricted by an ACL are only searched for users they are shared with. Chunks of PDFs include the pages they come from in pageStart and pageEnd (null for other documents).'
     #swagger.parameters['slug'] = {
         in: 'path',
         description: 'Unique slug of workspace to search in',
@@ -889,7 +963,13 @@ function apiWorkspaceEndpoints(app) {
           example: {
             query: "What is the meaning of life?",
             topN: 4,
-            scoreThreshold: 0.75
+            scoreThreshold: 0.75,
+            filters: {
+              "ocr.patient_name": "John Doe",
+              "ocr.date_of_service": { gte: "2024-01-01", lte: "2024-12-31" },
+              docSource: { in: ["upload"] },
+              published: { gte: "2024-01-01" }
+            }
           }
         }
       }
@@ -913,7 +993,9 @@ function apiWorkspaceEndpoints(app) {
                     chunkSource: "document.txt",
                     published: "12/1/2024, 11:39:39 AM",
                     wordCount: 8,
-                    tokenCount: 9
+                    tokenCount: 9,
+                    pageStart: 3,
+                    pageEnd: 4
                   },
                   distance: 0.541887640953064,
                   score: 0.45811235904693604
@@ -927,7 +1009,12 @@ function apiWorkspaceEndpoints(app) {
     */
       try {
         const { slug } = request.params;
-        const { query, topN, scoreThreshold } = reqBody(request);
+        const {
+          query,
+          topN,
+          scoreThreshold,
+          filters: rawFilters = null,
+        } = reqBody(request);
         const workspace = await Workspace.get({ slug: String(slug) });
 
         if (!workspace)
@@ -940,6 +1027,11 @@ function apiWorkspaceEndpoints(app) {
             message: "Query parameter cannot be empty.",
           });
 
+        const { conditions: filters, error: filterError } =
+          parseMetadataFilters(rawFilters);
+        if (filterError)
+          return response.status(400).json({ message: filterError });
+
         const VectorDb = getVectorDbClass();
         const hasVectorizedSpace = await VectorDb.hasNamespace(workspace.slug);
         const embeddingsCount = await VectorDb.namespaceCount(workspace.slug);
@@ -963,13 +1055,16 @@ function apiWorkspaceEndpoints(app) {
           return input;
         };
 
-        const results = await VectorDb.performSimilaritySearch({
-          namespace: workspace.slug,
-          input: String(query),
+        const results = await searchWorkspace({
+          workspace,
+          query,
           LLMConnector: getLLMProvider(),
           similarityThreshold: parseSimilarityThreshold(),
           topN: parseTopN(),
-          rerank: workspace?.vectorSearchMode === "rerank",
+          filters: [
+            ...filters,
+            ...(await documentAccessFilters(workspace, response.locals?.user)),
+          ],
         });
 
         response.status(200).json({
@@ -986,6 +1081,7 @@ function apiWorkspaceEndpoints(app) {
               published: source.published,
               wordCount: source.wordCount,
               tokenCount: source.token_count_estimate,
+              ...pageCitation(source),
             },
             distance: source._distance,
             score: source.score,
@@ -2,6 +2,10 @@ const { v4: uuidv4 } = require("uuid");
 const { WorkspaceThread } = require("../../../models/workspaceThread");
 const { Workspace } = require("../../../models/workspace");
 const { validatedRequest } = require("../../../utils/middleware/validatedRequest");
+const {
+  requireScope,
+  SCOPES,
+} = require("../../../utils/middleware/requireScope");
 const { reqBody, multiUserMode } = require("../../../utils/http");
 const { VALID_CHAT_MODE } = require("../../../utils/chats/stream");
 const { Telemetry } = require("../../../models/telemetry");
@@ -14,16 +18,21 @@ const { WorkspaceChats } = require("../../../models/workspaceChats");
 const { User } = require("../../../models/user");
 const { ApiChatHandler } = require("../../../utils/chats/apiChatHandler");
 const { getModelTag } = require("../../utils");
+const {
+  parseMetadataFilters,
+} = require("../../../utils/vectorStore/metadataFilters");
+const { documentAccessFilters } = require("../../../utils/documentAccess");
 
 function apiWorkspaceThreadEndpoints(app) {
   if (!app) return;
 
   app.post(
     "/v1/workspace/:slug/thread/new",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
       #swagger.tags = ['Workspace Threads']
+      #swagger.security = [{ "BearerAuth": ["chat"] }]
       #swagger.description = 'Create a new workspace thread'
       #swagger.parameters['slug'] = {
           in: 'path',
@@ -110,10 +119,11 @@ function apiWorkspaceThreadEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/thread/:threadSlug/update",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
       #swagger.tags = ['Workspace Threads']
+      #swagger.security = [{ "BearerAuth": ["chat"] }]
       #swagger.description = 'Update thread name by its unique slug.'
       #swagger.parameters['slug'] = {
           in: 'path',
@@ -191,10 +201,11 @@ function apiWorkspaceThreadEndpoints(app) {
 
   app.delete(
     "/v1/workspace/:slug/thread/:threadSlug",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
     #swagger.tags = ['Workspace Threads']
+    #swagger.security = [{ "BearerAuth": ["chat"] }]
     #swagger.description = 'Delete a workspace thread'
     #swagger.parameters['slug'] = {
         in: 'path',
@@ -240,10 +251,11 @@ function apiWorkspaceThreadEndpoints(app) {
 
   app.get(
     "/v1/workspace/:slug/thread/:threadSlug/chats",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
       #swagger.tags = ['Workspace Threads']
+      #swagger.security = [{ "BearerAuth": ["chat"] }]
       #swagger.description = 'Get chats for a workspace thread'
       #swagger.parameters['slug'] = {
           in: 'path',
@@ -320,10 +332,11 @@ function apiWorkspaceThreadEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/thread/:threadSlug/chat",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
       #swagger.tags = ['Workspace Threads']
+      #swagger.security = [{ "BearerAuth": ["chat"] }]
       #swagger.description = 'Chat with a workspace thread'
       #swagger.parameters['slug'] = {
           in: 'path',
@@ -338,7 +351,7 @@ function apiWorkspaceThreadEndpoints(app) {
           type: 'string'
       }
       #swagger.requestBody = {
-        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat).',
+        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat). Optional filters limit which document chunks are searched, see /v1/workspace/{slug}/chat.',
         required: true,
         content: {
           "application/json": {
@@ -353,7 +366,10 @@ function apiWorkspaceThreadEndpoints(app) {
                  contentString: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..."
                }
               ],
-              reset: false
+              reset: false,
+              filters: {
+                "ocr.patient_name": "John Doe"
+              }
             }
           }
         }
@@ -389,6 +405,7 @@ function apiWorkspaceThreadEndpoints(app) {
           userId,
           attachments = [],
           reset = false,
+          filters: rawFilters = null,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug });
         const thread = await WorkspaceThread.get({
@@ -422,6 +439,20 @@ function apiWorkspaceThreadEndpoints(app) {
           return;
         }
 
+        const { conditions: filters, error: filterError } =
+          parseMetadataFilters(rawFilters);
+        if (filterError) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: filterError,
+          });
+          return;
+        }
+
         const user = userId ? await User.get({ id: Number(userId) }) : null;
         const result = await ApiChatHandler.chatSync({
           workspace,
@@ -431,6 +462,13 @@ function apiWorkspaceThreadEndpoints(app) {
           thread,
           attachments,
           reset,
+          filters: [
+            ...filters,
+            ...(await documentAccessFilters(
+              workspace,
+              response.locals?.user ?? user
+            )),
+          ],
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection: process.env.LLM_PROVIDER || "openai",
@@ -462,10 +500,11 @@ function apiWorkspaceThreadEndpoints(app) {
 
   app.post(
     "/v1/workspace/:slug/thread/:threadSlug/stream-chat",
-    [validatedRequest],
+    [validatedRequest, requireScope(SCOPES.chat)],
     async (request, response) => {
       /*
       #swagger.tags = ['Workspace Threads']
+      #swagger.security = [{ "BearerAuth": ["chat"] }]
       #swagger.description = 'Stream chat with a workspace thread'
       #swagger.parameters['slug'] = {
           in: 'path',
@@ -480,7 +519,7 @@ function apiWorkspaceThreadEndpoints(app) {
           type: 'string'
       }
       #swagger.requestBody = {
-        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat).',
+        description: 'Send a prompt to the workspace thread and the type of conversation (query or chat). Optional filters limit which document chunks are searched, see /v1/workspace/{slug}/chat.',
         required: true,
         content: {
           "application/json": {
@@ -495,7 +534,10 @@ function apiWorkspaceThreadEndpoints(app) {
                  contentString: "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA..."
                }
               ],
-              reset: false
+              reset: false,
+              filters: {
+                "ocr.patient_name": "John Doe"
+              }
             }
           }
         }
@@ -552,6 +594,7 @@ function apiWorkspaceThreadEndpoints(app) {
           userId,
           attachments = [],
           reset = false,
+          filters: rawFilters = null,
         } = reqBody(request);
         const workspace = await Workspace.get({ slug });
         const thread = await WorkspaceThread.get({
@@ -585,6 +628,20 @@ function apiWorkspaceThreadEndpoints(app) {
           return;
         }
 
+        const { conditions: filters, error: filterError } =
+          parseMetadataFilters(rawFilters);
+        if (filterError) {
+          response.status(400).json({
+            id: uuidv4(),
+            type: "abort",
+            textResponse: null,
+            sources: [],
+            close: true,
+            error: filterError,
+          });
+          return;
+        }
+
         const user = userId ? await User.get({ id: Number(userId) }) : null;
 
         response.setHeader("Cache-Control", "no-cache");
@@ -602,6 +659,13 @@ function apiWorkspaceThreadEndpoints(app) {
           thread,
           attachments,
           reset,
+          filters: [
+            ...filters,
+            ...(await documentAccessFilters(
+              workspace,
+              response.locals?.user ?? user
+            )),
+          ],
         });
         await Telemetry.sendTelemetry("sent_chat", {
           LLMSelection: process.env.LLM_PROVIDER || "openai",
@@ -1,4 +1,5 @@
 const { Document } = require("../models/documents");
+const { DocumentOcrReviews } = require("../models/documentOcrReviews");
 const { normalizePath, documentsPath, isWithin } = require("../utils/files");
 const { reqBody } = require("../utils/http");
 const {
@@ -71,7 +72,7 @@ function documentEndpoints(app) {
                 console.error(`Error moving file ${from} to ${to}:`, err);
                 reject(err);
               } else {
-                resolve();
+                DocumentOcrReviews.move(from, to).then(() => resolve());
               }
             });
           });
@@ -42,6 +42,12 @@ const {
 const { fetchPfp, determinePfpFilepath } = require("../utils/files/pfp");
 const { exportChatsAsType } = require("../utils/helpers/chat/convertTo");
 const { EventLogs } = require("../models/eventLogs");
+const { AuditLog } = require("../models/auditLogs");
+const {
+  verifyAuditLog,
+  exportAuditLog,
+  retentionDays,
+} = require("../utils/auditLog");
 const { CollectorApi } = require("../utils/collectorApi");
 const {
   recoverAccount,
@@ -895,30 +901,71 @@ function systemEndpoints(app) {
     }
   });
 
-  app.post("/system/generate-api-key", [requireAdmin], async (_, response) => {
-    try {
-      if (response.locals.multiUserMode) {
-        return response.sendStatus(401).end();
+  app.post(
+    "/system/generate-api-key",
+    [requireAdmin],
+    async (request, response) => {
+      try {
+        if (response.locals.multiUserMode) {
+          return response.sendStatus(401).end();
+        }
+
+        const { name, scopes, expiresAt, ipAllowlist } = reqBody(request);
+        const { apiKey, error } = await ApiKey.create(null, {
+          name,
+          scopes,
+          expiresAt,
+          ipAllowlist,
+        });
+        if (apiKey)
+          await EventLogs.logEvent(
+            "api_key_created",
+            { apiKeyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes },
+            response?.locals?.user?.id || null
+          );
+        return response.status(apiKey ? 200 : 400).json({
+          apiKey,
+          error,
+        });
+      } catch (error) {
+        console.error(error);
+        response.status(500).json({
+          apiKey: null,
+          error: "Error generating api key.",
+        });
       }
+    }
+  );
 
-      const { apiKey, error } = await ApiKey.create();
-      await EventLogs.logEvent(
-        "api_key_created",
-        {},
-        response?.locals?.user?.id || null
-      );
-      return response.status(200).json({
-        apiKey,
-        error,
-      });
-    } catch (error) {
-      console.error(error);
-      response.status(500).json({
-        apiKey: null,
-        error: "Error generating api key.",
-      });
+  app.post(
+    "/system/api-key/:id",
+    [validatedRequest],
+    async (request, response) => {
+      try {
+        if (response.locals.multiUserMode)
+          return response.sendStatus(401).end();
+        const { id } = request.params;
+        if (!id || isNaN(Number(id))) return response.sendStatus(400).end();
+        if (!(await ApiKey.get({ id: Number(id) })))
+          return response.sendStatus(404).end();
+
+        const { apiKey, error } = await ApiKey.update(
+          Number(id),
+          reqBody(request)
+        );
+        if (apiKey)
+          await EventLogs.logEvent(
+            "api_key_updated",
+            { apiKeyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes },
+            response?.locals?.user?.id
+          );
+        return response.status(apiKey ? 200 : 400).json({ apiKey, error });
+      } catch (error) {
+        console.error(error);
+        response.status(500).end();
+      }
     }
-  });
+  );
 
   // TODO: This endpoint is replicated in the admin endpoints file.
   // and should be consolidated to be a single endpoint with flexible role protection.
@@ -935,7 +982,7 @@ function systemEndpoints(app) {
         await ApiKey.delete({ id: Number(id) });
         await EventLogs.logEvent(
           "api_key_deleted",
-          { deletedBy: response.locals?.user?.username },
+          { deletedBy: response.locals?.user?.username, apiKeyId: Number(id) },
           response?.locals?.user?.id
         );
         return response.status(200).end();
@@ -1007,6 +1054,94 @@ function systemEndpoints(app) {
     }
   );
 
+  app.get(
+    "/system/audit-logs/verify",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        const result = await verifyAuditLog();
+        await EventLogs.logEvent(
+          "audit_log_verified",
+          { valid: result.valid, entries: result.entries, error: result.error },
+          response.locals.user?.id
+        );
+        response.status(200).json(result);
+      } catch (e) {
+        console.error(e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/system/audit-logs/export",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (request, response) => {
+      try {
+        const {
+          format = "jsonl",
+          from = null,
+          to = null,
+          events = "",
+          includeArchived = "false",
+        } = request.query;
+        if (!["jsonl", "csv"].includes(format))
+          return response
+            .status(400)
+            .json({ error: "format must be jsonl or csv" });
+        if ([from, to].some((date) => date && isNaN(new Date(date))))
+          return response
+            .status(400)
+            .json({ error: "from and to must be valid dates" });
+
+        const filters = {
+          from,
+          to,
+          events: String(events).split(",").filter(Boolean),
+        };
+        await EventLogs.logEvent(
+          "audit_log_exported",
+          { format, ...filters, includeArchived: includeArchived === "true" },
+          response.locals.user?.id
+        );
+        response.setHeader(
+          "Content-Type",
+          format === "csv" ? "text/csv" : "application/jsonl"
+        );
+        response.setHeader(
+          "Content-Disposition",
+          `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.${format}"`
+        );
+        await exportAuditLog(response, {
+          format,
+          filters,
+          includeArchived: includeArchived === "true",
+        });
+        response.end();
+      } catch (e) {
+        console.error(e);
+        if (response.headersSent) return response.end();
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
+  app.get(
+    "/system/audit-logs/archives",
+    [validatedRequest, flexUserRoleValid([ROLES.admin])],
+    async (_, response) => {
+      try {
+        response.status(200).json({
+          archives: await AuditLog.archives(),
+          retentionDays: retentionDays(),
+        });
+      } catch (e) {
+        console.error(e);
+        response.sendStatus(500).end();
+      }
+    }
+  );
+
   app.post(
     "/system/workspace-chats",
     [
@@ -34,6 +34,15 @@ const { getTTSProvider } = require("../utils/TextToSpeech");
 const { WorkspaceThread } = require("../models/workspaceThread");
 const truncate = require("truncate");
 const { purgeDocument } = require("../utils/files/purgeDocument");
+const {
+  isOriginalHash,
+  parseByteRange,
+  openOriginal,
+} = require("../utils/files/originals");
+const {
+  userCanAccessDocument,
+  logDocumentAccess,
+} = require("../utils/documentAccess");
 const { getModelTag } = require("./utils");
 
 function workspaceEndpoints(app) {
@@ -632,6 +641,84 @@ function workspaceEndpoints(app) {
     }
   );
 
+  app.get(
+    "/workspace/:slug/original/:sha256",
+    [validatedRequest, flexUserRoleValid([ROLES.all]), validWorkspaceSlug],
+    async function (request, response) {
+      try {
+        const { sha256 } = request.params;
+        const workspace = response.locals.workspace;
+        const user = await userFromSession(request, response);
+
+        // Only originals of documents in this workspace the user may read are served.
+        const document = isOriginalHash(sha256)
+          ? (await Document.forWorkspace(workspace.id))
+              .map((doc) => safeJsonParse(doc.metadata, {}))
+              .find(
+                (metadata) =>
+                  metadata?.original?.sha256 === sha256 &&
+                  userCanAccessDocument(metadata, user)
+              )
+          : null;
+        const original = document?.original ?? null;
+        if (!original) {
+          response.status(404).json({ message: "Original not found." });
+          return;
+        }
+
+        const range = parseByteRange(request.header("Range"), original.size);
+        if (range === false) {
+          response.writeHead(416, {
+            "Content-Range": `bytes */${original.size}`,
+          });
+          response.end();
+          return;
+        }
+
+        const stream = openOriginal(original, range ?? {});
+        if (!stream) {
+          response.status(404).json({ message: "Original not found." });
+          return;
+        }
+        // Viewers fetch large files in many ranges - only the first one is an access.
+        if (!range || range.start === 0)
+          await logDocumentAccess([document], {
+            user,
+            workspace,
+            via: "original",
+          });
+
+        // Uploaded files are served from our origin, so only PDFs and raster images are shown inline.
+        const viewable =
+          original.mime === "application/pdf" ||
+          (original.mime?.startsWith("image/") &&
+            original.mime !== "image/svg+xml");
+        response.writeHead(range ? 206 : 200, {
+          "Content-Type": original.mime || "application/octet-stream",
+          "Content-Length": range ? range.end - range.start + 1 : original.size,
+          "Content-Disposition": `${viewable ? "inline" : "attachment"}; filename*=UTF-8''${encodeURIComponent(original.filename)}`,
+          "Content-Security-Policy": "sandbox",
+          "X-Content-Type-Options": "nosniff",
+          "Cache-Control": "private, no-store",
+          "Accept-Ranges": "bytes",
+          ...(range
+            ? {
+                "Content-Range": `bytes ${range.start}-${range.end}/${original.size}`,
+              }
+            : {}),
+        });
+        stream.on("error", (error) => {
+          console.error("Error streaming original:", error.message);
+          response.destroy(error);
+        });
+        stream.pipe(response);
+      } catch (error) {
+        console.error("Error processing the original request:", error);
+        response.status(500).json({ message: "Internal server error" });
+      }
+    }
+  );
+
   app.get(
     "/workspace/:slug/pfp",
     [validatedRequest, flexUserRoleValid([ROLES.all])],
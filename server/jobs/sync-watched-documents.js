@@ -5,6 +5,7 @@ const { fileData } = require("../utils/files");
 const { log, conclude, updateSourceDocument } = require('./helpers/index.js');
 const { getVectorDbClass } = require('../utils/helpers/index.js');
 const { DocumentSyncRun } = require('../models/documentSyncRun.js');
+const { withFilterableMetadata } = require('../utils/vectorStore/metadataFilters');
 
 (async () => {
   try {
@@ -93,7 +94,7 @@ const { DocumentSyncRun } = require('../models/documentSyncRun.js');
       await vectorDatabase.deleteDocumentFromNamespace(workspace.slug, document.docId);
       await vectorDatabase.addDocumentToNamespace(
         workspace.slug,
-        { ...currentDocumentData, pageContent: newContent, docId: document.docId },
+        withFilterableMetadata({ ...currentDocumentData, pageContent: newContent, docId: document.docId }),
         document.docpath,
         true
       );
@@ -126,7 +127,7 @@ const { DocumentSyncRun } = require('../models/documentSyncRun.js');
           await vectorDatabase.deleteDocumentFromNamespace(additionalWorkspace.slug, additionalDocumentRef.docId);
           await vectorDatabase.addDocumentToNamespace(
             additionalWorkspace.slug,
-            { ...currentDocumentData, pageContent: newContent, docId: additionalDocumentRef.docId },
+            withFilterableMetadata({ ...currentDocumentData, pageContent: newContent, docId: additionalDocumentRef.docId }),
             additionalDocumentRef.docpath,
           );
           log(`Workspace "${additionalWorkspace.name}" vectors for ${source} was also updated with the new content from cache.`)
@@ -1,34 +1,352 @@
+const crypto = require("crypto");
+const net = require("net");
 const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+/**
+ * @typedef {Object} ApiKeyRecord
+ * @property {number} id
+ * @property {string|null} name - label shown in the API keys settings
+ * @property {string|null} prefix - first segment of the secret so a key can be recognized
+ * @property {string[]} scopes - see ApiKey.scopes, plus `workspaces:<slug>` entries
+ * @property {string[]} ipAllowlist - addresses or CIDR ranges the key may be used from, empty for any
+ * @property {Date|null} expiresAt
+ * @property {Date|null} lastUsedAt
+ * @property {number} usageCount
+ * @property {number|null} createdBy
+ * @property {Date} createdAt
+ * @property {Date} lastUpdatedAt
+ */
 
 const ApiKey = {
   tablename: "api_keys",
-  writable: [],
+  writable: ["name", "scopes", "expiresAt", "ipAllowlist"],
+
+  /**
+   * Scopes a key can be granted. A key can also be limited to single
+   * workspaces with `workspaces:<slug>` scopes.
+   */
+  scopes: {
+    admin: "admin",
+    documents: "documents",
+    workspaces: "workspaces",
+    chat: "chat",
+  },
+  workspaceScopePrefix: "workspaces:",
 
   makeSecret: () => {
     const uuidAPIKey = require("uuid-apikey");
     return uuidAPIKey.create().apiKey;
   },
 
-  create: async function (createdByUserId = null) {
+  /**
+   * Whether a bearer token has the format of an API key secret - so requests
+   * authenticated with JWTs do not need a lookup.
+   * @param {string} token
+   * @returns {boolean}
+   */
+  isSecretFormat: function (token = "") {
+    const uuidAPIKey = require("uuid-apikey");
     try {
+      return uuidAPIKey.isAPIKey(String(token));
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Secrets are only stored as their sha256 - the secret itself is shown once on creation.
+   * @param {string} secret
+   * @returns {string}
+   */
+  hashSecret: function (secret = "") {
+    return crypto.createHash("sha256").update(String(secret)).digest("hex");
+  },
+
+  /**
+   * Validates a list of scopes for a key.
+   * @param {string[]} scopes
+   * @returns {{scopes: string[], error: string|null}}
+   */
+  validateScopes: function (scopes = []) {
+    if (!Array.isArray(scopes) || scopes.length === 0)
+      return { scopes: [], error: "At least one scope is required." };
+
+    const validated = new Set();
+    for (const scope of scopes) {
+      const value = String(scope).trim();
+      if (Object.values(this.scopes).includes(value)) {
+        validated.add(value);
+        continue;
+      }
+
+      if (
+        value.startsWith(this.workspaceScopePrefix) &&
+        /^[a-z0-9_-]+$/.test(value.slice(this.workspaceScopePrefix.length))
+      ) {
+        validated.add(value);
+        continue;
+      }
+      return { scopes: [], error: `Invalid scope: ${value}.` };
+    }
+    return { scopes: [...validated], error: null };
+  },
+
+  /**
+   * Validates an IP allowlist of single addresses or CIDR ranges.
+   * @param {string[]|null} ipAllowlist
+   * @returns {{ipAllowlist: string[], error: string|null}}
+   */
+  validateIpAllowlist: function (ipAllowlist = []) {
+    if (!ipAllowlist) return { ipAllowlist: [], error: null };
+    if (!Array.isArray(ipAllowlist))
+      return { ipAllowlist: [], error: "IP allowlist must be a list." };
+
+    const validated = new Set();
+    for (const entry of ipAllowlist) {
+      const value = String(entry).trim();
+      if (!value) continue;
+      const [address, prefix, ...rest] = value.split("/");
+      const family = net.isIP(address);
+      const maxPrefix = family === 6 ? 128 : 32;
+      const validPrefix =
+        prefix === undefined ||
+        (/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix);
+      if (!family || !validPrefix || rest.length > 0)
+        return {
+          ipAllowlist: [],
+          error: `Invalid IP address or range: ${value}.`,
+        };
+      validated.add(value);
+    }
+    return { ipAllowlist: [...validated], error: null };
+  },
+
+  /**
+   * Whether an address is in an IP allowlist. An empty allowlist allows every address.
+   * @param {string[]} ipAllowlist
+   * @param {string} ip
+   * @returns {boolean}
+   */
+  ipAllowed: function (ipAllowlist = [], ip = "") {
+    if (!ipAllowlist.length) return true;
+    // IPv4 clients on a dual-stack socket are reported as IPv4-mapped IPv6 addresses.
+    const address = String(ip).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, "");
+    const family = net.isIP(address);
+    if (!family) return false;
+
+    const blockList = new net.BlockList();
+    for (const entry of ipAllowlist) {
+      const [range, prefix] = entry.split("/");
+      const type = net.isIP(range) === 6 ? "ipv6" : "ipv4";
+      if (prefix === undefined) blockList.addAddress(range, type);
+      else blockList.addSubnet(range, Number(prefix), type);
+    }
+    return blockList.check(address, family === 6 ? "ipv6" : "ipv4");
+  },
+
+  /**
+   * Validates the writable fields of a key.
+   * @param {Object} updates - any of ApiKey.writable
+   * @returns {{data: Object, error: string|null}}
+   */
+  validateFields: function (updates = {}) {
+    const data = {};
+    for (const [key, value] of Object.entries(updates)) {
+      if (!this.writable.includes(key)) continue;
+
+      switch (key) {
+        case "name": {
+          const name = String(value ?? "").trim();
+          if (!name) return { data: {}, error: "A name is required." };
+          data.name = name.slice(0, 255);
+          break;
+        }
+        case "scopes": {
+          const { scopes, error } = this.validateScopes(value);
+          if (error) return { data: {}, error };
+          data.scopes = JSON.stringify(scopes);
+          break;
+        }
+        case "expiresAt": {
+          if (!value) {
+            data.expiresAt = null;
+            break;
+          }
+          const expiresAt = new Date(value);
+          if (isNaN(expiresAt.getTime()) || expiresAt <= new Date())
+            return {
+              data: {},
+              error: "Expiry must be a date in the future.",
+            };
+          data.expiresAt = expiresAt;
+          break;
+        }
+        case "ipAllowlist": {
+          const { ipAllowlist, error } = this.validateIpAllowlist(value);
+          if (error) return { data: {}, error };
+          data.ipAllowlist = ipAllowlist.length
+            ? JSON.stringify(ipAllowlist)
+            : null;
+          break;
+        }
+      }
+    }
+    return { data, error: null };
+  },
+
+  /**
+   * Parses the JSON columns of a key and drops its secret hash.
+   * @param {import("@prisma/client").api_keys|null} apiKey
+   * @returns {ApiKeyRecord|null}
+   */
+  filterFields: function (apiKey = null) {
+    if (!apiKey) return null;
+    const { secret: _secret, secretHash: _secretHash, ...fields } = apiKey;
+    return {
+      ...fields,
+      scopes: safeJsonParse(apiKey.scopes, []),
+      ipAllowlist: safeJsonParse(apiKey.ipAllowlist, []),
+    };
+  },
+
+  /**
+   * Creates a new key. The secret is only returned here - it is stored hashed.
+   * @param {number|null} createdByUserId
+   * @param {{name: string, scopes: string[], expiresAt?: string|null, ipAllowlist?: string[]}} fields
+   * @returns {Promise<{apiKey: (ApiKeyRecord & {secret: string})|null, error: string|null}>}
+   */
+  create: async function (createdByUserId = null, fields = {}) {
+    try {
+      const { data, error } = this.validateFields({
+        name: fields.name,
+        scopes: fields.scopes,
+        expiresAt: fields.expiresAt ?? null,
+        ipAllowlist: fields.ipAllowlist ?? [],
+      });
+      if (error) return { apiKey: null, error };
+
+      const secret = this.makeSecret();
       const apiKey = await prisma.api_keys.create({
         data: {
-          secret: this.makeSecret(),
+          ...data,
+          secretHash: this.hashSecret(secret),
+          prefix: secret.split("-")[0],
           createdBy: createdByUserId,
         },
       });
 
-      return { apiKey, error: null };
+      return { apiKey: { ...this.filterFields(apiKey), secret }, error: null };
     } catch (error) {
       console.error("FAILED TO CREATE API KEY.", error.message);
       return { apiKey: null, error: error.message };
     }
   },
 
+  /**
+   * Updates the name, scopes, expiry or IP allowlist of a key.
+   * @param {number} id
+   * @param {Object} updates - any of ApiKey.writable
+   * @returns {Promise<{apiKey: ApiKeyRecord|null, error: string|null}>}
+   */
+  update: async function (id, updates = {}) {
+    try {
+      const { data, error } = this.validateFields(updates);
+      if (error) return { apiKey: null, error };
+      if (Object.keys(data).length === 0)
+        return { apiKey: null, error: "No valid fields to update." };
+
+      const apiKey = await prisma.api_keys.update({
+        where: { id: Number(id) },
+        data: { ...data, lastUpdatedAt: new Date() },
+      });
+      return { apiKey: this.filterFields(apiKey), error: null };
+    } catch (error) {
+      console.error("FAILED TO UPDATE API KEY.", error.message);
+      return { apiKey: null, error: error.message };
+    }
+  },
+
+  /**
+   * Finds the key of a secret.
+   * @param {string} secret
+   * @returns {Promise<ApiKeyRecord|null>}
+   */
+  getBySecret: async function (secret = "") {
+    if (!this.isSecretFormat(secret)) return null;
+    return await this.get({ secretHash: this.hashSecret(secret) });
+  },
+
+  /**
+   * Resolves the key of a secret when it may be used right now from the given address.
+   * @param {string} secret
+   * @param {string} ip - address of the client
+   * @returns {Promise<{apiKey: ApiKeyRecord|null, error: string|null}>}
+   */
+  validate: async function (secret = "", ip = "") {
+    const apiKey = await this.getBySecret(secret);
+    if (!apiKey) return { apiKey: null, error: "Invalid or expired token" };
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date())
+      return { apiKey: null, error: "API key has expired" };
+    if (!this.ipAllowed(apiKey.ipAllowlist, ip))
+      return {
+        apiKey: null,
+        error: "API key cannot be used from this IP address",
+      };
+    return { apiKey, error: null };
+  },
+
+  /**
+   * Records a use of a key.
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  recordUsage: async function (id) {
+    try {
+      await prisma.api_keys.update({
+        where: { id: Number(id) },
+        data: { lastUsedAt: new Date(), usageCount: { increment: 1 } },
+      });
+    } catch (error) {
+      console.error("FAILED TO RECORD API KEY USAGE.", error.message);
+    }
+  },
+
+  /**
+   * Keys created before secrets were hashed still hold their secret in
+   * plaintext - hash them so they keep working without storing the secret.
+   * @returns {Promise<number>} number of keys hashed
+   */
+  hashLegacySecrets: async function () {
+    try {
+      const legacyKeys = await prisma.api_keys.findMany({
+        where: { secret: { not: null } },
+      });
+      for (const apiKey of legacyKeys) {
+        await prisma.api_keys.update({
+          where: { id: apiKey.id },
+          data: {
+            secret: null,
+            secretHash: this.hashSecret(apiKey.secret),
+            prefix: apiKey.secret.split("-")[0],
+          },
+        });
+      }
+      if (legacyKeys.length)
+        console.log(
+          `\x1b[34m[API Keys]\x1b[0m Hashed the secrets of ${legacyKeys.length} API key(s).`
+        );
+      return legacyKeys.length;
+    } catch (error) {
+      console.error("FAILED TO HASH LEGACY API KEYS.", error.message);
+      return 0;
+    }
+  },
+
   get: async function (clause = {}) {
     try {
       const apiKey = await prisma.api_keys.findFirst({ where: clause });
-      return apiKey;
+      return this.filterFields(apiKey);
     } catch (error) {
       console.error("FAILED TO GET API KEY.", error.message);
       return null;
@@ -61,7 +379,7 @@ const ApiKey = {
         where: clause,
         take: limit,
       });
-      return apiKeys;
+      return apiKeys.map((apiKey) => this.filterFields(apiKey));
     } catch (error) {
       console.error("FAILED TO GET API KEYS.", error.message);
       return [];
@@ -0,0 +1,275 @@
+const crypto = require("crypto");
+const prisma = require("../utils/prisma");
+
+/**
+ * @typedef {Object} AuditLogEntry
+ * @property {number} id
+ * @property {string} event
+ * @property {string|null} metadata - JSON string
+ * @property {number|null} userId - local user id
+ * @property {Date|string} occurredAt
+ * @property {string} prevHash - hash of the previous entry (GENESIS_HASH for the first one)
+ * @property {string} hash - sha256 of this entry chained to prevHash
+ */
+
+/**
+ * @typedef {Object} AuditLogFilters
+ * @property {Date|string|null} [from] - inclusive
+ * @property {Date|string|null} [to] - inclusive
+ * @property {string[]} [events]
+ * @property {number|null} [userId]
+ */
+
+const GENESIS_HASH = "0".repeat(64);
+const APPEND_ATTEMPTS = 3;
+
+// Appends are chained to the latest entry so they have to run one at a time.
+// The unique prevHash also rejects a second writer (e.g. a background worker)
+// racing for the same link, in which case the append is retried.
+let appendQueue = Promise.resolve();
+
+function forwardToSinks(entry) {
+  try {
+    require("../utils/auditLog/sinks").forwardToSinks(entry);
+  } catch (error) {
+    console.error(`\x1b[31m[Audit Log Sinks Failed]\x1b[0m`, error.message);
+  }
+}
+
+/**
+ * Tamper-evident audit trail. Every entry stores the hash of the entry before
+ * it, so changing or removing an entry breaks the chain from that point on.
+ * The table is append-only (enforced by triggers) except for entries moved to
+ * an archive by the retention policy - see utils/auditLog.
+ */
+const AuditLog = {
+  GENESIS_HASH,
+
+  /**
+   * Hash of an entry chained to the hash of the entry before it.
+   * @param {string} prevHash
+   * @param {{event: string, metadata: string|null, userId: number|null, occurredAt: Date|string}} entry
+   * @returns {string}
+   */
+  hashEntry: function (prevHash, { event, metadata, userId, occurredAt }) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify([
+          prevHash,
+          event,
+          metadata ?? null,
+          userId ?? null,
+          new Date(occurredAt).toISOString(),
+        ])
+      )
+      .digest("hex");
+  },
+
+  /**
+   * Appends an entry to the audit trail and forwards it to the configured sinks.
+   * Never throws - a failure is logged and returned.
+   * @param {string} event
+   * @param {Object} metadata
+   * @param {number|string|null} userId - local user id, anything else is dropped
+   * @returns {Promise<{entry: AuditLogEntry|null, message: string|null}>}
+   */
+  append: function (event, metadata = {}, userId = null) {
+    const localUserId = Number(userId);
+    const data = {
+      event,
+      metadata: metadata ? JSON.stringify(metadata) : null,
+      userId: userId && Number.isInteger(localUserId) ? localUserId : null,
+    };
+    const result = appendQueue.then(() => this._appendNow(data));
+    appendQueue = result.catch(() => null);
+    return result;
+  },
+
+  _appendNow: async function (data) {
+    for (let attempt = 1; attempt <= APPEND_ATTEMPTS; attempt++) {
+      try {
+        const latest = await this.latest();
+        const prevHash = latest?.hash ?? (await this.archivedHead());
+        const entry = { ...data, occurredAt: new Date(), prevHash };
+        const created = await prisma.audit_logs.create({
+          data: { ...entry, hash: this.hashEntry(prevHash, entry) },
+        });
+        forwardToSinks(created);
+        return { entry: created, message: null };
+      } catch (error) {
+        if (error.code === "P2002" && attempt < APPEND_ATTEMPTS) continue;
+        console.error(
+          `\x1b[31m[Audit Logging Failed]\x1b[0m - ${data.event}`,
+          error.message
+        );
+        return { entry: null, message: error.message };
+      }
+    }
+  },
+
+  /**
+   * @returns {Promise<AuditLogEntry|null>}
+   */
+  latest: async function () {
+    return await prisma.audit_logs.findFirst({ orderBy: { id: "desc" } });
+  },
+
+  /**
+   * @param {Date} date
+   * @returns {Promise<AuditLogEntry|null>} the latest entry that occurred before date
+   */
+  lastBefore: async function (date) {
+    return await prisma.audit_logs.findFirst({
+      where: { occurredAt: { lt: date } },
+      orderBy: { id: "desc" },
+    });
+  },
+
+  /**
+   * Hash the first entry still in the table has to chain to - the last archived
+   * entry, or GENESIS_HASH when nothing was archived yet.
+   * @returns {Promise<string>}
+   */
+  archivedHead: async function () {
+    const archive = await prisma.audit_log_archives.findFirst({
+      orderBy: { toId: "desc" },
+    });
+    return archive?.lastHash ?? GENESIS_HASH;
+  },
+
+  /**
+   * Prisma where clause for export filters.
+   * @param {AuditLogFilters} filters
+   * @returns {Object}
+   */
+  filterClause: function ({
+    from = null,
+    to = null,
+    events = [],
+    userId = null,
+  }) {
+    const clause = {};
+    if (from || to)
+      clause.occurredAt = {
+        ...(from ? { gte: new Date(from) } : {}),
+        ...(to ? { lte: new Date(to) } : {}),
+      };
+    if (events?.length) clause.event = { in: events };
+    if (userId) clause.userId = Number(userId);
+    return clause;
+  },
+
+  /**
+   * Whether an entry (e.g. read back from an archive) matches export filters.
+   * @param {AuditLogEntry} entry
+   * @param {AuditLogFilters} filters
+   * @returns {boolean}
+   */
+  matchesFilters: function (
+    entry,
+    { from = null, to = null, events = [], userId = null }
+  ) {
+    const occurredAt = new Date(entry.occurredAt);
+    if (from && occurredAt < new Date(from)) return false;
+    if (to && occurredAt > new Date(to)) return false;
+    if (events?.length && !events.includes(entry.event)) return false;
+    if (userId && entry.userId !== Number(userId)) return false;
+    return true;
+  },
+
+  /**
+   * Iterates entries in chain order in batches so exports and verification do
+   * not load the whole trail into memory.
+   * @param {Object} clause - prisma where clause
+   * @param {number} batchSize
+   * @returns {AsyncGenerator<AuditLogEntry[]>}
+   */
+  batches: async function* (clause = {}, batchSize = 500) {
+    let cursor = 0;
+    while (true) {
+      const entries = await prisma.audit_logs.findMany({
+        where: { AND: [clause, { id: { gt: cursor } }] },
+        orderBy: { id: "asc" },
+        take: batchSize,
+      });
+      if (entries.length === 0) return;
+      yield entries;
+      cursor = entries[entries.length - 1].id;
+      if (entries.length < batchSize) return;
+    }
+  },
+
+  count: async function (clause = {}) {
+    try {
+      return await prisma.audit_logs.count({ where: clause });
+    } catch (error) {
+      console.error(error.message);
+      return 0;
+    }
+  },
+
+  /**
+   * Checks that a run of consecutive entries is chained and unmodified.
+   * @param {AuditLogEntry[]} entries - in chain order
+   * @param {string} prevHash - hash the first entry has to chain to
+   * @returns {{lastHash: string, error: {id: number, reason: string}|null}}
+   */
+  verifyEntries: function (entries = [], prevHash = GENESIS_HASH) {
+    let lastHash = prevHash;
+    for (const entry of entries) {
+      if (entry.prevHash !== lastHash)
+        return {
+          lastHash,
+          error: {
+            id: entry.id,
+            reason: "Entry does not link to the previous entry",
+          },
+        };
+      if (this.hashEntry(entry.prevHash, entry) !== entry.hash)
+        return {
+          lastHash,
+          error: {
+            id: entry.id,
+            reason: "Entry hash does not match its content",
+          },
+        };
+      lastHash = entry.hash;
+    }
+    return { lastHash, error: null };
+  },
+
+  /**
+   * Archives in chain order.
+   * @returns {Promise<Object[]>}
+   */
+  archives: async function () {
+    try {
+      return await prisma.audit_log_archives.findMany({
+        orderBy: { toId: "asc" },
+      });
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  /**
+   * Records an archive and removes the entries it covers from the table.
+   * The delete trigger only lets archived entries go, so the archive has to be
+   * recorded first.
+   * @param {{filename: string, fromId: number, toId: number, count: number, firstHash: string, lastHash: string, sha256: string}} archive
+   * @returns {Promise<Object>} the archive record
+   */
+  recordArchive: async function (archive) {
+    const [record] = await prisma.$transaction([
+      prisma.audit_log_archives.create({ data: archive }),
+      prisma.audit_logs.deleteMany({
+        where: { id: { gte: archive.fromId, lte: archive.toId } },
+      }),
+    ]);
+    return record;
+  },
+};
+
+module.exports = { AuditLog };
@@ -0,0 +1,242 @@
+const { v4: uuidv4 } = require("uuid");
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+/**
+ * @typedef {Object} IngestionStage
+ * @property {string} status - one of DocumentIngestionJobs.stageStatuses
+ * @property {string|null} error
+ * @property {string|null} startedAt
+ * @property {string|null} completedAt
+ */
+
+/**
+ * @typedef {Object} DocumentIngestionJob
+ * @property {number} id
+ * @property {string} uuid - public job id
+ * @property {string} filename - the uploaded file in the collector hotdir
+ * @property {string} status - one of DocumentIngestionJobs.statuses
+ * @property {number} progress - 0-100
+ * @property {{collect: IngestionStage, ocr: IngestionStage, merge: IngestionStage, embed: IngestionStage & {workspaces: Object<string, IngestionStage>}}} stages
+ * @property {{addToWorkspaces?: string, externalOCRFields?: Array|string|null, user_corrected?: string|null, acl?: Object|null}} options
+ * @property {{documents: Object[]}|null} result
+ * @property {string|null} error
+ * @property {string|null} callbackUrl - webhook notified when the job finishes
+ * @property {string|null} webhookStatus - "pending" until the webhook delivery settles, then "delivered" or why it failed
+ * @property {number|null} userId
+ * @property {Date} createdAt
+ * @property {Date} lastUpdatedAt
+ * @property {Date|null} completedAt
+ */
+
+const DocumentIngestionJobs = {
+  statuses: {
+    queued: "queued",
+    running: "running",
+    completed: "completed",
+    completedWithErrors: "completed_with_errors",
+    failed: "failed",
+  },
+
+  stageStatuses: {
+    pending: "pending",
+    running: "running",
+    completed: "completed",
+    failed: "failed",
+    skipped: "skipped",
+  },
+
+  // Other than these, webhookStatus holds the reason the last delivery failed.
+  webhookStatuses: {
+    pending: "pending",
+    delivered: "delivered",
+  },
+
+  /**
+   * Stages a new job goes through. OCR and merge only run when external OCR
+   * fields or a correction were sent, embed has one entry per workspace slug.
+   * @param {{addToWorkspaces?: string, externalOCRFields?: Array|string|null, user_corrected?: string|null}} options
+   * @returns {Object}
+   */
+  initialStages: function ({
+    addToWorkspaces = "",
+    externalOCRFields = null,
+    user_corrected = null,
+  }) {
+    const stage = (status = this.stageStatuses.pending) => ({
+      status,
+      error: null,
+      startedAt: null,
+      completedAt: null,
+    });
+    const hasOcr = !!externalOCRFields || typeof user_corrected === "string";
+    const slugs = this.workspaceSlugs(addToWorkspaces);
+    return {
+      collect: stage(),
+      ocr: stage(hasOcr ? undefined : this.stageStatuses.skipped),
+      merge: stage(hasOcr ? undefined : this.stageStatuses.skipped),
+      embed: {
+        ...stage(slugs.length ? undefined : this.stageStatuses.skipped),
+        workspaces: Object.fromEntries(slugs.map((slug) => [slug, stage()])),
+      },
+    };
+  },
+
+  workspaceSlugs: function (addToWorkspaces = "") {
+    return String(addToWorkspaces || "")
+      .split(",")
+      .map((slug) => slug.trim().toLowerCase())
+      .filter(Boolean);
+  },
+
+  /**
+   * Percentage of finished work. Collect, OCR and merge count as one unit each
+   * and every workspace embed as one more.
+   * @param {Object} stages
+   * @returns {number}
+   */
+  progressOf: function (stages = {}) {
+    const finished = [
+      this.stageStatuses.completed,
+      this.stageStatuses.failed,
+      this.stageStatuses.skipped,
+    ];
+    const units = [
+      stages.collect,
+      stages.ocr,
+      stages.merge,
+      ...Object.values(stages.embed?.workspaces ?? {}),
+    ].filter(Boolean);
+    if (units.length === 0) return 0;
+    const done = units.filter((unit) => finished.includes(unit.status));
+    return Math.round((done.length / units.length) * 100);
+  },
+
+  /**
+   * @param {Object} params
+   * @param {string} params.filename - the uploaded file in the collector hotdir
+   * @param {{addToWorkspaces?: string, externalOCRFields?: Array|string|null, user_corrected?: string|null}} [params.options]
+   * @param {string|null} [params.callbackUrl]
+   * @param {number|null} [params.userId]
+   * @returns {Promise<DocumentIngestionJob|null>}
+   */
+  create: async function ({
+    filename,
+    options = {},
+    callbackUrl = null,
+    userId = null,
+  }) {
+    try {
+      const job = await prisma.document_ingestion_jobs.create({
+        data: {
+          uuid: uuidv4(),
+          filename: String(filename),
+          stages: JSON.stringify(this.initialStages(options)),
+          options: JSON.stringify(options),
+          callbackUrl: callbackUrl ? String(callbackUrl) : null,
+          userId: userId ? Number(userId) : null,
+        },
+      });
+      return this._parse(job);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Updates a job. Objects (stages, result) are serialized and progress is
+   * recomputed whenever stages change.
+   * @param {number} id
+   * @param {Object} updates
+   * @returns {Promise<DocumentIngestionJob|null>}
+   */
+  update: async function (id, updates = {}) {
+    try {
+      const data = { ...updates, lastUpdatedAt: new Date() };
+      if (updates.stages) {
+        data.stages = JSON.stringify(updates.stages);
+        data.progress = this.progressOf(updates.stages);
+      }
+      if (updates.result !== undefined)
+        data.result = JSON.stringify(updates.result);
+
+      const job = await prisma.document_ingestion_jobs.update({
+        where: { id: Number(id) },
+        data,
+      });
+      return this._parse(job);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const job = await prisma.document_ingestion_jobs.findFirst({
+        where: clause,
+      });
+      return job ? this._parse(job) : null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      const results = await prisma.document_ingestion_jobs.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+      return results.map((job) => this._parse(job));
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.document_ingestion_jobs.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  /**
+   * The public view of a job returned by the API and sent to webhooks.
+   * @param {DocumentIngestionJob} job
+   * @returns {Object}
+   */
+  toResponse: function (job) {
+    return {
+      id: job.uuid,
+      filename: job.filename,
+      status: job.status,
+      progress: job.progress,
+      stages: job.stages,
+      documents: job.result?.documents ?? [],
+      error: job.error,
+      webhookStatus: job.webhookStatus,
+      createdAt: job.createdAt,
+      lastUpdatedAt: job.lastUpdatedAt,
+      completedAt: job.completedAt,
+    };
+  },
+
+  _parse: function (job) {
+    return {
+      ...job,
+      stages: safeJsonParse(job.stages, {}),
+      options: safeJsonParse(job.options, {}),
+      result: safeJsonParse(job.result, null),
+    };
+  },
+};
+
+module.exports = { DocumentIngestionJobs };
@@ -0,0 +1,109 @@
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+/**
+ * @typedef {Object} DocumentOcrReview
+ * @property {number} id
+ * @property {string} location - Document location in /documents (folder/name.json)
+ * @property {string} docName - The unique document name (name in /documents)
+ * @property {string|null} title
+ * @property {Array<{index: number, fieldKey: string, fieldValue: any, fieldType: string, confidence: number}>} fields - Unreviewed OCR fields with a confidence below 1
+ * @property {number} minConfidence - Lowest confidence of those fields
+ * @property {Date} lastUpdatedAt
+ */
+
+/**
+ * Index of the OCR fields still waiting for review, kept up to date whenever
+ * the OCR of a document is written so the review queue does not have to read
+ * every document in storage. Documents without such fields have no row.
+ */
+const DocumentOcrReviews = {
+  /**
+   * Stores the unreviewed fields of a document, or removes it from the index
+   * when there are none left.
+   * @param {string} location
+   * @param {{docName: string, title?: string|null, fields: Array}} params
+   * @returns {Promise<boolean>}
+   */
+  index: async function (location, { docName, title = null, fields = [] }) {
+    try {
+      if (fields.length === 0) return await this.delete({ location });
+
+      const data = {
+        docName: String(docName),
+        title: title ? String(title) : null,
+        fields: JSON.stringify(fields),
+        minConfidence: Math.min(...fields.map((field) => field.confidence)),
+        lastUpdatedAt: new Date(),
+      };
+      await prisma.document_ocr_reviews.upsert({
+        where: { location },
+        update: data,
+        create: { location, ...data },
+      });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Follows a document moved to another folder.
+   * @param {string} from - previous location
+   * @param {string} to - new location
+   * @returns {Promise<boolean>}
+   */
+  move: async function (from, to) {
+    try {
+      await prisma.document_ocr_reviews.updateMany({
+        where: { location: from },
+        data: { location: to },
+      });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, offset = null) {
+    try {
+      const results = await prisma.document_ocr_reviews.findMany({
+        where: clause,
+        orderBy: { location: "asc" },
+        ...(limit !== null ? { take: limit } : {}),
+        ...(offset !== null ? { skip: offset } : {}),
+      });
+      return results.map((review) => this._parse(review));
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  count: async function (clause = {}) {
+    try {
+      return await prisma.document_ocr_reviews.count({ where: clause });
+    } catch (error) {
+      console.error(error.message);
+      return 0;
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.document_ocr_reviews.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  _parse: function (review) {
+    return { ...review, fields: safeJsonParse(review.fields, []) };
+  },
+};
+
+module.exports = { DocumentOcrReviews };
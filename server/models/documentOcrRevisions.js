@@ -0,0 +1,153 @@
+const prisma = require("../utils/prisma");
+const { safeJsonParse } = require("../utils/http");
+
+/**
+ * @typedef {Object} DocumentOcrRevision
+ * @property {number} id
+ * @property {string} docName - The unique document name (name in /documents)
+ * @property {number} revision - Incrementing revision number per document, starting at 1
+ * @property {string} source - What produced this OCR state (google, tesseract, user)
+ * @property {string|null} author - Username of whoever made the change
+ * @property {number|null} userId
+ * @property {Object} ocr - Snapshot of the document `ocr` object after the change
+ * @property {Object|null} confidence - Confidence summary of the snapshot
+ * @property {number|null} restoredFrom - Revision this one was rolled back to, if any
+ * @property {Date} createdAt
+ */
+
+const DocumentOcrRevisions = {
+  sources: {
+    google: "google",
+    tesseract: "tesseract",
+    user: "user",
+  },
+
+  /**
+   * Summarizes the OCR confidences of a snapshot. Field confidences come from
+   * external OCR providers, word confidences from the collector OCR.
+   * @param {Object} ocr - document `ocr` object
+   * @returns {{count: number, average: number, min: number, max: number}|null}
+   */
+  summarizeConfidence: function (ocr = {}) {
+    const confidences = [
+      ...(ocr?.rawFields ?? []).map((field) => field?.confidence),
+      ...(ocr?.words ?? []).map((word) => word?.confidence),
+    ]
+      .map(Number)
+      .filter((value) => !Number.isNaN(value));
+    if (confidences.length === 0) return null;
+
+    let [sum, min, max] = [0, Infinity, -Infinity];
+    for (const value of confidences) {
+      sum += value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    return {
+      count: confidences.length,
+      average: Number((sum / confidences.length).toFixed(4)),
+      min,
+      max,
+    };
+  },
+
+  /**
+   * Records the current OCR state of a document as its next revision.
+   * @param {string} docName
+   * @param {Object} params
+   * @param {Object} params.ocr - the document `ocr` object after the change
+   * @param {string} params.source - one of DocumentOcrRevisions.sources
+   * @param {{id: number, username: string}|null} [params.user]
+   * @param {number|null} [params.restoredFrom]
+   * @returns {Promise<DocumentOcrRevision|null>}
+   */
+  record: async function (
+    docName,
+    { ocr = {}, source, user = null, restoredFrom = null }
+  ) {
+    try {
+      if (!this.sources.hasOwnProperty(source))
+        throw new Error(`OCR revision source ${source} is not a valid source.`);
+
+      const latest = await this.latest(docName);
+      const revision = await prisma.document_ocr_revisions.create({
+        data: {
+          docName: String(docName),
+          revision: (latest?.revision ?? 0) + 1,
+          source,
+          author: user?.username ?? null,
+          userId: user?.id ? Number(user.id) : null,
+          ocr: JSON.stringify(ocr),
+          confidence: JSON.stringify(this.summarizeConfidence(ocr)),
+          restoredFrom: restoredFrom ? Number(restoredFrom) : null,
+        },
+      });
+      return this._parse(revision);
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  latest: async function (docName) {
+    const [revision] = await this.where({ docName: String(docName) }, 1, {
+      revision: "desc",
+    });
+    return revision ?? null;
+  },
+
+  get: async function (clause = {}) {
+    try {
+      const revision = await prisma.document_ocr_revisions.findFirst({
+        where: clause,
+      });
+      return revision ? this._parse(revision) : null;
+    } catch (error) {
+      console.error(error.message);
+      return null;
+    }
+  },
+
+  where: async function (clause = {}, limit = null, orderBy = null) {
+    try {
+      const results = await prisma.document_ocr_revisions.findMany({
+        where: clause,
+        ...(limit !== null ? { take: limit } : {}),
+        ...(orderBy !== null ? { orderBy } : {}),
+      });
+      return results.map((revision) => this._parse(revision));
+    } catch (error) {
+      console.error(error.message);
+      return [];
+    }
+  },
+
+  count: async function (clause = {}) {
+    try {
+      return await prisma.document_ocr_revisions.count({ where: clause });
+    } catch (error) {
+      console.error(error.message);
+      return 0;
+    }
+  },
+
+  delete: async function (clause = {}) {
+    try {
+      await prisma.document_ocr_revisions.deleteMany({ where: clause });
+      return true;
+    } catch (error) {
+      console.error(error.message);
+      return false;
+    }
+  },
+
+  _parse: function (revision) {
+    return {
+      ...revision,
+      ocr: safeJsonParse(revision.ocr, {}),
+      confidence: safeJsonParse(revision.confidence, null),
+    };
+  },
+};
+
+module.exports = { DocumentOcrRevisions };
@@ -5,6 +5,9 @@ const { Telemetry } = require("./telemetry");
 const { EventLogs } = require("./eventLogs");
 const { safeJsonParse } = require("../utils/http");
 const { getModelTag } = require("../endpoints/utils");
+const {
+  withFilterableMetadata,
+} = require("../utils/vectorStore/metadataFilters");
 
 const Document = {
   writable: ["pinned", "watched", "lastUpdatedAt"],
@@ -123,7 +126,7 @@ const Document = {
       try {
         const result = await VectorDb.addDocumentToNamespace(
           workspace.slug,
-          { ...data, docId },
+          withFilterableMetadata({ ...data, docId }),
           path
         );
 
@@ -282,6 +285,87 @@ const Document = {
     return { title: data.title, content: data.pageContent };
   },
 
+  /**
+   * Replaces the vectors of a document in every workspace it is embedded in with
+   * vectors of its current content. The vector cache is purged first so the first
+   * workspace re-embeds the content and the rest reuse the fresh cache.
+   * Each workspace keeps its existing docId so pins and watches are preserved.
+   * The new vectors are added under a temporary docId and only swapped in once
+   * they are stored, so a failed re-embed leaves the old vectors in place.
+   * @param {string} docPath - folder + filename of the document
+   * @param {Object} documentData - the full document object including pageContent
+   * @returns {Promise<{reembedded: string[], failed: {workspace: string, error: string}[]}>} - workspace slugs
+   */
+  reembed: async function (docPath, documentData) {
+    const VectorDb = getVectorDbClass();
+    const { purgeVectorCache } = require("../utils/files");
+    const { DocumentVectors } = require("./vectors");
+    const references = await this.where({ docpath: docPath }, null, null, {
+      workspace: true,
+    });
+
+    const reembedded = [];
+    const failed = [];
+    await purgeVectorCache(docPath);
+    for (const reference of references) {
+      const { workspace } = reference;
+      // Vectors do not store their docId - only document_vectors links them to it.
+      const pendingDocId = uuidv4();
+      const retiredDocId = uuidv4();
+      let swapped = false;
+      try {
+        const result = await VectorDb.addDocumentToNamespace(
+          workspace.slug,
+          withFilterableMetadata({ ...documentData, docId: pendingDocId }),
+          docPath
+        );
+        const vectorized = result?.vectorized ?? result === true;
+        if (!vectorized)
+          throw new Error(
+            result?.error || "Unknown error during vectorization"
+          );
+
+        if (!(await DocumentVectors.reassign(reference.docId, retiredDocId)))
+          throw new Error("Could not swap in the new vectors");
+        if (!(await DocumentVectors.reassign(pendingDocId, reference.docId))) {
+          await DocumentVectors.reassign(retiredDocId, reference.docId);
+          throw new Error("Could not swap in the new vectors");
+        }
+        swapped = true;
+        await VectorDb.deleteDocumentFromNamespace(
+          workspace.slug,
+          retiredDocId
+        );
+        await DocumentVectors.delete({ docId: retiredDocId });
+
+        const { pageContent, ...metadata } = documentData;
+        await prisma.workspace_documents.update({
+          where: { id: reference.id },
+          data: {
+            metadata: JSON.stringify(metadata),
+            lastUpdatedAt: new Date(),
+          },
+        });
+        reembedded.push(workspace.slug);
+      } catch (error) {
+        console.error(
+          `Failed to re-embed ${docPath} in workspace ${workspace.slug}:`,
+          error.message
+        );
+        if (!swapped)
+          await VectorDb.deleteDocumentFromNamespace(
+            workspace.slug,
+            pendingDocId
+          )
+            .then(() => DocumentVectors.delete({ docId: pendingDocId }))
+            .catch(() => null);
+        failed.push({ workspace: workspace.slug, error: error.message });
+      }
+    }
+
+    return { reembedded, failed };
+  },
+
   // Some data sources have encoded params in them we don't want to log - so strip those details.
   _stripSource: function (sourceString, type) {
     if (["confluence", "github"].includes(type)) {
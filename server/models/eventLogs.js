@@ -1,7 +1,16 @@
 const prisma = require("../utils/prisma");
+const { AuditLog } = require("./auditLogs");
 
 const EventLogs = {
+  /**
+   * Logs an event and appends it to the tamper-evident audit log, which keeps
+   * it even when the event logs are cleared.
+   * @param {string} event
+   * @param {Object} metadata
+   * @param {number|null} userId - local user id
+   */
   logEvent: async function (event, metadata = {}, userId = null) {
+    await AuditLog.append(event, metadata, userId);
     try {
       const eventLog = await prisma.event_logs.create({
         data: {
@@ -65,6 +65,25 @@ const DocumentVectors = {
     }
   },
 
+  /**
+   * Moves the vectors of one docId to another.
+   * @param {string} fromDocId
+   * @param {string} toDocId
+   * @returns {Promise<boolean>}
+   */
+  reassign: async function (fromDocId, toDocId) {
+    try {
+      await prisma.document_vectors.updateMany({
+        where: { docId: fromDocId },
+        data: { docId: toDocId },
+      });
+      return true;
+    } catch (error) {
+      console.error("Reassign failed", error);
+      return false;
+    }
+  },
+
   delete: async function (clause = {}) {
     try {
       await prisma.document_vectors.deleteMany({ where: clause });
@@ -6,6 +6,7 @@ const { ROLES } = require("../utils/middleware/multiUserProtected");
 const { v4: uuidv4 } = require("uuid");
 const { User } = require("./user");
 const { PromptHistory } = require("./promptHistory");
+const { FUSION_METHODS } = require("../utils/vectorStore/hybridSearch");
 
 function isNullOrNaN(value) {
   if (value === null) return true;
@@ -29,6 +30,10 @@ function isNullOrNaN(value) {
  * @property {string} agentModel - The agent model of the workspace
  * @property {string} queryRefusalResponse - The query refusal response of the workspace
  * @property {string} vectorSearchMode - The vector search mode of the workspace
+ * @property {number|null} hybridDenseWeight - The weight of the dense (semantic) leg in hybrid search, null for the instance default
+ * @property {number|null} hybridSparseWeight - The weight of the lexical (keyword) leg in hybrid search, null for the instance default
+ * @property {string|null} hybridFusionMethod - How hybrid search results are fused ("rrf" or "weighted"), null for the instance default
+ * @property {number|null} hybridCandidatePool - Candidates fetched per leg before fusion, null for the instance default
  */
 
 const Workspace = {
@@ -55,6 +60,10 @@ const Workspace = {
     "agentModel",
     "queryRefusalResponse",
     "vectorSearchMode",
+    "hybridDenseWeight",
+    "hybridSparseWeight",
+    "hybridFusionMethod",
+    "hybridCandidatePool",
   ],
 
   validations: {
@@ -124,11 +133,38 @@ const Workspace = {
       if (
         !value ||
         typeof value !== "string" ||
-        !["default", "rerank"].includes(value)
+        !["default", "rerank", "hybrid"].includes(value)
       )
         return "default";
       return value;
     },
+    // Unset hybrid settings fall back to the HYBRID_SEARCH_* environment defaults.
+    hybridDenseWeight: (value) => {
+      if (value === null || value === undefined || value === "") return null;
+      const weight = parseFloat(value);
+      if (isNullOrNaN(weight)) return null;
+      if (weight < 0) return 0;
+      return weight;
+    },
+    hybridSparseWeight: (value) => {
+      if (value === null || value === undefined || value === "") return null;
+      const weight = parseFloat(value);
+      if (isNullOrNaN(weight)) return null;
+      if (weight < 0) return 0;
+      return weight;
+    },
+    hybridFusionMethod: (value) => {
+      if (!value || !FUSION_METHODS.includes(value)) return null;
+      return value;
+    },
+    hybridCandidatePool: (value) => {
+      if (value === null || value === undefined || value === "") return null;
+      const pool = parseInt(value);
+      if (isNullOrNaN(pool)) return null;
+      if (pool < 1) return 1;
+      if (pool > 200) return 200;
+      return pool;
+    },
   },
 
   /**
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "workspaces" ADD COLUMN "hybridDenseWeight" REAL;
+ALTER TABLE "workspaces" ADD COLUMN "hybridSparseWeight" REAL;
+ALTER TABLE "workspaces" ADD COLUMN "hybridFusionMethod" TEXT;
+ALTER TABLE "workspaces" ADD COLUMN "hybridCandidatePool" INTEGER;
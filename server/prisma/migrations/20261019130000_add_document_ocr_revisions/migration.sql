@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "document_ocr_revisions" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "docName" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "source" TEXT NOT NULL,
+    "author" TEXT,
+    "userId" INTEGER,
+    "ocr" TEXT NOT NULL,
+    "confidence" TEXT,
+    "restoredFrom" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "document_ocr_revisions_docName_idx" ON "document_ocr_revisions"("docName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_ocr_revisions_docName_revision_key" ON "document_ocr_revisions"("docName", "revision");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "document_ingestion_jobs" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "uuid" TEXT NOT NULL,
+    "filename" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "stages" TEXT NOT NULL,
+    "options" TEXT,
+    "result" TEXT,
+    "error" TEXT,
+    "callbackUrl" TEXT,
+    "webhookStatus" TEXT,
+    "userId" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_ingestion_jobs_uuid_key" ON "document_ingestion_jobs"("uuid");
+
+-- CreateIndex
+CREATE INDEX "document_ingestion_jobs_status_idx" ON "document_ingestion_jobs"("status");
@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "api_keys" ADD COLUMN "name" TEXT;
+ALTER TABLE "api_keys" ADD COLUMN "secretHash" TEXT;
+ALTER TABLE "api_keys" ADD COLUMN "prefix" TEXT;
+ALTER TABLE "api_keys" ADD COLUMN "scopes" TEXT NOT NULL DEFAULT '["admin"]';
+ALTER TABLE "api_keys" ADD COLUMN "ipAllowlist" TEXT;
+ALTER TABLE "api_keys" ADD COLUMN "expiresAt" DATETIME;
+ALTER TABLE "api_keys" ADD COLUMN "lastUsedAt" DATETIME;
+ALTER TABLE "api_keys" ADD COLUMN "usageCount" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_keys_secretHash_key" ON "api_keys"("secretHash");
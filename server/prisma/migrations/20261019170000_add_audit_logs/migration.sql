@@ -0,0 +1,68 @@
+-- CreateTable
+CREATE TABLE "audit_logs" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "event" TEXT NOT NULL,
+    "metadata" TEXT,
+    "userId" INTEGER,
+    "occurredAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "prevHash" TEXT NOT NULL,
+    "hash" TEXT NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "audit_log_archives" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "filename" TEXT NOT NULL,
+    "fromId" INTEGER NOT NULL,
+    "toId" INTEGER NOT NULL,
+    "count" INTEGER NOT NULL,
+    "firstHash" TEXT NOT NULL,
+    "lastHash" TEXT NOT NULL,
+    "sha256" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_logs_prevHash_key" ON "audit_logs"("prevHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_logs_hash_key" ON "audit_logs"("hash");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_event_idx" ON "audit_logs"("event");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_occurredAt_idx" ON "audit_logs"("occurredAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_log_archives_filename_key" ON "audit_log_archives"("filename");
+
+-- Audit entries are append-only: they can never be changed and can only be
+-- deleted once an archive covers them (see AuditLog.archive).
+CREATE TRIGGER "audit_logs_no_update"
+BEFORE UPDATE ON "audit_logs"
+BEGIN
+    SELECT RAISE(ABORT, 'audit_logs entries cannot be changed');
+END;
+
+CREATE TRIGGER "audit_logs_no_unarchived_delete"
+BEFORE DELETE ON "audit_logs"
+WHEN NOT EXISTS (
+    SELECT 1 FROM "audit_log_archives"
+    WHERE OLD."id" BETWEEN "audit_log_archives"."fromId" AND "audit_log_archives"."toId"
+)
+BEGIN
+    SELECT RAISE(ABORT, 'audit_logs entries can only be deleted once archived');
+END;
+
+CREATE TRIGGER "audit_log_archives_no_update"
+BEFORE UPDATE ON "audit_log_archives"
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log_archives entries cannot be changed');
+END;
+
+CREATE TRIGGER "audit_log_archives_no_delete"
+BEFORE DELETE ON "audit_log_archives"
+BEGIN
+    SELECT RAISE(ABORT, 'audit_log_archives entries cannot be deleted');
+END;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "document_ocr_reviews" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "location" TEXT NOT NULL,
+    "docName" TEXT NOT NULL,
+    "title" TEXT,
+    "fields" TEXT NOT NULL,
+    "minConfidence" REAL NOT NULL,
+    "lastUpdatedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_ocr_reviews_location_key" ON "document_ocr_reviews"("location");
+
+-- CreateIndex
+CREATE INDEX "document_ocr_reviews_minConfidence_idx" ON "document_ocr_reviews"("minConfidence");
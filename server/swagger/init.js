@@ -18,6 +18,8 @@ const doc = {
       type: "http",
       scheme: "bearer",
       bearerFormat: "JWT",
+      description:
+        "External (Keystone) tokens must also carry the OAuth scopes listed on each endpoint. A token missing one receives 403 insufficient_scope. Developer API keys are accepted on every endpoint that lists scopes: the admin key scope grants all of them, documents grants documents:read/write, workspaces grants workspaces:read/write, chat grants chat, and workspaces:<slug> grants workspaces:read/write for one workspace and limits workspace and chat endpoints to the workspaces the key names.",
     },
   },
   security: [{ BearerAuth: [] }],
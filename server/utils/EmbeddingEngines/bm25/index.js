@@ -12,6 +12,7 @@ const chalk = require("chalk");
 const bm25 = require("wink-bm25-text-search");
 const winkNLP = require("wink-nlp");
 const model = require("wink-eng-lite-web-model");
+const { BM25Vocabulary } = require("./vocabulary");
 const nlp = winkNLP(model);
 const its = nlp.its;
 
@@ -20,9 +21,7 @@ class BM25Embedder {
   #namespace = null;
   #cacheDir = null;
   #dataPath = null;
-  #vocab = new Map(); // token -> integer id for sparse vectors
-  #nextIdx = 0;
-
+  #vocab = null; // token -> integer id for sparse vectors, shared per namespace
 
   constructor(namespace = "default") {
     this.#namespace = namespace;
@@ -32,6 +31,7 @@ class BM25Embedder {
         : path.resolve(__dirname, "../../../storage/bm25")
     );
     this.#dataPath = path.resolve(this.#cacheDir, `${namespace}.json`);
+    this.#vocab = BM25Vocabulary.forNamespace(namespace, this.#cacheDir);
 
     // Align with NativeEmbedder public API
     this.model = "bm25-lexical";
@@ -76,14 +76,11 @@ class BM25Embedder {
     return tokens;
   }
 
-  #idFor(token) {
-    if (!this.#vocab.has(token)) this.#vocab.set(token, this.#nextIdx++);
-    return this.#vocab.get(token);
-  }
-
   /**
    * Embed a single string and return a sparse vector.
    * Mirrors NativeEmbedder.embedTextInput but returns { indices, values }.
+   * This is the query path, so unknown tokens are dropped instead of being
+   * added to the vocabulary - they cannot match any stored vector anyway.
    */
   async embedTextInput(text) {
     return this.toSparseVector(text);
@@ -91,11 +88,15 @@ class BM25Embedder {
 
   /**
    * Embed an array of strings, returning aligned sparse vectors.
+   * Every token is registered in the persisted vocabulary before the vectors
+   * are built so the same stem always maps to the same index.
    * @param {string[]} textChunks
    * @returns {Array<{ indices:number[], values:number[] }>}
    */
   async embedChunks(textChunks = []) {
-    return textChunks.map((t) => this.toSparseVector(t));
+    const tokenized = textChunks.map((t) => this.#tokenizeAndStem(t));
+    await this.#vocab.register(tokenized.flat());
+    return tokenized.map((tokens) => this.#sparseFromTokens(tokens));
   }
 
   /**
@@ -123,22 +124,27 @@ class BM25Embedder {
    * Convert arbitrary text into Milvus SparseFloatVector format:
    * { indices:number[], values:number[] }
    * Uses the same stemming/stop‑word logic as the index.
+   * Tokens not yet in the vocabulary are skipped - use embedChunks to index text.
    */
   toSparseVector(text) {
-    // Tokenize & stem
-    const tokens = this.#tokenizeAndStem(text);
+    return this.#sparseFromTokens(this.#tokenizeAndStem(text));
+  }
 
+  #sparseFromTokens(tokens = []) {
     // Term Frequency table for this document
     const tf = Object.create(null);
     tokens.forEach((t) => (tf[t] = (tf[t] || 0) + 1));
 
     // Build sparse entries and sort by index (Milvus requires ascending order)
-    const entries = Object.keys(tf).map((tok) => {
-      return {
-        id: this.#idFor(tok),
-        w: tf[tok] / tokens.length, // normalised term‑frequency
-      };
-    }).sort((a, b) => a.id - b.id); // ensure ascending order
+    const entries = Object.keys(tf)
+      .map((tok) => {
+        return {
+          id: this.#vocab.idOf(tok),
+          w: tf[tok] / tokens.length, // normalised term‑frequency
+        };
+      })
+      .filter((e) => e.id !== undefined)
+      .sort((a, b) => a.id - b.id); // ensure ascending order
 
     const indices = entries.map((e) => e.id);
     const values  = entries.map((e) => e.w);
@@ -159,6 +165,7 @@ class BM25Embedder {
 
   /**
    * Reset the index.
+   * The vocabulary is intentionally kept - stored sparse vectors still reference its ids.
    */
   async reset() {
     this.#index = bm25();
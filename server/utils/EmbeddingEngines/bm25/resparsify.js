@@ -0,0 +1,45 @@
+/**
+ * Re-sparsify existing hybrid collections against the persisted BM25 vocabulary.
+ *
+ * Sparse vectors written before the vocabulary was persisted used token ids that
+ * were only valid for the lifetime of the process that created them. Run this once
+ * after upgrading (and any time a vocabulary file is lost) to rebuild every stored
+ * sparse vector from its raw chunk text.
+ *
+ * Usage: yarn bm25:resparsify [workspace-slug ...]
+ */
+process.env.NODE_ENV === "development"
+  ? require("dotenv").config({ path: `.env.${process.env.NODE_ENV}` })
+  : require("dotenv").config();
+
+const { Workspace } = require("../../../models/workspace");
+const { getVectorDbClass } = require("../../helpers");
+
+(async () => {
+  const VectorDb = getVectorDbClass();
+  if (typeof VectorDb.resparsifyNamespace !== "function") {
+    console.log(
+      `${VectorDb.name} does not store sparse vectors - nothing to migrate.`
+    );
+    process.exit(0);
+  }
+
+  const slugs = process.argv.slice(2);
+  const workspaces = await Workspace.where(
+    slugs.length > 0 ? { slug: { in: slugs } } : {}
+  );
+
+  let failed = 0;
+  for (const workspace of workspaces) {
+    try {
+      const { updated } = await VectorDb.resparsifyNamespace(workspace.slug);
+      console.log(
+        `[${workspace.slug}] Re-sparsified ${updated} vectors in ${VectorDb.name}.`
+      );
+    } catch (e) {
+      failed++;
+      console.error(`[${workspace.slug}] Failed to re-sparsify: ${e.message}`);
+    }
+  }
+  process.exit(failed > 0 ? 1 : 0);
+})();
@@ -0,0 +1,180 @@
+const path = require("path");
+const fs = require("fs");
+
+const LOCK_STALE_MS = 30_000;
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10_000;
+
+/**
+ * Durable token -> sparse index mapping for a single BM25 namespace.
+ *
+ * Sparse vectors stored in Milvus/Zilliz reference token ids, so the mapping
+ * must never change once an id has been handed out. The vocabulary is stored
+ * next to the wink index as `<namespace>.vocab.json` and is append-only.
+ *
+ * New tokens are only ever registered while holding a lock file so that the
+ * server and background job processes (which run as child processes) cannot
+ * hand out the same id to two different tokens. Lookups never grow the
+ * vocabulary, so query-time tokens do not pollute it.
+ */
+class BM25Vocabulary {
+  static #instances = new Map();
+
+  #namespace = null;
+  #dataPath = null;
+  #lockPath = null;
+  #tokens = new Map();
+  #nextId = 0;
+  #loadedMtimeMs = null;
+  #queue = Promise.resolve();
+
+  constructor(namespace = "default", cacheDir) {
+    this.#namespace = namespace;
+    this.#dataPath = path.resolve(cacheDir, `${namespace}.vocab.json`);
+    this.#lockPath = `${this.#dataPath}.lock`;
+    this.#load();
+  }
+
+  /**
+   * Returns the shared vocabulary for a namespace so that every embedder in
+   * this process sees the same ids.
+   * @param {string} namespace
+   * @param {string} cacheDir - directory holding the bm25 files
+   * @returns {BM25Vocabulary}
+   */
+  static forNamespace(namespace = "default", cacheDir) {
+    const key = path.resolve(cacheDir, namespace);
+    if (!BM25Vocabulary.#instances.has(key))
+      BM25Vocabulary.#instances.set(
+        key,
+        new BM25Vocabulary(namespace, cacheDir)
+      );
+    return BM25Vocabulary.#instances.get(key);
+  }
+
+  get size() {
+    this.#load();
+    return this.#tokens.size;
+  }
+
+  /**
+   * Get the id of a token without registering it.
+   * @param {string} token
+   * @returns {number|undefined}
+   */
+  idOf(token) {
+    this.#load();
+    return this.#tokens.get(token);
+  }
+
+  /**
+   * Register any unknown tokens and persist the vocabulary.
+   * Calls are serialized in-process and guarded by a lock file across processes.
+   * @param {Iterable<string>} tokens
+   * @returns {Promise<number>} the number of newly registered tokens
+   */
+  async register(tokens = []) {
+    const candidates = new Set(tokens);
+    const run = this.#queue.then(() => this.#registerLocked(candidates));
+    this.#queue = run.catch(() => null);
+    return run;
+  }
+
+  async #registerLocked(candidates) {
+    this.#load();
+    const missing = [...candidates].filter((t) => !this.#tokens.has(t));
+    if (missing.length === 0) return 0;
+
+    return await this.#withFileLock(() => {
+      // Another process may have written new tokens while we waited on the lock.
+      this.#load({ force: true });
+      let added = 0;
+      for (const token of missing) {
+        if (this.#tokens.has(token)) continue;
+        this.#tokens.set(token, this.#nextId++);
+        added++;
+      }
+      if (added > 0) this.#write();
+      return added;
+    });
+  }
+
+  #load({ force = false } = {}) {
+    if (!fs.existsSync(this.#dataPath)) return;
+    try {
+      const { mtimeMs } = fs.statSync(this.#dataPath);
+      if (!force && this.#loadedMtimeMs === mtimeMs) return;
+
+      const snapshot = JSON.parse(fs.readFileSync(this.#dataPath, "utf8"));
+      const tokens = new Map(Object.entries(snapshot?.tokens ?? {}));
+      let maxId = -1;
+      for (const id of tokens.values()) if (id > maxId) maxId = id;
+      this.#tokens = tokens;
+      this.#nextId = Math.max(Number(snapshot?.nextId ?? 0), maxId + 1);
+      this.#loadedMtimeMs = mtimeMs;
+    } catch (e) {
+      // Never silently start from an empty vocabulary - that would remap every token.
+      throw new Error(
+        `BM25Vocabulary: Failed to load vocabulary for '${this.#namespace}' - ${e.message}`
+      );
+    }
+  }
+
+  #write() {
+    const dir = path.dirname(this.#dataPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    const tmpPath = `${this.#dataPath}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      JSON.stringify({
+        version: 1,
+        namespace: this.#namespace,
+        nextId: this.#nextId,
+        tokens: Object.fromEntries(this.#tokens),
+      })
+    );
+    fs.renameSync(tmpPath, this.#dataPath);
+    this.#loadedMtimeMs = fs.statSync(this.#dataPath).mtimeMs;
+  }
+
+  async #withFileLock(callback) {
+    const dir = path.dirname(this.#lockPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    const startedAt = Date.now();
+    let fd = null;
+    while (fd === null) {
+      try {
+        fd = fs.openSync(this.#lockPath, "wx");
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+        this.#clearStaleLock();
+        if (Date.now() - startedAt > LOCK_TIMEOUT_MS)
+          throw new Error(
+            `BM25Vocabulary: Timed out waiting for lock on '${this.#namespace}'.`
+          );
+        await new Promise((r) => setTimeout(r, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      return callback();
+    } finally {
+      fs.closeSync(fd);
+      fs.rmSync(this.#lockPath, { force: true });
+    }
+  }
+
+  #clearStaleLock() {
+    try {
+      const { mtimeMs } = fs.statSync(this.#lockPath);
+      if (Date.now() - mtimeMs > LOCK_STALE_MS)
+        fs.rmSync(this.#lockPath, { force: true });
+    } catch {
+      // Lock was released between our open and stat calls.
+    }
+  }
+}
+
+module.exports = { BM25Vocabulary };
@@ -51,13 +51,14 @@ class HybridEmbedder {
 
   /**
    * Embed a single text input and return `{ dense, sparse }` pair.
+   * Used for queries, so the sparse side only looks up the persisted
+   * vocabulary and never grows it.
    */
   async embedTextInput(textInput) {
     this.#log("embedTextInput() called");
-    const [result] = await this.embedChunks(
-      Array.isArray(textInput) ? textInput : [textInput]
-    );
-    return result;
+    const text = Array.isArray(textInput) ? textInput[0] : textInput;
+    const [dense] = await this.#dense.embedChunks([text]);
+    return { dense, sparse: this.#sparse.toSparseVector(text) };
   }
 
   /**
@@ -70,10 +71,8 @@ class HybridEmbedder {
       // Dense semantic vectors
       const denseVectors = await this.#dense.embedChunks(textChunks);
 
-      // Sparse BM25 vectors generated from wink‑bm25 scores
-      const sparseVectors = textChunks.map((chunk) =>
-        this.#sparse.toSparseVector(chunk)
-      );
+      // Sparse BM25 vectors - registers new tokens in the namespace vocabulary
+      const sparseVectors = await this.#sparse.embedChunks(textChunks);
 
       // Combine into unified objects
       const combined = denseVectors.map((dense, i) => ({
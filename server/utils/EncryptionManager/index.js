@@ -1,4 +1,6 @@
 const crypto = require("crypto");
+const fs = require("fs");
+const { Transform } = require("stream");
 const { dumpENV } = require("../helpers/updateENV");
 
 // Class that is used to arbitrarily encrypt/decrypt string data via a persistent passphrase/salt that
@@ -80,6 +82,59 @@ class EncryptionManager {
       return null;
     }
   }
+
+  /**
+   * Streams the plain content of a file encrypted with EncryptionWorker.encryptFile,
+   * optionally only a byte range of it. CBC blocks only depend on the block before
+   * them, so a range is decrypted without reading the file from the start.
+   * @param {string} filePath - the encrypted file (16 byte IV followed by the ciphertext)
+   * @param {{start?: number, end?: number|null}} [range] - inclusive byte offsets of the plain content
+   * @returns {import("stream").Readable}
+   */
+  decryptFileStream(filePath, { start = 0, end = null } = {}) {
+    const blockSize = 16;
+    const blocks = Math.floor(fs.statSync(filePath).size / blockSize) - 1;
+    const firstBlock = Math.floor(start / blockSize);
+    const lastBlock =
+      end === null
+        ? blocks - 1
+        : Math.min(Math.floor(end / blockSize), blocks - 1);
+
+    // The IV of a block is the ciphertext block before it - or the file IV for the first block.
+    const iv = Buffer.alloc(blockSize);
+    const fd = fs.openSync(filePath, "r");
+    try {
+      fs.readSync(fd, iv, 0, blockSize, firstBlock * blockSize);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const decipher = crypto.createDecipheriv(this.algorithm, this.key, iv);
+    // Only the last block of the file carries padding.
+    decipher.setAutoPadding(lastBlock === blocks - 1);
+
+    let skip = start - firstBlock * blockSize;
+    let remaining = end === null ? Infinity : end - start + 1;
+    const trim = new Transform({
+      transform(chunk, _encoding, callback) {
+        const from = Math.min(skip, chunk.length);
+        skip -= from;
+        const data = chunk.subarray(
+          from,
+          from + Math.min(remaining, chunk.length)
+        );
+        remaining -= data.length;
+        callback(null, data.length ? data : undefined);
+      },
+    });
+
+    const source = fs.createReadStream(filePath, {
+      start: blockSize + firstBlock * blockSize,
+      end: blockSize + (lastBlock + 1) * blockSize - 1,
+    });
+    source.on("error", (error) => trim.destroy(error));
+    decipher.on("error", (error) => trim.destroy(error));
+    return source.pipe(decipher).pipe(trim);
+  }
 }
 
 module.exports = { EncryptionManager };
@@ -1,7 +1,8 @@
-const { FLOW_TYPES } = require("./flowTypes");
+const { FLOW_TYPES, FLOW_LIMITS } = require("./flowTypes");
 const executeApiCall = require("./executors/api-call");
 const executeLLMInstruction = require("./executors/llm-instruction");
 const executeWebScraping = require("./executors/web-scraping");
+const executeWorkspaceSearch = require("./executors/workspace-search");
 const { Telemetry } = require("../../models/telemetry");
 const { safeJsonParse } = require("../http");
 
@@ -127,13 +128,168 @@ class FlowExecutor {
     return deepReplace(config);
   }
 
+  /**
+   * Resolves a variable path to its value, parsing JSON strings so arrays and
+   * objects can be looped over and compared.
+   * @param {string} path - The path to the value, e.g. "response.items"
+   * @returns {any} The resolved value
+   */
+  resolveVariable(path = "") {
+    const value = this.getValueFromPath(this.variables, path);
+    return typeof value === "string" ? safeJsonParse(value, value) : value;
+  }
+
+  /**
+   * Evaluates the condition of a condition step
+   * @param {Object} config - The condition step config
+   * @returns {boolean} Whether the condition is true
+   */
+  evaluateCondition({ variable, operator = "equals", value = "" }) {
+    const actual = this.resolveVariable(variable);
+    const asText = (input) =>
+      input !== null && typeof input === "object"
+        ? JSON.stringify(input)
+        : String(input ?? "");
+    const isEmpty =
+      actual === undefined ||
+      actual === null ||
+      actual === "" ||
+      (typeof actual === "object" && Object.keys(actual).length === 0);
+    const contains = Array.isArray(actual)
+      ? actual.map(asText).includes(String(value))
+      : asText(actual).includes(String(value));
+
+    switch (operator) {
+      case "equals":
+        return asText(actual) === String(value);
+      case "notEquals":
+        return asText(actual) !== String(value);
+      case "contains":
+        return contains;
+      case "notContains":
+        return !contains;
+      case "greaterThan":
+        return Number(actual) > Number(value);
+      case "lessThan":
+        return Number(actual) < Number(value);
+      case "isEmpty":
+        return isEmpty;
+      case "isNotEmpty":
+        return !isEmpty;
+      default:
+        throw new Error(`Unknown condition operator: ${operator}`);
+    }
+  }
+
+  /**
+   * Runs a function again when it throws, waiting twice as long before every retry
+   * @param {Function} fn - The function to run
+   * @param {Object} config - The step config with retryAttempts and retryBackoffMs
+   * @returns {Promise<any>} The result of the first successful run
+   */
+  async withRetry(fn, { retryAttempts = 0, retryBackoffMs = 1000 } = {}) {
+    const attempts = Math.min(
+      Math.max(Number(retryAttempts) || 0, 0),
+      FLOW_LIMITS.maxRetryAttempts
+    );
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= attempts) throw error;
+        const delay = Math.min(
+          Math.max(Number(retryBackoffMs) || 0, 0) * 2 ** attempt,
+          FLOW_LIMITS.maxRetryBackoffMs
+        );
+        this.introspect(
+          `${error.message} - retrying in ${delay}ms (${attempt + 1}/${attempts})`
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Runs nested steps in order
+   * @param {Object[]} steps - The steps to run
+   * @returns {Promise<any>} The result of the last step, or the direct output marker of the step that stopped the flow
+   */
+  async executeSteps(steps = []) {
+    let result = null;
+    for (const step of steps) {
+      result = await this.executeStep(step);
+      if (result?.directOutput) return result;
+    }
+    return result;
+  }
+
+  /**
+   * Runs the nested steps of a loop step once for every item
+   * @param {Object} config - The loop step config
+   * @returns {Promise<any[]|Object>} The result of every iteration, or a direct output marker
+   */
+  async executeLoop(config) {
+    const items = this.resolveVariable(config.variable);
+    if (!Array.isArray(items))
+      throw new Error(`Loop variable ${config.variable} is not an array`);
+
+    const maxIterations = Math.min(
+      Number(config.maxIterations) || FLOW_LIMITS.defaultLoopIterations,
+      FLOW_LIMITS.maxLoopIterations
+    );
+    if (items.length > maxIterations)
+      throw new Error(
+        `Loop variable ${config.variable} has ${items.length} items, more than the limit of ${maxIterations}`
+      );
+
+    const results = [];
+    for (const [index, item] of items.entries()) {
+      this.variables[config.itemVariable] = item;
+      if (config.indexVariable) this.variables[config.indexVariable] = index;
+      const result = await this.executeSteps(config.steps);
+      if (result?.directOutput) return result;
+      results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Runs the nested steps of a try/catch step, falling back to its catch steps
+   * @param {Object} config - The try/catch step config
+   * @returns {Promise<any>} The result of the last step that ran
+   */
+  async executeTryCatch(config) {
+    try {
+      return await this.executeSteps(config.steps);
+    } catch (error) {
+      this.introspect(`Step failed, running fallback steps: ${error.message}`);
+      if (config.errorVariable)
+        this.variables[config.errorVariable] = error.message;
+      return await this.executeSteps(config.catch);
+    }
+  }
+
   /**
    * Executes a single step of the flow
    * @param {Object} step - The step to execute
    * @returns {Promise<Object>} The result of the step
    */
   async executeStep(step) {
-    const config = this.replaceVariables(step.config);
+    // Nested steps keep their variables until they run themselves, so they see
+    // values set by the steps before them.
+    const branches =
+      Object.values(FLOW_TYPES).find(
+        (definition) => definition.type === step.type
+      )?.branches ?? [];
+    const config = this.replaceVariables(
+      Object.fromEntries(
+        Object.entries(step.config ?? {}).filter(
+          ([key]) => !branches.includes(key)
+        )
+      )
+    );
+    for (const key of branches) config[key] = step.config?.[key] ?? [];
+
     let result;
     // Create execution context with introspect
     const context = {
@@ -156,7 +312,10 @@ class FlowExecutor {
         result = this.variables;
         break;
       case FLOW_TYPES.API_CALL.type:
-        result = await executeApiCall(config, context);
+        result = await this.withRetry(
+          () => executeApiCall(config, context),
+          config
+        );
         break;
       case FLOW_TYPES.LLM_INSTRUCTION.type:
         result = await executeLLMInstruction(config, context);
@@ -164,10 +323,27 @@ class FlowExecutor {
       case FLOW_TYPES.WEB_SCRAPING.type:
         result = await executeWebScraping(config, context);
         break;
+      case FLOW_TYPES.WORKSPACE_SEARCH.type:
+        result = await executeWorkspaceSearch(config, context);
+        break;
+      case FLOW_TYPES.CONDITION.type:
+        result = await this.executeSteps(
+          this.evaluateCondition(config) ? config.then : config.else
+        );
+        break;
+      case FLOW_TYPES.LOOP.type:
+        result = await this.executeLoop(config);
+        break;
+      case FLOW_TYPES.TRY_CATCH.type:
+        result = await this.executeTryCatch(config);
+        break;
       default:
         throw new Error(`Unknown flow type: ${step.type}`);
     }
 
+    // A nested step returned its output directly - stop the whole flow
+    if (result?.directOutput) return result;
+
     // Store result in variable if specified
     if (config.resultVariable || config.responseVariable) {
       const varName = config.resultVariable || config.responseVariable;
@@ -0,0 +1,98 @@
+const { Workspace } = require("../../../models/workspace");
+const { User } = require("../../../models/user");
+const { searchWorkspace } = require("../../vectorStore/workspaceSearch");
+const { parseMetadataFilters } = require("../../vectorStore/metadataFilters");
+const {
+  documentAccessFilters,
+  logDocumentAccess,
+} = require("../../documentAccess");
+const { pageCitation } = require("../../vectorStore/pageRanges");
+const { safeJsonParse } = require("../../http");
+
+/**
+ * Execute a workspace search flow step
+ * @param {Object} config Flow step configuration
+ * @param {{introspect: Function, logger: Function, aibitat: Object}} context Execution context with introspect function
+ * @returns {Promise<{query: string, workspace: string, results: Object[], context: string}>} Matching chunks with their citations
+ */
+async function executeWorkspaceSearch(config, context) {
+  const { workspace: slug, query, topN, filters: rawFilters = null } = config;
+  const { introspect, logger, aibitat } = context;
+  logger(
+    `\x1b[43m[AgentFlowToolExecutor]\x1b[0m - executing Workspace Search block`
+  );
+
+  if (!slug) throw new Error("Workspace Search failed: no workspace selected");
+  if (!String(query ?? "").trim())
+    throw new Error("Workspace Search failed: query is empty");
+
+  // Filters are edited as JSON text in the flow builder
+  const { conditions: filters, error: filterError } = parseMetadataFilters(
+    typeof rawFilters === "string"
+      ? rawFilters.trim()
+        ? safeJsonParse(rawFilters, rawFilters)
+        : null
+      : rawFilters
+  );
+  if (filterError) throw new Error(`Workspace Search failed: ${filterError}`);
+
+  // The flow searches with the permissions of the user who invoked the agent.
+  const userId = aibitat?.handlerProps?.invocation?.user_id;
+  const user = userId ? await User.get({ id: Number(userId) }) : null;
+  const workspace = user
+    ? await Workspace.getWithUser(user, { slug: String(slug) })
+    : await Workspace.get({ slug: String(slug) });
+  if (!workspace)
+    throw new Error(
+      `Workspace Search failed: workspace ${slug} does not exist or is not available to you`
+    );
+
+  introspect(`Searching ${workspace.name} for "${query}"...`);
+  const { sources = [], message } = await searchWorkspace({
+    workspace,
+    query: String(query),
+    topN: Number(topN) > 0 ? Math.floor(Number(topN)) : null,
+    filters: [...filters, ...(await documentAccessFilters(workspace, user))],
+  });
+  if (message) throw new Error(`Workspace Search failed: ${message}`);
+  await logDocumentAccess(sources, { user, workspace, via: "agent_flow" });
+
+  const results = sources.map((source, index) => ({
+    citation: index + 1,
+    text: source.text,
+    score: source.score ?? null,
+    title: source.title ?? null,
+    url: source.url ?? null,
+    docSource: source.docSource ?? null,
+    chunkSource: source.chunkSource ?? null,
+    published: source.published ?? null,
+    ...pageCitation(source),
+  }));
+  introspect(`Found ${results.length} matching chunk(s) in ${workspace.name}`);
+
+  return {
+    query: String(query),
+    workspace: workspace.slug,
+    results,
+    // Numbered chunks ready to be used in an LLM instruction with ${var.context}
+    context: results
+      .map(
+        (result) =>
+          `[${result.citation}] ${result.title || "Untitled"}${pageLabel(result)}\n${result.text}`
+      )
+      .join("\n\n"),
+  };
+}
+
+/**
+ * @param {{pageStart: number|null, pageEnd: number|null}} result
+ * @returns {string} e.g. " (p. 3)" or " (pp. 3-4)", empty for results without pages
+ */
+function pageLabel({ pageStart, pageEnd }) {
+  if (!pageStart) return "";
+  return pageEnd !== pageStart
+    ? ` (pp. ${pageStart}-${pageEnd})`
+    : ` (p. ${pageStart})`;
+}
+
+module.exports = executeWorkspaceSearch;
@@ -1,3 +1,24 @@
+const CONDITION_OPERATORS = [
+  "equals",
+  "notEquals",
+  "contains",
+  "notContains",
+  "greaterThan",
+  "lessThan",
+  "isEmpty",
+  "isNotEmpty",
+];
+
+const FLOW_LIMITS = {
+  defaultLoopIterations: 100,
+  maxLoopIterations: 1000,
+  maxRetryAttempts: 5,
+  maxRetryBackoffMs: 60_000,
+  // Condition, loop and try/catch steps nested in each other
+  maxNestingDepth: 5,
+};
+
+// Steps that hold other steps list the config keys holding them in `branches`.
 const FLOW_TYPES = {
   START: {
     type: "start",
@@ -29,6 +50,15 @@ const FLOW_TYPES = {
           "Request body content. If body type is json, always return a valid json object. If body type is form, always return a valid form data object.",
       },
       formData: { type: "array", description: "Form data as key-value pairs" },
+      retryAttempts: {
+        type: "number",
+        description: `How many times to retry a failed request (0-${FLOW_LIMITS.maxRetryAttempts})`,
+      },
+      retryBackoffMs: {
+        type: "number",
+        description:
+          "Delay before the first retry in milliseconds. Doubles after every retry.",
+      },
       responseVariable: {
         type: "string",
         description: "Variable to store the response",
@@ -80,6 +110,119 @@ const FLOW_TYPES = {
       },
     },
   },
+  WORKSPACE_SEARCH: {
+    type: "workspaceSearch",
+    description:
+      "Search the documents of a workspace the same way its chats do and return the matching chunks with citations",
+    parameters: {
+      workspace: {
+        type: "string",
+        description: "Slug of the workspace to search",
+      },
+      query: {
+        type: "string",
+        description: "What to search for. Supports ${variables}",
+      },
+      topN: {
+        type: "number",
+        description:
+          "Number of chunks to return. Defaults to the workspace setting",
+      },
+      filters: {
+        type: "string",
+        description:
+          'Optional metadata filter as a JSON object, e.g. {"ocr.patient_id": "${patientId}"}',
+      },
+      resultVariable: {
+        type: "string",
+        description:
+          "Variable to store the results. Use ${variable.context} for the numbered chunks",
+      },
+      directOutput: {
+        type: "boolean",
+        description:
+          "Whether to return the results directly to the user without LLM processing",
+      },
+    },
+  },
+  CONDITION: {
+    type: "condition",
+    description: "Run one of two branches depending on a variable",
+    parameters: {
+      variable: {
+        type: "string",
+        description:
+          "Variable to test. Supports paths like response.status or items[0].id",
+      },
+      operator: {
+        type: "string",
+        description: `How to compare the variable (${CONDITION_OPERATORS.join(", ")})`,
+      },
+      value: {
+        type: "string",
+        description: "Value to compare against. Not used by isEmpty/isNotEmpty",
+      },
+      then: {
+        type: "array",
+        description: "Steps to run when the condition is true",
+      },
+      else: {
+        type: "array",
+        description: "Steps to run when the condition is false",
+      },
+    },
+    branches: ["then", "else"],
+  },
+  LOOP: {
+    type: "loop",
+    description: "Run steps once for every item of an array variable",
+    parameters: {
+      variable: {
+        type: "string",
+        description: "Array variable to loop over. Supports paths",
+      },
+      itemVariable: {
+        type: "string",
+        description: "Variable holding the current item",
+      },
+      indexVariable: {
+        type: "string",
+        description: "Variable holding the index of the current item",
+      },
+      maxIterations: {
+        type: "number",
+        description: `Fail the step when the array is longer than this (default ${FLOW_LIMITS.defaultLoopIterations}, at most ${FLOW_LIMITS.maxLoopIterations})`,
+      },
+      steps: { type: "array", description: "Steps to run for every item" },
+      resultVariable: {
+        type: "string",
+        description: "Variable to store the result of every iteration",
+      },
+    },
+    branches: ["steps"],
+  },
+  TRY_CATCH: {
+    type: "tryCatch",
+    description: "Run fallback steps when a step fails",
+    parameters: {
+      steps: { type: "array", description: "Steps to try" },
+      catch: {
+        type: "array",
+        description: "Steps to run when one of the tried steps fails",
+      },
+      errorVariable: {
+        type: "string",
+        description: "Variable to store the error message",
+      },
+      resultVariable: {
+        type: "string",
+        description: "Variable to store the result of the last step that ran",
+      },
+    },
+    branches: ["steps", "catch"],
+  },
 };
 
 module.exports.FLOW_TYPES = FLOW_TYPES;
+module.exports.CONDITION_OPERATORS = CONDITION_OPERATORS;
+module.exports.FLOW_LIMITS = FLOW_LIMITS;
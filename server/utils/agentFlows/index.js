@@ -1,7 +1,8 @@
 const fs = require("fs");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
-const { FlowExecutor, FLOW_TYPES } = require("./executor");
+const { FlowExecutor } = require("./executor");
+const { validateFlowSteps } = require("./validate");
 const { normalizePath } = require("../files");
 const { safeJsonParse } = require("../http");
 
@@ -103,16 +104,9 @@ class AgentFlows {
 
       // Prevent saving flows with unsupported blocks or importing
       // flows with unsupported blocks (eg: file writing or code execution on Desktop importing to Docker)
-      const supportedFlowTypes = Object.values(FLOW_TYPES).map(
-        (definition) => definition.type
-      );
-      const supportsAllBlocks = config.steps.every((step) =>
-        supportedFlowTypes.includes(step.type)
-      );
-      if (!supportsAllBlocks)
-        throw new Error(
-          "This flow includes unsupported blocks. They may not be supported by your version of AnythingLLM or are not available on this platform."
-        );
+      // or with invalid branches, loops and retries anywhere in the flow.
+      const invalidReason = validateFlowSteps(config.steps);
+      if (invalidReason) throw new Error(invalidReason);
 
       fs.writeFileSync(filePath, JSON.stringify({ ...config, name }, null, 2));
       return { success: true, uuid };
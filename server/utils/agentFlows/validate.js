@@ -0,0 +1,116 @@
+const { FLOW_TYPES, CONDITION_OPERATORS, FLOW_LIMITS } = require("./flowTypes");
+const { safeJsonParse } = require("../http");
+
+const isName = (value) => typeof value === "string" && value.trim().length > 0;
+const isOptionalNumberInRange = (value, min, max) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Number.isFinite(Number(value)) &&
+    Number(value) >= min &&
+    Number(value) <= max);
+
+/**
+ * Validates the steps of a flow before it is saved, including the steps nested
+ * in condition, loop and try/catch steps.
+ * @param {Object[]} steps - The steps of the flow
+ * @param {string} [location] - Where the steps are in the flow, used in error messages
+ * @param {number} [depth] - How deep the steps are nested
+ * @returns {string|null} The first problem found, or null when the steps are valid
+ */
+function validateFlowSteps(steps, location = "steps", depth = 0) {
+  if (!Array.isArray(steps)) return `${location} must be an array of steps.`;
+  if (depth > FLOW_LIMITS.maxNestingDepth)
+    return `${location} is nested more than ${FLOW_LIMITS.maxNestingDepth} levels deep.`;
+
+  const definitions = Object.values(FLOW_TYPES);
+  for (const [index, step] of steps.entries()) {
+    const stepLocation = `${location}[${index}]`;
+    const definition = definitions.find((d) => d.type === step?.type);
+    if (!definition)
+      return "This flow includes unsupported blocks. They may not be supported by your version of AnythingLLM or are not available on this platform.";
+    if (definition === FLOW_TYPES.START && depth > 0)
+      return `${stepLocation} - start blocks cannot be nested.`;
+
+    const error = validateStepConfig(step, stepLocation);
+    if (error) return error;
+
+    for (const branch of definition.branches ?? []) {
+      const branchError = validateFlowSteps(
+        step.config?.[branch] ?? [],
+        `${stepLocation}.${branch}`,
+        depth + 1
+      );
+      if (branchError) return branchError;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {{type: string, config: Object}} step
+ * @param {string} location
+ * @returns {string|null}
+ */
+function validateStepConfig(step, location) {
+  const config = step.config ?? {};
+  switch (step.type) {
+    case FLOW_TYPES.API_CALL.type:
+      if (
+        !isOptionalNumberInRange(
+          config.retryAttempts,
+          0,
+          FLOW_LIMITS.maxRetryAttempts
+        )
+      )
+        return `${location} - retryAttempts must be between 0 and ${FLOW_LIMITS.maxRetryAttempts}.`;
+      if (
+        !isOptionalNumberInRange(
+          config.retryBackoffMs,
+          0,
+          FLOW_LIMITS.maxRetryBackoffMs
+        )
+      )
+        return `${location} - retryBackoffMs must be between 0 and ${FLOW_LIMITS.maxRetryBackoffMs}.`;
+      return null;
+    case FLOW_TYPES.WORKSPACE_SEARCH.type: {
+      if (!isName(config.workspace))
+        return `${location} - a workspace search needs a workspace.`;
+      if (!isName(config.query))
+        return `${location} - a workspace search needs a query.`;
+      if (!isOptionalNumberInRange(config.topN, 1, 100))
+        return `${location} - topN must be between 1 and 100.`;
+      const filters =
+        typeof config.filters === "string" && config.filters.trim()
+          ? safeJsonParse(config.filters, null)
+          : {};
+      if (!filters || typeof filters !== "object" || Array.isArray(filters))
+        return `${location} - filters must be a JSON object.`;
+      return null;
+    }
+    case FLOW_TYPES.CONDITION.type:
+      if (!isName(config.variable))
+        return `${location} - a condition needs a variable to test.`;
+      if (!CONDITION_OPERATORS.includes(config.operator ?? "equals"))
+        return `${location} - operator must be one of ${CONDITION_OPERATORS.join(", ")}.`;
+      return null;
+    case FLOW_TYPES.LOOP.type:
+      if (!isName(config.variable))
+        return `${location} - a loop needs an array variable to loop over.`;
+      if (!isName(config.itemVariable))
+        return `${location} - a loop needs a variable for the current item.`;
+      if (
+        !isOptionalNumberInRange(
+          config.maxIterations,
+          1,
+          FLOW_LIMITS.maxLoopIterations
+        )
+      )
+        return `${location} - maxIterations must be between 1 and ${FLOW_LIMITS.maxLoopIterations}.`;
+      return null;
+    default:
+      return null;
+  }
+}
+
+module.exports = { validateFlowSteps };
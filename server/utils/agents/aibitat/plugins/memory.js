@@ -1,6 +1,11 @@
 const { v4 } = require("uuid");
 const { getVectorDbClass, getLLMProvider } = require("../../../helpers");
 const { Deduplicator } = require("../utils/dedupe");
+const { User } = require("../../../../models/user");
+const { documentAccessFilters } = require("../../../documentAccess");
+const {
+  withFilterableMetadata,
+} = require("../../../vectorStore/metadataFilters");
 
 const memory = {
   name: "rag-memory",
@@ -81,6 +86,10 @@ const memory = {
               return `There was an error while calling the function. ${error.message}`;
             }
           },
+          invokingUser: async function () {
+            const userId = this.super.handlerProps.invocation?.user_id;
+            return userId ? await User.get({ id: Number(userId) }) : null;
+          },
           search: async function (query = "") {
             try {
               const workspace = this.super.handlerProps.invocation.workspace;
@@ -96,6 +105,10 @@ const memory = {
                   LLMConnector,
                   topN: workspace?.topN ?? 4,
                   rerank: workspace?.vectorSearchMode === "rerank",
+                  filters: await documentAccessFilters(
+                    workspace,
+                    await this.invokingUser()
+                  ),
                 });
 
               if (contextTexts.length === 0) {
@@ -122,10 +135,11 @@ const memory = {
           store: async function (content = "") {
             try {
               const workspace = this.super.handlerProps.invocation.workspace;
+              const user = await this.invokingUser();
               const vectorDB = getVectorDbClass();
               const { error } = await vectorDB.addDocumentToNamespace(
                 workspace.slug,
-                {
+                withFilterableMetadata({
                   docId: v4(),
                   id: v4(),
                   url: "file://embed-via-agent.txt",
@@ -138,7 +152,9 @@ const memory = {
                   wordCount: content.split(" ").length,
                   pageContent: content,
                   token_count_estimate: 0,
-                },
+                  // Memories belong to the user who asked for them to be stored.
+                  acl: user ? { ownerUserId: user.id } : null,
+                }),
                 null
               );
 
@@ -1,4 +1,6 @@
 const { Document } = require("../../../../models/documents");
+const { User } = require("../../../../models/user");
+const { userCanAccessDocument } = require("../../../documentAccess");
 const { safeJsonParse } = require("../../../http");
 const { summarizeContent } = require("../utils/summarize");
 const Provider = require("../providers/ai-provider");
@@ -73,9 +75,15 @@ const docSummarizer = {
               this.super.introspect(
                 `${this.caller}: Looking at the available documents.`
               );
-              const documents = await Document.where({
-                workspaceId: this.super.handlerProps.invocation.workspace_id,
-              });
+              const { user_id: userId, workspace_id: workspaceId } =
+                this.super.handlerProps.invocation;
+              const user = userId
+                ? await User.get({ id: Number(userId) })
+                : null;
+              const documents = (await Document.where({ workspaceId })).filter(
+                (doc) =>
+                  userCanAccessDocument(safeJsonParse(doc.metadata, {}), user)
+              );
               if (documents.length === 0)
                 return "No documents found - nothing can be done. Stop.";
 
@@ -3,6 +3,7 @@ const path = require("path");
 const { safeJsonParse } = require("../http");
 const { isWithin, normalizePath } = require("../files");
 const { CollectorApi } = require("../collectorApi");
+const { runSandboxedSkill } = require("./sandbox");
 const pluginsPath =
   process.env.NODE_ENV === "development"
     ? path.resolve(__dirname, "../../storage/plugins/agent-skills")
@@ -17,8 +18,6 @@ class ImportedPlugin {
       this.config.hubId,
       "handler.js"
     );
-    delete require.cache[require.resolve(this.handlerLocation)];
-    this.handler = require(this.handlerLocation);
     this.name = config.hubId;
     this.startupConfig = {
       params: {},
@@ -171,8 +170,13 @@ class ImportedPlugin {
     return callOpts;
   }
 
+  /**
+   * The handler.js of an imported plugin never runs in the server process. Each
+   * call runs in a sandboxed worker limited to the permissions in plugin.json.
+   * @see ./sandbox/index.js
+   */
   plugin(runtimeArgs = {}) {
-    const customFunctions = this.handler.runtime;
+    const handlerLocation = this.handlerLocation;
     return {
       runtimeArgs,
       name: this.name,
@@ -195,7 +199,17 @@ class ImportedPlugin {
             properties: this.config.entrypoint.params ?? {},
             additionalProperties: false,
           },
-          ...customFunctions,
+          handler: async function (args) {
+            return await runSandboxedSkill({
+              handlerLocation,
+              config: this.config,
+              runtimeArgs: this.runtimeArgs,
+              args,
+              introspect: this.introspect,
+              logger: this.logger,
+              webScraper: this.webScraper,
+            });
+          },
         });
       },
     };
@@ -0,0 +1,210 @@
+/**
+ * Imported Agent Skill Sandbox
+ *
+ * Imported (Community Hub) skills run their handler.js in a worker thread per
+ * call instead of inside the server process. The worker starts with an empty
+ * environment, a memory and time budget, and can only reach the filesystem
+ * paths and network hosts its plugin.json declares under `permissions`:
+ * {
+ *   "permissions": {
+ *     "filesystem": { "read": ["data"], "write": ["/tmp/my-skill"] },
+ *     "network": ["api.example.com", "*.example.org"]
+ *   }
+ * }
+ * Relative paths resolve against the plugin folder, which is always readable.
+ * `introspect`, `logger` and `webScraper.getLinkContent` are message calls back
+ * to the agent that started the skill.
+ */
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const WORKER_PATH = path.resolve(__dirname, "worker.js");
+const DEFAULT_TIMEOUT_MS = 60_000;
+const DEFAULT_MEMORY_MB = 128;
+
+/**
+ * @typedef {Object} SkillPermissions
+ * @property {string[]} read - absolute paths the skill may read
+ * @property {string[]} write - absolute paths the skill may read and write
+ * @property {string[]} network - hosts the skill may connect to. `*.example.com` matches subdomains, `*` any host.
+ */
+
+/**
+ * Normalizes the `permissions` block of a plugin.json.
+ * @param {Object} manifest - the plugin.json contents
+ * @param {string} pluginDir - absolute path of the plugin folder
+ * @returns {SkillPermissions}
+ */
+function skillPermissions(manifest = {}, pluginDir) {
+  const { filesystem = {}, network = [] } = manifest?.permissions ?? {};
+  const paths = (list) =>
+    (Array.isArray(list) ? list : [])
+      .filter((entry) => typeof entry === "string" && entry.trim())
+      .map((entry) => path.resolve(pluginDir, entry.trim()));
+  const write = paths(filesystem?.write);
+  return {
+    read: [...new Set([pluginDir, ...paths(filesystem?.read), ...write])],
+    write,
+    network: (Array.isArray(network) ? network : [])
+      .filter((host) => typeof host === "string" && host.trim())
+      .map((host) => host.trim().toLowerCase()),
+  };
+}
+
+/**
+ * Time and memory budget of one skill call, from the environment.
+ * @returns {{timeoutMs: number, memoryMb: number}}
+ */
+function skillBudget() {
+  const positive = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : fallback;
+  };
+  return {
+    timeoutMs: positive(process.env.AGENT_SKILL_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    memoryMb: positive(process.env.AGENT_SKILL_MEMORY_MB, DEFAULT_MEMORY_MB),
+  };
+}
+
+/**
+ * Runs the `runtime.handler` of an imported skill in a new worker.
+ * @param {Object} params
+ * @param {string} params.handlerLocation - absolute path of handler.js
+ * @param {Object} params.config - the plugin.json contents
+ * @param {Object} params.runtimeArgs - setup_args values
+ * @param {Object} params.args - arguments of this tool call
+ * @param {function(string): void} [params.introspect]
+ * @param {function(string): void} [params.logger]
+ * @param {{getLinkContent: function(string, string): Promise<Object>}|null} [params.webScraper]
+ * @returns {Promise<string>} - the handler result, or an error message the agent can read
+ */
+function runSandboxedSkill({
+  handlerLocation,
+  config = {},
+  runtimeArgs = {},
+  args = {},
+  introspect = () => {},
+  logger = console.log,
+  webScraper = null,
+}) {
+  const pluginDir = path.dirname(handlerLocation);
+  const permissions = skillPermissions(config, pluginDir);
+  const { timeoutMs, memoryMb } = skillBudget();
+  const name = config?.name ?? config?.hubId ?? path.basename(pluginDir);
+
+  return new Promise((resolve) => {
+    let settled = false;
+    const worker = new Worker(WORKER_PATH, {
+      env: { NODE_ENV: process.env.NODE_ENV ?? "production" },
+      resourceLimits: { maxOldGenerationSizeMb: memoryMb },
+      workerData: {
+        handlerLocation,
+        permissions,
+        config,
+        runtimeArgs,
+        args,
+      },
+    });
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate().catch(() => {});
+      resolve(result);
+    };
+    const timer = setTimeout(
+      () => finish(`${name} did not finish within ${timeoutMs}ms.`),
+      timeoutMs
+    );
+
+    worker.on("message", async (message = {}) => {
+      switch (message.type) {
+        case "introspect":
+          return introspect(message.message);
+        case "logger":
+          return logger(message.message);
+        case "webScraper":
+          return worker.postMessage({
+            type: "webScraper",
+            id: message.id,
+            ...(await scrape(webScraper, permissions, message.args)),
+          });
+        case "result":
+          return finish(message.result);
+        case "error":
+          logger(`${name} failed: ${message.error}`);
+          return finish(`${name} failed: ${message.error}`);
+      }
+    });
+    worker.on("error", (error) => {
+      const reason =
+        error?.code === "ERR_WORKER_OUT_OF_MEMORY"
+          ? `exceeded its ${memoryMb}MB memory budget`
+          : error.message;
+      logger(`${name} failed: ${reason}`);
+      finish(`${name} failed: ${reason}`);
+    });
+    worker.on("exit", () =>
+      finish(`${name} stopped before returning a result.`)
+    );
+  });
+}
+
+/**
+ * Fetches a link for a skill through the collector. The link host has to be
+ * declared like any other network access of the skill.
+ */
+async function scrape(webScraper, permissions, [link = "", captureAs] = []) {
+  try {
+    if (!webScraper) throw new Error("No web scraper is available.");
+    const { hostname } = new URL(link);
+    if (!isAllowedHost(permissions.network, hostname))
+      throw new Error(
+        `Network access to ${hostname} is not declared in plugin.json.`
+      );
+    return { result: await webScraper.getLinkContent(link, captureAs) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * @param {string[]} allowed - declared hosts
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+function isAllowedHost(allowed = [], hostname = "") {
+  const host = String(hostname)
+    .toLowerCase()
+    .replace(/^\[|\]$/g, "");
+  return allowed.some(
+    (entry) =>
+      entry === "*" ||
+      entry === host ||
+      (entry.startsWith("*.") && host.endsWith(entry.slice(1)))
+  );
+}
+
+/**
+ * @param {string[]} allowed - absolute paths
+ * @param {string} target - absolute path
+ * @returns {boolean}
+ */
+function isAllowedPath(allowed = [], target = "") {
+  return allowed.some((root) => {
+    const relative = path.relative(root, target);
+    return (
+      relative === "" ||
+      (!relative.startsWith("..") && !path.isAbsolute(relative))
+    );
+  });
+}
+
+module.exports = {
+  skillPermissions,
+  skillBudget,
+  runSandboxedSkill,
+  isAllowedHost,
+  isAllowedPath,
+};
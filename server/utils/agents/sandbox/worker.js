@@ -0,0 +1,260 @@
+/**
+ * Worker entry of the imported agent skill sandbox (see ./index.js).
+ *
+ * Before handler.js is loaded, everything the skill could reach the host with
+ * is narrowed to its plugin.json permissions: filesystem calls outside the
+ * declared paths and sockets to undeclared hosts throw, process spawning,
+ * native addons and dynamic `import()` are unavailable, and process.env only
+ * holds NODE_ENV. The handler then runs once with `this` bound to a context
+ * that mirrors the aibitat function object.
+ */
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const vm = require("vm");
+const Module = require("module");
+const { parentPort, workerData } = require("worker_threads");
+const { isAllowedHost, isAllowedPath } = require("./index");
+
+const { handlerLocation, permissions, config, runtimeArgs, args } = workerData;
+const realpathSync = fs.realpathSync;
+
+const READ = "read";
+const WRITE = "write";
+const OPEN = "open";
+
+// Which arguments of a filesystem call are paths, and the access they need.
+const FS_PATH_ARGS = {
+  access: [READ],
+  exists: [READ],
+  readFile: [READ],
+  readdir: [READ],
+  readlink: [READ],
+  realpath: [READ],
+  stat: [READ],
+  lstat: [READ],
+  statfs: [READ],
+  opendir: [READ],
+  openAsBlob: [READ],
+  createReadStream: [READ],
+  watch: [READ],
+  watchFile: [READ],
+  open: [OPEN],
+  copyFile: [READ, WRITE],
+  cp: [READ, WRITE],
+  link: [READ, WRITE],
+  symlink: [null, WRITE],
+  rename: [WRITE, WRITE],
+  appendFile: [WRITE],
+  writeFile: [WRITE],
+  mkdir: [WRITE],
+  mkdtemp: [WRITE],
+  rm: [WRITE],
+  rmdir: [WRITE],
+  unlink: [WRITE],
+  truncate: [WRITE],
+  chmod: [WRITE],
+  lchmod: [WRITE],
+  chown: [WRITE],
+  lchown: [WRITE],
+  utimes: [WRITE],
+  lutimes: [WRITE],
+  createWriteStream: [WRITE],
+};
+
+/**
+ * Resolves a path argument the way the filesystem will, following symlinks of
+ * the longest part of the path that already exists.
+ */
+function resolveTarget(target) {
+  let resolved =
+    target instanceof URL
+      ? new URL(target).pathname
+      : path.resolve(Buffer.isBuffer(target) ? target.toString() : target);
+  let missing = "";
+  while (true) {
+    try {
+      return path.join(realpathSync(resolved), missing);
+    } catch {
+      const parent = path.dirname(resolved);
+      if (parent === resolved) return path.join(resolved, missing);
+      missing = path.join(path.basename(resolved), missing);
+      resolved = parent;
+    }
+  }
+}
+
+function assertPath(target, access) {
+  // File descriptors were opened through a checked call already.
+  if (typeof target === "number" || access === null) return;
+  const resolved = resolveTarget(target);
+  // Package code is needed to load the skill's own dependencies.
+  const isPackageCode =
+    access === READ && resolved.split(path.sep).includes("node_modules");
+  const allowed = access === WRITE ? permissions.write : permissions.read;
+  if (isPackageCode || isAllowedPath(allowed, resolved)) return;
+  throw new Error(
+    `Filesystem ${access} access to ${resolved} is not declared in plugin.json.`
+  );
+}
+
+function openAccess(flags) {
+  if (flags === undefined || typeof flags === "function") return READ;
+  if (typeof flags === "number")
+    return (flags & 3) === fs.constants.O_RDONLY ? READ : WRITE;
+  return ["r", "rs", "sr"].includes(flags) ? READ : WRITE;
+}
+
+function guardFilesystem() {
+  const guard = (target, name, checks) => {
+    const original = target?.[name];
+    if (typeof original !== "function") return;
+    target[name] = function (...callArgs) {
+      checks.forEach((access, index) =>
+        assertPath(
+          callArgs[index],
+          access === OPEN ? openAccess(callArgs[1]) : access
+        )
+      );
+      return original.apply(this, callArgs);
+    };
+  };
+  for (const [name, checks] of Object.entries(FS_PATH_ARGS)) {
+    guard(fs, name, checks);
+    guard(fs, `${name}Sync`, checks);
+    guard(fs.promises, name, checks);
+  }
+}
+
+function assertHost(host = "localhost") {
+  if (isAllowedHost(permissions.network, host)) return;
+  throw new Error(`Network access to ${host} is not declared in plugin.json.`);
+}
+
+function guardNetwork() {
+  const connect = net.Socket.prototype.connect;
+  net.Socket.prototype.connect = function (...connectArgs) {
+    // net.connect() passes the arguments it already normalized as one array.
+    const [options] = Array.isArray(connectArgs[0])
+      ? connectArgs[0]
+      : net._normalizeArgs?.(connectArgs) ?? connectArgs;
+    if (options?.path) assertPath(options.path, WRITE);
+    else assertHost(options?.host);
+    return connect.apply(this, connectArgs);
+  };
+
+  const fetch = globalThis.fetch;
+  if (typeof fetch === "function")
+    globalThis.fetch = function (input, init) {
+      assertHost(new URL(input?.url ?? String(input)).hostname);
+      return fetch.call(this, input, init);
+    };
+}
+
+function guardProcess() {
+  const unavailable = (name) =>
+    function () {
+      throw new Error(`${name} is not available to imported agent skills.`);
+    };
+
+  for (const name of ["child_process", "cluster", "dgram", "inspector"]) {
+    const builtin = require(name);
+    for (const [key, value] of Object.entries(builtin))
+      if (typeof value === "function") builtin[key] = unavailable(name);
+  }
+  require("worker_threads").Worker = unavailable("worker_threads");
+
+  // process.report includes the environment of the whole server process.
+  for (const key of ["binding", "_linkedBinding", "dlopen", "kill", "report"]) {
+    try {
+      Object.defineProperty(process, key, {
+        value: key === "report" ? undefined : unavailable(`process.${key}`),
+      });
+    } catch {}
+  }
+
+  // Modules are compiled without a dynamic import() callback, as ES module
+  // loading would read files around the filesystem guard.
+  Module.prototype._compile = function (content, filename) {
+    const compiled = vm.compileFunction(
+      content,
+      ["exports", "require", "module", "__filename", "__dirname"],
+      { filename }
+    );
+    return compiled.call(
+      this.exports,
+      this.exports,
+      Module.createRequire(filename),
+      this,
+      filename,
+      path.dirname(filename)
+    );
+  };
+}
+
+// Calls answered by the parent thread, keyed by request id.
+const pending = new Map();
+let nextRequestId = 0;
+parentPort.on("message", ({ type, id, result, error }) => {
+  if (type !== "webScraper" || !pending.has(id)) return;
+  const { resolve, reject } = pending.get(id);
+  pending.delete(id);
+  error ? reject(new Error(error)) : resolve(result);
+});
+
+function request(type, requestArgs = []) {
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    parentPort.postMessage({ type, id, args: requestArgs });
+  });
+}
+
+async function run() {
+  // Declared paths are compared with resolved targets, so resolve them too.
+  permissions.read = permissions.read.map(resolveTarget);
+  permissions.write = permissions.write.map(resolveTarget);
+  guardFilesystem();
+  guardNetwork();
+  guardProcess();
+
+  const introspect = (message) =>
+    parentPort.postMessage({ type: "introspect", message: String(message) });
+  const logger = (...messages) =>
+    parentPort.postMessage({ type: "logger", message: messages.join(" ") });
+
+  const runtime = require(handlerLocation)?.runtime;
+  if (typeof runtime?.handler !== "function")
+    throw new Error("handler.js does not export runtime.handler.");
+
+  const context = {
+    name: config.hubId,
+    config,
+    runtimeArgs,
+    description: config.description,
+    examples: config.examples ?? [],
+    runtime: "docker",
+    introspect,
+    logger,
+    webScraper: {
+      getLinkContent: (link, captureAs = "text") =>
+        request("webScraper", [link, captureAs]),
+    },
+    super: { introspect, handlerProps: { log: logger } },
+    ...runtime,
+  };
+
+  const result = await runtime.handler.call(context, args);
+  try {
+    parentPort.postMessage({ type: "result", result });
+  } catch {
+    parentPort.postMessage({ type: "result", result: String(result) });
+  }
+}
+
+run().catch((error) =>
+  parentPort.postMessage({
+    type: "error",
+    error: error?.message ?? String(error),
+  })
+);
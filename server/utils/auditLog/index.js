@@ -0,0 +1,283 @@
+/**
+ * Verification, export and retention of the tamper-evident audit log
+ * (see models/auditLogs).
+ *
+ * Retention never deletes history: with AUDIT_LOG_RETENTION_DAYS set, entries
+ * older than that are moved to gzipped JSON line files in
+ * storage/audit-logs/archives. Each archive is recorded with its sha256 and the
+ * hash of its last entry, so the chain can still be verified end to end from
+ * the archives through to the entries left in the database.
+ */
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const readline = require("readline");
+const { pipeline } = require("stream/promises");
+const { AuditLog } = require("../../models/auditLogs");
+const { auditLogPath, serializeEntry } = require("./sinks");
+
+const archivesPath = path.resolve(auditLogPath, "archives");
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const CSV_COLUMNS = [
+  "id",
+  "occurredAt",
+  "event",
+  "userId",
+  "metadata",
+  "prevHash",
+  "hash",
+];
+let retentionTimer = null;
+
+function log(text, ...args) {
+  console.log(`\x1b[35m[AuditLog]\x1b[0m ${text}`, ...args);
+}
+
+/**
+ * @returns {number|null} the configured retention in days, null to keep entries forever
+ */
+function retentionDays() {
+  const days = Number(process.env.AUDIT_LOG_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+function archiveFilePath(archive) {
+  return path.resolve(archivesPath, path.basename(archive.filename));
+}
+
+async function fileSha256(filePath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+/**
+ * Reads the entries of an archive file in batches.
+ * @param {string} filePath
+ * @param {number} batchSize
+ * @returns {AsyncGenerator<import("../../models/auditLogs").AuditLogEntry[]>}
+ */
+async function* archiveBatches(filePath, batchSize = 500) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+  let batch = [];
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    batch.push(JSON.parse(line));
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch;
+}
+
+/**
+ * Verifies the whole chain: every archive file against its recorded sha256
+ * and entries, then the entries still in the database.
+ * @returns {Promise<{valid: boolean, entries: number, archives: number, lastHash: string, error: {id?: number, archive?: string, reason: string}|null}>}
+ */
+async function verifyAuditLog() {
+  const archives = await AuditLog.archives();
+  let lastHash = AuditLog.GENESIS_HASH;
+  let entries = 0;
+  const result = (error = null) => ({
+    valid: !error,
+    entries,
+    archives: archives.length,
+    lastHash,
+    error,
+  });
+
+  for (const archive of archives) {
+    const filePath = archiveFilePath(archive);
+    const fail = (reason, id = undefined) =>
+      result({ archive: archive.filename, id, reason });
+
+    if (!fs.existsSync(filePath)) return fail("Archive file is missing");
+    if ((await fileSha256(filePath)) !== archive.sha256)
+      return fail("Archive file does not match its recorded sha256");
+
+    let count = 0;
+    try {
+      for await (const batch of archiveBatches(filePath)) {
+        const check = AuditLog.verifyEntries(batch, lastHash);
+        if (check.error) return fail(check.error.reason, check.error.id);
+        lastHash = check.lastHash;
+        count += batch.length;
+      }
+    } catch (error) {
+      return fail(`Archive file could not be read: ${error.message}`);
+    }
+    if (count !== archive.count || lastHash !== archive.lastHash)
+      return fail("Archive file does not match its archive record");
+    entries += count;
+  }
+
+  for await (const batch of AuditLog.batches()) {
+    const check = AuditLog.verifyEntries(batch, lastHash);
+    if (check.error) return result(check.error);
+    lastHash = check.lastHash;
+    entries += batch.length;
+  }
+  return result();
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating values as formulas.
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats entries for an export.
+ * @param {import("../../models/auditLogs").AuditLogEntry[]} entries
+ * @param {"jsonl"|"csv"} format
+ * @returns {string}
+ */
+function formatEntries(entries = [], format = "jsonl") {
+  return entries
+    .map((entry) => {
+      const data = serializeEntry(entry);
+      if (format === "csv")
+        return CSV_COLUMNS.map((column) => csvValue(data[column])).join(",");
+      return JSON.stringify(data);
+    })
+    .map((line) => `${line}\n`)
+    .join("");
+}
+
+/**
+ * Writes the entries matching the filters to a writable stream (e.g. a response)
+ * in chain order, optionally starting with the archived entries.
+ * @param {import("stream").Writable} output
+ * @param {{format?: "jsonl"|"csv", filters?: import("../../models/auditLogs").AuditLogFilters, includeArchived?: boolean}} options
+ * @returns {Promise<number>} the number of exported entries
+ */
+async function exportAuditLog(
+  output,
+  { format = "jsonl", filters = {}, includeArchived = false } = {}
+) {
+  let exported = 0;
+  const write = async (entries) => {
+    if (!entries.length) return;
+    exported += entries.length;
+    if (!output.write(formatEntries(entries, format)))
+      await new Promise((resolve) => output.once("drain", resolve));
+  };
+
+  if (format === "csv") output.write(`${CSV_COLUMNS.join(",")}\n`);
+  if (includeArchived) {
+    for (const archive of await AuditLog.archives()) {
+      const filePath = archiveFilePath(archive);
+      if (!fs.existsSync(filePath)) continue;
+      for await (const batch of archiveBatches(filePath))
+        await write(
+          batch.filter((entry) => AuditLog.matchesFilters(entry, filters))
+        );
+    }
+  }
+  for await (const batch of AuditLog.batches(AuditLog.filterClause(filters)))
+    await write(batch);
+  return exported;
+}
+
+/**
+ * Moves entries older than the retention period to an archive file. The
+ * archived run is verified first so a broken chain is never archived away.
+ * @param {number|null} days - defaults to AUDIT_LOG_RETENTION_DAYS
+ * @returns {Promise<Object|null>} the archive record, null when nothing was archived
+ */
+async function archiveAuditLog(days = retentionDays()) {
+  if (!days) return null;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const last = await AuditLog.lastBefore(cutoff);
+  if (!last) return null;
+
+  fs.mkdirSync(archivesPath, { recursive: true });
+  const startHash = await AuditLog.archivedHead();
+  const tmpPath = path.resolve(archivesPath, `.pending-${Date.now()}.jsonl.gz`);
+  const archive = {
+    fromId: null,
+    toId: last.id,
+    count: 0,
+    firstHash: null,
+    lastHash: startHash,
+  };
+
+  const gzip = zlib.createGzip();
+  const written = pipeline(gzip, fs.createWriteStream(tmpPath));
+  try {
+    for await (const batch of AuditLog.batches({ id: { lte: last.id } })) {
+      const check = AuditLog.verifyEntries(batch, archive.lastHash);
+      if (check.error)
+        throw new Error(
+          `Entry ${check.error.id} failed verification: ${check.error.reason}`
+        );
+      archive.fromId ??= batch[0].id;
+      archive.firstHash ??= batch[0].hash;
+      archive.lastHash = check.lastHash;
+      archive.count += batch.length;
+      if (!gzip.write(formatEntries(batch, "jsonl")))
+        await new Promise((resolve) => gzip.once("drain", resolve));
+    }
+    gzip.end();
+    await written;
+    if (!archive.count) throw new Error("No entries to archive");
+
+    const filename = `audit-${archive.fromId}-${archive.toId}.jsonl.gz`;
+    fs.renameSync(tmpPath, path.resolve(archivesPath, filename));
+    const record = await AuditLog.recordArchive({
+      ...archive,
+      filename,
+      sha256: await fileSha256(path.resolve(archivesPath, filename)),
+    });
+    log(`Archived ${record.count} entries to ${filename}`);
+    await AuditLog.append("audit_log_archived", {
+      filename,
+      fromId: record.fromId,
+      toId: record.toId,
+      count: record.count,
+      sha256: record.sha256,
+      lastHash: record.lastHash,
+      retentionDays: days,
+    });
+    return record;
+  } catch (error) {
+    gzip.destroy();
+    await written.catch(() => null);
+    if (fs.existsSync(tmpPath)) fs.rmSync(tmpPath);
+    log(`Archiving failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Applies the retention policy now and then once a day. Does nothing unless
+ * AUDIT_LOG_RETENTION_DAYS is set.
+ */
+function scheduleAuditLogRetention() {
+  if (!retentionDays() || retentionTimer) return;
+  const run = () =>
+    archiveAuditLog().catch((error) =>
+      log(`Retention failed: ${error.message}`)
+    );
+  retentionTimer = setInterval(run, RETENTION_INTERVAL_MS);
+  retentionTimer.unref();
+  run();
+}
+
+module.exports = {
+  archivesPath,
+  retentionDays,
+  verifyAuditLog,
+  formatEntries,
+  exportAuditLog,
+  archiveAuditLog,
+  scheduleAuditLogRetention,
+};
@@ -0,0 +1,114 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const dgram = require("dgram");
+
+/**
+ * Optional copies of every audit log entry outside of the database, configured
+ * with AUDIT_LOG_SINK (comma separated):
+ * - file: appends JSON lines to AUDIT_LOG_FILE (storage/audit-logs/audit.jsonl by default)
+ * - syslog: sends RFC 5424 messages over UDP to AUDIT_LOG_SYSLOG_HOST:AUDIT_LOG_SYSLOG_PORT
+ * Sinks are best effort - a failing sink never blocks or fails the audit log itself.
+ */
+const auditLogPath =
+  process.env.NODE_ENV === "development"
+    ? path.resolve(__dirname, `../../storage/audit-logs`)
+    : path.resolve(process.env.STORAGE_DIR, `audit-logs`);
+
+// Facility local0, severity informational.
+const SYSLOG_PRIORITY = 16 * 8 + 6;
+let syslogSocket = null;
+let warnedMissingSyslogHost = false;
+
+function log(text, ...args) {
+  console.log(`\x1b[35m[AuditLogSinks]\x1b[0m ${text}`, ...args);
+}
+
+/**
+ * @returns {string[]} the enabled sinks
+ */
+function enabledSinks() {
+  return String(process.env.AUDIT_LOG_SINK || "")
+    .split(",")
+    .map((sink) => sink.trim().toLowerCase())
+    .filter((sink) => ["file", "syslog"].includes(sink));
+}
+
+/**
+ * An audit log entry as written to sinks, exports and archives.
+ * @param {import("../../models/auditLogs").AuditLogEntry} entry
+ * @returns {Object}
+ */
+function serializeEntry(entry) {
+  return {
+    id: entry.id,
+    event: entry.event,
+    metadata: entry.metadata ?? null,
+    userId: entry.userId ?? null,
+    occurredAt: new Date(entry.occurredAt).toISOString(),
+    prevHash: entry.prevHash,
+    hash: entry.hash,
+  };
+}
+
+function writeToFile(entry) {
+  const file = process.env.AUDIT_LOG_FILE
+    ? path.resolve(process.env.AUDIT_LOG_FILE)
+    : path.resolve(auditLogPath, "audit.jsonl");
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFile(file, `${JSON.stringify(serializeEntry(entry))}\n`, (error) => {
+    if (error) log(`Failed to write to ${file}: ${error.message}`);
+  });
+}
+
+/**
+ * @param {import("../../models/auditLogs").AuditLogEntry} entry
+ * @returns {string} an RFC 5424 syslog message
+ */
+function syslogMessage(entry) {
+  const { occurredAt, event } = serializeEntry(entry);
+  return `<${SYSLOG_PRIORITY}>1 ${occurredAt} ${os.hostname()} anythingllm ${process.pid} ${event} - ${JSON.stringify(serializeEntry(entry))}`;
+}
+
+function sendToSyslog(entry) {
+  const host = process.env.AUDIT_LOG_SYSLOG_HOST;
+  if (!host) {
+    // Entries are written on every chat and sign-in - warn once, not each time.
+    if (!warnedMissingSyslogHost)
+      log("AUDIT_LOG_SYSLOG_HOST is not set - skipping syslog.");
+    warnedMissingSyslogHost = true;
+    return;
+  }
+  const port = Number(process.env.AUDIT_LOG_SYSLOG_PORT) || 514;
+
+  if (!syslogSocket) {
+    syslogSocket = dgram.createSocket(host.includes(":") ? "udp6" : "udp4");
+    syslogSocket.on("error", (error) => log(`Syslog error: ${error.message}`));
+    syslogSocket.unref();
+  }
+  syslogSocket.send(Buffer.from(syslogMessage(entry)), port, host, (error) => {
+    if (error) log(`Failed to send to ${host}:${port}: ${error.message}`);
+  });
+}
+
+/**
+ * Forwards an appended entry to the enabled sinks.
+ * @param {import("../../models/auditLogs").AuditLogEntry} entry
+ */
+function forwardToSinks(entry) {
+  for (const sink of enabledSinks()) {
+    try {
+      if (sink === "file") writeToFile(entry);
+      if (sink === "syslog") sendToSyslog(entry);
+    } catch (error) {
+      log(`${sink} sink failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  auditLogPath,
+  serializeEntry,
+  syslogMessage,
+  forwardToSinks,
+};
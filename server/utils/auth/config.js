@@ -3,6 +3,11 @@
  *
  * Handles configuration for Keystone Core API token introspection
  * for user authentication (non-admin endpoints only).
+ *
+ * Modes:
+ * - introspect: every token is checked against the introspection endpoint
+ * - jwks: tokens are verified locally against Keystone's published JWKS,
+ *   optionally falling back to introspection when the JWKS is unavailable
  */
 // @ts-check
 // eslint-disable-next-line @typescript-eslint/no-var-requires
@@ -18,6 +23,21 @@ const ExternalAuthConfig = {
     const base = this.baseUrl.replace(/\/$/, "");
     return `${base}/api/v1/auth/introspect`;
   },
+  // JWKS endpoint used in jwks mode (defaults to baseUrl + /.well-known/jwks.json)
+  get jwksUrl() {
+    if (process.env.EXTERNAL_AUTH_JWKS_URL)
+      return process.env.EXTERNAL_AUTH_JWKS_URL;
+    if (!this.baseUrl) return null;
+    const base = this.baseUrl.replace(/\/$/, "");
+    return `${base}/.well-known/jwks.json`;
+  },
+  jwksRefreshInterval: parseInt(
+    process.env.EXTERNAL_AUTH_JWKS_REFRESH_INTERVAL || "600",
+    10
+  ),
+  // Fall back to introspection when the JWKS cannot be fetched or has no matching key
+  jwksFallbackToIntrospect:
+    process.env.EXTERNAL_AUTH_JWKS_FALLBACK === "introspect",
   issuer: process.env.EXTERNAL_AUTH_ISSUER,
   audience: process.env.EXTERNAL_AUTH_AUDIENCE,
   serviceKey: process.env.EXTERNAL_API_SERVICE_KEY,
@@ -25,6 +45,26 @@ const ExternalAuthConfig = {
     process.env.EXTERNAL_AUTH_INTROSPECTION_CACHE_TTL || "30",
     10
   ),
+  // "memory" (per-process LRU) or "database" (shared between cluster workers)
+  cacheStore: process.env.EXTERNAL_AUTH_CACHE_STORE || "memory",
+  cacheMaxEntries: parseInt(
+    process.env.EXTERNAL_AUTH_CACHE_MAX_ENTRIES || "10000",
+    10
+  ),
+  // HMAC key for cache keys - must be the same on every worker sharing a store
+  cacheSecret:
+    process.env.EXTERNAL_AUTH_CACHE_SECRET || process.env.JWT_SECRET || null,
+  // Bearer key Keystone presents when pushing logout/revoke events
+  revocationKey:
+    process.env.EXTERNAL_AUTH_REVOCATION_KEY ||
+    process.env.EXTERNAL_API_SERVICE_KEY ||
+    null,
+  // Seconds a subject/session revocation is kept when the event has no exp -
+  // should cover the longest access token lifetime
+  revocationTTL: parseInt(
+    process.env.EXTERNAL_AUTH_REVOCATION_TTL || "86400",
+    10
+  ),
   requireHTTPS:
     process.env.NODE_ENV === "production" &&
     process.env.EXTERNAL_AUTH_REQUIRE_HTTPS !== "false",
@@ -38,6 +78,16 @@ if (ExternalAuthConfig.enabled) {
     );
   }
 
+  if (!["introspect", "jwks"].includes(ExternalAuthConfig.mode)) {
+    throw new Error("EXTERNAL_AUTH_MODE must be one of: introspect, jwks");
+  }
+
+  if (!["memory", "database"].includes(ExternalAuthConfig.cacheStore)) {
+    throw new Error(
+      "EXTERNAL_AUTH_CACHE_STORE must be one of: memory, database"
+    );
+  }
+
   if (
     ExternalAuthConfig.mode === "introspect" &&
     !ExternalAuthConfig.serviceKey
@@ -47,11 +97,33 @@ if (ExternalAuthConfig.enabled) {
     );
   }
 
+  if (ExternalAuthConfig.mode === "jwks") {
+    if (!ExternalAuthConfig.issuer || !ExternalAuthConfig.audience) {
+      throw new Error(
+        "EXTERNAL_AUTH_ISSUER and EXTERNAL_AUTH_AUDIENCE required when EXTERNAL_AUTH_MODE=jwks"
+      );
+    }
+    if (
+      ExternalAuthConfig.jwksFallbackToIntrospect &&
+      !ExternalAuthConfig.serviceKey
+    ) {
+      throw new Error(
+        "EXTERNAL_API_SERVICE_KEY required when EXTERNAL_AUTH_JWKS_FALLBACK=introspect"
+      );
+    }
+  }
+
   if (ExternalAuthConfig.requireHTTPS) {
     const url = new URL(ExternalAuthConfig.baseUrl);
     if (url.protocol !== "https:") {
       throw new Error("EXTERNAL_AUTH_API_URL must use HTTPS in production");
     }
+    if (
+      ExternalAuthConfig.mode === "jwks" &&
+      new URL(ExternalAuthConfig.jwksUrl).protocol !== "https:"
+    ) {
+      throw new Error("EXTERNAL_AUTH_JWKS_URL must use HTTPS in production");
+    }
   }
 }
 
@@ -1,69 +1,239 @@
+const crypto = require("crypto");
+const { CacheData } = require("../../models/cacheData");
+const { safeJsonParse } = require("../http");
+const { ExternalAuthConfig } = require("./config");
+
 /**
- * In-memory cache for token introspection results
- * TTL: 30 seconds (as per requirements)
- * Only caches active tokens
+ * Cache for token introspection results
+ * - Keys are an HMAC-SHA256 of the full token, so tokens sharing a JWT header
+ *   can never resolve to each other's entry and raw tokens are never stored
+ * - Entries live for the configured TTL (30s by default) but never past the
+ *   token's own `exp`
+ * - Only caches active tokens
+ * - Backed by a pluggable store: in-memory LRU by default, or the shared
+ *   `cache_data` table so every cluster worker sees the same entries
+ * - Entries can be revoked by token, subject or session (Keystone logout/revoke)
+ *
+ * A store implements async get(key), set(key, entry), delete(key),
+ * revoke({ sub, sid }) and clear(), where an entry is
+ * { data, sub, sid, expiresAt }.
  */
-class IntrospectionCache {
-  constructor() {
+class MemoryLRUStore {
+  constructor(maxEntries = 10_000) {
+    this.maxEntries = maxEntries;
     this.cache = new Map();
+  }
+
+  async get(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+
+    // Re-insert to mark as most recently used
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    while (this.cache.size > this.maxEntries)
+      this.cache.delete(this.cache.keys().next().value);
+  }
+
+  async delete(key) {
+    this.cache.delete(key);
+  }
+
+  async revoke({ sub = null, sid = null } = {}) {
+    let revoked = 0;
+    for (const [key, entry] of this.cache.entries()) {
+      if ((sub && entry.sub === sub) || (sid && entry.sid === sid)) {
+        this.cache.delete(key);
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  async clear() {
+    this.cache.clear();
+  }
+}
+
+class PrismaCacheStore {
+  static belongsTo = "external_auth_introspection";
+
+  async get(key) {
+    const row = await CacheData.get({
+      name: key,
+      belongsTo: PrismaCacheStore.belongsTo,
+    });
+    return row ? safeJsonParse(row.data, null) : null;
+  }
+
+  async set(key, entry) {
+    await CacheData.delete({
+      belongsTo: PrismaCacheStore.belongsTo,
+      OR: [{ name: key }, { expiresAt: { lt: new Date() } }],
+    });
+    await CacheData.new({
+      name: key,
+      data: JSON.stringify(entry),
+      belongsTo: PrismaCacheStore.belongsTo,
+      expiresAt: new Date(entry.expiresAt),
+    });
+  }
+
+  async delete(key) {
+    await CacheData.delete({
+      name: key,
+      belongsTo: PrismaCacheStore.belongsTo,
+    });
+  }
+
+  async revoke({ sub = null, sid = null } = {}) {
+    const rows = await CacheData.where({
+      belongsTo: PrismaCacheStore.belongsTo,
+    });
+    const names = rows
+      .filter((row) => {
+        const entry = safeJsonParse(row.data, {});
+        return (sub && entry.sub === sub) || (sid && entry.sid === sid);
+      })
+      .map((row) => row.name);
+    if (names.length > 0)
+      await CacheData.delete({
+        belongsTo: PrismaCacheStore.belongsTo,
+        name: { in: names },
+      });
+    return names.length;
+  }
+
+  async clear() {
+    await CacheData.delete({ belongsTo: PrismaCacheStore.belongsTo });
+  }
+}
+
+class IntrospectionCache {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - backing store, defaults to an in-memory LRU
+   * @param {string} [options.secret] - HMAC key for cache keys
+   */
+  constructor({ store = new MemoryLRUStore(), secret = null } = {}) {
+    this.store = store;
+    // A random key still keeps entries private, but only within this process.
+    this.secret = secret || crypto.randomBytes(32).toString("hex");
     this.defaultTTL = 30000; // 30 seconds in milliseconds
   }
 
   /**
-   * Generate cache key from token (use first 20 chars for privacy)
+   * Swap the backing store, e.g. for a shared store in clustered deployments.
+   * @param {Object} store
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Generate cache key from a keyed hash of the full token
    */
   getCacheKey(token) {
-    return `introspect:${token.substring(0, 20)}`;
+    const digest = crypto
+      .createHmac("sha256", this.secret)
+      .update(String(token))
+      .digest("hex");
+    return `introspect:${digest}`;
   }
 
   /**
    * Get cached introspection result
    */
-  get(token) {
+  async get(token) {
     const key = this.getCacheKey(token);
-    const item = this.cache.get(key);
+    try {
+      const item = await this.store.get(key);
+      if (!item) return null;
 
-    if (!item) return null;
+      // Check if expired
+      if (Date.now() > item.expiresAt) {
+        await this.store.delete(key);
+        return null;
+      }
 
-    // Check if expired
-    if (Date.now() > item.expiresAt) {
-      this.cache.delete(key);
+      return item.data;
+    } catch (error) {
+      console.error(`[IntrospectionCache] get failed: ${error.message}`);
       return null;
     }
-
-    return item.data;
   }
 
   /**
    * Set cached introspection result
-   * Only cache active tokens
+   * Only cache active tokens, and never beyond the token's own expiry
    */
-  set(token, data, ttl = this.defaultTTL) {
+  async set(token, data, ttl = this.defaultTTL) {
     if (!data || !data.active) {
       return; // Don't cache inactive tokens
     }
 
-    const key = this.getCacheKey(token);
-    this.cache.set(key, {
-      data,
-      expiresAt: Date.now() + ttl,
-    });
+    const expiresAt = Math.min(
+      Date.now() + ttl,
+      typeof data.exp === "number" ? data.exp * 1000 : Infinity
+    );
+    if (expiresAt <= Date.now()) return;
+
+    try {
+      await this.store.set(this.getCacheKey(token), {
+        data,
+        sub: data.sub ?? null,
+        sid: data.sid || data.sessionId || null,
+        expiresAt,
+      });
+    } catch (error) {
+      console.error(`[IntrospectionCache] set failed: ${error.message}`);
+    }
   }
 
   /**
    * Invalidate cache for a token
    */
-  invalidate(token) {
-    const key = this.getCacheKey(token);
-    this.cache.delete(key);
+  async invalidate(token) {
+    await this.store.delete(this.getCacheKey(token));
+  }
+
+  /**
+   * Revocation hook for Keystone logout/revoke events. Evicts the entry for a
+   * token and/or every entry belonging to a subject or session.
+   * @param {{token?: string, sub?: string, sid?: string}} event
+   * @returns {Promise<number>} number of subject/session entries evicted
+   */
+  async revoke({ token = null, sub = null, sid = null } = {}) {
+    if (token) await this.invalidate(token);
+    if (!sub && !sid) return 0;
+    return await this.store.revoke({ sub, sid });
   }
 
   /**
    * Clear all cache entries
    */
-  clear() {
-    this.cache.clear();
+  async clear() {
+    await this.store.clear();
   }
 }
 
-module.exports = new IntrospectionCache();
+const introspectionCache = new IntrospectionCache({
+  store:
+    ExternalAuthConfig.cacheStore === "database"
+      ? new PrismaCacheStore()
+      : new MemoryLRUStore(ExternalAuthConfig.cacheMaxEntries),
+  secret: ExternalAuthConfig.cacheSecret,
+});
+
+module.exports = {
+  IntrospectionCache,
+  MemoryLRUStore,
+  PrismaCacheStore,
+  introspectionCache,
+};
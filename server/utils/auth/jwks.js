@@ -0,0 +1,258 @@
+const crypto = require("crypto");
+const { ExternalAuthConfig } = require("./config");
+
+/**
+ * Local verification of Keystone access tokens against the issuer's JWKS
+ * (RFC 7517) so user requests do not need an introspection round trip.
+ *
+ * - Only RS256 and ES256 signatures are accepted
+ * - Keys are cached and refreshed every `jwksRefreshInterval` seconds, in the
+ *   background - known keys keep being served while the refresh is in flight
+ * - An unknown `kid` triggers a refetch (rate limited) to pick up rotated keys
+ * - Fetches time out, and if a refresh fails the last known keys keep being used
+ */
+const SUPPORTED_ALGORITHMS = {
+  RS256: { kty: "RSA", hash: "sha256" },
+  ES256: { kty: "EC", crv: "P-256", hash: "sha256", dsaEncoding: "ieee-p1363" },
+};
+const CLOCK_SKEW_SECONDS = 60;
+const MIN_REFETCH_INTERVAL_MS = 30_000;
+const FETCH_TIMEOUT_MS = 5_000;
+
+class JwksVerificationError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} reason - short code used for audit logging
+   */
+  constructor(message, reason) {
+    super(message);
+    this.name = "JwksVerificationError";
+    this.reason = reason;
+  }
+}
+
+class JwksClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - JWKS endpoint, defaults to ExternalAuthConfig.jwksUrl
+   * @param {number} [options.refreshInterval] - ms between scheduled refreshes
+   * @param {number} [options.minRefetchInterval] - ms between unknown-kid refetches
+   * @param {number} [options.fetchTimeout] - ms before a JWKS request is aborted
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.lastAttemptAt = 0;
+    this.pending = null;
+  }
+
+  get url() {
+    return this.options.url ?? ExternalAuthConfig.jwksUrl;
+  }
+
+  get refreshInterval() {
+    return (
+      this.options.refreshInterval ??
+      ExternalAuthConfig.jwksRefreshInterval * 1000
+    );
+  }
+
+  get minRefetchInterval() {
+    return this.options.minRefetchInterval ?? MIN_REFETCH_INTERVAL_MS;
+  }
+
+  get fetchTimeout() {
+    return this.options.fetchTimeout ?? FETCH_TIMEOUT_MS;
+  }
+
+  /**
+   * Fetch the key set and replace the cached keys. Concurrent callers share
+   * the same request.
+   * @returns {Promise<Map<string, crypto.KeyObject>>}
+   */
+  async refresh() {
+    if (this.pending) return this.pending;
+
+    this.lastAttemptAt = Date.now();
+    this.pending = (async () => {
+      const response = await fetch(this.url, {
+        headers: { Accept: "application/json" },
+        signal: AbortSignal.timeout(this.fetchTimeout),
+      });
+      if (!response.ok)
+        throw new Error(`JWKS request failed: ${response.status}`);
+
+      const { keys = [] } = await response.json();
+      const parsed = new Map();
+      for (const jwk of keys) {
+        if (jwk.use && jwk.use !== "sig") continue;
+        if (!["RSA", "EC"].includes(jwk.kty)) continue;
+        try {
+          parsed.set(
+            jwk.kid ?? "",
+            crypto.createPublicKey({ key: jwk, format: "jwk" })
+          );
+        } catch {
+          // Skip keys Node cannot import instead of failing the whole set.
+        }
+      }
+      if (parsed.size === 0) throw new Error("JWKS contains no usable keys");
+
+      this.keys = parsed;
+      this.fetchedAt = Date.now();
+      return this.keys;
+    })();
+
+    try {
+      return await this.pending;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Resolve the public key for a `kid`. A cached key is returned right away and
+   * a stale key set is refreshed in the background. Callers only wait for the
+   * JWKS endpoint when nothing is cached or the `kid` is not known yet (key
+   * rotation).
+   * @param {string} kid
+   * @returns {Promise<crypto.KeyObject|null>}
+   */
+  async getKey(kid = "") {
+    const stale = Date.now() - this.fetchedAt > this.refreshInterval;
+    const canRefetch =
+      Date.now() - this.lastAttemptAt > this.minRefetchInterval;
+
+    if (this.keys.has(kid)) {
+      if (stale && canRefetch && !this.pending)
+        this.refresh().catch((error) =>
+          console.error(
+            `[JWKS] Refresh failed, using cached keys: ${error.message}`
+          )
+        );
+      return this.keys.get(kid);
+    }
+
+    if (this.keys.size === 0 || stale || canRefetch) {
+      try {
+        await this.refresh();
+      } catch (error) {
+        if (this.keys.size === 0)
+          throw new JwksVerificationError(error.message, "jwks_unavailable");
+        console.error(
+          `[JWKS] Refresh failed, using cached keys: ${error.message}`
+        );
+      }
+    }
+
+    return this.keys.get(kid) ?? null;
+  }
+
+  /**
+   * Verify a compact JWS and its registered claims.
+   * @param {string} token
+   * @param {Object} [expected]
+   * @param {string} [expected.issuer]
+   * @param {string} [expected.audience]
+   * @returns {Promise<Object>} the verified token payload
+   */
+  async verify(
+    token,
+    {
+      issuer = ExternalAuthConfig.issuer,
+      audience = ExternalAuthConfig.audience,
+    } = {}
+  ) {
+    const [encodedHeader, encodedPayload, encodedSignature, ...rest] =
+      String(token).split(".");
+    const header = decodeSegment(encodedHeader);
+    const payload = decodeSegment(encodedPayload);
+    if (!header || !payload || !encodedSignature || rest.length > 0)
+      throw new JwksVerificationError(
+        "Malformed token",
+        "invalid_token_structure"
+      );
+
+    const algorithm = SUPPORTED_ALGORITHMS[header.alg];
+    if (!algorithm)
+      throw new JwksVerificationError(
+        `Unsupported token algorithm ${header.alg}`,
+        "unsupported_algorithm"
+      );
+
+    const key = await this.getKey(header.kid);
+    if (!key)
+      throw new JwksVerificationError(
+        `No signing key found for kid ${header.kid}`,
+        "unknown_kid"
+      );
+
+    const { kty, crv } = key.export({ format: "jwk" });
+    if (kty !== algorithm.kty || (algorithm.crv && crv !== algorithm.crv))
+      throw new JwksVerificationError(
+        `Key ${header.kid} cannot verify ${header.alg} tokens`,
+        "unsupported_algorithm"
+      );
+
+    const valid = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${encodedHeader}.${encodedPayload}`),
+      algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+      Buffer.from(encodedSignature, "base64url")
+    );
+    if (!valid)
+      throw new JwksVerificationError(
+        "Invalid token signature",
+        "invalid_signature"
+      );
+
+    validateClaims(payload, { issuer, audience });
+    return payload;
+  }
+
+  clear() {
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.lastAttemptAt = 0;
+  }
+}
+
+function decodeSegment(segment) {
+  try {
+    const decoded = JSON.parse(
+      Buffer.from(segment, "base64url").toString("utf-8")
+    );
+    return decoded && typeof decoded === "object" ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+function validateClaims(payload, { issuer, audience }) {
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+  if (payload.iss !== issuer || !audiences.includes(audience))
+    throw new JwksVerificationError(
+      "Token issuer or audience mismatch",
+      "issuer_audience_mismatch"
+    );
+  if (typeof payload.exp !== "number" || payload.exp + CLOCK_SKEW_SECONDS < now)
+    throw new JwksVerificationError("Token is expired", "expired_token");
+  if (
+    payload.nbf !== undefined &&
+    (typeof payload.nbf !== "number" || payload.nbf - CLOCK_SKEW_SECONDS > now)
+  )
+    throw new JwksVerificationError(
+      "Token is not valid yet",
+      "token_not_yet_valid"
+    );
+}
+
+module.exports = {
+  JwksClient,
+  JwksVerificationError,
+  SUPPORTED_ALGORITHMS,
+  jwksClient: new JwksClient(),
+};
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const { CacheData } = require("../../models/cacheData");
+const { safeJsonParse } = require("../http");
+const { ExternalAuthConfig } = require("./config");
+
+/**
+ * Deny-list for tokens Keystone has revoked or logged out.
+ *
+ * In jwks mode tokens are verified locally, so evicting cached introspection
+ * results is not enough - a revoked token would keep verifying until its
+ * `exp`. Revocations are recorded here and checked after JWKS verification.
+ * - A token entry denies that exact token (keyed by an HMAC of the token)
+ * - A subject entry denies every token for the subject issued at or before
+ *   the revocation, so the user can sign in again afterwards
+ * - A session entry denies every token for the session
+ * - Entries are dropped once the tokens they cover have expired: at the
+ *   token's `exp`, the `exp` sent with the event, or after the configured
+ *   revocation TTL when neither is known
+ *
+ * A store implements async get(key) and set(key, entry), where an entry is
+ * { revokedAt, expiresAt } and get ignores expired entries. Entries are never
+ * evicted early - dropping one would let a revoked token back in.
+ */
+class MemoryRevocationStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    for (const [existingKey, existing] of this.entries.entries()) {
+      if (Date.now() > existing.expiresAt) this.entries.delete(existingKey);
+    }
+    this.entries.set(key, entry);
+  }
+}
+
+class PrismaRevocationStore {
+  static belongsTo = "external_auth_revocation";
+
+  async get(key) {
+    const row = await CacheData.get({
+      name: key,
+      belongsTo: PrismaRevocationStore.belongsTo,
+      expiresAt: { gt: new Date() },
+    });
+    return row ? safeJsonParse(row.data, null) : null;
+  }
+
+  async set(key, entry) {
+    await CacheData.delete({
+      belongsTo: PrismaRevocationStore.belongsTo,
+      OR: [{ name: key }, { expiresAt: { lt: new Date() } }],
+    });
+    await CacheData.new({
+      name: key,
+      data: JSON.stringify(entry),
+      belongsTo: PrismaRevocationStore.belongsTo,
+      expiresAt: new Date(entry.expiresAt),
+    });
+  }
+}
+
+class RevocationList {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - backing store, defaults to in-memory
+   * @param {string} [options.secret] - HMAC key for token entries
+   * @param {number} [options.ttl] - seconds to keep subject/session entries
+   *   when the event carries no `exp`
+   */
+  constructor({
+    store = new MemoryRevocationStore(),
+    secret = null,
+    ttl = 86400,
+  } = {}) {
+    this.store = store;
+    this.secret = secret || crypto.randomBytes(32).toString("hex");
+    this.ttl = ttl;
+  }
+
+  tokenKey(token) {
+    const digest = crypto
+      .createHmac("sha256", this.secret)
+      .update(String(token))
+      .digest("hex");
+    return `token:${digest}`;
+  }
+
+  /**
+   * Record a Keystone logout/revoke event.
+   * @param {{token?: string, sub?: string, sid?: string, exp?: number}} event
+   *   `exp` is the latest expiry (epoch seconds) of the tokens being revoked
+   */
+  async revoke({ token = null, sub = null, sid = null, exp = null } = {}) {
+    const now = Date.now();
+    const revokedAt = Math.floor(now / 1000);
+    const fallbackExpiry =
+      typeof exp === "number" ? exp * 1000 : now + this.ttl * 1000;
+
+    if (token) {
+      const tokenExp = decodeExp(token);
+      await this.store.set(this.tokenKey(token), {
+        revokedAt,
+        expiresAt: tokenExp ? tokenExp * 1000 : fallbackExpiry,
+      });
+    }
+    if (fallbackExpiry <= now) return;
+    if (sub)
+      await this.store.set(`sub:${sub}`, {
+        revokedAt,
+        expiresAt: fallbackExpiry,
+      });
+    if (sid)
+      await this.store.set(`sid:${sid}`, {
+        revokedAt,
+        expiresAt: fallbackExpiry,
+      });
+  }
+
+  /**
+   * Whether a verified token has been revoked.
+   * @param {string} token
+   * @param {{sub?: string, sid?: string, sessionId?: string, iat?: number}} claims
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(token, claims = {}) {
+    if (await this.store.get(this.tokenKey(token))) return true;
+
+    const sid = claims.sid || claims.sessionId;
+    if (sid && (await this.store.get(`sid:${sid}`))) return true;
+
+    if (claims.sub) {
+      const entry = await this.store.get(`sub:${claims.sub}`);
+      if (entry && !(claims.iat > entry.revokedAt)) return true;
+    }
+    return false;
+  }
+}
+
+function decodeExp(token) {
+  try {
+    const payload = String(token).split(".")[1];
+    const { exp } = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return typeof exp === "number" ? exp : null;
+  } catch {
+    return null;
+  }
+}
+
+const revocationList = new RevocationList({
+  store:
+    ExternalAuthConfig.cacheStore === "database"
+      ? new PrismaRevocationStore()
+      : new MemoryRevocationStore(),
+  secret: ExternalAuthConfig.cacheSecret,
+  ttl: ExternalAuthConfig.revocationTTL,
+});
+
+module.exports = {
+  RevocationList,
+  MemoryRevocationStore,
+  PrismaRevocationStore,
+  revocationList,
+};
@@ -14,7 +14,10 @@ async function syncExternalUser(externalUser, existingUser = null) {
     email,
     role, // { id, name } object from Keystone Core API (e.g., {id: 2, name: "User"})
     provider,
+    groups = [],
   } = externalUser;
+  // Stored so document access control can match group grants outside of a request (e.g. agents)
+  const externalGroups = JSON.stringify(normalizeExternalGroups(groups));
 
   // Generate username from email if not provided
   const username = email
@@ -40,6 +43,13 @@ async function syncExternalUser(externalUser, existingUser = null) {
     await User.update(user.id, {
       role: "default", // Always default role for external users
     });
+    if (user.externalGroups !== externalGroups) {
+      await prisma.users.update({
+        where: { id: user.id },
+        data: { externalGroups },
+      });
+      user = { ...user, externalGroups };
+    }
     return user;
   }
 
@@ -59,6 +69,7 @@ async function syncExternalUser(externalUser, existingUser = null) {
         bio: "",
         externalId: String(externalId),
         externalProvider: "keystone-core-api",
+        externalGroups,
       },
     });
 
@@ -68,6 +79,19 @@ async function syncExternalUser(externalUser, existingUser = null) {
   }
 }
 
+/**
+ * Keystone Core API sends groups as a list of names or as a space separated
+ * string, like scopes.
+ * @param {string[]|string|null} groups
+ * @returns {string[]}
+ */
+function normalizeExternalGroups(groups = []) {
+  const list = Array.isArray(groups) ? groups : String(groups ?? "").split(" ");
+  return [
+    ...new Set(list.map((group) => String(group).trim()).filter(Boolean)),
+  ];
+}
+
 /**
  * Map Keystone Core API roles to AnythingLLM roles
  *
@@ -95,4 +119,8 @@ function mapExternalRoleToAnythingLLMRole(externalRole) {
   return roleMap[normalizedRole] || "default";
 }
 
-module.exports = { syncExternalUser, mapExternalRoleToAnythingLLMRole };
+module.exports = {
+  syncExternalUser,
+  mapExternalRoleToAnythingLLMRole,
+  normalizeExternalGroups,
+};
@@ -1,7 +1,11 @@
+const { ApiKey } = require("../../models/apiKeys");
 const { Telemetry } = require("../../models/telemetry");
 const { BackgroundService } = require("../BackgroundWorkers");
 const { EncryptionManager } = require("../EncryptionManager");
 const { CommunicationKey } = require("../comKey");
+const { resumeIngestionJobs } = require("../ingestionJobs");
+const { scheduleAuditLogRetention } = require("../auditLog");
+const { buildOcrReviewIndex } = require("../documentOcr");
 const setupTelemetry = require("../telemetry");
 
 // Testing SSL? You can make a self signed certificate and point the ENVs to that location
@@ -31,6 +35,10 @@ function bootSSL(app, port = 3001) {
         new CommunicationKey(true);
         new EncryptionManager();
         new BackgroundService().boot();
+        await resumeIngestionJobs();
+        await ApiKey.hashLegacySecrets();
+        scheduleAuditLogRetention();
+        buildOcrReviewIndex();
         console.log(`Primary server in HTTPS mode listening on port ${port}`);
       })
       .on("error", catchSigTerms);
@@ -60,6 +68,10 @@ function bootHTTP(app, port = 3001) {
       new CommunicationKey(true);
       new EncryptionManager();
       new BackgroundService().boot();
+      await resumeIngestionJobs();
+      await ApiKey.hashLegacySecrets();
+      scheduleAuditLogRetention();
+      buildOcrReviewIndex();
       console.log(`Primary server in HTTP mode listening on port ${port}`);
     })
     .on("error", catchSigTerms);
@@ -2,6 +2,14 @@ const { v4: uuidv4 } = require("uuid");
 const { DocumentManager } = require("../DocumentManager");
 const { WorkspaceChats } = require("../../models/workspaceChats");
 const { getVectorDbClass, getLLMProvider } = require("../helpers");
+const {
+  shouldUseHybridSearch,
+  hybridSearchConfig,
+} = require("../vectorStore/hybridSearch");
+const {
+  withFilterableMetadata,
+  matchesMetadataFilters,
+} = require("../vectorStore/metadataFilters");
 const { writeResponseChunk } = require("../helpers/chat/responses");
 const {
   chatPrompt,
@@ -14,6 +22,7 @@ const {
   EphemeralEventListener,
 } = require("../agents/ephemeral");
 const { Telemetry } = require("../../models/telemetry");
+const { logDocumentAccess } = require("../documentAccess");
 
 // Simple toggle-able logger for tracing execution.
 const LOG_ENABLED = process.env.DEBUG_CHAT_HANDLER === "true";
@@ -43,6 +52,7 @@ const debugLog = (...args) => {
  * sessionId: string|null,
  * attachments: { name: string; mime: string; contentString: string }[],
  * reset: boolean,
+ * filters: import("../vectorStore/metadataFilters").MetadataFilterCondition[],
  * }} parameters
  * @returns {Promise<ResponseObject>}
  */
@@ -55,6 +65,7 @@ async function chatSync({
   sessionId = null,
   attachments = [],
   reset = false,
+  filters = [],
 }) {
   const uuid = uuidv4();
   const chatMode = mode ?? "chat";
@@ -173,7 +184,10 @@ async function chatSync({
     workspace,
     maxTokens: LLMConnector.promptWindowLimit(),
   });
-  const pinnedDocs = await documentManager.pinnedDocs();
+  // Pinned documents are only used when they match the metadata filters.
+  const pinnedDocs = (await documentManager.pinnedDocs()).filter((doc) =>
+    matchesMetadataFilters(withFilterableMetadata(doc), filters)
+  );
   pinnedDocs.forEach((doc) => {
     const { pageContent, ...metadata } = doc;
     pinnedDocIdentifiers.push(sourceIdentifier(doc));
@@ -185,10 +199,7 @@ async function chatSync({
     });
   });
 
-  const useHybrid =
-    (process.env.VECTOR_DB === "milvus" ||
-      process.env.VECTOR_DB === "zilliz") &&
-    process.env.EMBEDDING_ENGINE === "hybrid";
+  const useHybrid = shouldUseHybridSearch(VectorDb, workspace);
   debugLog("Search strategy", { useHybrid });
 
   const vectorSearchResults =
@@ -202,6 +213,8 @@ async function chatSync({
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              hybridConfig: hybridSearchConfig(workspace),
+              filters,
             })
           : VectorDb.performSimilaritySearch({
               namespace: workspace.slug,
@@ -211,6 +224,7 @@ async function chatSync({
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              filters,
             }))
       : {
           contextTexts: [],
@@ -234,7 +248,8 @@ async function chatSync({
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,
     searchResults: vectorSearchResults.sources,
-    history: rawHistory,
+    // Sources of earlier answers may not match the filters, so do not backfill from them.
+    history: filters.length > 0 ? [] : rawHistory,
     filterIdentifiers: pinnedDocIdentifiers,
   });
 
@@ -246,6 +261,7 @@ async function chatSync({
     ...filledSources.contextTexts,
   ];
   sources = [...sources, ...vectorSearchResults.sources];
+  await logDocumentAccess(sources, { user, workspace, via: "api_chat" });
   debugLog(
     `Assembled ${contextTexts.length} total context chunks for LLM prompt.`
   );
@@ -347,6 +363,7 @@ async function chatSync({
  * sessionId: string|null,
  * attachments: { name: string; mime: string; contentString: string }[],
  * reset: boolean,
+ * filters: import("../vectorStore/metadataFilters").MetadataFilterCondition[],
  * }} parameters
  * @returns {Promise<VoidFunction>}
  */
@@ -360,6 +377,7 @@ async function streamChat({
   sessionId = null,
   attachments = [],
   reset = false,
+  filters = [],
 }) {
   const uuid = uuidv4();
   const chatMode = mode ?? "chat";
@@ -490,7 +508,10 @@ async function streamChat({
     workspace,
     maxTokens: LLMConnector.promptWindowLimit(),
   });
-  const pinnedDocs = await documentManager.pinnedDocs();
+  // Pinned documents are only used when they match the metadata filters.
+  const pinnedDocs = (await documentManager.pinnedDocs()).filter((doc) =>
+    matchesMetadataFilters(withFilterableMetadata(doc), filters)
+  );
   pinnedDocs.forEach((doc) => {
     const { pageContent, ...metadata } = doc;
     pinnedDocIdentifiers.push(sourceIdentifier(doc));
@@ -502,10 +523,7 @@ async function streamChat({
     });
   });
 
-  const useHybrid =
-    (process.env.VECTOR_DB?.toLowerCase() === "milvus" ||
-      process.env.VECTOR_DB?.toLowerCase() === "zilliz") &&
-    process.env.EMBEDDING_ENGINE?.toLowerCase() === "hybrid";
+  const useHybrid = shouldUseHybridSearch(VectorDb, workspace);
   debugLog("Search strategy", { useHybrid });
 
   const vectorSearchResults =
@@ -519,6 +537,8 @@ async function streamChat({
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              hybridConfig: hybridSearchConfig(workspace),
+              filters,
             })
           : VectorDb.performSimilaritySearch({
               namespace: workspace.slug,
@@ -528,6 +548,7 @@ async function streamChat({
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              filters,
             }))
       : {
           contextTexts: [],
@@ -552,7 +573,8 @@ async function streamChat({
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,
     searchResults: vectorSearchResults.sources,
-    history: rawHistory,
+    // Sources of earlier answers may not match the filters, so do not backfill from them.
+    history: filters.length > 0 ? [] : rawHistory,
     filterIdentifiers: pinnedDocIdentifiers,
   });
 
@@ -564,6 +586,7 @@ async function streamChat({
     ...filledSources.contextTexts,
   ];
   sources = [...sources, ...vectorSearchResults.sources];
+  await logDocumentAccess(sources, { user, workspace, via: "api_chat" });
   debugLog(
     `Assembled ${contextTexts.length} total context chunks for LLM prompt.`
   );
@@ -1,5 +1,9 @@
 const { v4: uuidv4 } = require("uuid");
 const { getVectorDbClass, getLLMProvider } = require("../helpers");
+const {
+  shouldUseHybridSearch,
+  hybridSearchConfig,
+} = require("../vectorStore/hybridSearch");
 const { chatPrompt, sourceIdentifier } = require("./index");
 const { EmbedChats } = require("../../models/embedChats");
 const {
@@ -7,6 +11,14 @@ const {
   writeResponseChunk,
 } = require("../helpers/chat/responses");
 const { DocumentManager } = require("../DocumentManager");
+const {
+  documentAccessFilters,
+  logDocumentAccess,
+} = require("../documentAccess");
+const {
+  matchesMetadataFilters,
+  withFilterableMetadata,
+} = require("../vectorStore/metadataFilters");
 
 async function streamChatWithForEmbed(
   response,
@@ -63,6 +75,10 @@ async function streamChatWithForEmbed(
     embed,
     messageLimit
   );
+  // Embed visitors are anonymous, so they only see public documents.
+  const accessFilters = await documentAccessFilters(embed.workspace, null, {
+    publicOnly: true,
+  });
 
   // See stream.js comment for more information on this implementation.
   await new DocumentManager({
@@ -71,23 +87,24 @@ async function streamChatWithForEmbed(
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
-      pinnedDocs.forEach((doc) => {
-        const { pageContent, ...metadata } = doc;
-        pinnedDocIdentifiers.push(sourceIdentifier(doc));
-        contextTexts.push(doc.pageContent);
-        sources.push({
-          text:
-            pageContent.slice(0, 1_000) +
-            "...continued on in source document...",
-          ...metadata,
+      pinnedDocs
+        .filter((doc) =>
+          matchesMetadataFilters(withFilterableMetadata(doc), accessFilters)
+        )
+        .forEach((doc) => {
+          const { pageContent, ...metadata } = doc;
+          pinnedDocIdentifiers.push(sourceIdentifier(doc));
+          contextTexts.push(doc.pageContent);
+          sources.push({
+            text:
+              pageContent.slice(0, 1_000) +
+              "...continued on in source document...",
+            ...metadata,
+          });
         });
-      });
     });
 
-  const useHybrid =
-    (process.env.VECTOR_DB === "milvus" ||
-      process.env.VECTOR_DB === "zilliz") &&
-    process.env.EMBEDDING_ENGINE === "hybrid";
+  const useHybrid = shouldUseHybridSearch(VectorDb, embed.workspace);
 
   const vectorSearchResults =
     embeddingsCount !== 0
@@ -100,6 +117,8 @@ async function streamChatWithForEmbed(
               topN: embed.workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: embed.workspace?.vectorSearchMode === "rerank",
+              hybridConfig: hybridSearchConfig(embed.workspace),
+              filters: accessFilters,
             })
           : VectorDb.performSimilaritySearch({
               namespace: embed.workspace.slug,
@@ -109,6 +128,7 @@ async function streamChatWithForEmbed(
               topN: embed.workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: embed.workspace?.vectorSearchMode === "rerank",
+              filters: accessFilters,
             }))
       : {
           contextTexts: [],
@@ -133,7 +153,8 @@ async function streamChatWithForEmbed(
   const filledSources = fillSourceWindow({
     nDocs: embed.workspace?.topN || 4,
     searchResults: vectorSearchResults.sources,
-    history: rawHistory,
+    // Sources of earlier answers may have been restricted since, so do not backfill from them.
+    history: accessFilters.length > 0 ? [] : rawHistory,
     filterIdentifiers: pinnedDocIdentifiers,
   });
 
@@ -146,6 +167,10 @@ async function streamChatWithForEmbed(
   // TLDR; reduces GitHub issues for "LLM citing document that has no answer in it" while keep answers highly accurate.
   contextTexts = [...contextTexts, ...filledSources.contextTexts];
   sources = [...sources, ...vectorSearchResults.sources];
+  await logDocumentAccess(sources, {
+    workspace: embed.workspace,
+    via: "embed",
+  });
 
   // If in query mode and no sources are found in current search or backfilled from history, do not
   // let the LLM try to hallucinate a response or use general knowledge
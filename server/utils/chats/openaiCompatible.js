@@ -2,10 +2,20 @@ const { v4: uuidv4 } = require("uuid");
 const { DocumentManager } = require("../DocumentManager");
 const { WorkspaceChats } = require("../../models/workspaceChats");
 const { getVectorDbClass, getLLMProvider } = require("../helpers");
+const {
+  shouldUseHybridSearch,
+  hybridSearchConfig,
+} = require("../vectorStore/hybridSearch");
 const { writeResponseChunk } = require("../helpers/chat/responses");
 const { chatPrompt, sourceIdentifier } = require("./index");
+const {
+  matchesMetadataFilters,
+  withFilterableMetadata,
+} = require("../vectorStore/metadataFilters");
+const { pageCitation } = require("../vectorStore/pageRanges");
 
 const { PassThrough } = require("stream");
+const { logDocumentAccess } = require("../documentAccess");
 
 async function chatSync({
   workspace,
@@ -13,6 +23,7 @@ async function chatSync({
   history = [],
   prompt = null,
   temperature = null,
+  filters = [],
 }) {
   const uuid = uuidv4();
   const chatMode = workspace?.chatMode ?? "chat";
@@ -67,23 +78,24 @@ async function chatSync({
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
-      pinnedDocs.forEach((doc) => {
-        const { pageContent, ...metadata } = doc;
-        pinnedDocIdentifiers.push(sourceIdentifier(doc));
-        contextTexts.push(doc.pageContent);
-        sources.push({
-          text:
-            pageContent.slice(0, 1_000) +
-            "...continued on in source document...",
-          ...metadata,
+      pinnedDocs
+        .filter((doc) =>
+          matchesMetadataFilters(withFilterableMetadata(doc), filters)
+        )
+        .forEach((doc) => {
+          const { pageContent, ...metadata } = doc;
+          pinnedDocIdentifiers.push(sourceIdentifier(doc));
+          contextTexts.push(doc.pageContent);
+          sources.push({
+            text:
+              pageContent.slice(0, 1_000) +
+              "...continued on in source document...",
+            ...metadata,
+          });
         });
-      });
     });
 
-  const useHybrid =
-    (process.env.VECTOR_DB === "milvus" ||
-      process.env.VECTOR_DB === "zilliz") &&
-    process.env.EMBEDDING_ENGINE === "hybrid";
+  const useHybrid = shouldUseHybridSearch(VectorDb, workspace);
 
   const vectorSearchResults =
     embeddingsCount !== 0
@@ -96,6 +108,8 @@ async function chatSync({
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              hybridConfig: hybridSearchConfig(workspace),
+              filters,
             })
           : VectorDb.performSimilaritySearch({
               namespace: workspace.slug,
@@ -105,6 +119,7 @@ async function chatSync({
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              filters,
             }))
       : {
           contextTexts: [],
@@ -130,6 +145,7 @@ async function chatSync({
   // For OpenAI Compatible chats, we cannot do backfilling so we simply aggregate results here.
   contextTexts = [...contextTexts, ...vectorSearchResults.contextTexts];
   sources = [...sources, ...vectorSearchResults.sources];
+  await logDocumentAccess(sources, { workspace, via: "openai_compatible" });
 
   // If in query mode and no context chunks are found from search, backfill, or pins -  do not
   // let the LLM try to hallucinate a response or use general knowledge and exit early
@@ -221,6 +237,7 @@ async function streamChat({
   history = [],
   prompt = null,
   temperature = null,
+  filters = [],
 }) {
   const uuid = uuidv4();
   const chatMode = workspace?.chatMode ?? "chat";
@@ -298,23 +315,24 @@ async function streamChat({
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
-      pinnedDocs.forEach((doc) => {
-        const { pageContent, ...metadata } = doc;
-        pinnedDocIdentifiers.push(sourceIdentifier(doc));
-        contextTexts.push(doc.pageContent);
-        sources.push({
-          text:
-            pageContent.slice(0, 1_000) +
-            "...continued on in source document...",
-          ...metadata,
+      pinnedDocs
+        .filter((doc) =>
+          matchesMetadataFilters(withFilterableMetadata(doc), filters)
+        )
+        .forEach((doc) => {
+          const { pageContent, ...metadata } = doc;
+          pinnedDocIdentifiers.push(sourceIdentifier(doc));
+          contextTexts.push(doc.pageContent);
+          sources.push({
+            text:
+              pageContent.slice(0, 1_000) +
+              "...continued on in source document...",
+            ...metadata,
+          });
         });
-      });
     });
 
-  const useHybrid =
-    (process.env.VECTOR_DB === "milvus" ||
-      process.env.VECTOR_DB === "zilliz") &&
-    process.env.EMBEDDING_ENGINE === "hybrid";
+  const useHybrid = shouldUseHybridSearch(VectorDb, workspace);
 
   const vectorSearchResults =
     embeddingsCount !== 0
@@ -327,6 +345,8 @@ async function streamChat({
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              hybridConfig: hybridSearchConfig(workspace),
+              filters,
             })
           : VectorDb.performSimilaritySearch({
               namespace: workspace.slug,
@@ -336,6 +356,7 @@ async function streamChat({
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              filters,
             }))
       : {
           contextTexts: [],
@@ -365,6 +386,7 @@ async function streamChat({
   // For OpenAI Compatible chats, we cannot do backfilling so we simply aggregate results here.
   contextTexts = [...contextTexts, ...vectorSearchResults.contextTexts];
   sources = [...sources, ...vectorSearchResults.sources];
+  await logDocumentAccess(sources, { workspace, via: "openai_compatible" });
 
   // If in query mode and no context chunks are found from search, backfill, or pins -  do not
   // let the LLM try to hallucinate a response or use general knowledge and exit early
@@ -500,6 +522,23 @@ async function streamChat({
   return;
 }
 
+/**
+ * Shapes a chat source as a citation for OpenAI-compatible responses.
+ * @param {Object} source - a source from the vector search or a pinned document
+ * @returns {{id: string|null, title: string|null, url: string|null, chunkSource: string|null, score: number|null, pageStart: number|null, pageEnd: number|null, text: string|null}}
+ */
+function formatCitation(source = {}) {
+  return {
+    id: source.id ?? null,
+    title: source.title ?? null,
+    url: source.url ?? null,
+    chunkSource: source.chunkSource ?? null,
+    score: source.score ?? null,
+    ...pageCitation(source),
+    text: source.text ?? null,
+  };
+}
+
 function formatJSON(
   chat,
   { chunked = false, model, finish_reason = null, usage = {} }
@@ -521,6 +560,10 @@ function formatJSON(
       },
     ],
     usage,
+    // Not part of the OpenAI schema - lets clients cite the passages an answer used.
+    ...(chat.sources?.length
+      ? { sources: chat.sources.map(formatCitation) }
+      : {}),
   };
 
   return data;
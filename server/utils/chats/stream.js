@@ -2,7 +2,19 @@ const { v4: uuidv4 } = require("uuid");
 const { DocumentManager } = require("../DocumentManager");
 const { WorkspaceChats } = require("../../models/workspaceChats");
 const { getVectorDbClass, getLLMProvider } = require("../helpers");
+const {
+  shouldUseHybridSearch,
+  hybridSearchConfig,
+} = require("../vectorStore/hybridSearch");
 const { writeResponseChunk } = require("../helpers/chat/responses");
+const {
+  documentAccessFilters,
+  logDocumentAccess,
+} = require("../documentAccess");
+const {
+  matchesMetadataFilters,
+  withFilterableMetadata,
+} = require("../vectorStore/metadataFilters");
 const { grepAgents } = require("./agents");
 const {
   grepCommand,
@@ -104,6 +116,8 @@ async function streamChatWithWorkspace(
     thread,
     messageLimit,
   });
+  // Documents this user may not retrieve are excluded from every search below.
+  const accessFilters = await documentAccessFilters(workspace, user);
 
   // Look for pinned documents and see if the user decided to use this feature. We will also do a vector search
   // as pinning is a supplemental tool but it should be used with caution since it can easily blow up a context window.
@@ -117,23 +131,24 @@ async function streamChatWithWorkspace(
   })
     .pinnedDocs()
     .then((pinnedDocs) => {
-      pinnedDocs.forEach((doc) => {
-        const { pageContent, ...metadata } = doc;
-        pinnedDocIdentifiers.push(sourceIdentifier(doc));
-        contextTexts.push(doc.pageContent);
-        sources.push({
-          text:
-            pageContent.slice(0, 1_000) +
-            "...continued on in source document...",
-          ...metadata,
+      pinnedDocs
+        .filter((doc) =>
+          matchesMetadataFilters(withFilterableMetadata(doc), accessFilters)
+        )
+        .forEach((doc) => {
+          const { pageContent, ...metadata } = doc;
+          pinnedDocIdentifiers.push(sourceIdentifier(doc));
+          contextTexts.push(doc.pageContent);
+          sources.push({
+            text:
+              pageContent.slice(0, 1_000) +
+              "...continued on in source document...",
+            ...metadata,
+          });
         });
-      });
     });
 
-  const useHybrid =
-    (process.env.VECTOR_DB === "milvus" ||
-      process.env.VECTOR_DB === "zilliz") &&
-    process.env.EMBEDDING_ENGINE === "hybrid";
+  const useHybrid = shouldUseHybridSearch(VectorDb, workspace);
 
   const vectorSearchResults =
     embeddingsCount !== 0
@@ -146,6 +161,8 @@ async function streamChatWithWorkspace(
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              hybridConfig: hybridSearchConfig(workspace),
+              filters: accessFilters,
             })
           : VectorDb.performSimilaritySearch({
               namespace: workspace.slug,
@@ -155,6 +172,7 @@ async function streamChatWithWorkspace(
               topN: workspace?.topN,
               filterIdentifiers: pinnedDocIdentifiers,
               rerank: workspace?.vectorSearchMode === "rerank",
+              filters: accessFilters,
             }))
       : {
           contextTexts: [],
@@ -179,7 +197,8 @@ async function streamChatWithWorkspace(
   const filledSources = fillSourceWindow({
     nDocs: workspace?.topN || 4,
     searchResults: vectorSearchResults.sources,
-    history: rawHistory,
+    // Sources of earlier answers may have been restricted since, so do not backfill from them.
+    history: accessFilters.length > 0 ? [] : rawHistory,
     filterIdentifiers: pinnedDocIdentifiers,
   });
 
@@ -192,6 +211,7 @@ async function streamChatWithWorkspace(
   // TLDR; reduces GitHub issues for "LLM citing document that has no answer in it" while keep answers highly accurate.
   contextTexts = [...contextTexts, ...filledSources.contextTexts];
   sources = [...sources, ...vectorSearchResults.sources];
+  await logDocumentAccess(sources, { user, workspace, via: "chat" });
 
   // If in query mode and no context chunks are found from search, backfill, or pins -  do not
   // let the LLM try to hallucinate a response or use general knowledge and exit early
@@ -39,6 +39,10 @@ class CollectorApi {
       runtimeSettings: {
         allowAnyIp: process.env.COLLECTOR_ALLOW_ANY_IP ?? "false",
       },
+      originals: {
+        retain: process.env.DISABLE_ORIGINAL_DOCUMENTS !== "true",
+        encrypt: process.env.ENCRYPT_ORIGINAL_DOCUMENTS === "true",
+      },
     };
   }
 
@@ -0,0 +1,167 @@
+/**
+ * Document Access Control Utility
+ *
+ * Stores document ACLs (see vectorStore/documentAccess) with the document and
+ * builds the pre-filter every retrieval path applies for the requesting user.
+ * Changing an ACL re-embeds the document so its chunks carry the new keys.
+ *
+ * A workspace without restricted documents is not filtered at all. Once it has
+ * one, non-admin users only retrieve chunks that are public, owned by them or
+ * shared with them. Chunks embedded before document ACLs existed carry no
+ * access keys and are treated as public, like documents without an ACL.
+ */
+const path = require("path");
+const { Document } = require("../models/documents");
+const { AuditLog } = require("../models/auditLogs");
+const { ROLES } = require("./middleware/multiUserProtected");
+const { findDocumentLocation, fileData, writeFileData } = require("./files");
+const { safeJsonParse } = require("./http");
+const {
+  isRestrictedDocument,
+  accessPrincipalOf,
+  canAccessDocument,
+  grantedDocumentIds,
+  documentAccessConditions,
+} = require("./vectorStore/documentAccess");
+
+/**
+ * Metadata filter conditions a user's searches in a workspace are limited to.
+ * @param {{id: number}} workspace
+ * @param {{id: number, role: string, externalId?: string|null, externalGroups?: string|null}|null} user -
+ * null for callers that are not limited to a user (single user mode, API keys)
+ * @param {{publicOnly?: boolean}} [options] - publicOnly for anonymous callers like embedded chat widgets
+ * @returns {Promise<import("./vectorStore/metadataFilters").MetadataFilterGroup[]>} - empty when nothing is hidden
+ */
+async function documentAccessFilters(
+  workspace,
+  user = null,
+  { publicOnly = false } = {}
+) {
+  if (!publicOnly && (!user || user.role === ROLES.admin)) return [];
+
+  const documents = (await Document.forWorkspace(workspace?.id)).map((doc) =>
+    safeJsonParse(doc.metadata, {})
+  );
+  if (!documents.some(isRestrictedDocument)) return [];
+
+  const principal = publicOnly ? null : accessPrincipalOf(user);
+  return documentAccessConditions(
+    principal,
+    grantedDocumentIds(documents, principal)
+  );
+}
+
+/**
+ * Whether a user may read a whole document, for features that use documents
+ * without a vector search (e.g. the agent document summarizer).
+ * @param {Object} documentData - a document object (or the metadata stored for it)
+ * @param {{id: number, role: string}|null} user - null for callers that are not limited to a user
+ * @returns {boolean}
+ */
+function userCanAccessDocument(documentData = {}, user = null) {
+  if (!user || user.role === ROLES.admin) return true;
+  return canAccessDocument(documentData, accessPrincipalOf(user));
+}
+
+/**
+ * Whether a user may read a stored document, looked up by name. A document
+ * that does not exist is only readable to users who may read every document,
+ * so routes answer 404 either way.
+ * @param {string} docName - unique document name (name in /documents)
+ * @param {{id: number, role: string}|null} user - null for API key requests
+ * @returns {Promise<boolean>}
+ */
+async function userCanAccessDocumentNamed(docName, user = null) {
+  if (!user || user.role === ROLES.admin) return true;
+  const location = findDocumentLocation(docName);
+  if (!location) return false;
+  const documentData = await fileData(location).catch(() => null);
+  return !!documentData && userCanAccessDocument(documentData, user);
+}
+
+/**
+ * Replaces the ACL of a stored document and re-embeds it everywhere it is used.
+ * @param {string} docName - unique document name (name in /documents)
+ * @param {import("./vectorStore/documentAccess").DocumentAcl|null} acl - null makes the document public
+ * @returns {Promise<{location: string, document: Object, reembedded: string[], failed: {workspace: string, error: string}[]}|null>}
+ * null when the document does not exist.
+ */
+async function updateDocumentAcl(docName, acl = null) {
+  const location = findDocumentLocation(docName);
+  if (!location) return null;
+
+  const documentData = await fileData(location);
+  if (!documentData) return null;
+
+  const updated = { ...documentData, acl };
+  await writeFileData(location, updated);
+  const { reembedded, failed } = await Document.reembed(location, updated);
+
+  const { pageContent, ...metadata } = updated;
+  return { location, document: metadata, reembedded, failed };
+}
+
+/**
+ * Stores an ACL sent together with new documents, before they are embedded
+ * anywhere. Shared by every document creation route.
+ * @param {{name?: string, location: string}[]} documents - documents returned by the collector
+ * @param {import("./vectorStore/documentAccess").DocumentAcl|null} acl
+ * @returns {Promise<number>} - number of documents updated
+ */
+async function applyUploadAcl(documents = [], acl = null) {
+  if (!acl) return 0;
+
+  let updated = 0;
+  for (const doc of documents) {
+    const documentData = await fileData(doc.location);
+    if (!documentData)
+      throw new Error(
+        `Document ${doc.name ?? path.basename(doc.location)} does not exist.`
+      );
+    await writeFileData(doc.location, { ...documentData, acl });
+    updated++;
+  }
+  return updated;
+}
+
+/**
+ * Records the documents a request read (chat sources, downloads, ...) in the
+ * audit log as a single document_accessed entry.
+ * @param {Object[]} documents - sources or document objects
+ * @param {{user?: {id: number}|null, apiKey?: {id: number}|null, workspace?: {slug: string}|null, via: string}} context -
+ * via names the feature that read them (e.g. "chat", "api_document")
+ * @returns {Promise<void>}
+ */
+async function logDocumentAccess(
+  documents = [],
+  { user = null, apiKey = null, workspace = null, via }
+) {
+  const accessed = new Map();
+  for (const doc of documents) {
+    const docId = doc?.docId ?? doc?.id ?? null;
+    const title = doc?.title ?? doc?.name ?? null;
+    if (!docId && !title) continue;
+    accessed.set(docId ?? title, { docId, title });
+  }
+  if (accessed.size === 0) return;
+
+  await AuditLog.append(
+    "document_accessed",
+    {
+      via,
+      workspace: workspace?.slug ?? null,
+      ...(apiKey ? { apiKeyId: apiKey.id } : {}),
+      documents: [...accessed.values()],
+    },
+    user?.id
+  );
+}
+
+module.exports = {
+  documentAccessFilters,
+  userCanAccessDocument,
+  userCanAccessDocumentNamed,
+  updateDocumentAcl,
+  applyUploadAcl,
+  logDocumentAccess,
+};
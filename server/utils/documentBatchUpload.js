@@ -0,0 +1,210 @@
+/**
+ * Batch Document Upload Utility
+ *
+ * Processes many uploaded files in one request. Files go through the collector
+ * with bounded concurrency and each file gets its own result, so one bad page
+ * never fails the whole batch. Successful documents are then embedded into
+ * each workspace all-or-nothing: when any document fails to embed, the ones
+ * already embedded in that workspace are removed again.
+ */
+const { Document } = require("../models/documents");
+const { Workspace } = require("../models/workspace");
+const { CollectorApi } = require("./collectorApi");
+const { applyUploadOcr } = require("./documentOcr");
+const { applyUploadAcl } = require("./documentAccess");
+const { safeJsonParse } = require("./http");
+
+// Files sent to the collector at the same time.
+const BATCH_CONCURRENCY = 3;
+
+/**
+ * Parses the per-file OCR payload of a batch upload.
+ * @param {Object|string|null} externalOCRFields - `{ [filename]: OCRField[] }` or its JSON string
+ * @returns {{map: Object<string, Array>, error: string|null}}
+ */
+function parseOcrFieldsByFile(externalOCRFields) {
+  if (externalOCRFields === undefined || externalOCRFields === null)
+    return { map: {}, error: null };
+
+  const map =
+    typeof externalOCRFields === "string"
+      ? safeJsonParse(externalOCRFields, null)
+      : externalOCRFields;
+  if (!map || typeof map !== "object" || Array.isArray(map))
+    return {
+      map: {},
+      error:
+        "externalOCRFields must be a JSON object of OCR field arrays keyed by filename.",
+    };
+
+  for (const [filename, fields] of Object.entries(map)) {
+    if (!Array.isArray(fields))
+      return {
+        map: {},
+        error: `externalOCRFields for ${filename} must be a JSON array of OCR fields.`,
+      };
+  }
+  return { map, error: null };
+}
+
+/**
+ * Runs `fn` over every item with at most `limit` calls in flight. Results keep
+ * the order of `items`.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {function(T, number): Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker)
+  );
+  return results;
+}
+
+async function processFile(Collector, filename, { ocrFields, acl, user }) {
+  const result = { filename, success: false, error: null, documents: [] };
+  const { success, reason, documents } =
+    await Collector.processDocument(filename);
+  if (!success) {
+    result.error = reason || "Document could not be processed.";
+    return result;
+  }
+
+  // The document is kept out of every workspace when its ACL cannot be stored.
+  try {
+    await applyUploadAcl(documents ?? [], acl);
+  } catch (error) {
+    result.error = `ACL was not applied: ${error.message}`;
+    return result;
+  }
+
+  result.success = true;
+  result.documents = documents ?? [];
+  if (ocrFields) {
+    try {
+      await applyUploadOcr(
+        result.documents,
+        { externalOCRFields: ocrFields },
+        { user }
+      );
+    } catch (error) {
+      // Like single uploads, OCR problems do not fail the upload itself.
+      result.error = `External OCR fields were not applied: ${error.message}`;
+    }
+  }
+  return result;
+}
+
+/**
+ * Embeds documents into a workspace as a single unit.
+ * @returns {Promise<{slug: string, success: boolean, error: string|null, embedded: number}>}
+ */
+async function embedIntoWorkspace(slug, locations, userId) {
+  const workspace = await Workspace.get({ slug });
+  if (!workspace)
+    return {
+      slug,
+      success: false,
+      error: `Workspace ${slug} does not exist.`,
+      embedded: 0,
+    };
+
+  const {
+    failedToEmbed = [],
+    errors = [],
+    embedded = [],
+  } = await Document.addDocuments(workspace, locations, userId);
+  if (failedToEmbed.length === 0)
+    return { slug, success: true, error: null, embedded: embedded.length };
+
+  await Document.removeDocuments(workspace, embedded, userId);
+  return {
+    slug,
+    success: false,
+    error: `Failed to embed ${failedToEmbed.join(", ")}: ${errors.join(", ")}. No documents were added to this workspace.`,
+    embedded: 0,
+  };
+}
+
+/**
+ * Processes a batch of files already written to the collector hotdir.
+ * @param {string[]} filenames
+ * @param {Object} options
+ * @param {string} [options.addToWorkspaces] - comma-separated workspace slugs
+ * @param {Object<string, Array>} [options.ocrFieldsByFile] - external OCR fields keyed by filename
+ * @param {import("./vectorStore/documentAccess").DocumentAcl|null} [options.acl] - applied to every document
+ * @param {{id: number, username: string}|null} [options.user]
+ * @param {string[]} [options.duplicateFilenames] - files that were not stored because an earlier file of the batch has the same name
+ * @returns {Promise<{files: Object[], workspaces: Object[]}>}
+ */
+async function processBatchUpload(
+  filenames = [],
+  {
+    addToWorkspaces = "",
+    ocrFieldsByFile = {},
+    acl = null,
+    user = null,
+    duplicateFilenames = [],
+  } = {}
+) {
+  const Collector = new CollectorApi();
+  const files = await mapWithConcurrency(
+    filenames,
+    BATCH_CONCURRENCY,
+    (filename) =>
+      processFile(Collector, filename, {
+        ocrFields: ocrFieldsByFile[filename],
+        acl,
+        user,
+      }).catch((error) => ({
+        filename,
+        success: false,
+        error: error.message,
+        documents: [],
+      }))
+  );
+
+  for (const filename of duplicateFilenames)
+    files.push({
+      filename,
+      success: false,
+      error:
+        "Another file in this batch has the same name. Rename it and upload it again.",
+      documents: [],
+    });
+
+  const locations = files.flatMap((file) =>
+    file.documents.map((doc) => doc.location)
+  );
+  const slugs = String(addToWorkspaces || "")
+    .split(",")
+    .map((slug) => slug.trim().toLowerCase())
+    .filter(Boolean);
+
+  const workspaces = [];
+  if (locations.length > 0) {
+    // Sequential for the same reason as Document.api.uploadToWorkspace - the
+    // first workspace fills the vector cache for the ones after it.
+    for (const slug of slugs)
+      workspaces.push(
+        await embedIntoWorkspace(slug, locations, user?.id ?? null)
+      );
+  }
+  return { files, workspaces };
+}
+
+module.exports = {
+  parseOcrFieldsByFile,
+  mapWithConcurrency,
+  processBatchUpload,
+};
@@ -5,6 +5,11 @@
  * After embedding, hybrid search uses stored vectors - no re-processing needed.
  */
 const { SystemSettings } = require("../models/systemSettings");
+const {
+  ocrConfidencePolicy,
+  buildOcrTextFromFields,
+  LOW_CONFIDENCE_TAG,
+} = require("./ocrFieldParser");
 
 /**
  * Default enrichment configuration
@@ -50,77 +55,367 @@ async function getEnrichmentConfig() {
   return config;
 }
 
+/**
+ * Confidence assumed for a line when its OCR source did not report one.
+ * Google OCR is generally the stronger reading so it wins ties by default.
+ */
+const DEFAULT_OCR_CONFIDENCE = {
+  google: 0.85,
+  tesseract: 0.6,
+};
+
+// Lines with at least this bigram similarity are treated as two readings of the same line.
+const LINE_PAIR_SIMILARITY = 0.5;
+// Bound the alignment table so very long documents cannot exhaust memory.
+const MAX_ALIGNMENT_CELLS = 4_000_000;
+
 /**
  * Build canonical pageContent from OCR sources
- * Priority: user_corrected > google_raw > anything_raw > pageContent
+ * Priority: user_corrected > google_raw + anything_raw (merged) > pageContent
  *
  * This runs ONCE during document processing.
+ * @returns {{pageContent: string, source: string, mergeQuality: Object|null}}
  */
-function buildCanonicalPageContent(document) {
+function buildCanonicalOcrContent(document) {
   const ocr = document.ocr || {};
 
   // Priority 1: User corrections (highest priority)
   if (ocr.user_corrected?.trim()) {
-    return ocr.user_corrected.trim();
+    return {
+      pageContent: ocr.user_corrected.trim(),
+      source: "user_corrected",
+      mergeQuality: null,
+    };
   }
 
-  // Priority 2: Google OCR (from Keystone)
-  const googleRaw = ocr.google_raw?.trim();
+  // Priority 2: Google OCR (from Keystone) and collector OCR
+  const googleRaw = googleOcrText(ocr);
   const anythingRaw = ocr.anything_raw?.trim();
 
-  if (googleRaw && !anythingRaw) return googleRaw;
-  if (!googleRaw && anythingRaw) return anythingRaw;
+  if (googleRaw && !anythingRaw)
+    return { pageContent: googleRaw, source: "google_raw", mergeQuality: null };
+  if (!googleRaw && anythingRaw)
+    return {
+      pageContent: anythingRaw,
+      source: "anything_raw",
+      mergeQuality: null,
+    };
 
   // Priority 3: Merge if both exist
   if (googleRaw && anythingRaw) {
-    return mergeOcrSources(googleRaw, anythingRaw);
+    const { text, quality } = mergeOcrSourcesWithReport(
+      googleRaw,
+      anythingRaw,
+      ocr
+    );
+    return { pageContent: text, source: "merged", mergeQuality: quality };
   }
 
   // Priority 4: Fallback to existing pageContent (backward compatibility)
-  return document.pageContent || "";
+  return {
+    pageContent: document.pageContent || "",
+    source: "pageContent",
+    mergeQuality: null,
+  };
 }
 
 /**
- * Merge multiple OCR sources intelligently
- * Simple merge for now - can be enhanced later with deduplication
+ * Google OCR text of a document with the low-confidence policy applied.
+ * When the original fields were kept, fields below OCR_CONFIDENCE_THRESHOLD are
+ * excluded or tagged and reviewed fields use their reviewed value.
+ * @param {Object} ocr - the document `ocr` object
+ * @returns {string|undefined}
  */
-function mergeOcrSources(googleRaw, anythingRaw) {
-  if (!googleRaw && !anythingRaw) return "";
-  if (googleRaw && !anythingRaw) return googleRaw;
-  if (!googleRaw && anythingRaw) return anythingRaw;
+function googleOcrText(ocr = {}) {
+  const policy = ocrConfidencePolicy();
+  if (policy.mode === "off" || !ocr.rawFields?.length)
+    return ocr.google_raw?.trim();
+  return (
+    buildOcrTextFromFields(ocr.rawFields, {
+      ...policy,
+      reviews: ocr.fieldReviews,
+    })?.trim() || undefined
+  );
+}
 
-  // Simple similarity check - if very similar, prefer Google
-  const similarity = calculateSimpleSimilarity(googleRaw, anythingRaw);
-  if (similarity > 0.9) {
-    // Very similar - use Google (higher quality)
-    return googleRaw;
-  }
+function buildCanonicalPageContent(document) {
+  return buildCanonicalOcrContent(document).pageContent;
+}
 
-  // Different enough - merge both
-  // TODO: Future enhancement - deduplication, alignment, confidence scoring
-  return `${googleRaw}\n\n--- Additional OCR Content ---\n\n${anythingRaw}`;
+/**
+ * Merge multiple OCR sources into a single reading of the document.
+ * @param {string} googleRaw
+ * @param {string} anythingRaw
+ * @param {Object} ocr - the document `ocr` object, used for confidences
+ * @returns {string}
+ */
+function mergeOcrSources(googleRaw, anythingRaw, ocr = {}) {
+  return mergeOcrSourcesWithReport(googleRaw, anythingRaw, ocr).text;
 }
 
 /**
- * Calculate simple word overlap similarity (0-1)
- * Used to determine if OCR sources are duplicates
+ * Aligns the Google and Tesseract readings line by line. Lines both sources agree
+ * on are kept once, lines that are two readings of the same text keep the reading
+ * with the higher confidence, and lines only one source found are kept in order.
+ *
+ * @param {string} googleRaw
+ * @param {string} anythingRaw
+ * @param {Object} ocr - the document `ocr` object. Google confidences are read from
+ * `rawFields`, Tesseract confidences from `lines` or `words`.
+ * @returns {{text: string, quality: {score: number, agreed: number, resolved: number, googleOnly: number, tesseractOnly: number, picked: {google: number, tesseract: number}}|null}}
  */
-function calculateSimpleSimilarity(text1, text2) {
-  if (!text1 || !text2) return 0;
+function mergeOcrSourcesWithReport(googleRaw, anythingRaw, ocr = {}) {
+  if (!googleRaw && !anythingRaw) return { text: "", quality: null };
+  if (googleRaw && !anythingRaw) return { text: googleRaw, quality: null };
+  if (!googleRaw && anythingRaw) return { text: anythingRaw, quality: null };
+
+  const googleLines = splitOcrLines(googleRaw);
+  const tesseractLines = splitOcrLines(anythingRaw);
+  const googleConfidence = googleLineConfidences(ocr);
+  const tesseractConfidence = tesseractLineConfidences(ocr);
+
+  const merged = [];
+  const quality = {
+    score: 0,
+    agreed: 0,
+    resolved: 0,
+    googleOnly: 0,
+    tesseractOnly: 0,
+    picked: { google: 0, tesseract: 0 },
+  };
+  let similaritySum = 0;
+
+  for (const step of alignOcrLines(googleLines, tesseractLines)) {
+    if (step.type === "agree") {
+      merged.push(step.google);
+      quality.agreed++;
+      similaritySum += 1;
+    } else if (step.type === "pair") {
+      const g = googleConfidence(step.google) ?? DEFAULT_OCR_CONFIDENCE.google;
+      const t =
+        tesseractConfidence(step.tesseract) ?? DEFAULT_OCR_CONFIDENCE.tesseract;
+      const useGoogle = g >= t;
+      merged.push(useGoogle ? step.google : step.tesseract);
+      quality.resolved++;
+      quality.picked[useGoogle ? "google" : "tesseract"]++;
+      similaritySum += step.similarity;
+    } else if (step.type === "google") {
+      merged.push(step.google);
+      quality.googleOnly++;
+    } else {
+      merged.push(step.tesseract);
+      quality.tesseractOnly++;
+    }
+  }
 
-  const words1 = new Set(
-    text1.toLowerCase().split(/\s+/).filter((w) => w.length > 2)
-  );
-  const words2 = new Set(
-    text2.toLowerCase().split(/\s+/).filter((w) => w.length > 2)
+  // Dice-style agreement: 1 when both sources read every line identically.
+  quality.score = Number(
+    (
+      (2 * similaritySum) /
+      (googleLines.length + tesseractLines.length)
+    ).toFixed(4)
   );
+  return { text: merged.join("\n"), quality };
+}
 
-  if (words1.size === 0 || words2.size === 0) return 0;
+function splitOcrLines(text = "") {
+  return String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
 
-  const intersection = new Set([...words1].filter((x) => words2.has(x)));
-  const union = new Set([...words1, ...words2]);
+function normalizeOcrLine(line = "") {
+  return String(line)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
 
-  return intersection.size / union.size;
+function normalizeConfidence(value) {
+  const confidence = Number(value);
+  if (value === null || value === undefined || Number.isNaN(confidence))
+    return null;
+  // Tesseract reports confidences from 0-100.
+  return confidence > 1 ? confidence / 100 : confidence;
+}
+
+/**
+ * Similarity (0-1) of two lines using the Dice coefficient of character bigrams,
+ * which is tolerant of the single character errors OCR engines make.
+ */
+function lineSimilarity(a, b) {
+  const x = normalizeOcrLine(a);
+  const y = normalizeOcrLine(b);
+  if (x === y) return 1;
+  if (x.length < 2 || y.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < x.length - 1; i++) {
+    const gram = x.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+  let overlap = 0;
+  for (let i = 0; i < y.length - 1; i++) {
+    const gram = y.slice(i, i + 2);
+    const count = bigrams.get(gram) || 0;
+    if (count > 0) {
+      overlap++;
+      bigrams.set(gram, count - 1);
+    }
+  }
+  return (2 * overlap) / (x.length - 1 + (y.length - 1));
+}
+
+/**
+ * Aligns two lists of OCR lines. Identical lines (ignoring case and punctuation)
+ * are anchored with a longest common subsequence, and the unmatched lines between
+ * anchors are paired in order when they are similar enough.
+ * @returns {Array<{type: "agree"|"pair"|"google"|"tesseract", google?: string, tesseract?: string, similarity?: number}>}
+ */
+function alignOcrLines(googleLines, tesseractLines) {
+  const a = googleLines.map(normalizeOcrLine);
+  const b = tesseractLines.map(normalizeOcrLine);
+  const steps = [];
+  const gaps = { google: [], tesseract: [] };
+
+  const flushGap = () => {
+    steps.push(...pairOcrLines(gaps.google, gaps.tesseract));
+    gaps.google = [];
+    gaps.tesseract = [];
+  };
+
+  if ((a.length + 1) * (b.length + 1) > MAX_ALIGNMENT_CELLS) {
+    return pairOcrLines(googleLines, tesseractLines);
+  }
+
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const cols = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * cols);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] =
+        a[i] === b[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  let [i, j] = [0, 0];
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      flushGap();
+      steps.push({
+        type: "agree",
+        google: googleLines[i++],
+        tesseract: tesseractLines[j++],
+      });
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      gaps.google.push(googleLines[i++]);
+    } else {
+      gaps.tesseract.push(tesseractLines[j++]);
+    }
+  }
+  while (i < a.length) gaps.google.push(googleLines[i++]);
+  while (j < b.length) gaps.tesseract.push(tesseractLines[j++]);
+  flushGap();
+  return steps;
+}
+
+/**
+ * Pairs lines that only differ by OCR errors, keeping the order of both sources.
+ * Lines without a similar counterpart are returned as single-source steps.
+ */
+function pairOcrLines(googleLines, tesseractLines) {
+  const steps = [];
+  let j = 0;
+  for (const google of googleLines) {
+    let match = -1;
+    let best = LINE_PAIR_SIMILARITY;
+    for (let k = j; k < tesseractLines.length; k++) {
+      const similarity = lineSimilarity(google, tesseractLines[k]);
+      if (similarity >= best) {
+        best = similarity;
+        match = k;
+        if (similarity === 1) break;
+      }
+    }
+
+    if (match === -1) {
+      steps.push({ type: "google", google });
+      continue;
+    }
+    while (j < match)
+      steps.push({ type: "tesseract", tesseract: tesseractLines[j++] });
+    steps.push({
+      type: "pair",
+      google,
+      tesseract: tesseractLines[j++],
+      similarity: best,
+    });
+  }
+  while (j < tesseractLines.length)
+    steps.push({ type: "tesseract", tesseract: tesseractLines[j++] });
+  return steps;
+}
+
+/**
+ * Per-line confidence lookup for Google OCR built from the per-field
+ * confidences kept in `rawFields` by parseExternalOcrFields.
+ * @returns {function(string): number|null}
+ */
+function googleLineConfidences(ocr = {}) {
+  const confidences = new Map();
+  (ocr.rawFields ?? []).forEach((field, index) => {
+    // A person reviewed this field, so its value is certain.
+    const review = ocr.fieldReviews?.[index];
+    const value = review ? review.value : field?.fieldValue;
+    const confidence = review ? 1 : normalizeConfidence(field?.confidence);
+    if (confidence === null || typeof value !== "string") return;
+    for (const line of splitOcrLines(value)) {
+      const key = normalizeOcrLine(line);
+      confidences.set(key, Math.max(confidences.get(key) ?? 0, confidence));
+    }
+  });
+  return (line) =>
+    confidences.get(
+      normalizeOcrLine(String(line).replace(LOW_CONFIDENCE_TAG, ""))
+    ) ?? null;
+}
+
+/**
+ * Per-line confidence lookup for Tesseract OCR. Line confidences are used when
+ * available, otherwise the line is scored by the average of its word confidences.
+ * @returns {function(string): number|null}
+ */
+function tesseractLineConfidences(ocr = {}) {
+  const lines = new Map();
+  for (const line of ocr.lines ?? []) {
+    const confidence = normalizeConfidence(line?.confidence);
+    if (confidence !== null && typeof line?.text === "string")
+      lines.set(normalizeOcrLine(line.text), confidence);
+  }
+
+  const words = new Map();
+  for (const word of ocr.words ?? []) {
+    const confidence = normalizeConfidence(word?.confidence);
+    if (confidence === null || typeof word?.text !== "string") continue;
+    const key = normalizeOcrLine(word.text);
+    // Keep the weakest reading of a repeated word.
+    words.set(key, Math.min(words.get(key) ?? 1, confidence));
+  }
+
+  return (line) => {
+    const key = normalizeOcrLine(line);
+    if (lines.has(key)) return lines.get(key);
+
+    const scores = key
+      .split(" ")
+      .filter((token) => words.has(token))
+      .map((token) => words.get(token));
+    if (scores.length === 0) return null;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  };
 }
 
 /**
@@ -238,7 +533,9 @@ async function enrichChunks(chunks, metadata, config = null) {
 
 module.exports = {
   buildCanonicalPageContent,
+  buildCanonicalOcrContent,
   mergeOcrSources,
+  mergeOcrSourcesWithReport,
   enrichChunks,
   enrichChunk,
   buildChunkContext,
@@ -246,4 +543,3 @@ module.exports = {
   getEnrichmentConfig,
   DEFAULT_ENRICHMENT_CONFIG,
 };
-
@@ -0,0 +1,571 @@
+/**
+ * Document OCR Update Utility
+ *
+ * Applies OCR corrections to an already processed document, rebuilds its
+ * canonical pageContent and re-embeds it in every workspace that uses it.
+ * Every change is recorded as a revision so it can be diffed and rolled back.
+ * Low-confidence OCR fields can be listed for review and approved or corrected.
+ */
+const fs = require("fs");
+const path = require("path");
+const { Document } = require("../models/documents");
+const { DocumentOcrRevisions } = require("../models/documentOcrRevisions");
+const { DocumentOcrReviews } = require("../models/documentOcrReviews");
+const { SystemSettings } = require("../models/systemSettings");
+const {
+  buildOcrFromExternalFields,
+  ocrConfidencePolicy,
+  lowConfidenceFields,
+  LOW_CONFIDENCE_TAG,
+} = require("./ocrFieldParser");
+const { buildCanonicalOcrContent } = require("./documentEnrichment");
+const {
+  documentsPath,
+  normalizePath,
+  findDocumentLocation,
+  fileData,
+  writeFileData,
+} = require("./files");
+const { TokenManager } = require("./helpers/tiktoken");
+const { safeJsonParse } = require("./http");
+
+function parseOcrFields(externalOCRFields) {
+  if (typeof externalOCRFields !== "string") return externalOCRFields;
+  return safeJsonParse(externalOCRFields, null);
+}
+
+/**
+ * Validates the body of an OCR update request.
+ * @param {{externalOCRFields?: Array|string, user_corrected?: string|null, source?: string}} updates
+ * @returns {string|null} - the validation error or null when valid
+ */
+function validateOcrUpdate(updates = {}) {
+  const { externalOCRFields, user_corrected, source } = updates;
+  const hasFields =
+    externalOCRFields !== undefined && externalOCRFields !== null;
+  if (!hasFields && user_corrected === undefined)
+    return "Provide externalOCRFields and/or user_corrected.";
+
+  if (hasFields && !Array.isArray(parseOcrFields(externalOCRFields)))
+    return "externalOCRFields must be a JSON array of OCR fields.";
+
+  if (
+    user_corrected !== undefined &&
+    user_corrected !== null &&
+    typeof user_corrected !== "string"
+  )
+    return "user_corrected must be a string or null.";
+  if (
+    source !== undefined &&
+    !DocumentOcrRevisions.sources.hasOwnProperty(source)
+  )
+    return `source must be one of ${Object.keys(DocumentOcrRevisions.sources).join(", ")}.`;
+  return null;
+}
+
+/**
+ * Which OCR source produced the current state of an `ocr` object.
+ * @param {Object} ocr
+ * @returns {string|null} - one of DocumentOcrRevisions.sources or null when there is no OCR
+ */
+function inferOcrSource(ocr = {}) {
+  if (ocr?.user_corrected?.trim()) return DocumentOcrRevisions.sources.user;
+  if (ocr?.google_raw?.trim()) return DocumentOcrRevisions.sources.google;
+  if (ocr?.anything_raw?.trim()) return DocumentOcrRevisions.sources.tesseract;
+  return null;
+}
+
+/**
+ * Returns the document with pageContent and counts rebuilt from its OCR sources.
+ * When Google and collector OCR were merged the merge report is kept in
+ * `ocrMergeQuality`.
+ * @param {Object} documentData - the full document object including pageContent
+ * @param {Object} ocr - the new `ocr` object of the document
+ * @returns {Object}
+ */
+function withCanonicalContent(documentData, ocr) {
+  const { pageContent, mergeQuality } = buildCanonicalOcrContent({
+    ...documentData,
+    ocr,
+  });
+  return {
+    ...documentData,
+    ocr,
+    pageContent,
+    ocrMergeQuality: mergeQuality,
+    wordCount: pageContent.split(/\s+/).filter(Boolean).length,
+    token_count_estimate: new TokenManager().countFromString(pageContent),
+  };
+}
+
+/**
+ * Applies an OCR update to a document object. External fields are merged with
+ * buildOcrFromExternalFields, a null user_corrected clears the correction and
+ * pageContent is rebuilt from the resulting OCR sources.
+ * @param {Object} documentData - the full document object including pageContent
+ * @param {{externalOCRFields?: Array|string, user_corrected?: string|null}} updates
+ * @returns {Object} - the updated document object
+ */
+function applyOcrUpdate(documentData, updates = {}) {
+  const { externalOCRFields, user_corrected } = updates;
+  let ocr = { ...(documentData.ocr || {}) };
+
+  if (externalOCRFields !== undefined && externalOCRFields !== null) {
+    ocr = buildOcrFromExternalFields(parseOcrFields(externalOCRFields), ocr);
+    // Reviews point at fields by index, so they do not carry over to new fields.
+    delete ocr.fieldReviews;
+    if (ocr.userCorrectedFrom === "review") {
+      ocr.user_corrected = null;
+      delete ocr.userCorrectedFrom;
+    }
+  }
+  if (user_corrected !== undefined) {
+    ocr.user_corrected = user_corrected?.trim() ? user_corrected : null;
+    delete ocr.userCorrectedFrom;
+  }
+
+  return withCanonicalContent(documentData, ocr);
+}
+
+/**
+ * Records the OCR a document had before its first tracked change so the
+ * original extraction is never lost.
+ * @param {string} docName
+ * @param {Object} documentData
+ */
+async function ensureBaselineRevision(docName, documentData) {
+  const source = inferOcrSource(documentData.ocr);
+  if (!source) return;
+  if ((await DocumentOcrRevisions.count({ docName })) > 0) return;
+  await DocumentOcrRevisions.record(docName, { ocr: documentData.ocr, source });
+}
+
+/**
+ * Keeps the review queue index in sync with the OCR of a written document.
+ * Every unreviewed field below a confidence of 1 is indexed so the queue can
+ * be filtered by any threshold.
+ * @param {string} location
+ * @param {Object} documentData
+ * @returns {Promise<boolean>}
+ */
+function indexOcrReview(location, documentData) {
+  return DocumentOcrReviews.index(location, {
+    docName: path.basename(location),
+    title: documentData?.title ?? null,
+    fields: lowConfidenceFields(documentData?.ocr, 1),
+  });
+}
+
+/**
+ * Writes the updated document, records the revision and re-embeds it.
+ * @returns {Promise<{location: string, document: Object, revision: Object|null, reembedded: string[], failed: {workspace: string, error: string}[]}>}
+ */
+async function commitOcrChange(
+  docName,
+  location,
+  updated,
+  { source, user = null, restoredFrom = null }
+) {
+  await writeFileData(location, updated);
+  await indexOcrReview(location, updated);
+  const revision = await DocumentOcrRevisions.record(docName, {
+    ocr: updated.ocr,
+    source,
+    user,
+    restoredFrom,
+  });
+  const { reembedded, failed } = await Document.reembed(location, updated);
+
+  const { pageContent, ...metadata } = updated;
+  return { location, document: metadata, revision, reembedded, failed };
+}
+
+/**
+ * Updates the OCR of a stored document and re-embeds it everywhere it is used.
+ * @param {string} docName - unique document name (name in /documents)
+ * @param {{externalOCRFields?: Array|string, user_corrected?: string|null}} updates
+ * @param {{user?: {id: number, username: string}|null, source?: string}} options -
+ * source defaults to "user" for corrections and "google" for external fields.
+ * @returns {Promise<{location: string, document: Object, revision: Object|null, reembedded: string[], failed: {workspace: string, error: string}[]}|null>}
+ * null when the document does not exist.
+ */
+async function updateDocumentOcr(docName, updates = {}, options = {}) {
+  const location = findDocumentLocation(docName);
+  if (!location) return null;
+
+  const documentData = await fileData(location);
+  if (!documentData) return null;
+
+  const source =
+    options.source ??
+    (updates.user_corrected !== undefined
+      ? DocumentOcrRevisions.sources.user
+      : DocumentOcrRevisions.sources.google);
+  await ensureBaselineRevision(docName, documentData);
+  return await commitOcrChange(
+    docName,
+    location,
+    applyOcrUpdate(documentData, updates),
+    { source, user: options.user }
+  );
+}
+
+/**
+ * Applies OCR sent together with a new document - external OCR fields and/or
+ * a user correction - before it is embedded anywhere. Shared by every document
+ * creation route. The collector's own OCR is kept as the baseline revision and
+ * pageContent is rebuilt from the combined OCR sources.
+ * @param {{name?: string, location: string}[]} documents - documents returned by the collector
+ * @param {{externalOCRFields?: Array|string|null, user_corrected?: string|null}} updates
+ * @param {{user?: {id: number, username: string}|null}} options
+ * @returns {Promise<number>} - number of documents updated
+ */
+async function applyUploadOcr(
+  documents = [],
+  updates = {},
+  { user = null } = {}
+) {
+  const { externalOCRFields = null, user_corrected } = updates;
+  if (!externalOCRFields && typeof user_corrected !== "string") return 0;
+
+  const ocrUpdate = {
+    externalOCRFields,
+    ...(typeof user_corrected === "string" ? { user_corrected } : {}),
+  };
+  const source =
+    ocrUpdate.user_corrected !== undefined
+      ? DocumentOcrRevisions.sources.user
+      : DocumentOcrRevisions.sources.google;
+
+  let updated = 0;
+  for (const doc of documents) {
+    const docName = doc.name ?? path.basename(doc.location);
+    const documentData = await fileData(doc.location);
+    if (!documentData)
+      throw new Error(`Document ${doc.location} does not exist.`);
+
+    await ensureBaselineRevision(docName, documentData);
+    const next = applyOcrUpdate(documentData, ocrUpdate);
+    await writeFileData(doc.location, next);
+    await indexOcrReview(doc.location, next);
+    await DocumentOcrRevisions.record(docName, { ocr: next.ocr, source, user });
+    updated++;
+  }
+  return updated;
+}
+
+/**
+ * Restores the OCR of a document to an earlier revision. The rollback is recorded
+ * as a new revision, so history is never rewritten.
+ * @param {string} docName - unique document name (name in /documents)
+ * @param {number} revisionNumber - revision to restore
+ * @param {{user?: {id: number, username: string}|null}} options
+ * @returns {Promise<{location: string, document: Object, revision: Object|null, reembedded: string[], failed: {workspace: string, error: string}[]}|null>}
+ * null when the document or revision does not exist.
+ */
+async function rollbackDocumentOcr(docName, revisionNumber, options = {}) {
+  const location = findDocumentLocation(docName);
+  if (!location) return null;
+
+  const target = await DocumentOcrRevisions.get({
+    docName,
+    revision: Number(revisionNumber),
+  });
+  if (!target) return null;
+
+  const documentData = await fileData(location);
+  if (!documentData) return null;
+
+  return await commitOcrChange(
+    docName,
+    location,
+    withCanonicalContent(documentData, target.ocr),
+    { source: target.source, user: options.user, restoredFrom: target.revision }
+  );
+}
+
+const FIELD_REVIEW_ACTIONS = ["approve", "correct"];
+
+/**
+ * Validates the body of a field review request.
+ * @param {{action?: string, value?: string}} review
+ * @returns {string|null} - the validation error or null when valid
+ */
+function validateFieldReview(review = {}) {
+  const { action, value } = review;
+  if (!FIELD_REVIEW_ACTIONS.includes(action))
+    return `action must be one of ${FIELD_REVIEW_ACTIONS.join(", ")}.`;
+  if (action === "correct" && (typeof value !== "string" || !value.trim()))
+    return "value must be a non-empty string when correcting a field.";
+  return null;
+}
+
+/**
+ * Lists a page of stored documents that have OCR fields below the confidence
+ * threshold which have not been reviewed yet, read from the review index.
+ * @param {{threshold?: number, offset?: number, limit?: number}} options - threshold defaults to OCR_CONFIDENCE_THRESHOLD, offset is the page number
+ * @returns {Promise<{threshold: number, documents: {name: string, location: string, title: string|null, fields: Array}[], hasPages: boolean}>}
+ */
+async function ocrReviewQueue({
+  threshold = null,
+  offset = 0,
+  limit = 20,
+} = {}) {
+  const cutoff = threshold ?? ocrConfidencePolicy().threshold;
+  const clause = { minConfidence: { lt: cutoff } };
+  const [reviews, total] = await Promise.all([
+    DocumentOcrReviews.where(clause, limit, offset * limit),
+    DocumentOcrReviews.count(clause),
+  ]);
+
+  const documents = [];
+  for (const review of reviews) {
+    const filePath = path.resolve(
+      documentsPath,
+      normalizePath(review.location)
+    );
+    if (!fs.existsSync(filePath)) {
+      await DocumentOcrReviews.delete({ location: review.location });
+      continue;
+    }
+    documents.push({
+      name: review.docName,
+      location: review.location,
+      title: review.title,
+      fields: review.fields.filter((field) => field.confidence < cutoff),
+    });
+  }
+  return {
+    threshold: cutoff,
+    documents,
+    hasPages: total > (offset + 1) * limit,
+  };
+}
+
+/**
+ * Indexes the low-confidence OCR fields of every stored document once, for
+ * documents written before the review index existed.
+ * @returns {Promise<number>} number of indexed documents
+ */
+async function buildOcrReviewIndex() {
+  const label = "ocr_review_index_built";
+  try {
+    if (await SystemSettings.get({ label })) return 0;
+    let indexed = 0;
+    if (fs.existsSync(documentsPath)) {
+      for (const folder of fs.readdirSync(documentsPath)) {
+        const folderPath = path.join(documentsPath, folder);
+        if (!fs.lstatSync(folderPath).isDirectory()) continue;
+
+        for (const name of fs.readdirSync(folderPath)) {
+          if (path.extname(name).toLowerCase() !== ".json") continue;
+          const location = `${folder}/${name}`;
+          const documentData = await fileData(location);
+          if (!documentData?.ocr?.rawFields?.length) continue;
+          await indexOcrReview(location, documentData);
+          indexed++;
+        }
+      }
+    }
+    await SystemSettings._updateSettings({ [label]: "true" });
+    return indexed;
+  } catch (error) {
+    console.error("FAILED TO BUILD THE OCR REVIEW INDEX.", error.message);
+    return 0;
+  }
+}
+
+/**
+ * Applies a field review to a correction text a person wrote by hand. The
+ * tagged or original reading of the field is replaced by the reviewed value,
+ * which is appended when the text does not contain the field at all.
+ */
+function applyReviewToText(text, review) {
+  const lines = text.split("\n");
+  const original = review.originalValue?.trim();
+  const index = lines.findIndex((line) => {
+    const untagged = line.replace(LOW_CONFIDENCE_TAG, "").trim();
+    return untagged === original || untagged === review.value.trim();
+  });
+  if (index !== -1) lines[index] = review.value.trim();
+  else lines.push(review.value.trim());
+  return lines.join("\n");
+}
+
+/**
+ * Approves or corrects one OCR field of a document. The reviewed value is
+ * written to `user_corrected`, recorded as a user revision and re-embedded.
+ * When `user_corrected` was written by hand it is kept and only the field is
+ * updated in it, otherwise it is rebuilt from the OCR sources.
+ * @param {string} docName - unique document name (name in /documents)
+ * @param {number} fieldIndex - index of the field in `ocr.rawFields`
+ * @param {{action: ("approve"|"correct"), value?: string}} review
+ * @param {{user?: {id: number, username: string}|null}} options
+ * @returns {Promise<{location: string, document: Object, review: Object, revision: Object|null, reembedded: string[], failed: {workspace: string, error: string}[]}|null>}
+ * null when the document or field does not exist.
+ */
+async function reviewOcrField(docName, fieldIndex, review, options = {}) {
+  const location = findDocumentLocation(docName);
+  if (!location) return null;
+
+  const documentData = await fileData(location);
+  const field = documentData?.ocr?.rawFields?.[Number(fieldIndex)];
+  if (!field?.fieldKey) return null;
+
+  const fieldReview = {
+    fieldKey: field.fieldKey,
+    status: review.action === "approve" ? "approved" : "corrected",
+    originalValue: field.fieldValue ?? null,
+    value:
+      review.action === "approve"
+        ? String(field.fieldValue ?? "")
+        : review.value.trim(),
+    confidence: field.confidence ?? null,
+    reviewer: options.user?.username ?? null,
+    reviewedAt: new Date().toISOString(),
+  };
+  const ocr = {
+    ...documentData.ocr,
+    fieldReviews: {
+      ...(documentData.ocr.fieldReviews || {}),
+      [Number(fieldIndex)]: fieldReview,
+    },
+  };
+
+  if (ocr.user_corrected?.trim() && ocr.userCorrectedFrom !== "review") {
+    ocr.user_corrected = applyReviewToText(ocr.user_corrected, fieldReview);
+  } else {
+    ocr.user_corrected = withCanonicalContent(documentData, {
+      ...ocr,
+      user_corrected: null,
+    }).pageContent;
+    ocr.userCorrectedFrom = "review";
+  }
+
+  await ensureBaselineRevision(docName, documentData);
+  const result = await commitOcrChange(
+    docName,
+    location,
+    withCanonicalContent(documentData, ocr),
+    { source: DocumentOcrRevisions.sources.user, user: options.user }
+  );
+  return { ...result, review: fieldReview };
+}
+
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Line based diff of two texts using the longest common subsequence.
+ * Very large inputs fall back to a prefix/suffix diff to bound memory use.
+ * @param {string} before
+ * @param {string} after
+ * @returns {{type: ("equal"|"added"|"removed"), line: string}[]}
+ */
+function diffLines(before = "", after = "") {
+  const a = before ? String(before).split("\n") : [];
+  const b = after ? String(after).split("\n") : [];
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((line) => ({ type: "equal", line }));
+  const tail = a.slice(endA).map((line) => ({ type: "equal", line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if ((midA.length + 1) * (midB.length + 1) > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...midA.map((line) => ({ type: "removed", line })),
+      ...midB.map((line) => ({ type: "added", line })),
+      ...tail,
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+  const cols = midB.length + 1;
+  const lcs = new Uint32Array((midA.length + 1) * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] =
+        midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let [i, j] = [0, 0];
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: "equal", line: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      middle.push({ type: "removed", line: midA[i++] });
+    } else {
+      middle.push({ type: "added", line: midB[j++] });
+    }
+  }
+  while (i < midA.length) middle.push({ type: "removed", line: midA[i++] });
+  while (j < midB.length) middle.push({ type: "added", line: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+}
+
+/**
+ * Diffs the OCR snapshots of two revisions.
+ * @param {import("../models/documentOcrRevisions").DocumentOcrRevision} from
+ * @param {import("../models/documentOcrRevisions").DocumentOcrRevision} to
+ * @returns {{text: Object<string, {changed: boolean, lines: Array}>, fields: {added: Object, removed: Object, changed: Object}, confidence: {from: Object|null, to: Object|null}}}
+ */
+function diffOcrRevisions(from, to) {
+  const text = {};
+  for (const key of ["user_corrected", "google_raw", "anything_raw"]) {
+    const before = from.ocr?.[key] ?? "";
+    const after = to.ocr?.[key] ?? "";
+    text[key] = {
+      changed: before !== after,
+      lines: before === after ? [] : diffLines(before, after),
+    };
+  }
+
+  const fields = { added: {}, removed: {}, changed: {} };
+  const fromFields = from.ocr?.fields ?? {};
+  const toFields = to.ocr?.fields ?? {};
+  for (const key of new Set([
+    ...Object.keys(fromFields),
+    ...Object.keys(toFields),
+  ])) {
+    if (!(key in fromFields)) fields.added[key] = toFields[key];
+    else if (!(key in toFields)) fields.removed[key] = fromFields[key];
+    else if (JSON.stringify(fromFields[key]) !== JSON.stringify(toFields[key]))
+      fields.changed[key] = { from: fromFields[key], to: toFields[key] };
+  }
+
+  return {
+    text,
+    fields,
+    confidence: { from: from.confidence, to: to.confidence },
+  };
+}
+
+module.exports = {
+  validateOcrUpdate,
+  applyOcrUpdate,
+  updateDocumentOcr,
+  applyUploadOcr,
+  rollbackDocumentOcr,
+  validateFieldReview,
+  ocrReviewQueue,
+  buildOcrReviewIndex,
+  reviewOcrField,
+  diffLines,
+  diffOcrRevisions,
+};
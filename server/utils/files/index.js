@@ -24,6 +24,20 @@ async function fileData(filePath = null) {
   return JSON.parse(data);
 }
 
+/**
+ * Overwrites the stored JSON of a document in the documents folder.
+ * @param {string} filePath - folder + filename relative to the documents folder
+ * @param {Object} data - the full document object including pageContent
+ */
+async function writeFileData(filePath = null, data = {}) {
+  if (!filePath) throw new Error("No docPath provided in request");
+  const fullFilePath = path.resolve(documentsPath, normalizePath(filePath));
+  if (!fs.existsSync(fullFilePath) || !isWithin(documentsPath, fullFilePath))
+    throw new Error(`Document ${filePath} does not exist.`);
+
+  fs.writeFileSync(fullFilePath, JSON.stringify(data, null, 2), "utf8");
+}
+
 async function viewLocalFiles() {
   if (!fs.existsSync(documentsPath)) fs.mkdirSync(documentsPath);
   const liveSyncAvailable = await DocumentSyncQueue.enabled();
@@ -205,7 +219,8 @@ async function purgeVectorCache(filename = null) {
 
 // Search for a specific document by its unique name in the entire `documents`
 // folder via iteration of all folders and checking if the expected file exists.
-async function findDocumentInDocuments(documentName = null) {
+// Returns the folder + filename location of the document or null.
+function findDocumentLocation(documentName = null) {
   if (!documentName) return null;
   for (const folder of fs.readdirSync(documentsPath)) {
     const isFolder = fs
@@ -221,21 +236,26 @@ async function findDocumentInDocuments(documentName = null) {
       !isWithin(documentsPath, targetFileLocation)
     )
       continue;
-
-    const fileData = fs.readFileSync(targetFileLocation, "utf8");
-    const cachefilename = `${folder}/${targetFilename}`;
-    const { pageContent, ...metadata } = JSON.parse(fileData);
-    return {
-      name: targetFilename,
-      type: "file",
-      ...metadata,
-      cached: await cachedVectorInformation(cachefilename, true),
-    };
+    return `${folder}/${targetFilename}`;
   }
 
   return null;
 }
 
+async function findDocumentInDocuments(documentName = null) {
+  const location = findDocumentLocation(documentName);
+  if (!location) return null;
+
+  const fileData = fs.readFileSync(path.join(documentsPath, location), "utf8");
+  const { pageContent, ...metadata } = JSON.parse(fileData);
+  return {
+    name: normalizePath(documentName),
+    type: "file",
+    ...metadata,
+    cached: await cachedVectorInformation(location, true),
+  };
+}
+
 /**
  * Checks if a given path is within another path.
  * @param {string} outer - The outer path (should be resolved).
@@ -459,12 +479,14 @@ function hasRequiredMetadata(metadata = {}) {
 
 module.exports = {
   findDocumentInDocuments,
+  findDocumentLocation,
   cachedVectorInformation,
   viewLocalFiles,
   purgeSourceDocument,
   purgeVectorCache,
   storeVectorResult,
   fileData,
+  writeFileData,
   normalizePath,
   isWithin,
   documentsPath,
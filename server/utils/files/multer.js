@@ -17,6 +17,9 @@ const resolveCollectorHotdir = () => {
   return path.resolve(process.env.STORAGE_DIR || "", "../collector/hotdir");
 };
 
+// Maximum number of files accepted by a single batch upload request.
+const MAX_API_BATCH_FILES = 50;
+
 /**
  * Handle File uploads for auto-uploading.
  * Mostly used for internal GUI/API uploads.
@@ -139,6 +142,53 @@ function handleAPIFileUpload(request, response, next) {
   });
 }
 
+/**
+ * Files of a batch are stored under their own name, so a second file with the
+ * same name would overwrite the first. It is not stored at all and its name is
+ * listed in `request.duplicateFilenames` instead.
+ */
+function skipDuplicateFilenames(request, file, cb) {
+  const filename = normalizePath(
+    Buffer.from(file.originalname, "latin1").toString("utf8")
+  );
+  request.uploadedFilenames ??= new Set();
+  request.duplicateFilenames ??= [];
+  if (request.uploadedFilenames.has(filename)) {
+    request.duplicateFilenames.push(filename);
+    return cb(null, false);
+  }
+  request.uploadedFilenames.add(filename);
+  cb(null, true);
+}
+
+/**
+ * Handle API batch uploads - same storage as single API uploads, but takes
+ * up to MAX_API_BATCH_FILES files from the `files` field. Files sharing a name
+ * with an earlier file of the batch are skipped (see skipDuplicateFilenames).
+ * @param {Request} request
+ * @param {Response} response
+ * @param {NextFunction} next
+ */
+function handleAPIBatchFileUpload(request, response, next) {
+  const upload = multer({
+    storage: fileAPIUploadStorage,
+    fileFilter: skipDuplicateFilenames,
+  }).array("files", MAX_API_BATCH_FILES);
+  upload(request, response, function (err) {
+    if (err) {
+      response
+        .status(500)
+        .json({
+          success: false,
+          error: `Invalid file upload. ${err.message}`,
+        })
+        .end();
+      return;
+    }
+    next();
+  });
+}
+
 /**
  * Handle logo asset uploads
  */
@@ -180,8 +230,10 @@ function handlePfpUpload(request, response, next) {
 }
 
 module.exports = {
+  MAX_API_BATCH_FILES,
   handleFileUpload,
   handleAPIFileUpload,
+  handleAPIBatchFileUpload,
   handleAssetUpload,
   handlePfpUpload,
 };
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const { EncryptionManager } = require("../EncryptionManager");
+
+/**
+ * Originals of uploaded files, kept by the collector next to the documents
+ * folder (see collector/utils/originals). Each original is stored once by the
+ * sha256 of its content and lists the ids of the documents made from it in a
+ * `<file>.refs.json` next to it.
+ */
+const originalsPath =
+  process.env.NODE_ENV === "development"
+    ? path.resolve(__dirname, `../../storage/originals`)
+    : path.resolve(process.env.STORAGE_DIR, `originals`);
+
+/**
+ * @typedef {Object} OriginalFile
+ * @property {string} sha256 - sha256 of the original (unencrypted) content
+ * @property {string} filename - the name the file was uploaded as
+ * @property {string} mime - the mime type of the file
+ * @property {number} size - the size of the original content in bytes
+ * @property {boolean} encrypted - whether the stored file is encrypted
+ */
+
+/**
+ * Whether a value is a sha256 an original could be stored under.
+ * @param {string} sha256
+ * @returns {boolean}
+ */
+function isOriginalHash(sha256 = "") {
+  return typeof sha256 === "string" && /^[a-f0-9]{64}$/.test(sha256);
+}
+
+/**
+ * Full path of a stored original.
+ * @param {OriginalFile} original
+ * @returns {string|null} null for descriptors that do not describe an original
+ */
+function originalFilePath(original = null) {
+  if (!isOriginalHash(original?.sha256)) return null;
+  return path.resolve(
+    originalsPath,
+    original.sha256.slice(0, 2),
+    `${original.sha256}${original.encrypted ? ".enc" : ""}`
+  );
+}
+
+/**
+ * Parses a `Range` request header for a single byte range.
+ * @param {string|undefined} header
+ * @param {number} size - size of the content in bytes
+ * @returns {{start: number, end: number}|null|false} null to send the whole content,
+ * false when the range cannot be satisfied
+ */
+function parseByteRange(header, size) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  // Multiple or non-byte ranges are not supported - send the whole content instead.
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start, end;
+  if (!match[1]) {
+    // Suffix range: the last n bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+/**
+ * Opens a stored original for reading, decrypting it when it is encrypted.
+ * @param {OriginalFile} original
+ * @param {{start?: number, end?: number}} [range] - inclusive byte offsets
+ * @returns {import("stream").Readable|null} null when the original is not stored
+ */
+function openOriginal(original, { start = 0, end = undefined } = {}) {
+  const filePath = originalFilePath(original);
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  if (original.encrypted)
+    return new EncryptionManager().decryptFileStream(filePath, {
+      start,
+      end: end ?? null,
+    });
+  return fs.createReadStream(filePath, { start, end });
+}
+
+/**
+ * Drops a document's reference to its original and deletes the original when
+ * no other document refers to it anymore.
+ * @param {{id: string, original?: OriginalFile}|null} documentData
+ * @returns {boolean} whether the original was deleted
+ */
+function releaseOriginal(documentData = null) {
+  const filePath = originalFilePath(documentData?.original);
+  if (!filePath) return false;
+
+  const refsPath = `${filePath}.refs.json`;
+  let refs = [];
+  try {
+    refs = JSON.parse(fs.readFileSync(refsPath, "utf8"));
+  } catch {}
+  const remaining = refs.filter((id) => id !== documentData.id);
+  if (remaining.length > 0) {
+    fs.writeFileSync(refsPath, JSON.stringify(remaining));
+    return false;
+  }
+
+  console.log(`Purging original of ${documentData.original.filename}.`);
+  fs.rmSync(filePath, { force: true });
+  fs.rmSync(refsPath, { force: true });
+  return true;
+}
+
+module.exports = {
+  originalsPath,
+  isOriginalHash,
+  originalFilePath,
+  parseByteRange,
+  openOriginal,
+  releaseOriginal,
+};
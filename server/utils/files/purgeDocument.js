@@ -6,15 +6,22 @@ const {
   normalizePath,
   isWithin,
   documentsPath,
+  fileData,
 } = require(".");
+const { releaseOriginal } = require("./originals");
 const { Document } = require("../../models/documents");
 const { Workspace } = require("../../models/workspace");
+const { DocumentOcrReviews } = require("../../models/documentOcrReviews");
+const { DocumentOcrRevisions } = require("../../models/documentOcrRevisions");
 
 async function purgeDocument(filename = null) {
   if (!filename || !normalizePath(filename)) return;
 
   await purgeVectorCache(filename);
+  releaseOriginal(await fileData(filename).catch(() => null));
   await purgeSourceDocument(filename);
+  await DocumentOcrReviews.delete({ location: filename });
+  await DocumentOcrRevisions.delete({ docName: path.basename(filename) });
   const workspaces = await Workspace.where();
   for (const workspace of workspaces) {
     await Document.removeDocuments(workspace, [filename]);
@@ -80,6 +87,12 @@ async function purgeFolder(folderName = null) {
   }
 
   await Promise.all(purgePromises.flat().map((f) => f()));
+  for (const filename of filenames)
+    releaseOriginal(await fileData(filename).catch(() => null));
+  await DocumentOcrReviews.delete({ location: { in: filenames } });
+  await DocumentOcrRevisions.delete({
+    docName: { in: filenames.map((filename) => path.basename(filename)) },
+  });
   fs.rmSync(subFolderPath, { recursive: true }); // Delete target document-folder and source files.
 
   return;
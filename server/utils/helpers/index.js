@@ -63,7 +63,9 @@
  * @property {Function} deleteVectorsInNamespace - Deletes all vectors in a specified namespace.
  * @property {Function} deleteDocumentFromNamespace - Deletes a document from a specified namespace.
  * @property {Function} addDocumentToNamespace - Adds a document to a specified namespace.
- * @property {Function} performSimilaritySearch - Performs a similarity search in the namespace.
+ * @property {Function} performSimilaritySearch - Performs a similarity search in the namespace. Accepts `filters` (see vectorStore/metadataFilters) to limit results by chunk metadata.
+ * @property {Function} [performHybridSearch] - Performs a dense + lexical search in the namespace (if supported by provider). Accepts the same `filters`.
+ * @property {function(): boolean} [supportsHybridSearch] - Returns true when the provider can currently serve performHybridSearch.
  */
 
 /**
@@ -1095,6 +1095,17 @@ function dumpENV() {
 
     // Collector API common ENV - allows bypassing URL validation checks
     "COLLECTOR_ALLOW_ANY_IP",
+
+    // Original uploaded files
+    "DISABLE_ORIGINAL_DOCUMENTS",
+    "ENCRYPT_ORIGINAL_DOCUMENTS",
+
+    // Audit log sinks and retention
+    "AUDIT_LOG_SINK",
+    "AUDIT_LOG_FILE",
+    "AUDIT_LOG_SYSLOG_HOST",
+    "AUDIT_LOG_SYSLOG_PORT",
+    "AUDIT_LOG_RETENTION_DAYS",
   ];
 
   // Simple sanitization of each value to prevent ENV injection via newline or quote escaping.
@@ -0,0 +1,339 @@
+/**
+ * Asynchronous document ingestion jobs
+ *
+ * Runs the /v1/document/upload pipeline outside of the HTTP request:
+ * collect (collector parsing + OCR) -> ocr (external OCR fields and
+ * corrections) -> merge
+ * (canonical OCR content) -> embed (once per workspace). Every stage change
+ * is persisted so clients can poll progress and jobs left unfinished by a
+ * restart are resumed on boot. Jobs run one at a time so large scans do not
+ * overwhelm the collector or the embedder.
+ */
+const { DocumentIngestionJobs } = require("../../models/documentIngestionJobs");
+const { Document } = require("../../models/documents");
+const { Workspace } = require("../../models/workspace");
+const { User } = require("../../models/user");
+const { Telemetry } = require("../../models/telemetry");
+const { EventLogs } = require("../../models/eventLogs");
+const { CollectorApi } = require("../collectorApi");
+const { fileData } = require("../files");
+const { applyUploadOcr } = require("../documentOcr");
+const { applyUploadAcl } = require("../documentAccess");
+const { buildCanonicalOcrContent } = require("../documentEnrichment");
+const { deliverWebhook } = require("./webhook");
+
+const { statuses, stageStatuses, webhookStatuses } = DocumentIngestionJobs;
+let queue = Promise.resolve();
+const queuedJobs = new Set();
+const webhookDeliveries = new Set();
+
+function log(text, ...args) {
+  console.log(`\x1b[36m[IngestionJobs]\x1b[0m ${text}`, ...args);
+}
+
+/**
+ * Runs a single stage and persists its status before and after.
+ * Stages that already finished (e.g. before a restart) are not run again.
+ * @param {Object} stage - the stage object inside job.stages
+ * @param {function(): Promise<void>} persist
+ * @param {function(): Promise<Object|void>} work - may return extra fields to store on the stage
+ * @returns {Promise<boolean>} - whether the stage completed or was skipped
+ */
+async function runStage(stage, persist, work) {
+  if (stage.status === stageStatuses.skipped) return true;
+  if (stage.status === stageStatuses.completed) return true;
+  if (stage.status === stageStatuses.failed) return false;
+
+  Object.assign(stage, {
+    status: stageStatuses.running,
+    error: null,
+    startedAt: new Date().toISOString(),
+  });
+  await persist();
+  try {
+    const details = await work();
+    Object.assign(stage, details ?? {}, { status: stageStatuses.completed });
+    return true;
+  } catch (error) {
+    Object.assign(stage, {
+      status: stageStatuses.failed,
+      error: error.message,
+    });
+    return false;
+  } finally {
+    stage.completedAt = new Date().toISOString();
+    await persist();
+  }
+}
+
+function skipRemaining(stages) {
+  for (const stage of [stages.ocr, stages.merge, stages.embed]) {
+    if (stage.status === stageStatuses.pending)
+      stage.status = stageStatuses.skipped;
+  }
+  for (const stage of Object.values(stages.embed.workspaces)) {
+    if (stage.status === stageStatuses.pending)
+      stage.status = stageStatuses.skipped;
+  }
+}
+
+/**
+ * The collector consumes the uploaded file, so a collect stage that a restart
+ * interrupted is never run again. Its output is recorded as soon as the
+ * collector returns - with it the stage is completed, without it the upload
+ * is gone and the job fails.
+ * @param {Object} stage - job.stages.collect
+ * @param {{documents: Object[]}|null} result - job.result
+ */
+function recoverInterruptedCollect(stage, result) {
+  if (stage.status !== stageStatuses.running) return;
+  Object.assign(
+    stage,
+    Array.isArray(result?.documents)
+      ? { status: stageStatuses.completed }
+      : {
+          status: stageStatuses.failed,
+          error:
+            "Collection was interrupted by a server restart - upload the document again.",
+        },
+    { completedAt: new Date().toISOString() }
+  );
+}
+
+async function collectStage(job) {
+  const Collector = new CollectorApi();
+  if (!(await Collector.online()))
+    throw new Error(
+      `Document processing API is not online. Document ${job.filename} will not be processed.`
+    );
+
+  const { success, reason, documents } = await Collector.processDocument(
+    job.filename
+  );
+  if (!success) throw new Error(reason || "Document could not be processed.");
+  // Stored before any later stage so the document is never embedded unrestricted.
+  await applyUploadAcl(documents, job.options?.acl ?? null);
+
+  Collector.log(
+    `Document ${job.filename} uploaded processed and successfully. It is now available in documents.`
+  );
+  await Telemetry.sendTelemetry("document_uploaded");
+  await EventLogs.logEvent(
+    "api_document_uploaded",
+    { documentName: job.filename, jobId: job.uuid },
+    job.userId
+  );
+  return documents;
+}
+
+async function ocrStage(job, documents) {
+  const user = job.userId ? await User.get({ id: job.userId }) : null;
+  await applyUploadOcr(documents, job.options, { user });
+}
+
+/**
+ * Builds the canonical content the embedder will use so a bad merge is
+ * reported here instead of as an embedding failure.
+ * @returns {Promise<{mergeQuality: Object[]}>} merge report per document
+ */
+async function mergeStage(documents) {
+  const mergeQuality = [];
+  for (const doc of documents) {
+    const docData = await fileData(doc.location);
+    if (!docData) throw new Error(`Document ${doc.location} does not exist.`);
+
+    const canonical = buildCanonicalOcrContent(docData);
+    if (!canonical.pageContent?.trim())
+      throw new Error(
+        `Document ${doc.name} has no content after OCR processing. Check OCR fields or pageContent.`
+      );
+    mergeQuality.push({
+      document: doc.name,
+      source: canonical.source,
+      quality: canonical.mergeQuality ?? null,
+    });
+  }
+  return { mergeQuality };
+}
+
+async function embedStage(job, slug, documents) {
+  const workspace = await Workspace.get({ slug });
+  if (!workspace) throw new Error(`Workspace ${slug} does not exist.`);
+
+  const { failedToEmbed = [], errors = [] } = await Document.addDocuments(
+    workspace,
+    documents.map((doc) => doc.location),
+    job.userId
+  );
+  if (failedToEmbed.length > 0)
+    throw new Error(
+      `Failed to embed ${failedToEmbed.join(", ")}: ${errors.join(", ")}`
+    );
+}
+
+function finalStatus(stages) {
+  if (stages.collect.status === stageStatuses.failed)
+    return { status: statuses.failed, error: stages.collect.error };
+
+  const failures = [
+    ["ocr", stages.ocr],
+    ["merge", stages.merge],
+    ...Object.entries(stages.embed.workspaces).map(([slug, stage]) => [
+      `embed:${slug}`,
+      stage,
+    ]),
+  ].filter(([, stage]) => stage.status === stageStatuses.failed);
+  if (failures.length === 0) return { status: statuses.completed, error: null };
+
+  return {
+    status: statuses.completedWithErrors,
+    error: failures
+      .map(([name, stage]) => `${name}: ${stage.error}`)
+      .join("; "),
+  };
+}
+
+/**
+ * Runs (or resumes) a job through every stage, then starts notifying its webhook.
+ * @param {number} jobId
+ */
+async function runIngestionJob(jobId) {
+  let job = await DocumentIngestionJobs.get({ id: Number(jobId) });
+  if (!job) return;
+  if (![statuses.queued, statuses.running].includes(job.status)) return;
+
+  const { stages } = job;
+  let documents = job.result?.documents ?? [];
+  const persist = async (updates = {}) => {
+    job =
+      (await DocumentIngestionJobs.update(job.id, { stages, ...updates })) ??
+      job;
+  };
+  recoverInterruptedCollect(stages.collect, job.result);
+  await persist({ status: statuses.running });
+  log(`Running job ${job.uuid} for ${job.filename}`);
+
+  const collected = await runStage(stages.collect, persist, async () => {
+    documents = await collectStage(job);
+    await persist({ result: { documents } });
+  });
+
+  if (!collected) {
+    skipRemaining(stages);
+  } else {
+    const ocrApplied = await runStage(stages.ocr, persist, () =>
+      ocrStage(job, documents)
+    );
+    if (!ocrApplied && stages.merge.status === stageStatuses.pending)
+      stages.merge.status = stageStatuses.skipped;
+    await runStage(stages.merge, persist, () => mergeStage(documents));
+
+    if (stages.embed.status !== stageStatuses.skipped) {
+      Object.assign(stages.embed, {
+        status: stageStatuses.running,
+        startedAt: stages.embed.startedAt ?? new Date().toISOString(),
+      });
+      for (const [slug, stage] of Object.entries(stages.embed.workspaces))
+        await runStage(stage, persist, () => embedStage(job, slug, documents));
+
+      const failed = Object.entries(stages.embed.workspaces)
+        .filter(([, stage]) => stage.status === stageStatuses.failed)
+        .map(([slug]) => slug);
+      Object.assign(stages.embed, {
+        status: failed.length ? stageStatuses.failed : stageStatuses.completed,
+        error: failed.length
+          ? `Failed to embed into ${failed.join(", ")}`
+          : null,
+        completedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  await persist({
+    ...finalStatus(stages),
+    completedAt: new Date(),
+    ...(job.callbackUrl ? { webhookStatus: webhookStatuses.pending } : {}),
+  });
+  log(`Job ${job.uuid} finished with status ${job.status}`);
+  if (job.callbackUrl) notifyWebhook(job);
+}
+
+/**
+ * Delivers the webhook of a finished job outside of the job queue - with
+ * retries a delivery can take close to a minute and must not hold up the
+ * next job. The outcome is stored on the job once the delivery settles.
+ * @param {Object} job - the finished job
+ * @returns {Promise<void>}
+ */
+function notifyWebhook(job) {
+  const delivery = deliverWebhook(
+    job.callbackUrl,
+    job.status === statuses.failed
+      ? "document.ingestion.failed"
+      : "document.ingestion.completed",
+    { job: DocumentIngestionJobs.toResponse(job) }
+  )
+    .then((webhookStatus) =>
+      DocumentIngestionJobs.update(job.id, { webhookStatus })
+    )
+    .catch((error) =>
+      console.error(
+        `[IngestionJobs] Webhook of job ${job.id} crashed:`,
+        error.message
+      )
+    )
+    .finally(() => webhookDeliveries.delete(delivery));
+  webhookDeliveries.add(delivery);
+  return delivery;
+}
+
+/**
+ * Resolves once every webhook delivery in flight has settled.
+ * @returns {Promise<void>}
+ */
+async function settleWebhookDeliveries() {
+  await Promise.allSettled([...webhookDeliveries]);
+}
+
+/**
+ * Queues a job to run after every job queued before it.
+ * @param {number} jobId
+ */
+function enqueueIngestionJob(jobId) {
+  if (queuedJobs.has(jobId)) return;
+  queuedJobs.add(jobId);
+  queue = queue
+    .then(() => runIngestionJob(jobId))
+    .catch((error) =>
+      console.error(`[IngestionJobs] Job ${jobId} crashed:`, error.message)
+    )
+    .finally(() => queuedJobs.delete(jobId));
+}
+
+/**
+ * Re-queues jobs that were queued or running when the server stopped and
+ * redelivers webhooks the restart interrupted.
+ */
+async function resumeIngestionJobs() {
+  const jobs = await DocumentIngestionJobs.where(
+    { status: { in: [statuses.queued, statuses.running] } },
+    null,
+    { id: "asc" }
+  );
+  if (jobs.length) log(`Resuming ${jobs.length} unfinished ingestion job(s).`);
+  for (const job of jobs) enqueueIngestionJob(job.id);
+
+  const undelivered = await DocumentIngestionJobs.where({
+    webhookStatus: webhookStatuses.pending,
+  });
+  if (undelivered.length)
+    log(`Redelivering ${undelivered.length} interrupted webhook(s).`);
+  for (const job of undelivered) notifyWebhook(job);
+}
+
+module.exports = {
+  enqueueIngestionJob,
+  resumeIngestionJobs,
+  runIngestionJob,
+  settleWebhookDeliveries,
+};
@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+
+// Delay before each delivery attempt - the first attempt is immediate.
+const RETRY_DELAYS_MS = [0, 5_000, 30_000];
+const DELIVERY_TIMEOUT_MS = 10_000;
+
+// Callbacks may not reach this instance or the network it runs in. Like links
+// sent to the collector, COLLECTOR_ALLOW_ANY_IP="true" lifts the restriction.
+const PRIVATE_RANGES = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+])
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+])
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv6");
+
+/**
+ * Secret used to sign webhook deliveries. Callbacks are refused when it is not
+ * set so receivers can always verify where a notification came from.
+ * @returns {string|null}
+ */
+function webhookSecret() {
+  return process.env.DOCUMENT_JOB_WEBHOOK_SECRET || null;
+}
+
+function anyIpAllowed() {
+  return process.env.COLLECTOR_ALLOW_ANY_IP === "true";
+}
+
+/**
+ * @param {string} address - an IPv4 or IPv6 address
+ * @returns {boolean} - whether the address is loopback, private, link-local or otherwise not public
+ */
+function privateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_RANGES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * @param {URL} url
+ * @returns {string} - the hostname without IPv6 brackets or a trailing dot
+ */
+function callbackHost({ hostname }) {
+  return hostname
+    .replace(/^\[|\]$/g, "")
+    .replace(/\.$/, "")
+    .toLowerCase();
+}
+
+/**
+ * Checks a callback URL is http(s) and does not name a private host. Hostnames
+ * are resolved again before every delivery (see blockedCallbackHost).
+ * @param {string} url
+ * @returns {boolean}
+ */
+function validCallbackUrl(url) {
+  try {
+    const destination = new URL(url);
+    if (!["https:", "http:"].includes(destination.protocol)) return false;
+    if (anyIpAllowed()) return true;
+
+    const host = callbackHost(destination);
+    if (host === "localhost" || host.endsWith(".localhost")) return false;
+    return !privateAddress(host);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Resolves the callback host right before a delivery so a hostname that
+ * points into the private network is refused, even when it only does so after
+ * the job was created.
+ * @param {string} url
+ * @returns {Promise<string|null>} - why the callback may not be called, null when it may
+ */
+async function blockedCallbackHost(url) {
+  if (!validCallbackUrl(url)) return "callback URL is not a public http(s) URL";
+  if (anyIpAllowed()) return null;
+
+  const host = callbackHost(new URL(url));
+  if (net.isIP(host)) return null;
+  const addresses = await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(({ address }) => privateAddress(address));
+  return blocked
+    ? `${host} resolves to private address ${blocked.address}`
+    : null;
+}
+
+/**
+ * Signs a webhook body. Receivers recompute the HMAC over `<timestamp>.<body>`
+ * with the shared secret and compare it to the X-AnythingLLM-Signature header.
+ * @param {string} body - raw JSON body
+ * @param {string|number} timestamp - unix seconds, sent as X-AnythingLLM-Timestamp
+ * @param {string} secret
+ * @returns {string} - `sha256=<hex digest>`
+ */
+function signWebhookPayload(body, timestamp, secret) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `sha256=${digest}`;
+}
+
+/**
+ * POSTs a signed notification, retrying failed deliveries. Callbacks that
+ * resolve to a private address are never called, and redirects are not
+ * followed - they could lead anywhere the host check did not look.
+ * @param {string} url
+ * @param {string} event - e.g. document.ingestion.completed
+ * @param {Object} payload
+ * @returns {Promise<string>} - "delivered" or the reason the last attempt failed
+ */
+async function deliverWebhook(url, event, payload) {
+  const secret = webhookSecret();
+  if (!secret) return "failed: DOCUMENT_JOB_WEBHOOK_SECRET is not set";
+
+  const body = JSON.stringify({ event, ...payload });
+  let lastError = null;
+  for (const delay of RETRY_DELAYS_MS) {
+    if (delay) await new Promise((resolve) => setTimeout(resolve, delay));
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const blocked = await blockedCallbackHost(url);
+      if (blocked) return `failed: ${blocked}`;
+
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-AnythingLLM-Event": event,
+          "X-AnythingLLM-Timestamp": String(timestamp),
+          "X-AnythingLLM-Signature": signWebhookPayload(
+            body,
+            timestamp,
+            secret
+          ),
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      if (response.ok) return "delivered";
+      if (response.status >= 300 && response.status < 400)
+        return `failed: HTTP ${response.status} - redirects are not followed`;
+      lastError = `HTTP ${response.status}`;
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+
+  console.error(
+    `[IngestionJobs] Webhook delivery to ${url} failed:`,
+    lastError
+  );
+  return `failed: ${lastError}`;
+}
+
+module.exports = {
+  webhookSecret,
+  validCallbackUrl,
+  blockedCallbackHost,
+  signWebhookPayload,
+  deliverWebhook,
+};
@@ -39,48 +39,28 @@ async function requireAdmin(request, response, next) {
 
   if (multiUserMode) {
     // Multi-user mode: ONLY accept API keys (no JWT fallback)
-    // API keys are validated against the database
+    // API keys are validated against the database and must carry the admin scope
     const { ApiKey } = require("../../models/apiKeys");
-    const { User } = require("../../models/user");
+    const { authenticateApiKey } = require("./validApiKey");
 
-    const apiKey = await ApiKey.get({ secret: token });
+    const { apiKey, user, status, error } = await authenticateApiKey(
+      token,
+      request,
+      multiUserMode
+    );
 
     if (!apiKey) {
-      return response.status(401).json({
-        error: "Invalid or expired token",
-      });
-    }
-
-    // Fetch the user who created this API key
-    if (!apiKey.createdBy) {
-      return response.status(401).json({
-        error: "Invalid API key - no associated user",
-      });
-    }
-
-    const user = await User.get({ id: apiKey.createdBy });
-
-    if (!user) {
-      return response.status(401).json({
-        error: "Invalid API key - user not found",
-      });
-    }
-
-    // Verify the user is an admin
-    if (user.role !== "admin") {
-      return response.status(403).json({
-        error: "Forbidden - admin access required",
-      });
+      return response.status(status).json({ error });
     }
 
-    // Check if user is suspended
-    if (user.suspended) {
+    if (!apiKey.scopes.includes(ApiKey.scopes.admin)) {
       return response.status(403).json({
-        error: "Forbidden - user account suspended",
+        error: "Forbidden - this API key does not have the admin scope",
       });
     }
 
-    // Attach user to request
+    // Attach user and key to request
+    response.locals.apiKey = apiKey;
     request.user = {
       id: user.id,
       username: user.username,
@@ -0,0 +1,157 @@
+const { EventLogs } = require("../../models/eventLogs");
+
+/**
+ * OAuth scopes that external (Keystone) tokens must carry to call user-facing
+ * /v1/* routes. Each route declares its requirement with `requireScope` and
+ * documents it with a matching `#swagger.security` entry. Developer API keys
+ * are checked against the same requirements through API_KEY_GRANTS.
+ */
+const SCOPES = {
+  documentsRead: "documents:read",
+  documentsWrite: "documents:write",
+  workspacesRead: "workspaces:read",
+  workspacesWrite: "workspaces:write",
+  chat: "chat",
+  embedsRead: "embeds:read",
+  embedsWrite: "embeds:write",
+  systemRead: "system:read",
+  systemWrite: "system:write",
+  usersRead: "users:read",
+  usersWrite: "users:write",
+};
+
+/**
+ * The OAuth scopes each API key scope grants (see ApiKey.scopes). The admin
+ * scope grants every scope and `workspaces:<slug>` grants the workspaces
+ * scope for that workspace only.
+ */
+const API_KEY_GRANTS = {
+  admin: Object.values(SCOPES),
+  documents: [SCOPES.documentsRead, SCOPES.documentsWrite],
+  workspaces: [SCOPES.workspacesRead, SCOPES.workspacesWrite],
+  chat: [SCOPES.chat],
+};
+
+/**
+ * Required scopes a developer API key does not grant on a request. Keys with
+ * `workspaces:<slug>` scopes but without the admin or workspaces scope are
+ * limited to those workspaces: workspace and chat routes must name one of
+ * them in their `:slug` parameter.
+ * @param {import("../../models/apiKeys").ApiKeyRecord} apiKey
+ * @param {string[]} requiredScopes - values from SCOPES
+ * @param {string|null} slug - the workspace the route acts on
+ * @returns {string[]}
+ */
+function apiKeyMissingScopes(apiKey, requiredScopes = [], slug = null) {
+  const keyScopes = apiKey?.scopes ?? [];
+  const workspaceSlugs = keyScopes
+    .filter((scope) => scope.startsWith("workspaces:"))
+    .map((scope) => scope.slice("workspaces:".length));
+  const granted = new Set(
+    keyScopes.flatMap((scope) => API_KEY_GRANTS[scope] ?? [])
+  );
+  if (workspaceSlugs.length) {
+    API_KEY_GRANTS.workspaces.forEach((scope) => granted.add(scope));
+  }
+
+  const restricted =
+    workspaceSlugs.length > 0 &&
+    !keyScopes.includes("admin") &&
+    !keyScopes.includes("workspaces");
+  const workspaceBound = [
+    SCOPES.workspacesRead,
+    SCOPES.workspacesWrite,
+    SCOPES.chat,
+  ];
+
+  return requiredScopes.filter((scope) => {
+    if (!granted.has(scope)) return true;
+    if (!restricted || !workspaceBound.includes(scope)) return false;
+    return !slug || !workspaceSlugs.includes(slug);
+  });
+}
+
+/**
+ * Whether the route of a request declares its scopes with `requireScope`.
+ * Developer API keys are only accepted on such routes.
+ * @param {import("express").Request} request
+ * @returns {boolean}
+ */
+function routeDeclaresScope(request) {
+  return !!request.route?.stack?.some(
+    (layer) => !!layer.handle?.requiredScopes
+  );
+}
+
+/**
+ * RFC 6750 §3.1: Reject tokens that are missing any of the required scopes
+ * with 403 insufficient_scope. Requests authenticated by an external token are
+ * checked against its scope claim and requests authenticated by a developer
+ * API key against the key's scopes - internal JWTs and single-user auth carry
+ * no scopes.
+ * @param {...string} requiredScopes - values from SCOPES
+ * @returns {function}
+ */
+function requireScope(...requiredScopes) {
+  const middleware = async (request, response, next) => {
+    const { externalUser, apiKey } = response.locals ?? {};
+    if (!externalUser && !apiKey) {
+      next();
+      return;
+    }
+
+    let missingScopes;
+    if (apiKey) {
+      missingScopes = apiKeyMissingScopes(
+        apiKey,
+        requiredScopes,
+        request.params?.slug ?? null
+      );
+    } else {
+      const grantedScopes = response.locals.scope ?? [];
+      missingScopes = requiredScopes.filter(
+        (scope) => !grantedScopes.includes(scope)
+      );
+    }
+    if (missingScopes.length === 0) {
+      next();
+      return;
+    }
+
+    await EventLogs.logEvent(
+      "api_scope_denied",
+      {
+        method: request.method,
+        path: request.baseUrl + request.path,
+        requiredScopes,
+        missingScopes,
+        ...(apiKey
+          ? { apiKeyId: apiKey.id, apiKeyName: apiKey.name }
+          : {
+              externalUserId: externalUser.id,
+              authProvider: "keystone-core-api",
+            }),
+      },
+      response.locals.user?.id ?? null
+    );
+
+    response.set(
+      "WWW-Authenticate",
+      `Bearer error="insufficient_scope", scope="${requiredScopes.join(" ")}"`
+    );
+    return response.status(403).json({
+      error: `Insufficient scope: this endpoint requires the ${missingScopes.join(", ")} scope.`,
+      missingScopes,
+    });
+  };
+  middleware.requiredScopes = requiredScopes;
+  return middleware;
+}
+
+module.exports = {
+  SCOPES,
+  API_KEY_GRANTS,
+  apiKeyMissingScopes,
+  routeDeclaresScope,
+  requireScope,
+};
@@ -1,6 +1,60 @@
 const { ApiKey } = require("../../models/apiKeys");
 const { SystemSettings } = require("../../models/systemSettings");
 
+/**
+ * Authenticates a developer API key: it must exist, not be expired and be used
+ * from an address in its IP allowlist. In multi-user mode the key acts as the
+ * admin who created it, so that admin must still exist and not be suspended.
+ * Records the use of the key when it is valid.
+ * @param {string} secret - the bearer token
+ * @param {import("express").Request} request
+ * @param {boolean} multiUserMode
+ * @returns {Promise<{apiKey: import("../../models/apiKeys").ApiKeyRecord|null, user: Object|null, status: number|null, error: string|null}>}
+ */
+async function authenticateApiKey(secret, request, multiUserMode = false) {
+  const ip = request.ip || request.connection?.remoteAddress || "";
+  const { apiKey, error } = await ApiKey.validate(secret, ip);
+  if (!apiKey) return { apiKey: null, user: null, status: 401, error };
+
+  let user = null;
+  if (multiUserMode) {
+    const { User } = require("../../models/user");
+    if (!apiKey.createdBy)
+      return {
+        apiKey: null,
+        user: null,
+        status: 401,
+        error: "Invalid API key - no associated user",
+      };
+
+    user = await User.get({ id: apiKey.createdBy });
+    if (!user)
+      return {
+        apiKey: null,
+        user: null,
+        status: 401,
+        error: "Invalid API key - user not found",
+      };
+    if (user.role !== "admin")
+      return {
+        apiKey: null,
+        user: null,
+        status: 403,
+        error: "Forbidden - admin access required",
+      };
+    if (user.suspended)
+      return {
+        apiKey: null,
+        user: null,
+        status: 403,
+        error: "Forbidden - user account suspended",
+      };
+  }
+
+  await ApiKey.recordUsage(apiKey.id);
+  return { apiKey, user, status: null, error: null };
+}
+
 async function validApiKey(request, response, next) {
   const multiUserMode = await SystemSettings.isMultiUserMode();
   response.locals.multiUserMode = multiUserMode;
@@ -14,16 +68,22 @@ async function validApiKey(request, response, next) {
     return;
   }
 
-  if (!(await ApiKey.get({ secret: bearerKey }))) {
-    response.status(403).json({
-      error: "No valid api key found.",
-    });
+  const { apiKey, user, status, error } = await authenticateApiKey(
+    bearerKey,
+    request,
+    multiUserMode
+  );
+  if (!apiKey) {
+    response.status(status).json({ error });
     return;
   }
 
+  response.locals.apiKey = apiKey;
+  if (user) response.locals.user = user;
   next();
 }
 
 module.exports = {
+  authenticateApiKey,
   validApiKey,
 };
@@ -0,0 +1,27 @@
+const crypto = require("crypto");
+const { ExternalAuthConfig } = require("../auth/config");
+
+/**
+ * Only Keystone may push token revocation events. It authenticates with the
+ * shared revocation key (EXTERNAL_AUTH_REVOCATION_KEY, or the service key).
+ */
+async function validKeystoneRevocationKey(request, response, next) {
+  if (!ExternalAuthConfig.enabled || !ExternalAuthConfig.revocationKey)
+    return response.sendStatus(404).end();
+
+  const auth = request.header("Authorization") || "";
+  const key = auth.startsWith("Bearer ") ? auth.slice(7).trim() : "";
+  const expected = Buffer.from(ExternalAuthConfig.revocationKey);
+  const provided = Buffer.from(key);
+  if (
+    provided.length !== expected.length ||
+    !crypto.timingSafeEqual(provided, expected)
+  ) {
+    response.status(403).json({ error: "Invalid revocation key." });
+    return;
+  }
+
+  next();
+}
+
+module.exports = { validKeystoneRevocationKey };
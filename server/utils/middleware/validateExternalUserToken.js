@@ -2,7 +2,9 @@ const { ExternalAuthConfig } = require("../auth/config");
 const { syncExternalUser } = require("../auth/syncExternalUser");
 const { SystemSettings } = require("../../models/systemSettings");
 const { EventLogs } = require("../../models/eventLogs");
-const introspectionCache = require("../auth/introspectionCache");
+const { introspectionCache } = require("../auth/introspectionCache");
+const { jwksClient } = require("../auth/jwks");
+const { revocationList } = require("../auth/revocationList");
 
 /**
  * RFC 7662: OAuth 2.0 Token Introspection
@@ -19,6 +21,10 @@ const introspectionCache = require("../auth/introspectionCache");
  * - Only default role (non-admin) behavior on user endpoints
  * - Audit logging for user auth events
  * - Cache introspection responses (30s TTL)
+ * - In jwks mode, verify the token signature locally and only introspect as a
+ *   configured fallback when no signing key can be resolved
+ * - In jwks mode, reject tokens on the revocation deny-list - a locally
+ *   verified token is otherwise valid until its exp
  */
 async function validateExternalUserToken(req, res, next) {
   // Feature flag: fall back to internal auth if disabled
@@ -73,13 +79,50 @@ async function validateExternalUserToken(req, res, next) {
     await logAuthEvent("token_introspection_failed", {
       reason: "expired_token",
       ipAddress: clientIP,
-      userId: decodedPayload.sub || decodedPayload.id,
+      externalUserId: decodedPayload.sub || decodedPayload.id,
     });
     return res.status(401).json({ error: "Invalid or expired token" });
   }
 
+  let introspection = null;
+  if (ExternalAuthConfig.mode === "jwks") {
+    try {
+      introspection = await verifyWithJwks(token);
+    } catch (error) {
+      const canFallback =
+        ExternalAuthConfig.jwksFallbackToIntrospect &&
+        ["jwks_unavailable", "unknown_kid"].includes(error.reason);
+      if (!canFallback) {
+        await logAuthEvent("token_jwks_verification_failed", {
+          reason: error.reason || "jwks_error",
+          error: error.message,
+          ipAddress: clientIP,
+          externalUserId: decodedPayload.sub || decodedPayload.id,
+        });
+        return res.status(401).json({ error: "Invalid or expired token" });
+      }
+      await logAuthEvent("token_jwks_fallback", {
+        reason: error.reason,
+        ipAddress: clientIP,
+        externalUserId: decodedPayload.sub || decodedPayload.id,
+      });
+    }
+
+    if (
+      introspection &&
+      (await revocationList.isRevoked(token, introspection))
+    ) {
+      await logAuthEvent("token_jwks_verification_failed", {
+        reason: "revoked_token",
+        ipAddress: clientIP,
+        externalUserId: introspection.sub,
+      });
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+  }
+
   // Requirement #10: Token Introspection with caching (30s TTL)
-  let introspection = introspectionCache.get(token);
+  if (!introspection) introspection = await introspectionCache.get(token);
 
   if (!introspection) {
     try {
@@ -88,14 +131,14 @@ async function validateExternalUserToken(req, res, next) {
 
       // Only cache active tokens
       if (introspection && introspection.active) {
-        introspectionCache.set(
+        await introspectionCache.set(
           token,
           introspection,
           ExternalAuthConfig.cacheTTL * 1000
         );
       }
     } catch (error) {
-      const cachedResult = introspectionCache.get(token);
+      const cachedResult = await introspectionCache.get(token);
       if (cachedResult && cachedResult.active) {
         introspection = cachedResult;
       } else {
@@ -114,7 +157,7 @@ async function validateExternalUserToken(req, res, next) {
     await logAuthEvent("token_introspection_failed", {
       reason: "inactive_token",
       ipAddress: clientIP,
-      userId: introspection?.sub,
+      externalUserId: introspection?.sub,
     });
     return res.status(401).json({ error: "Invalid or expired token" });
   }
@@ -133,7 +176,7 @@ async function validateExternalUserToken(req, res, next) {
     await logAuthEvent("token_introspection_failed", {
       reason: "missing_required_claims",
       ipAddress: clientIP,
-      userId: introspection?.sub,
+      externalUserId: introspection?.sub,
     });
     return res.status(401).json({ error: "Invalid or expired token" });
   }
@@ -146,7 +189,7 @@ async function validateExternalUserToken(req, res, next) {
     await logAuthEvent("token_introspection_failed", {
       reason: "issuer_audience_mismatch",
       ipAddress: clientIP,
-      userId: introspection.sub,
+      externalUserId: introspection.sub,
     });
     return res.status(401).json({ error: "Invalid or expired token" });
   }
@@ -158,6 +201,7 @@ async function validateExternalUserToken(req, res, next) {
     provider: introspection.provider,
     email: introspection.email ?? null,
     scope: introspection.scope, // Requirement #3: scope
+    groups: introspection.groups ?? [], // Used by document access control
     sid: introspection.sid || introspection.sessionId,
   };
 
@@ -210,6 +254,20 @@ async function callKeystoneIntrospect(token) {
   return await response.json();
 }
 
+/**
+ * Verify the token against the cached JWKS and shape the verified claims like
+ * an introspection response so the rest of the checks apply unchanged.
+ */
+async function verifyWithJwks(token) {
+  const payload = await jwksClient.verify(token);
+  return {
+    ...payload,
+    active: true,
+    // `aud` may be an array in a JWT; it was matched against our audience already.
+    aud: ExternalAuthConfig.audience,
+  };
+}
+
 function safeDecodePayload(token) {
   try {
     const parts = token.split(".");
@@ -230,6 +288,8 @@ function safeDecodePayload(token) {
 /**
  * Requirement #9: Audit logging for user auth events
  * No PHI in logs - only user ID, IP, timestamp, event type
+ * Events are also appended to the tamper-evident audit log (see models/auditLogs).
+ * metadata.userId must be a local user id - pass the token subject as externalUserId.
  */
 async function logAuthEvent(eventType, metadata = {}) {
   try {
@@ -1,15 +1,24 @@
+const { ApiKey } = require("../../models/apiKeys");
 const { SystemSettings } = require("../../models/systemSettings");
 const { User } = require("../../models/user");
 const { EncryptionManager } = require("../EncryptionManager");
 const { decodeJWT } = require("../http");
 const { validateExternalUserToken } = require("./validateExternalUserToken");
 const { ExternalAuthConfig } = require("../auth/config");
+const { authenticateApiKey } = require("./validApiKey");
+const { routeDeclaresScope } = require("./requireScope");
 const EncryptionMgr = new EncryptionManager();
 
 async function validatedRequest(request, response, next) {
   const multiUserMode = await SystemSettings.isMultiUserMode();
   response.locals.multiUserMode = multiUserMode;
 
+  // Developer API keys are only accepted on routes that declare their scopes
+  // with requireScope, which then checks them against the scopes of the key.
+  const bearer = request.header("Authorization")?.split(" ")[1] ?? null;
+  if (bearer && ApiKey.isSecretFormat(bearer))
+    return await validateApiKeyRequest(bearer, request, response, next);
+
   if (ExternalAuthConfig.enabled && multiUserMode) {
     // Check if this is an internal admin JWT first
     // Internal admin JWTs have { id, username, role } structure
@@ -18,19 +27,6 @@ async function validatedRequest(request, response, next) {
     const token = auth ? auth.split(" ")[1] : null;
 
     if (token) {
-      // Reject API keys on shared endpoints - they should only work on admin endpoints
-      // API keys are UUIDs, typically in format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx
-      // or the custom format from uuid-apikey package
-      const { ApiKey } = require("../../models/apiKeys");
-      const apiKey = await ApiKey.get({ secret: token });
-      
-      if (apiKey) {
-        // This is an API key, not a JWT - reject it
-        return response.status(401).json({
-          error: "API keys cannot be used on this endpoint. Use JWT authentication.",
-        });
-      }
-
       try {
         // Try to decode as internal JWT
         const decoded = decodeJWT(token);
@@ -116,6 +112,30 @@ async function validatedRequest(request, response, next) {
   next();
 }
 
+async function validateApiKeyRequest(secret, request, response, next) {
+  if (!routeDeclaresScope(request)) {
+    response.status(401).json({
+      error:
+        "API keys cannot be used on this endpoint. Use JWT authentication.",
+    });
+    return;
+  }
+
+  const { apiKey, user, status, error } = await authenticateApiKey(
+    secret,
+    request,
+    response.locals.multiUserMode
+  );
+  if (!apiKey) {
+    response.status(status).json({ error });
+    return;
+  }
+
+  response.locals.apiKey = apiKey;
+  if (user) response.locals.user = user;
+  next();
+}
+
 async function validateMultiUserRequest(request, response, next) {
   const auth = request.header("Authorization");
   const token = auth ? auth.split(" ")[1] : null;
@@ -133,8 +133,126 @@ function buildOcrFromExternalFields(externalOcrFields, existingOcr = {}) {
   };
 }
 
+const LOW_CONFIDENCE_MODES = ["exclude", "tag", "off"];
+// Marker prepended to low-confidence fields when OCR_LOW_CONFIDENCE_MODE=tag
+const LOW_CONFIDENCE_TAG = /^\[low confidence \d(?:\.\d+)?\]\s*/;
+
+/**
+ * Get the low-confidence OCR policy from the environment.
+ * OCR_CONFIDENCE_THRESHOLD - fields below this confidence (0-1) are low confidence. Default 0.5.
+ * OCR_LOW_CONFIDENCE_MODE - "tag" (default) keeps them with a [low confidence] marker,
+ * "exclude" leaves them out of the canonical content and "off" disables the policy.
+ *
+ * @returns {{threshold: number, mode: ("exclude"|"tag"|"off")}}
+ */
+function ocrConfidencePolicy() {
+  const threshold = parseFloat(process.env.OCR_CONFIDENCE_THRESHOLD);
+  const mode = process.env.OCR_LOW_CONFIDENCE_MODE;
+  return {
+    threshold:
+      Number.isNaN(threshold) || threshold < 0 || threshold > 1
+        ? 0.5
+        : threshold,
+    mode: LOW_CONFIDENCE_MODES.includes(mode) ? mode : "tag",
+  };
+}
+
+/**
+ * Confidence of an OCR field as 0-1. Percentages (0-100) are scaled down.
+ * @param {Object} field - raw OCR field
+ * @returns {number|null} - null when the provider reported no confidence
+ */
+function fieldConfidence(field) {
+  if (field?.confidence === undefined || field?.confidence === null)
+    return null;
+  const confidence = Number(field.confidence);
+  if (Number.isNaN(confidence)) return null;
+  return confidence > 1 ? confidence / 100 : confidence;
+}
+
+/**
+ * Check if an OCR field is below the confidence threshold.
+ * Fields without a reported confidence are not treated as low confidence.
+ *
+ * @param {Object} field - raw OCR field
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function isLowConfidenceField(field, threshold) {
+  const confidence = fieldConfidence(field);
+  return confidence !== null && confidence < threshold;
+}
+
+/**
+ * Build the OCR text of a document from its raw fields, applying the
+ * low-confidence policy. Reviewed fields (approved or corrected by a person)
+ * are always included with their reviewed value.
+ *
+ * @param {Array} rawFields - original field array kept in `ocr.rawFields`
+ * @param {Object} options
+ * @param {number} options.threshold
+ * @param {("exclude"|"tag"|"off")} options.mode
+ * @param {Object} [options.reviews] - `ocr.fieldReviews` keyed by field index
+ * @returns {string|null} - combined text, null when no field has text
+ */
+function buildOcrTextFromFields(
+  rawFields = [],
+  { threshold, mode, reviews = {} } = ocrConfidencePolicy()
+) {
+  const lines = [];
+  rawFields.forEach((field, index) => {
+    if (!field || typeof field !== "object" || !field.fieldKey) return;
+
+    const review = reviews?.[index];
+    const value = review ? review.value : field.fieldValue;
+    if (!value || typeof value !== "string" || !value.trim()) return;
+
+    if (review || mode === "off" || !isLowConfidenceField(field, threshold)) {
+      lines.push(value.trim());
+      return;
+    }
+    if (mode === "tag")
+      lines.push(
+        `[low confidence ${fieldConfidence(field).toFixed(2)}] ${value.trim()}`
+      );
+  });
+  return lines.length > 0 ? lines.join("\n") : null;
+}
+
+/**
+ * List the fields of a document OCR object that are below the confidence
+ * threshold and have not been reviewed yet.
+ *
+ * @param {Object} ocr - document `ocr` object
+ * @param {number} threshold
+ * @returns {Array<{index: number, fieldKey: string, fieldValue: any, fieldType: string, confidence: number}>}
+ */
+function lowConfidenceFields(
+  ocr = {},
+  threshold = ocrConfidencePolicy().threshold
+) {
+  const fields = [];
+  (ocr?.rawFields ?? []).forEach((field, index) => {
+    if (!field?.fieldKey || ocr.fieldReviews?.[index]) return;
+    if (!isLowConfidenceField(field, threshold)) return;
+    fields.push({
+      index,
+      fieldKey: field.fieldKey,
+      fieldValue: field.fieldValue,
+      fieldType: field.fieldType || "string",
+      confidence: fieldConfidence(field),
+    });
+  });
+  return fields;
+}
+
 module.exports = {
   parseExternalOcrFields,
   buildOcrFromExternalFields,
+  LOW_CONFIDENCE_TAG,
+  ocrConfidencePolicy,
+  isLowConfidenceField,
+  buildOcrTextFromFields,
+  lowConfidenceFields,
 };
 
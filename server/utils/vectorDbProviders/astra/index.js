@@ -1,10 +1,14 @@
 const { AstraDB: AstraClient } = require("@datastax/astra-db-ts");
-const { TextSplitter } = require("../../TextSplitter");
-const { SystemSettings } = require("../../../models/systemSettings");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
-const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
+const { toChunks } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const {
+  toAstraFilter,
+  matchesMetadataFilters,
+  filteredSearchLimit,
+} = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 
 const sanitizeNamespace = (namespace) => {
   // If namespace already starts with ns_, don't add it again
@@ -148,7 +152,7 @@ const AstraDB = {
     const { DocumentVectors } = require("../../../models/vectors");
     try {
       let vectorDimension = null;
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) return false;
 
       console.log("Adding new vectorized document into namespace", namespace);
@@ -190,47 +194,18 @@ const AstraDB = {
         }
       }
 
-      const EmbedderEngine = getEmbeddingEngineSelection();
-      const textSplitter = new TextSplitter({
-        chunkSize: Math.min(
-          7500,
-          TextSplitter.determineMaxChunkSize(
-            await SystemSettings.getValueOrFallback({
-              label: "text_splitter_chunk_size",
-            }),
-            EmbedderEngine?.embeddingMaxChunkLength
-          )
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
+      // Astra documents are capped in size, so chunks can never exceed 7500 characters.
+      const prepared = await prepareDocumentChunks(documentData, {
+        namespace,
+        maxChunkSize: 7500,
       });
-      const textChunks = await textSplitter.splitText(pageContent);
-
-      console.log("Chunks created from document:", textChunks.length);
-      const documentVectors = [];
-      const vectors = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
-
-      if (!!vectorValues && vectorValues.length > 0) {
-        for (const [i, vector] of vectorValues.entries()) {
-          if (!vectorDimension) vectorDimension = vector.length;
-          const vectorRecord = {
-            _id: uuidv4(),
-            $vector: vector,
-            metadata: { ...metadata, text: textChunks[i] },
-          };
-
-          vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord._id });
-        }
-      } else {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
-      }
+      const { documentVectors } = prepared;
+      vectorDimension = prepared.vectorDimension;
+      const vectors = prepared.vectors.map(({ id, values, metadata }) => ({
+        _id: id,
+        $vector: values,
+        metadata,
+      }));
       const { client } = await this.connect();
       const collection = await this.getOrCreateCollection(
         client,
@@ -300,6 +275,7 @@ const AstraDB = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -325,6 +301,7 @@ const AstraDB = {
       similarityThreshold,
       topN,
       filterIdentifiers,
+      filters,
     });
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -343,6 +320,7 @@ const AstraDB = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const result = {
       contextTexts: [],
@@ -352,19 +330,19 @@ const AstraDB = {
     // Namespace should already be sanitized, but let's be defensive
     const sanitizedNamespace = sanitizeNamespace(namespace);
     const collection = await client.collection(sanitizedNamespace);
+    const { filter, residual } = toAstraFilter(filters);
     const responses = await collection
-      .find(
-        {},
-        {
-          sort: { $vector: queryVector },
-          limit: topN,
-          includeSimilarity: true,
-        }
-      )
+      .find(filter, {
+        sort: { $vector: queryVector },
+        limit: filteredSearchLimit(topN, residual),
+        includeSimilarity: true,
+      })
       .toArray();
 
     responses.forEach((response) => {
+      if (result.contextTexts.length >= topN) return;
       if (response.$similarity < similarityThreshold) return;
+      if (!matchesMetadataFilters(response.metadata, residual)) return;
       if (filterIdentifiers.includes(sourceIdentifier(response.metadata))) {
         console.log(
           "AstraDB: A source was filtered from context as it's parent document is pinned."
@@ -1,11 +1,15 @@
 const { ChromaClient } = require("chromadb");
-const { TextSplitter } = require("../../TextSplitter");
-const { SystemSettings } = require("../../../models/systemSettings");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
-const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
+const { toChunks } = require("../../helpers");
 const { parseAuthHeader } = require("../../http");
 const { sourceIdentifier } = require("../../chats");
+const {
+  toChromaFilter,
+  matchesMetadataFilters,
+  filteredSearchLimit,
+} = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 const COLLECTION_REGEX = new RegExp(
   /^(?!\d+\.\d+\.\d+\.\d+$)(?!.*\.\.)(?=^[a-zA-Z0-9][a-zA-Z0-9_-]{1,61}[a-zA-Z0-9]$).{3,63}$/
 );
@@ -115,6 +119,7 @@ const Chroma = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const collection = await client.getCollection({
       name: this.normalize(namespace),
@@ -125,14 +130,18 @@ const Chroma = {
       scores: [],
     };
 
+    const { where, residual } = toChromaFilter(filters);
     const response = await collection.query({
       queryEmbeddings: queryVector,
-      nResults: topN,
+      nResults: filteredSearchLimit(topN, residual),
+      ...(where ? { where } : {}),
     });
 
     response.ids[0].forEach((_, i) => {
+      if (result.contextTexts.length >= topN) return;
       const similarity = this.distanceToSimilarity(response.distances[0][i]);
       if (similarity < similarityThreshold) return;
+      if (!matchesMetadataFilters(response.metadatas[0][i], residual)) return;
 
       if (
         filterIdentifiers.includes(sourceIdentifier(response.metadatas[0][i]))
@@ -189,7 +198,7 @@ const Chroma = {
   ) {
     const { DocumentVectors } = require("../../../models/vectors");
     try {
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) return false;
 
       console.log("Adding new vectorized document into namespace", namespace);
@@ -239,56 +248,22 @@ const Chroma = {
       // We have to do this manually as opposed to using LangChains `Chroma.fromDocuments`
       // because we then cannot atomically control our namespace to granularly find/remove documents
       // from vectordb.
-      const EmbedderEngine = getEmbeddingEngineSelection();
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
-      });
-      const textChunks = await textSplitter.splitText(pageContent);
-
-      console.log("Chunks created from document:", textChunks.length);
-      const documentVectors = [];
-      const vectors = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
+      const { vectors, documentVectors } = await prepareDocumentChunks(
+        documentData,
+        { namespace }
+      );
       const submission = {
         ids: [],
         embeddings: [],
         metadatas: [],
         documents: [],
       };
-
-      if (!!vectorValues && vectorValues.length > 0) {
-        for (const [i, vector] of vectorValues.entries()) {
-          const vectorRecord = {
-            id: uuidv4(),
-            values: vector,
-            // [DO NOT REMOVE]
-            // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
-            // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            metadata: { ...metadata, text: textChunks[i] },
-          };
-
-          submission.ids.push(vectorRecord.id);
-          submission.embeddings.push(vectorRecord.values);
-          submission.metadatas.push(metadata);
-          submission.documents.push(textChunks[i]);
-
-          vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
-        }
-      } else {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
+      for (const vectorRecord of vectors) {
+        const { text, ...metadata } = vectorRecord.metadata;
+        submission.ids.push(vectorRecord.id);
+        submission.embeddings.push(vectorRecord.values);
+        submission.metadatas.push(metadata);
+        submission.documents.push(text);
       }
 
       const { client } = await this.connect();
@@ -347,6 +322,7 @@ const Chroma = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -369,6 +345,7 @@ const Chroma = {
         similarityThreshold,
         topN,
         filterIdentifiers,
+        filters,
       });
 
     const sources = sourceDocuments.map((metadata, i) => ({
@@ -1,17 +1,54 @@
 const lancedb = require("@lancedb/lancedb");
-const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
-const { TextSplitter } = require("../../TextSplitter");
-const { SystemSettings } = require("../../../models/systemSettings");
+const { toChunks } = require("../../helpers");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
 const { sourceIdentifier } = require("../../chats");
 const { NativeEmbeddingReranker } = require("../../EmbeddingRerankers/native");
+const {
+  hybridSearchConfig,
+  candidateLimit,
+  denseVectorOf,
+  fuseHybridResults,
+} = require("../../vectorStore/hybridSearch");
+const {
+  toLanceFilter,
+  conditionsOnFields,
+} = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 
 /**
  * LancedDB Client connection object
  * @typedef {import('@lancedb/lancedb').Connection} LanceClient
  */
 
+// SQL types of the metadata columns added to existing tables, by JS value type.
+const COLUMN_SQL_TYPES = {
+  string: "string",
+  number: "double",
+  boolean: "boolean",
+};
+
+/**
+ * Casts a metadata value to the type of the column it is written to, so a
+ * field that was a number on the first document and a string on the next
+ * does not fail the write.
+ * @param {any} value
+ * @param {import('apache-arrow').DataType} type
+ * @returns {any}
+ */
+function columnValue(value, type) {
+  if (value === undefined || value === null) return null;
+  const typeName = String(type);
+  if (typeName.includes("Utf8"))
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^(Float|Int|Uint)/.test(typeName)) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  if (typeName === "Bool") return typeof value === "boolean" ? value : null;
+  return value;
+}
+
 const LanceDb = {
   uri: `${
     !!process.env.STORAGE_DIR ? `${process.env.STORAGE_DIR}/` : "./storage/"
@@ -68,6 +105,7 @@ const LanceDb = {
    * @param {number} params.similarityThreshold - The threshold for similarity.
    * @param {number} params.topN - the number of results to return from this process.
    * @param {string[]} params.filterIdentifiers - The identifiers of the documents to filter out.
+   * @param {import("../../vectorStore/metadataFilters").MetadataFilterCondition[]} params.filters - Metadata conditions results must match.
    * @returns
    */
   rerankedSimilarityResponse: async function ({
@@ -78,6 +116,7 @@ const LanceDb = {
     topN = 4,
     similarityThreshold = 0.25,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const reranker = new NativeEmbeddingReranker();
     const collection = await client.openTable(namespace);
@@ -105,11 +144,14 @@ const LanceDb = {
       10,
       Math.min(50, Math.ceil(totalEmbeddings * 0.1))
     );
-    const vectorSearchResults = await collection
-      .vectorSearch(queryVector)
-      .distanceType("cosine")
-      .limit(searchLimit)
-      .toArray();
+    const vectorSearchResults = await this.filteredRows(
+      collection,
+      collection
+        .vectorSearch(queryVector)
+        .distanceType("cosine")
+        .limit(searchLimit),
+      filters
+    );
 
     await reranker
       .rerank(query, vectorSearchResults, { topK: topN })
@@ -152,6 +194,7 @@ const LanceDb = {
    * @param {number} params.similarityThreshold
    * @param {number} params.topN
    * @param {string[]} params.filterIdentifiers
+   * @param {import("../../vectorStore/metadataFilters").MetadataFilterCondition[]} params.filters
    * @returns
    */
   similarityResponse: async function ({
@@ -161,6 +204,7 @@ const LanceDb = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const collection = await client.openTable(namespace);
     const result = {
@@ -169,11 +213,11 @@ const LanceDb = {
       scores: [],
     };
 
-    const response = await collection
-      .vectorSearch(queryVector)
-      .distanceType("cosine")
-      .limit(topN)
-      .toArray();
+    const response = await this.filteredRows(
+      collection,
+      collection.vectorSearch(queryVector).distanceType("cosine").limit(topN),
+      filters
+    );
 
     response.forEach((item) => {
       if (this.distanceToSimilarity(item._distance) < similarityThreshold)
@@ -196,6 +240,147 @@ const LanceDb = {
 
     return result;
   },
+  /**
+   * Runs a query with the metadata filter conditions applied before the search.
+   * LanceDB rejects conditions on columns the table does not have - no chunk
+   * has a value for those, so they are resolved before the query is run.
+   * @param {import('@lancedb/lancedb').Table} collection - the table the query runs on
+   * @param {import('@lancedb/lancedb').Query|import('@lancedb/lancedb').VectorQuery} query
+   * @param {import("../../vectorStore/metadataFilters").MetadataFilterCondition[]} filters
+   * @returns {Promise<Object[]>}
+   */
+  filteredRows: async function (collection, query, filters = []) {
+    if (filters.length === 0) return await query.toArray();
+    const columns = (await collection.schema()).fields.map(
+      (field) => field.name
+    );
+    const conditions = conditionsOnFields(filters, columns);
+    if (conditions === null) return [];
+    return await query.where(toLanceFilter(conditions)).toArray();
+  },
+
+  /**
+   * LanceDB can serve the lexical leg of hybrid search with its native
+   * BM25 full-text index, so it does not need sparse vectors to be stored.
+   * @returns {boolean}
+   */
+  supportsHybridSearch: function () {
+    return true;
+  },
+
+  /**
+   * Creates the full-text index on the `text` column if it does not exist yet
+   * and brings it up to date when rows were added after it was built - the
+   * lexical leg of hybrid search drops rows the index has not caught up with.
+   * @param {import('@lancedb/lancedb').Table} collection
+   * @param {{create?: boolean}} [options] - create: false only refreshes an existing index
+   */
+  ensureFullTextIndex: async function (collection, { create = true } = {}) {
+    const indices = await collection.listIndices();
+    const index = indices.find(
+      (index) => index.indexType === "FTS" && index.columns.includes("text")
+    );
+    if (!index) {
+      if (create)
+        await collection.createIndex("text", { config: lancedb.Index.fts() });
+      return;
+    }
+    const stats = await collection.indexStats(index.name);
+    if (stats?.numUnindexedRows > 0) await collection.optimize();
+  },
+
+  /**
+   * Performs a dense similarity search and a full-text search on a namespace
+   * and fuses both rankings with the configured fusion method.
+   * @param {Object} params
+   * @param {LanceClient} params.client
+   * @param {string} params.namespace
+   * @param {string} params.query - The query to search for (plain text).
+   * @param {number[]} params.queryVector
+   * @param {number} params.similarityThreshold - Only applied to the dense leg.
+   * @param {number} params.topN
+   * @param {string[]} params.filterIdentifiers
+   * @param {import("../../vectorStore/hybridSearch").HybridSearchConfig|null} params.hybridConfig
+   * @param {import("../../vectorStore/metadataFilters").MetadataFilterCondition[]} params.filters
+   * @returns
+   */
+  hybridSimilarityResponse: async function ({
+    client,
+    namespace,
+    query,
+    queryVector,
+    similarityThreshold = 0.25,
+    topN = 4,
+    filterIdentifiers = [],
+    hybridConfig = null,
+    filters = [],
+  }) {
+    const collection = await client.openTable(namespace);
+    const config = hybridConfig ?? hybridSearchConfig();
+    const limit = candidateLimit(config, topN);
+    const result = {
+      contextTexts: [],
+      sourceDocuments: [],
+      scores: [],
+    };
+
+    await this.ensureFullTextIndex(collection);
+    const [denseResults, lexicalResults] = await Promise.all([
+      this.filteredRows(
+        collection,
+        collection
+          .vectorSearch(queryVector)
+          .distanceType("cosine")
+          .limit(limit),
+        filters
+      ),
+      this.filteredRows(
+        collection,
+        collection.query().fullTextSearch(query).limit(limit),
+        filters
+      ).catch((e) => {
+        console.error("LanceDB::hybridSimilarityResponse", e.message);
+        return [];
+      }),
+    ]);
+
+    const fused = fuseHybridResults({
+      dense: denseResults.filter(
+        (item) =>
+          this.distanceToSimilarity(item._distance) >= similarityThreshold
+      ),
+      denseScore: (item) => this.distanceToSimilarity(item._distance),
+      // Unindexed rows are returned with a zero score for any query.
+      lexical: lexicalResults.filter((item) => item._score > 0),
+      lexicalScore: (item) => item._score,
+      key: (item) => item.id,
+      config,
+    });
+
+    for (const item of fused) {
+      if (result.contextTexts.length >= topN) break;
+      const {
+        vector: _,
+        _distance: _d,
+        _score: _s,
+        _fusedScore: score,
+        ...rest
+      } = item;
+      if (filterIdentifiers.includes(sourceIdentifier(rest))) {
+        console.log(
+          "LanceDB: A source was filtered from context as it's parent document is pinned."
+        );
+        continue;
+      }
+
+      result.contextTexts.push(rest.text);
+      result.sourceDocuments.push({ ...rest, score });
+      result.scores.push(score);
+    }
+
+    return result;
+  },
+
   /**
    *
    * @param {LanceClient} client
@@ -222,13 +407,78 @@ const LanceDb = {
     const hasNamespace = await this.hasNamespace(namespace);
     if (hasNamespace) {
       const collection = await client.openTable(namespace);
-      await collection.add(data);
+      await collection.add(await this.alignWithTable(collection, data));
+      // The upload itself succeeded - hybrid searches retry the refresh.
+      await this.ensureFullTextIndex(collection, { create: false }).catch((e) =>
+        console.error("LanceDB::ensureFullTextIndex", e.message)
+      );
       return true;
     }
 
-    await client.createTable(namespace, data);
+    await client.createTable(namespace, await this.alignWithTable(null, data));
     return true;
   },
+  /**
+   * Every row of a LanceDB table has the same columns, but chunk metadata keys
+   * are optional (OCR filter fields, page ranges, the original upload hash...).
+   * Columns the table does not have yet are added first. The rows are then
+   * written as an Arrow table of the columns the batch has values for - LanceDB
+   * leaves the other columns null, where plain rows would get empty strings
+   * or false.
+   * @param {import('@lancedb/lancedb').Table|null} collection - null when the table is about to be created
+   * @param {Object[]} rows
+   * @returns {Promise<import('apache-arrow').Table>}
+   */
+  alignWithTable: async function (collection, rows = []) {
+    const valueTypes = {};
+    for (const row of rows) {
+      for (const [key, value] of Object.entries(row)) {
+        if (value === undefined || value === null || valueTypes[key]) continue;
+        valueTypes[key] = typeof value;
+      }
+    }
+
+    const columnTypes = {};
+    if (collection) {
+      let schema = await collection.schema();
+      const newColumns = Object.keys(valueTypes).filter(
+        (key) =>
+          COLUMN_SQL_TYPES[valueTypes[key]] &&
+          !schema.fields.some((field) => field.name === key)
+      );
+      if (newColumns.length > 0) {
+        await collection.addColumns(
+          newColumns.map((name) => ({
+            name,
+            valueSql: `CAST(NULL AS ${COLUMN_SQL_TYPES[valueTypes[name]]})`,
+          }))
+        );
+        schema = await collection.schema();
+      }
+      for (const field of schema.fields)
+        if (valueTypes[field.name]) columnTypes[field.name] = field.type;
+    } else {
+      for (const key of Object.keys(valueTypes)) columnTypes[key] = null;
+    }
+
+    const values = rows.map((row) =>
+      Object.fromEntries(
+        Object.entries(columnTypes).map(([key, type]) => [
+          key,
+          type ? columnValue(row[key], type) : row[key] ?? null,
+        ])
+      )
+    );
+    // Values that could not be cast leave nothing to write for some columns.
+    const written = Object.keys(columnTypes).filter((key) =>
+      values.some((row) => row[key] !== null)
+    );
+    return lancedb.makeArrowTable(
+      values.map((row) =>
+        Object.fromEntries(written.map((key) => [key, row[key]]))
+      )
+    );
+  },
   hasNamespace: async function (namespace = null) {
     if (!namespace) return false;
     const { client } = await this.connect();
@@ -268,12 +518,12 @@ const LanceDb = {
 
     const { DocumentVectors } = require("../../../models/vectors");
     const table = await client.openTable(namespace);
-    const vectorIds = (await DocumentVectors.where({ docId })).map(
-      (record) => record.vectorId
-    );
+    const knownDocuments = await DocumentVectors.where({ docId });
+    const vectorIds = knownDocuments.map((record) => record.vectorId);
 
     if (vectorIds.length === 0) return;
     await table.delete(`id IN (${vectorIds.map((v) => `'${v}'`).join(",")})`);
+    await DocumentVectors.deleteIds(knownDocuments.map((record) => record.id));
     return true;
   },
   addDocumentToNamespace: async function (
@@ -284,7 +534,7 @@ const LanceDb = {
   ) {
     const { DocumentVectors } = require("../../../models/vectors");
     try {
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) return false;
 
       console.log("Adding new vectorized document into namespace", namespace);
@@ -301,7 +551,11 @@ const LanceDb = {
               const id = uuidv4();
               const { id: _id, ...metadata } = chunk.metadata;
               documentVectors.push({ docId, vectorId: id });
-              submissions.push({ id: id, vector: chunk.values, ...metadata });
+              submissions.push({
+                id: id,
+                vector: denseVectorOf(chunk.values),
+                ...metadata,
+              });
             });
           }
 
@@ -315,52 +569,15 @@ const LanceDb = {
       // We have to do this manually as opposed to using LangChains `xyz.fromDocuments`
       // because we then cannot atomically control our namespace to granularly find/remove documents
       // from vectordb.
-      const EmbedderEngine = getEmbeddingEngineSelection();
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
-      });
-      const textChunks = await textSplitter.splitText(pageContent);
-
-      console.log("Chunks created from document:", textChunks.length);
-      const documentVectors = [];
-      const vectors = [];
-      const submissions = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
-
-      if (!!vectorValues && vectorValues.length > 0) {
-        for (const [i, vector] of vectorValues.entries()) {
-          const vectorRecord = {
-            id: uuidv4(),
-            values: vector,
-            // [DO NOT REMOVE]
-            // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
-            // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            metadata: { ...metadata, text: textChunks[i] },
-          };
-
-          vectors.push(vectorRecord);
-          submissions.push({
-            ...vectorRecord.metadata,
-            id: vectorRecord.id,
-            vector: vectorRecord.values,
-          });
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
-        }
-      } else {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
-      }
+      const { vectors, documentVectors } = await prepareDocumentChunks(
+        documentData,
+        { namespace }
+      );
+      const submissions = vectors.map((vectorRecord) => ({
+        ...vectorRecord.metadata,
+        id: vectorRecord.id,
+        vector: vectorRecord.values,
+      }));
 
       if (vectors.length > 0) {
         const chunks = [];
@@ -387,6 +604,7 @@ const LanceDb = {
     topN = 4,
     filterIdentifiers = [],
     rerank = false,
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -400,7 +618,7 @@ const LanceDb = {
       };
     }
 
-    const queryVector = await LLMConnector.embedTextInput(input);
+    const queryVector = denseVectorOf(await LLMConnector.embedTextInput(input));
     const result = rerank
       ? await this.rerankedSimilarityResponse({
           client,
@@ -410,6 +628,7 @@ const LanceDb = {
           similarityThreshold,
           topN,
           filterIdentifiers,
+          filters,
         })
       : await this.similarityResponse({
           client,
@@ -418,6 +637,7 @@ const LanceDb = {
           similarityThreshold,
           topN,
           filterIdentifiers,
+          filters,
         });
 
     const { contextTexts, sourceDocuments } = result;
@@ -430,6 +650,51 @@ const LanceDb = {
       message: false,
     };
   },
+  performHybridSearch: async function ({
+    namespace = null,
+    input = "",
+    LLMConnector = null,
+    similarityThreshold = 0.25,
+    topN = 4,
+    filterIdentifiers = [],
+    hybridConfig = null,
+    filters = [],
+  }) {
+    if (!namespace || !input || !LLMConnector)
+      throw new Error("Invalid request to performHybridSearch.");
+
+    const { client } = await this.connect();
+    if (!(await this.namespaceExists(client, namespace))) {
+      return {
+        contextTexts: [],
+        sources: [],
+        message: "Invalid query - no documents found for workspace!",
+      };
+    }
+
+    const queryVector = denseVectorOf(await LLMConnector.embedTextInput(input));
+    const { contextTexts, sourceDocuments } =
+      await this.hybridSimilarityResponse({
+        client,
+        namespace,
+        query: input,
+        queryVector,
+        similarityThreshold,
+        topN,
+        filterIdentifiers,
+        hybridConfig,
+        filters,
+      });
+
+    const sources = sourceDocuments.map((metadata, i) => {
+      return { metadata: { ...metadata, text: contextTexts[i] } };
+    });
+    return {
+      contextTexts,
+      sources: this.curateSources(sources),
+      message: false,
+    };
+  },
   "namespace-stats": async function (reqBody = {}) {
     const { namespace = null } = reqBody;
     if (!namespace) throw new Error("namespace required");
@@ -4,14 +4,18 @@ const {
   IndexType,
   MilvusClient,
   RRFRanker, // For hybrid-search re-ranking
+  WeightedRanker,
 } = require("@zilliz/milvus2-sdk-node");
-const { TextSplitter } = require("../../TextSplitter");
-const { SystemSettings } = require("../../../models/systemSettings");
-const { v4: uuidv4 } = require("uuid");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
 const { DocumentVectors } = require("../../../models/vectors");
+const {
+  hybridSearchConfig,
+  candidateLimit,
+} = require("../../vectorStore/hybridSearch");
+const { toMilvusFilter } = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 
 // Simple toggle-able logger for tracing Milvus provider flow.
 const LOG_ENABLED = process.env.DEBUG_MILVUS_PROVIDER === "true";
@@ -166,65 +170,30 @@ const Milvus = {
     fullFilePath = null,
     skipCache = false
   ) {
-
     try {
       let vectorDimension = null;
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length === 0) return false;
 
       // TODO: Re-implement cache handling if necessary, ensuring it maps to the new schema.
       // For now, we prioritize the direct embedding flow.
       debugLog(`Vectorizing ${docId} for namespace ${namespace}.`);
 
-      const EmbedderEngine = getEmbeddingEngineSelection(namespace);
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
+      const prepared = await prepareDocumentChunks(documentData, {
+        namespace,
+        log: debugLog,
       });
-      const textChunks = await textSplitter.splitText(pageContent);
-      debugLog(`Created ${textChunks.length} chunks from document.`);
-
-      const documentVectors = [];
-      const vectors = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
-
-      if (!vectorValues || vectorValues.length === 0) {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
-      }
-
-      for (const [i, vec] of vectorValues.entries()) {
-        // **INTELLIGENT VECTOR DETECTION**
-        // Detects if the vector is from the old engine (simple array) or the new hybrid engine (object).
-        const isHybrid = typeof vec === "object" && vec.hasOwnProperty("dense");
-        const denseVector = isHybrid ? vec.dense : vec;
-        const sparseVector = isHybrid
-          ? vec.sparse
-          : { indices: [], values: [] }; // Default empty sparse vector
-
-        if (!vectorDimension) vectorDimension = denseVector.length;
-
-        const vectorRecord = {
-          id: uuidv4(),
-          text_dense: denseVector,
-          text_sparse: sparseVector,
-          text: textChunks[i],
-          metadata: { ...metadata, text: textChunks[i] },
-        };
-
-        vectors.push(vectorRecord);
-        documentVectors.push({ docId, vectorId: vectorRecord.id });
-      }
+      const { documentVectors } = prepared;
+      vectorDimension = prepared.vectorDimension;
+
+      const vectors = prepared.vectors.map((vectorRecord) => ({
+        id: vectorRecord.id,
+        text_dense: vectorRecord.values,
+        // Default to an empty sparse vector when the embedder is dense only.
+        text_sparse: vectorRecord.sparseValues ?? { indices: [], values: [] },
+        text: vectorRecord.text,
+        metadata: vectorRecord.metadata,
+      }));
 
       if (vectors.length > 0) {
         const { client, timeout } = await this.connect();
@@ -278,6 +247,7 @@ const Milvus = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -308,6 +278,7 @@ const Milvus = {
         anns_field: "text_dense", // Explicitly search the dense vector field
         param: { nprobe: 10 },
         output_fields: ["metadata", "text"], // Specify which fields to return
+        ...(filters.length > 0 ? { filter: toMilvusFilter(filters) } : {}),
       },
       timeout
     );
@@ -323,6 +294,29 @@ const Milvus = {
     return { contextTexts, sources, message: false };
   },
 
+  // Sparse vectors are only written when the hybrid embedder is in use, so
+  // hybrid search is only possible in that mode.
+  supportsHybridSearch: function () {
+    return process.env.EMBEDDING_ENGINE === "hybrid";
+  },
+
+  /**
+   * Builds the server-side ranker for a hybrid search. Milvus weighted ranking
+   * expects weights between 0 and 1 so they are scaled by the largest weight.
+   * @param {import("../../vectorStore/hybridSearch").HybridSearchConfig} config
+   * @param {number|boolean} rerankMode - legacy RRF k override
+   */
+  hybridRanker: function (config, rerankMode = false) {
+    if (config.fusionMethod === "weighted") {
+      const max = Math.max(config.denseWeight, config.sparseWeight) || 1;
+      return WeightedRanker([
+        config.denseWeight / max,
+        config.sparseWeight / max,
+      ]);
+    }
+    return RRFRanker(typeof rerankMode === "number" ? rerankMode : config.rrfK);
+  },
+
   performHybridSearch: async function ({
     namespace = null,
     input = "",
@@ -331,9 +325,12 @@ const Milvus = {
     topN = 10,
     filterIdentifiers = [],
     rerank: rerankMode = false,
+    hybridConfig = null,
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performHybridSearch.");
+    const config = hybridConfig ?? hybridSearchConfig();
 
     const { client, timeout } = await this.connect();
     if (!(await this.namespaceExists(client, namespace, timeout))) {
@@ -384,27 +381,29 @@ const Milvus = {
         similarityThreshold,
         topN,
         filterIdentifiers,
+        filters,
       });
     }
 
     // Build two AnnSearch objects – one for dense, one for sparse.
+    const expr = toMilvusFilter(filters);
     const searchRequests = [
       {
         anns_field: "text_dense",
         data: [queryDense], // Wrap vector in array
         params: { nprobe: 10 },
-        limit: topN,
+        limit: candidateLimit(config, topN),
+        ...(expr ? { expr } : {}),
       },
       {
         anns_field: "text_sparse",
         data: [querySparse],
         params: { drop_ratio_search: 0.2 },
-        limit: topN,
+        limit: candidateLimit(config, topN),
+        ...(expr ? { expr } : {}),
       },
     ];
-    const rerank = rerankMode
-      ? RRFRanker(typeof rerankMode === "number" ? rerankMode : 60)
-      : RRFRanker(60); // Default reciprocal-rank fusion
+    const rerank = this.hybridRanker(config, rerankMode);
     const searchResponse = await client.hybridSearch(
       withMilvusTimeout(
         {
@@ -571,6 +570,68 @@ const Milvus = {
     await client.dropCollection({ collection_name: this.normalize(namespace) });
     return true;
   },
+  // Rebuilds every stored `text_sparse` vector from its raw `text` field using the
+  // namespace's persisted BM25 vocabulary. Collections embedded before the vocabulary
+  // was persisted hold sparse indices that no longer match new query vectors.
+  resparsifyNamespace: async function (
+    namespace = null,
+    { batchSize = 500 } = {}
+  ) {
+    if (!namespace) throw new Error("No namespace value provided.");
+    const { BM25Embedder } = require("../../EmbeddingEngines/bm25");
+    const { client, timeout } = await this.connect();
+    if (!(await this.namespaceExists(client, namespace))) return { updated: 0 };
+
+    const sparseEmbedder = new BM25Embedder(namespace);
+    const iterator = await client.queryIterator(
+      withMilvusTimeout(
+        {
+          collection_name: this.normalize(namespace),
+          expr: 'id != ""',
+          output_fields: ["id", "text_dense", "text", "metadata"],
+          batchSize,
+        },
+        timeout
+      )
+    );
+
+    let updated = 0;
+    for await (const rows of iterator) {
+      if (!rows?.length) continue;
+      const sparseVectors = await sparseEmbedder.embedChunks(
+        rows.map((row) => row.text || "")
+      );
+      const result = await client.upsert(
+        withMilvusTimeout(
+          {
+            collection_name: this.normalize(namespace),
+            data: rows.map((row, i) => ({
+              id: row.id,
+              text_dense: row.text_dense,
+              text: row.text,
+              text_sparse: sparseVectors[i],
+              metadata: row.metadata,
+            })),
+          },
+          timeout
+        )
+      );
+      if (result?.status?.error_code !== "Success")
+        throw new Error(
+          `Error re-sparsifying Milvus collection! Reason: ${result?.status?.reason}`
+        );
+      updated += rows.length;
+      debugLog(`Re-sparsified ${updated} vectors in ${namespace}.`);
+    }
+
+    await client.flushSync(
+      withMilvusTimeout(
+        { collection_names: [this.normalize(namespace)] },
+        timeout
+      )
+    );
+    return { updated };
+  },
   "namespace-stats": async function (reqBody = {}) {
     const { namespace = null } = reqBody;
     if (!namespace) throw new Error("namespace required");
@@ -1,8 +1,15 @@
 const pgsql = require("pg");
-const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
-const { TextSplitter } = require("../../TextSplitter");
+const { toChunks } = require("../../helpers");
 const { v4: uuidv4 } = require("uuid");
 const { sourceIdentifier } = require("../../chats");
+const {
+  hybridSearchConfig,
+  candidateLimit,
+  denseVectorOf,
+  fuseHybridResults,
+} = require("../../vectorStore/hybridSearch");
+const { toPGVectorFilter } = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 
 /*
  Embedding Table Schema (table name defined by user)
@@ -47,6 +54,21 @@ const PGVector = {
   createTableSql: (dimensions) =>
     `CREATE TABLE IF NOT EXISTS "${PGVector.tableName()}" (id UUID PRIMARY KEY, namespace TEXT, embedding vector(${Number(dimensions)}), metadata JSONB, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)`,
 
+  /**
+   * Get the text search configuration used for the lexical leg of hybrid search.
+   * - Defaults to "english". Only plain identifiers are allowed since the value
+   *   is inlined into SQL so the expression matches the full-text index.
+   * @returns {string}
+   */
+  ftsConfig: () => {
+    const config = process.env.PGVECTOR_FTS_CONFIG || "english";
+    return /^[a-z_]+$/.test(config) ? config : "english";
+  },
+  ftsDocumentSql: () =>
+    `to_tsvector('${PGVector.ftsConfig()}'::regconfig, coalesce(metadata->>'text', ''))`,
+  createFullTextIndexSql: () =>
+    `CREATE INDEX IF NOT EXISTS "${PGVector.tableName()}_fts_${PGVector.ftsConfig()}_idx" ON "${PGVector.tableName()}" USING GIN (${PGVector.ftsDocumentSql()})`,
+
   log: function (message = null, ...args) {
     console.log(`\x1b[35m[PGVectorDb]\x1b[0m ${message}`, ...args);
   },
@@ -309,6 +331,7 @@ const PGVector = {
    * @param {number} params.similarityThreshold
    * @param {number} params.topN
    * @param {string[]} params.filterIdentifiers
+   * @param {import("../../vectorStore/metadataFilters").MetadataFilterCondition[]} params.filters
    * @returns
    */
   similarityResponse: async function ({
@@ -318,6 +341,7 @@ const PGVector = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const result = {
       contextTexts: [],
@@ -326,9 +350,10 @@ const PGVector = {
     };
 
     const embedding = `[${queryVector.map(Number).join(",")}]`;
+    const filter = this.metadataFilterSql(filters, 4);
     const response = await client.query(
-      `SELECT embedding ${this.operator.cosine} $1 AS _distance, metadata FROM "${PGVector.tableName()}" WHERE namespace = $2 ORDER BY _distance ASC LIMIT $3`,
-      [embedding, namespace, topN]
+      `SELECT embedding ${this.operator.cosine} $1 AS _distance, metadata FROM "${PGVector.tableName()}" WHERE namespace = $2${filter.sql} ORDER BY _distance ASC LIMIT $3`,
+      [embedding, namespace, topN, ...filter.params]
     );
     response.rows.forEach((item) => {
       if (this.distanceToSimilarity(item._distance) < similarityThreshold)
@@ -351,6 +376,108 @@ const PGVector = {
     return result;
   },
 
+  /**
+   * SQL to append to a WHERE clause so only chunks matching the metadata filter
+   * conditions are searched.
+   * @param {import("../../vectorStore/metadataFilters").MetadataFilterCondition[]} filters
+   * @param {number} firstParam - index of the first free query parameter
+   * @returns {{sql: string, params: any[]}}
+   */
+  metadataFilterSql: function (filters = [], firstParam = 1) {
+    const { sql, params } = toPGVectorFilter(filters, firstParam);
+    return { sql: sql ? ` AND ${sql}` : "", params };
+  },
+
+  /**
+   * Hybrid search is served by combining pgvector cosine search with
+   * Postgres full-text search, so no sparse vectors need to be stored.
+   * @returns {boolean}
+   */
+  supportsHybridSearch: function () {
+    return true;
+  },
+
+  /**
+   * Performs a cosine similarity search and a Postgres full-text search on a
+   * namespace and fuses both rankings with reciprocal rank fusion.
+   * Query terms are OR'ed so natural language questions still match chunks
+   * containing only some of the terms (codes, drug names, etc).
+   * @param {Object} params
+   * @param {pgsql.Client} params.client
+   * @param {string} params.namespace
+   * @param {string} params.query - The query to search for (plain text).
+   * @param {number[]} params.queryVector
+   * @param {number} params.similarityThreshold - Only applied to the dense leg.
+   * @param {number} params.topN
+   * @param {string[]} params.filterIdentifiers
+   * @param {import("../../vectorStore/hybridSearch").HybridSearchConfig|null} params.hybridConfig
+   * @param {import("../../vectorStore/metadataFilters").MetadataFilterCondition[]} params.filters
+   * @returns
+   */
+  hybridSimilarityResponse: async function ({
+    client,
+    namespace,
+    query,
+    queryVector,
+    similarityThreshold = 0.25,
+    topN = 4,
+    filterIdentifiers = [],
+    hybridConfig = null,
+    filters = [],
+  }) {
+    const config = hybridConfig ?? hybridSearchConfig();
+    const limit = candidateLimit(config, topN);
+    const result = {
+      contextTexts: [],
+      sourceDocuments: [],
+      scores: [],
+    };
+
+    const embedding = `[${queryVector.map(Number).join(",")}]`;
+    const filter = this.metadataFilterSql(filters, 4);
+    const denseResponse = await client.query(
+      `SELECT id, embedding ${this.operator.cosine} $1 AS _distance, metadata FROM "${PGVector.tableName()}" WHERE namespace = $2${filter.sql} ORDER BY _distance ASC LIMIT $3`,
+      [embedding, namespace, limit, ...filter.params]
+    );
+    const lexicalResponse = await client.query(
+      `SELECT id, ts_rank_cd(${this.ftsDocumentSql()}, q) AS _rank, metadata
+       FROM "${PGVector.tableName()}",
+         replace(plainto_tsquery('${this.ftsConfig()}'::regconfig, $1)::text, '&', '|')::tsquery AS q
+       WHERE namespace = $2 AND numnode(q) > 0 AND ${this.ftsDocumentSql()} @@ q${filter.sql}
+       ORDER BY _rank DESC LIMIT $3`,
+      [query, namespace, limit, ...filter.params]
+    );
+
+    const fused = fuseHybridResults({
+      dense: denseResponse.rows.filter(
+        (item) =>
+          this.distanceToSimilarity(item._distance) >= similarityThreshold
+      ),
+      denseScore: (item) => this.distanceToSimilarity(item._distance),
+      lexical: lexicalResponse.rows,
+      lexicalScore: (item) => Number(item._rank),
+      key: (item) => item.id,
+      config,
+    });
+
+    for (const item of fused) {
+      if (result.contextTexts.length >= topN) break;
+      if (filterIdentifiers.includes(sourceIdentifier(item.metadata))) {
+        this.log(
+          "A source was filtered from context as it's parent document is pinned."
+        );
+        continue;
+      }
+
+      const score = item._fusedScore;
+      result.contextTexts.push(item.metadata.text);
+      result.sourceDocuments.push({ ...item.metadata, score });
+      result.scores.push(score);
+    }
+
+    return result;
+  },
+
   normalizeVector: function (vector) {
     const magnitude = Math.sqrt(
       vector.reduce((sum, val) => sum + val * val, 0)
@@ -406,6 +533,7 @@ const PGVector = {
   createTableIfNotExists: async function (connection, dimensions = 384) {
     this.log(`Creating embedding table with ${dimensions} dimensions`);
     await connection.query(this.createTableSql(dimensions));
+    await connection.query(this.createFullTextIndexSql());
     return true;
   },
 
@@ -486,7 +614,7 @@ const PGVector = {
     let connection = null;
 
     try {
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) return false;
       connection = await this.connect();
 
@@ -500,11 +628,16 @@ const PGVector = {
           const submissions = [];
 
           for (const chunk of chunks.flat()) {
-            if (!vectorDimensions) vectorDimensions = chunk.values.length;
+            if (!vectorDimensions)
+              vectorDimensions = denseVectorOf(chunk.values).length;
             const id = uuidv4();
             const { id: _id, ...metadata } = chunk.metadata;
             documentVectors.push({ docId, vectorId: id });
-            submissions.push({ id: id, vector: chunk.values, metadata });
+            submissions.push({
+              id: id,
+              vector: denseVectorOf(chunk.values),
+              metadata,
+            });
           }
 
           await this.updateOrCreateCollection({
@@ -522,52 +655,16 @@ const PGVector = {
       // We have to do this manually as opposed to using LangChains `xyz.fromDocuments`
       // because we then cannot atomically control our namespace to granularly find/remove documents
       // from vectordb.
-      const { SystemSettings } = require("../../../models/systemSettings");
-      const EmbedderEngine = getEmbeddingEngineSelection();
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
-      });
-      const textChunks = await textSplitter.splitText(pageContent);
-
-      this.log("Chunks created from document:", textChunks.length);
-      const documentVectors = [];
-      const vectors = [];
-      const submissions = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
-      let vectorDimensions;
-
-      if (!!vectorValues && vectorValues.length > 0) {
-        for (const [i, vector] of vectorValues.entries()) {
-          if (!vectorDimensions) vectorDimensions = vector.length;
-          const vectorRecord = {
-            id: uuidv4(),
-            values: vector,
-            metadata: { ...metadata, text: textChunks[i] },
-          };
-
-          vectors.push(vectorRecord);
-          submissions.push({
-            id: vectorRecord.id,
-            vector: vectorRecord.values,
-            metadata: vectorRecord.metadata,
-          });
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
-        }
-      } else {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
-      }
+      const { vectors, documentVectors, vectorDimension } =
+        await prepareDocumentChunks(documentData, {
+          namespace,
+          log: (...args) => this.log(...args),
+        });
+      const submissions = vectors.map((vectorRecord) => ({
+        id: vectorRecord.id,
+        vector: vectorRecord.values,
+        metadata: vectorRecord.metadata,
+      }));
 
       if (vectors.length > 0) {
         const chunks = [];
@@ -578,7 +675,7 @@ const PGVector = {
           connection,
           submissions,
           namespace,
-          dimensions: vectorDimensions,
+          dimensions: vectorDimension,
         });
         await storeVectorResult(chunks, fullFilePath);
       }
@@ -613,9 +710,8 @@ const PGVector = {
         );
 
       const { DocumentVectors } = require("../../../models/vectors");
-      const vectorIds = (await DocumentVectors.where({ docId })).map(
-        (record) => record.vectorId
-      );
+      const knownDocuments = await DocumentVectors.where({ docId });
+      const vectorIds = knownDocuments.map((record) => record.vectorId);
       if (vectorIds.length === 0) return;
 
       try {
@@ -630,6 +726,9 @@ const PGVector = {
         await connection.query(`ROLLBACK`);
         throw err;
       }
+      await DocumentVectors.deleteIds(
+        knownDocuments.map((record) => record.id)
+      );
 
       this.log(
         `Deleted ${vectorIds.length} vectors from namespace ${namespace}`
@@ -652,6 +751,7 @@ const PGVector = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     let connection = null;
     if (!namespace || !input || !LLMConnector)
@@ -671,7 +771,9 @@ const PGVector = {
         };
       }
 
-      const queryVector = await LLMConnector.embedTextInput(input);
+      const queryVector = denseVectorOf(
+        await LLMConnector.embedTextInput(input)
+      );
       const result = await this.similarityResponse({
         client: connection,
         namespace,
@@ -679,6 +781,66 @@ const PGVector = {
         similarityThreshold,
         topN,
         filterIdentifiers,
+        filters,
+      });
+
+      const { contextTexts, sourceDocuments } = result;
+      const sources = sourceDocuments.map((metadata, i) => {
+        return { metadata: { ...metadata, text: contextTexts[i] } };
+      });
+      return {
+        contextTexts,
+        sources: this.curateSources(sources),
+        message: false,
+      };
+    } catch (err) {
+      return { error: err.message, success: false };
+    } finally {
+      if (connection) await connection.end();
+    }
+  },
+
+  performHybridSearch: async function ({
+    namespace = null,
+    input = "",
+    LLMConnector = null,
+    similarityThreshold = 0.25,
+    topN = 4,
+    filterIdentifiers = [],
+    hybridConfig = null,
+    filters = [],
+  }) {
+    let connection = null;
+    if (!namespace || !input || !LLMConnector)
+      throw new Error("Invalid request to performHybridSearch.");
+
+    try {
+      connection = await this.connect();
+      const exists = await this.namespaceExists(connection, namespace);
+      if (!exists) {
+        this.log(
+          `The namespace ${namespace} does not exist or has no vectors. Returning empty results.`
+        );
+        return {
+          contextTexts: [],
+          sources: [],
+          message: null,
+        };
+      }
+
+      const queryVector = denseVectorOf(
+        await LLMConnector.embedTextInput(input)
+      );
+      const result = await this.hybridSimilarityResponse({
+        client: connection,
+        namespace,
+        query: input,
+        queryVector,
+        similarityThreshold,
+        topN,
+        filterIdentifiers,
+        hybridConfig,
+        filters,
       });
 
       const { contextTexts, sourceDocuments } = result;
@@ -1,10 +1,14 @@
 const { Pinecone } = require("@pinecone-database/pinecone");
-const { TextSplitter } = require("../../TextSplitter");
-const { SystemSettings } = require("../../../models/systemSettings");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
-const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
+const { toChunks } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const {
+  toPineconeFilter,
+  matchesMetadataFilters,
+  filteredSearchLimit,
+} = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 
 const PineconeDB = {
   name: "Pinecone",
@@ -43,6 +47,7 @@ const PineconeDB = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const result = {
       contextTexts: [],
@@ -51,14 +56,18 @@ const PineconeDB = {
     };
 
     const pineconeNamespace = client.namespace(namespace);
+    const { filter, residual } = toPineconeFilter(filters);
     const response = await pineconeNamespace.query({
       vector: queryVector,
-      topK: topN,
+      topK: filteredSearchLimit(topN, residual),
       includeMetadata: true,
+      ...(filter ? { filter } : {}),
     });
 
     response.matches.forEach((match) => {
+      if (result.contextTexts.length >= topN) return;
       if (match.score < similarityThreshold) return;
+      if (!matchesMetadataFilters(match.metadata, residual)) return;
       if (filterIdentifiers.includes(sourceIdentifier(match.metadata))) {
         console.log(
           "Pinecone: A source was filtered from context as it's parent document is pinned."
@@ -101,7 +110,7 @@ const PineconeDB = {
   ) {
     const { DocumentVectors } = require("../../../models/vectors");
     try {
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) return false;
 
       console.log("Adding new vectorized document into namespace", namespace);
@@ -134,46 +143,15 @@ const PineconeDB = {
       // because we then cannot atomically control our namespace to granularly find/remove documents
       // from vectordb.
       // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L167
-      const EmbedderEngine = getEmbeddingEngineSelection();
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
+      const prepared = await prepareDocumentChunks(documentData, {
+        namespace,
       });
-      const textChunks = await textSplitter.splitText(pageContent);
-
-      console.log("Chunks created from document:", textChunks.length);
-      const documentVectors = [];
-      const vectors = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
-
-      if (!!vectorValues && vectorValues.length > 0) {
-        for (const [i, vector] of vectorValues.entries()) {
-          const vectorRecord = {
-            id: uuidv4(),
-            values: vector,
-            // [DO NOT REMOVE]
-            // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
-            // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            metadata: { ...metadata, text: textChunks[i] },
-          };
-
-          vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
-        }
-      } else {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
-      }
+      const { documentVectors } = prepared;
+      const vectors = prepared.vectors.map(({ id, values, metadata }) => ({
+        id,
+        values,
+        metadata,
+      }));
 
       if (vectors.length > 0) {
         const chunks = [];
@@ -243,6 +221,7 @@ const PineconeDB = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -261,6 +240,7 @@ const PineconeDB = {
       similarityThreshold,
       topN,
       filterIdentifiers,
+      filters,
     });
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -1,10 +1,14 @@
 const { QdrantClient } = require("@qdrant/js-client-rest");
-const { TextSplitter } = require("../../TextSplitter");
-const { SystemSettings } = require("../../../models/systemSettings");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
-const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
+const { toChunks } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
+const {
+  toQdrantFilter,
+  matchesMetadataFilters,
+  filteredSearchLimit,
+} = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 
 const QDrant = {
   name: "QDrant",
@@ -54,6 +58,7 @@ const QDrant = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const result = {
       contextTexts: [],
@@ -61,14 +66,18 @@ const QDrant = {
       scores: [],
     };
 
+    const { filter, residual } = toQdrantFilter(filters);
     const responses = await client.search(namespace, {
       vector: queryVector,
-      limit: topN,
+      limit: filteredSearchLimit(topN, residual),
       with_payload: true,
+      ...(filter ? { filter } : {}),
     });
 
     responses.forEach((response) => {
+      if (result.contextTexts.length >= topN) return;
       if (response.score < similarityThreshold) return;
+      if (!matchesMetadataFilters(response?.payload, residual)) return;
       if (filterIdentifiers.includes(sourceIdentifier(response?.payload))) {
         console.log(
           "QDrant: A source was filtered from context as it's parent document is pinned."
@@ -142,7 +151,7 @@ const QDrant = {
     const { DocumentVectors } = require("../../../models/vectors");
     try {
       let vectorDimension = null;
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) return false;
 
       console.log("Adding new vectorized document into namespace", namespace);
@@ -209,57 +218,22 @@ const QDrant = {
       // We have to do this manually as opposed to using LangChains `Qdrant.fromDocuments`
       // because we then cannot atomically control our namespace to granularly find/remove documents
       // from vectordb.
-      const EmbedderEngine = getEmbeddingEngineSelection();
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
+      const prepared = await prepareDocumentChunks(documentData, {
+        namespace,
       });
-      const textChunks = await textSplitter.splitText(pageContent);
-
-      console.log("Chunks created from document:", textChunks.length);
-      const documentVectors = [];
-      const vectors = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
+      const { documentVectors } = prepared;
+      vectorDimension = prepared.vectorDimension;
+      const vectors = prepared.vectors.map(({ id, values, metadata }) => ({
+        id,
+        vector: values,
+        payload: metadata,
+      }));
       const submission = {
-        ids: [],
-        vectors: [],
-        payloads: [],
+        ids: vectors.map((vectorRecord) => vectorRecord.id),
+        vectors: vectors.map((vectorRecord) => vectorRecord.vector),
+        payloads: vectors.map((vectorRecord) => vectorRecord.payload),
       };
 
-      if (!!vectorValues && vectorValues.length > 0) {
-        for (const [i, vector] of vectorValues.entries()) {
-          if (!vectorDimension) vectorDimension = vector.length;
-          const vectorRecord = {
-            id: uuidv4(),
-            vector: vector,
-            // [DO NOT REMOVE]
-            // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
-            // https://github.com/hwchase17/langchainjs/blob/2def486af734c0ca87285a48f1a04c057ab74bdf/langchain/src/vectorstores/pinecone.ts#L64
-            payload: { ...metadata, text: textChunks[i] },
-          };
-
-          submission.ids.push(vectorRecord.id);
-          submission.vectors.push(vectorRecord.vector);
-          submission.payloads.push(vectorRecord.payload);
-
-          vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
-        }
-      } else {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
-      }
-
       const { client } = await this.connect();
       const collection = await this.getOrCreateCollection(
         client,
@@ -323,6 +297,7 @@ const QDrant = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -344,6 +319,7 @@ const QDrant = {
       similarityThreshold,
       topN,
       filterIdentifiers,
+      filters,
     });
 
     const sources = sourceDocuments.map((metadata, i) => {
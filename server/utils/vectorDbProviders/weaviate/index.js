@@ -1,11 +1,15 @@
 const { default: weaviate } = require("weaviate-ts-client");
-const { TextSplitter } = require("../../TextSplitter");
-const { SystemSettings } = require("../../../models/systemSettings");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { v4: uuidv4 } = require("uuid");
-const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
+const { toChunks } = require("../../helpers");
 const { camelCase } = require("../../helpers/camelcase");
 const { sourceIdentifier } = require("../../chats");
+const {
+  toWeaviateFilter,
+  matchesMetadataFilters,
+  filteredSearchLimit,
+} = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 
 const Weaviate = {
   name: "Weaviate",
@@ -81,6 +85,7 @@ const Weaviate = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const result = {
       contextTexts: [],
@@ -91,16 +96,20 @@ const Weaviate = {
     const weaviateClass = await this.namespace(client, namespace);
     const fields =
       weaviateClass.properties?.map((prop) => prop.name)?.join(" ") ?? "";
-    const queryResponse = await client.graphql
+    const { where, residual } = toWeaviateFilter(filters);
+    let query = client.graphql
       .get()
       .withClassName(camelCase(namespace))
       .withFields(`${fields} _additional { id certainty }`)
       .withNearVector({ vector: queryVector })
-      .withLimit(topN)
-      .do();
+      .withLimit(filteredSearchLimit(topN, residual));
+    if (where) query = query.withWhere(where);
+    const queryResponse = await query.do();
 
-    const responses = queryResponse?.data?.Get?.[camelCase(namespace)];
+    // Filters on properties no chunk in the class has return errors and no data - nothing matches.
+    const responses = queryResponse?.data?.Get?.[camelCase(namespace)] ?? [];
     responses.forEach((response) => {
+      if (result.contextTexts.length >= topN) return;
       // In Weaviate we have to pluck id from _additional and spread it into the rest
       // of the properties.
       const {
@@ -108,6 +117,7 @@ const Weaviate = {
         ...rest
       } = response;
       if (certainty < similarityThreshold) return;
+      if (!matchesMetadataFilters(rest, residual)) return;
       if (filterIdentifiers.includes(sourceIdentifier(rest))) {
         console.log(
           "Weaviate: A source was filtered from context as it's parent document is pinned."
@@ -184,12 +194,7 @@ const Weaviate = {
   ) {
     const { DocumentVectors } = require("../../../models/vectors");
     try {
-      const {
-        pageContent,
-        docId,
-        id: _id, // Weaviate will abort if `id` is present in properties
-        ...metadata
-      } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) return false;
 
       console.log("Adding new vectorized document into namespace", namespace);
@@ -250,57 +255,23 @@ const Weaviate = {
       // We have to do this manually as opposed to using LangChains `Chroma.fromDocuments`
       // because we then cannot atomically control our namespace to granularly find/remove documents
       // from vectordb.
-      const EmbedderEngine = getEmbeddingEngineSelection();
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
+      const prepared = await prepareDocumentChunks(documentData, {
+        namespace,
+      });
+      const { documentVectors } = prepared;
+      const vectors = prepared.vectors.map(({ id, values, metadata }) => {
+        // Weaviate will abort if `id` is present in properties
+        const { text, id: _id, ...rest } = metadata;
+        return {
+          class: camelCase(namespace),
+          id,
+          vector: values,
+          // [DO NOT REMOVE]
+          // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
+          // https://github.com/hwchase17/langchainjs/blob/5485c4af50c063e257ad54f4393fa79e0aff6462/langchain/src/vectorstores/weaviate.ts#L133
+          properties: { ...this.flattenObjectForWeaviate(rest), text },
+        };
       });
-      const textChunks = await textSplitter.splitText(pageContent);
-
-      console.log("Chunks created from document:", textChunks.length);
-      const documentVectors = [];
-      const vectors = [];
-      const vectorValues = await EmbedderEngine.embedChunks(textChunks);
-      const submission = {
-        ids: [],
-        vectors: [],
-        properties: [],
-      };
-
-      if (!!vectorValues && vectorValues.length > 0) {
-        for (const [i, vector] of vectorValues.entries()) {
-          const flattenedMetadata = this.flattenObjectForWeaviate(metadata);
-          const vectorRecord = {
-            class: camelCase(namespace),
-            id: uuidv4(),
-            vector: vector,
-            // [DO NOT REMOVE]
-            // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
-            // https://github.com/hwchase17/langchainjs/blob/5485c4af50c063e257ad54f4393fa79e0aff6462/langchain/src/vectorstores/weaviate.ts#L133
-            properties: { ...flattenedMetadata, text: textChunks[i] },
-          };
-
-          submission.ids.push(vectorRecord.id);
-          submission.vectors.push(vectorRecord.values);
-          submission.properties.push(metadata);
-
-          vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
-        }
-      } else {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
-      }
 
       const { client } = await this.connect();
       const weaviateClassExits = await this.hasNamespace(namespace);
@@ -367,6 +338,7 @@ const Weaviate = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -388,6 +360,7 @@ const Weaviate = {
       similarityThreshold,
       topN,
       filterIdentifiers,
+      filters,
     });
 
     const sources = sourceDocuments.map((metadata, i) => {
@@ -4,16 +4,16 @@ const {
   IndexType,
   MilvusClient,
 } = require("@zilliz/milvus2-sdk-node");
-const { TextSplitter } = require("../../TextSplitter");
-const { SystemSettings } = require("../../../models/systemSettings");
 const { v4: uuidv4 } = require("uuid");
 const { storeVectorResult, cachedVectorInformation } = require("../../files");
 const { toChunks, getEmbeddingEngineSelection } = require("../../helpers");
 const { sourceIdentifier } = require("../../chats");
 const {
-  buildCanonicalPageContent,
-  enrichChunks,
-} = require("../../documentEnrichment");
+  hybridSearchConfig,
+  candidateLimit,
+} = require("../../vectorStore/hybridSearch");
+const { toMilvusFilter } = require("../../vectorStore/metadataFilters");
+const { prepareDocumentChunks } = require("../../vectorStore/ingestion");
 
 // Zilliz is basically a copy of Milvus DB class with a different constructor
 // to connect to the cloud
@@ -180,7 +180,7 @@ const Zilliz = {
     const { DocumentVectors } = require("../../../models/vectors");
     try {
       let vectorDimension = null;
-      const { pageContent, docId, ...metadata } = documentData;
+      const { pageContent, docId } = documentData;
       if (!pageContent || pageContent.length == 0) {
         return { vectorized: false, error: "Document has no pageContent to process" };
       }
@@ -227,108 +227,12 @@ const Zilliz = {
         }
       }
 
-      // 1. Build canonical text from OCR sources (ONE TIME)
-      // documentData should be the loaded JSON doc (metadata + pageContent + ocr, if any)
-      let pageContentCanonical;
-      try {
-        pageContentCanonical = buildCanonicalPageContent({
-          ...documentData,
-          pageContent: pageContent, // fallback if no OCR
-        });
-      } catch (ocrError) {
-        console.error("[Zilliz] Error building canonical pageContent:", ocrError.message);
-        return {
-          vectorized: false,
-          error: `Error processing OCR content: ${ocrError.message}`,
-        };
-      }
-
-      // Validate canonical content after OCR merging
-      if (!pageContentCanonical || pageContentCanonical.trim().length === 0) {
-        return {
-          vectorized: false,
-          error: "Document has no content after OCR processing. Check OCR fields or pageContent.",
-        };
-      }
-
-      // 2. Split canonical text
-      const EmbedderEngine = getEmbeddingEngineSelection(namespace);
-      const textSplitter = new TextSplitter({
-        chunkSize: TextSplitter.determineMaxChunkSize(
-          await SystemSettings.getValueOrFallback({
-            label: "text_splitter_chunk_size",
-          }),
-          EmbedderEngine?.embeddingMaxChunkLength
-        ),
-        chunkOverlap: await SystemSettings.getValueOrFallback(
-          { label: "text_splitter_chunk_overlap" },
-          20
-        ),
-        chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
-      });
-      // rawChunks are the **plain** chunks used for BM25 / sparse search
-      const rawChunks = await textSplitter.splitText(pageContentCanonical);
-
-      console.log("Chunks created from document:", rawChunks.length);
-
-      if (!rawChunks || rawChunks.length === 0) {
-        return {
-          vectorized: false,
-          error: "No chunks created from document. Document may be too short or empty.",
-        };
-      }
-
-      // 3. Enrich chunks ONCE before embedding (enrichment text is for dense embeddings)
-      let enrichedChunks;
-      try {
-        enrichedChunks = await enrichChunks(rawChunks, metadata);
-      } catch (enrichError) {
-        console.error("[Zilliz] Error enriching chunks:", enrichError.message);
-        // Fallback to raw chunks if enrichment fails
-        enrichedChunks = rawChunks;
-      }
-
-      // 4. Embed enriched chunks (ONE TIME)
-      const documentVectors = [];
-      const vectors = [];
-      const vectorValues = await EmbedderEngine.embedChunks(enrichedChunks);
-      const isHybridMode = EmbedderEngine?.supportsSparseVectors === true;
-
-      // 5. Store in Zilliz
-      if (!!vectorValues && vectorValues.length > 0) {
-        for (const [i, vector] of vectorValues.entries()) {
-          // Handle hybrid embeddings (dense + sparse) vs standard embeddings
-          const denseVector = isHybridMode ? vector.dense : vector;
-          const sparseVector = isHybridMode ? vector.sparse : null;
-
-          if (!vectorDimension) {
-            vectorDimension = Array.isArray(denseVector)
-              ? denseVector.length
-              : null;
-          }
-
-          const vectorRecord = {
-            id: uuidv4(),
-            values: denseVector,
-            sparseValues: sparseVector,
-            // Store RAW chunk in text field for BM25 (no enrichment)
-            text: rawChunks[i],
-            // Store enriched chunk in metadata for reference
-            metadata: {
-              ...metadata,
-              text: enrichedChunks[i], // For LangChain / AnythingLLM compatibility
-              text_raw: rawChunks[i], // Explicit raw text reference
-            },
-          };
-
-          vectors.push(vectorRecord);
-          documentVectors.push({ docId, vectorId: vectorRecord.id });
-        }
-      } else {
-        throw new Error(
-          "Could not embed document chunks! This document will not be recorded."
-        );
-      }
+      // Canonical OCR content -> split -> enrich -> embed. Records keep the raw
+      // chunk in `text` for BM25 / sparse search and the enriched one in metadata.
+      const prepared = await prepareDocumentChunks(documentData, { namespace });
+      const { vectors, documentVectors } = prepared;
+      const isHybridMode = prepared.sparse;
+      vectorDimension = prepared.vectorDimension;
 
       if (vectors.length > 0) {
         const chunks = [];
@@ -439,6 +343,7 @@ const Zilliz = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performSimilaritySearch.");
@@ -485,6 +390,7 @@ const Zilliz = {
       similarityThreshold,
       topN,
       filterIdentifiers,
+      filters,
     });
 
     console.log(
@@ -500,6 +406,11 @@ const Zilliz = {
       message: false,
     };
   },
+  // The `vector_sparse` field only exists on collections created while the hybrid
+  // embedder is in use, so hybrid search is only possible in that mode.
+  supportsHybridSearch: function () {
+    return process.env.EMBEDDING_ENGINE === "hybrid";
+  },
   // Toggles hybrid search when EMBEDDING_ENGINE=hybrid, else uses similarity search.
   // Hybrid search supported: uses both dense & sparse vector fields when available.
   performHybridSearch: async function ({
@@ -509,6 +420,8 @@ const Zilliz = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    hybridConfig = null,
+    filters = [],
   }) {
     if (!namespace || !input || !LLMConnector)
       throw new Error("Invalid request to performHybridSearch.");
@@ -522,8 +435,10 @@ const Zilliz = {
       };
     }
 
-    // Check if embedder supports sparse vectors (hybrid embedder)
-    const embedder = LLMConnector.embedder;
+    // Check if embedder supports sparse vectors (hybrid embedder).
+    // The sparse side must use this namespace's vocabulary, so we do not reuse
+    // LLMConnector.embedder which is bound to the default namespace.
+    const embedder = getEmbeddingEngineSelection(namespace);
     if (!embedder?.supportsSparseVectors) {
       console.log(
         "Zilliz: Embedder does not support sparse vectors, falling back to similarity search"
@@ -535,6 +450,7 @@ const Zilliz = {
         similarityThreshold,
         topN,
         filterIdentifiers,
+        filters,
       });
     }
 
@@ -558,6 +474,7 @@ const Zilliz = {
           similarityThreshold,
           topN,
           filterIdentifiers,
+          filters,
         });
       }
 
@@ -570,6 +487,8 @@ const Zilliz = {
           similarityThreshold,
           topN,
           filterIdentifiers,
+          hybridConfig,
+          filters,
         }
       );
 
@@ -595,9 +514,27 @@ const Zilliz = {
         similarityThreshold,
         topN,
         filterIdentifiers,
+        filters,
       });
     }
   },
+  /**
+   * Zilliz rerank strategy for the workspace fusion method. Weighted ranking
+   * expects weights between 0 and 1 so they are scaled by the largest weight.
+   * @param {import("../../vectorStore/hybridSearch").HybridSearchConfig} config
+   */
+  hybridRerankStrategy: function (config) {
+    if (config.fusionMethod === "weighted") {
+      const max = Math.max(config.denseWeight, config.sparseWeight) || 1;
+      return {
+        strategy: "weighted",
+        params: {
+          weights: [config.denseWeight / max, config.sparseWeight / max],
+        },
+      };
+    }
+    return { strategy: "rrf", params: { k: config.rrfK } };
+  },
   hybridSearchResponse: async function ({
     client,
     namespace,
@@ -606,7 +543,10 @@ const Zilliz = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    hybridConfig = null,
+    filters = [],
   }) {
+    const config = hybridConfig ?? hybridSearchConfig();
     const result = {
       contextTexts: [],
       sourceDocuments: [],
@@ -614,19 +554,22 @@ const Zilliz = {
     };
 
     // Build the hybrid search request with both dense and sparse vectors
-    // Using RRF (Reciprocal Rank Fusion) as the reranking strategy
+    // and rerank with the workspace fusion method (RRF or weighted).
+    const expr = toMilvusFilter(filters);
     const searchRequests = [
       {
         anns_field: "vector", // dense vector field
         data: [denseVector],
-        limit: topN * 2, // Get more results for better reranking
+        limit: candidateLimit(config, topN), // Get more results for better reranking
         params: { nprobe: 10 },
+        ...(expr ? { expr } : {}),
       },
       {
         anns_field: "vector_sparse", // sparse vector field
         data: [sparseVector],
-        limit: topN * 2,
+        limit: candidateLimit(config, topN),
         params: {},
+        ...(expr ? { expr } : {}),
       },
     ];
 
@@ -643,10 +586,7 @@ const Zilliz = {
         data: searchRequests,
         limit: topN,
         output_fields: ["text", "metadata"],
-        rerank: {
-          strategy: "rrf", // Reciprocal Rank Fusion
-          params: { k: 60 },
-        },
+        rerank: this.hybridRerankStrategy(config),
       });
 
       console.log(
@@ -750,6 +690,7 @@ const Zilliz = {
     similarityThreshold = 0.25,
     topN = 4,
     filterIdentifiers = [],
+    filters = [],
   }) {
     const result = {
       contextTexts: [],
@@ -774,6 +715,7 @@ const Zilliz = {
         limit: topN,
         param: { nprobe: 10 },
         output_fields: ["text", "metadata"],
+        ...(filters.length > 0 ? { filter: toMilvusFilter(filters) } : {}),
       };
 
       console.log(
@@ -882,6 +824,59 @@ const Zilliz = {
     );
     return result;
   },
+  // Rebuilds every stored `vector_sparse` vector from its raw `text` field using the
+  // namespace's persisted BM25 vocabulary. Collections embedded before the vocabulary
+  // was persisted hold sparse indices that no longer match new query vectors.
+  resparsifyNamespace: async function (
+    namespace = null,
+    { batchSize = 500 } = {}
+  ) {
+    if (!namespace) throw new Error("No namespace value provided.");
+    const { BM25Embedder } = require("../../EmbeddingEngines/bm25");
+    const { client } = await this.connect();
+    if (!(await this.namespaceExists(client, namespace))) return { updated: 0 };
+
+    // Collections created outside of hybrid mode have no sparse field to migrate.
+    const { schema } = await client.describeCollection({
+      collection_name: this.normalize(namespace),
+    });
+    if (!schema?.fields?.some((field) => field.name === "vector_sparse"))
+      return { updated: 0 };
+
+    const sparseEmbedder = new BM25Embedder(namespace);
+    const iterator = await client.queryIterator({
+      collection_name: this.normalize(namespace),
+      expr: 'id != ""',
+      output_fields: ["id", "vector", "text", "metadata"],
+      batchSize,
+    });
+
+    let updated = 0;
+    for await (const rows of iterator) {
+      if (!rows?.length) continue;
+      const sparseVectors = await sparseEmbedder.embedChunks(
+        rows.map((row) => row.text || row.metadata?.text_raw || "")
+      );
+      const result = await client.upsert({
+        collection_name: this.normalize(namespace),
+        data: rows.map((row, i) => ({
+          id: row.id,
+          vector: row.vector,
+          text: row.text,
+          metadata: row.metadata,
+          vector_sparse: sparseVectors[i],
+        })),
+      });
+      if (result?.status?.error_code !== "Success")
+        throw new Error(
+          `Error re-sparsifying Zilliz collection! Reason: ${result?.status?.reason}`
+        );
+      updated += rows.length;
+    }
+
+    await client.flushSync({ collection_names: [this.normalize(namespace)] });
+    return { updated };
+  },
   "namespace-stats": async function (reqBody = {}) {
     const { namespace = null } = reqBody;
     if (!namespace) throw new Error("namespace required");
@@ -0,0 +1,246 @@
+/**
+ * Document access control for retrieval.
+ *
+ * A document can carry an `acl` block limiting who may retrieve it:
+ * {
+ *   "ownerUserId": 12,                    // local user that owns the document
+ *   "userIds": [3, 7],                    // other local users allowed to read it
+ *   "groups": ["care-team-a"],            // external (Keystone) groups allowed to read it
+ *   "externalSubjectId": "patient-8f2c"   // external subject the record belongs to
+ * }
+ * Documents without an acl are public to every workspace member.
+ *
+ * The acl is written to every chunk as flat `acl_*` keys so the vector search
+ * itself can exclude chunks a user may not see (see documentAccessConditions).
+ * Owner and subject are matched on the chunk directly. User and group grants
+ * are resolved against the workspace documents and matched by `acl_doc`, so the
+ * chunk schema stays the same no matter how many principals a document has.
+ */
+
+const ACL_PUBLIC_KEY = "acl_public";
+const ACL_DOC_KEY = "acl_doc";
+const ACL_OWNER_KEY = "acl_owner";
+const ACL_SUBJECT_KEY = "acl_subject";
+
+/**
+ * @typedef {Object} DocumentAcl
+ * @property {number|null} ownerUserId
+ * @property {number[]} userIds
+ * @property {string[]} groups
+ * @property {string|null} externalSubjectId
+ */
+
+/**
+ * @typedef {Object} AccessPrincipal
+ * @property {number|null} userId
+ * @property {string|null} externalSubjectId
+ * @property {string[]} groups
+ */
+
+/**
+ * Validates an acl sent with a request.
+ * @param {Object|string|null} input - the acl object or its JSON string. null makes the document public.
+ * @returns {{acl: DocumentAcl|null, error: string|null}}
+ */
+function parseDocumentAcl(input = null) {
+  if (input === null || input === undefined || input === "")
+    return { acl: null, error: null };
+
+  let acl = input;
+  if (typeof input === "string") {
+    try {
+      acl = JSON.parse(input);
+    } catch {
+      return { acl: null, error: "acl must be a JSON object." };
+    }
+  }
+  if (acl === null) return { acl: null, error: null };
+  if (typeof acl !== "object" || Array.isArray(acl))
+    return { acl: null, error: "acl must be a JSON object." };
+
+  const {
+    ownerUserId = null,
+    userIds = [],
+    groups = [],
+    externalSubjectId = null,
+    ...unknown
+  } = acl;
+  if (Object.keys(unknown).length > 0)
+    return {
+      acl: null,
+      error: `Unknown acl key ${Object.keys(unknown)[0]}. Use ownerUserId, userIds, groups or externalSubjectId.`,
+    };
+
+  const isUserId = (value) => Number.isInteger(value) && value > 0;
+  const isName = (value) =>
+    typeof value === "string" && value.trim().length > 0;
+  if (ownerUserId !== null && !isUserId(ownerUserId))
+    return { acl: null, error: "acl.ownerUserId must be a user id." };
+  if (!Array.isArray(userIds) || !userIds.every(isUserId))
+    return { acl: null, error: "acl.userIds must be an array of user ids." };
+  if (!Array.isArray(groups) || !groups.every(isName))
+    return { acl: null, error: "acl.groups must be an array of group names." };
+  if (externalSubjectId !== null && !isName(externalSubjectId))
+    return { acl: null, error: "acl.externalSubjectId must be a string." };
+
+  return {
+    acl: normalizeDocumentAcl({
+      ownerUserId,
+      userIds,
+      groups,
+      externalSubjectId,
+    }),
+    error: null,
+  };
+}
+
+/**
+ * @param {Object|null} acl
+ * @returns {DocumentAcl|null} - null when the acl grants nothing, i.e. the document is public
+ */
+function normalizeDocumentAcl(acl = null) {
+  if (!acl || typeof acl !== "object") return null;
+  const normalized = {
+    ownerUserId: acl.ownerUserId ? Number(acl.ownerUserId) : null,
+    userIds: [...new Set((acl.userIds ?? []).map(Number))],
+    groups: [...new Set((acl.groups ?? []).map((g) => String(g).trim()))],
+    externalSubjectId: acl.externalSubjectId
+      ? String(acl.externalSubjectId).trim()
+      : null,
+  };
+  const grantsNothing =
+    !normalized.ownerUserId &&
+    normalized.userIds.length === 0 &&
+    normalized.groups.length === 0 &&
+    !normalized.externalSubjectId;
+  return grantsNothing ? null : normalized;
+}
+
+/**
+ * @param {Object} documentData - a document object (or the metadata stored for it)
+ * @returns {boolean}
+ */
+function isRestrictedDocument(documentData = {}) {
+  return normalizeDocumentAcl(documentData?.acl) !== null;
+}
+
+/**
+ * Chunk metadata describing who may retrieve the document. Every key is
+ * always written so providers with a fixed schema see the same columns.
+ * @param {Object} documentData
+ * @returns {Object<string, string|boolean>}
+ */
+function documentAccessMetadata(documentData = {}) {
+  const acl = normalizeDocumentAcl(documentData?.acl);
+  return {
+    [ACL_PUBLIC_KEY]: acl === null,
+    [ACL_DOC_KEY]: acl && documentData?.id ? String(documentData.id) : "",
+    [ACL_OWNER_KEY]: acl?.ownerUserId ? String(acl.ownerUserId) : "",
+    [ACL_SUBJECT_KEY]: acl?.externalSubjectId ?? "",
+  };
+}
+
+/**
+ * The principal a user retrieves documents as.
+ * @param {{id: number, externalId?: string|null, externalGroups?: string|null}|null} user
+ * @returns {AccessPrincipal}
+ */
+function accessPrincipalOf(user = null) {
+  let groups = [];
+  try {
+    groups = JSON.parse(user?.externalGroups ?? "[]");
+  } catch {}
+  return {
+    userId: user?.id ?? null,
+    externalSubjectId: user?.externalId ? String(user.externalId) : null,
+    groups: Array.isArray(groups) ? groups.map(String) : [],
+  };
+}
+
+/**
+ * Whether a principal may retrieve a document.
+ * @param {Object} documentData
+ * @param {AccessPrincipal|null} principal - null for anonymous callers
+ * @returns {boolean}
+ */
+function canAccessDocument(documentData = {}, principal = null) {
+  const acl = normalizeDocumentAcl(documentData?.acl);
+  if (acl === null) return true;
+  if (!principal) return false;
+  if (principal.userId) {
+    if (acl.ownerUserId === principal.userId) return true;
+    if (acl.userIds.includes(principal.userId)) return true;
+  }
+  if (
+    principal.externalSubjectId &&
+    acl.externalSubjectId === principal.externalSubjectId
+  )
+    return true;
+  return acl.groups.some((group) => principal.groups.includes(group));
+}
+
+/**
+ * Ids of restricted documents shared with the principal through `userIds` or
+ * `groups`. Owner and subject grants are matched on the chunks themselves.
+ * @param {Object[]} documents - document objects (or the metadata stored for them)
+ * @param {AccessPrincipal|null} principal
+ * @returns {string[]}
+ */
+function grantedDocumentIds(documents = [], principal = null) {
+  if (!principal) return [];
+  const ids = new Set();
+  for (const documentData of documents) {
+    const acl = normalizeDocumentAcl(documentData?.acl);
+    if (acl === null || !documentData?.id) continue;
+    const granted =
+      (principal.userId && acl.userIds.includes(principal.userId)) ||
+      acl.groups.some((group) => principal.groups.includes(group));
+    if (granted) ids.add(String(documentData.id));
+  }
+  return [...ids];
+}
+
+/**
+ * Filter conditions limiting a search to chunks the principal may retrieve.
+ * Chunks embedded before documents could carry an acl have no acl_* metadata
+ * and are public like any document without an acl.
+ * @param {AccessPrincipal|null} principal - null for anonymous callers, who only see public chunks
+ * @param {string[]} grantedDocIds - ids of restricted documents granted to the principal by user or group
+ * @returns {import("./metadataFilters").MetadataFilterGroup[]}
+ */
+function documentAccessConditions(principal = null, grantedDocIds = []) {
+  const any = [
+    { field: ACL_PUBLIC_KEY, op: "eq", value: true },
+    { field: ACL_PUBLIC_KEY, op: "missing" },
+  ];
+  if (principal?.userId)
+    any.push({
+      field: ACL_OWNER_KEY,
+      op: "eq",
+      value: String(principal.userId),
+    });
+  if (principal?.externalSubjectId)
+    any.push({
+      field: ACL_SUBJECT_KEY,
+      op: "eq",
+      value: principal.externalSubjectId,
+    });
+  if (grantedDocIds.length > 0)
+    any.push({ field: ACL_DOC_KEY, op: "in", value: grantedDocIds });
+  return [{ any }];
+}
+
+module.exports = {
+  ACL_PUBLIC_KEY,
+  ACL_DOC_KEY,
+  ACL_OWNER_KEY,
+  ACL_SUBJECT_KEY,
+  parseDocumentAcl,
+  normalizeDocumentAcl,
+  isRestrictedDocument,
+  documentAccessMetadata,
+  accessPrincipalOf,
+  canAccessDocument,
+  grantedDocumentIds,
+  documentAccessConditions,
+};
@@ -0,0 +1,248 @@
+/**
+ * Shared helpers for dense + lexical (hybrid) retrieval.
+ *
+ * Providers with native hybrid support (Milvus/Zilliz) fuse results server-side.
+ * Providers that can only run the two legs separately (LanceDB full-text search,
+ * Postgres full-text search) fuse them here with reciprocal rank fusion or a
+ * weighted sum of normalized scores, configurable per workspace.
+ */
+
+const FUSION_METHODS = ["rrf", "weighted"];
+
+/**
+ * @typedef {Object} HybridSearchConfig
+ * @property {("rrf"|"weighted")} fusionMethod - How the dense and lexical rankings are combined.
+ * @property {number} rrfK - RRF rank constant. Higher values flatten the contribution of top ranks.
+ * @property {number} denseWeight - Weight applied to the dense (semantic) leg.
+ * @property {number} sparseWeight - Weight applied to the lexical (BM25/full-text) leg.
+ * @property {number|null} candidatePool - Candidates fetched per leg before fusion. When null, topN * candidateMultiplier is used.
+ * @property {number} candidateMultiplier - Fallback multiplier of topN for the per-leg candidate pool.
+ */
+
+function positiveNumber(value, fallback) {
+  const parsed = Number(value);
+  if (value === undefined || value === null || value === "") return fallback;
+  if (Number.isNaN(parsed) || parsed < 0) return fallback;
+  return parsed;
+}
+
+/**
+ * Resolves the hybrid search fusion settings. Workspace columns take
+ * precedence and the environment provides the instance-wide defaults.
+ * @param {import("../../models/workspace").Workspace|null} workspace
+ * @returns {HybridSearchConfig}
+ */
+function hybridSearchConfig(workspace = null) {
+  const envFusion = process.env.HYBRID_SEARCH_FUSION_METHOD;
+  const fusionMethod = FUSION_METHODS.includes(workspace?.hybridFusionMethod)
+    ? workspace.hybridFusionMethod
+    : FUSION_METHODS.includes(envFusion)
+      ? envFusion
+      : "rrf";
+  const envPool = positiveNumber(process.env.HYBRID_SEARCH_CANDIDATE_POOL, 0);
+
+  return {
+    fusionMethod,
+    rrfK: positiveNumber(process.env.HYBRID_SEARCH_RRF_K, 60),
+    denseWeight: positiveNumber(
+      workspace?.hybridDenseWeight,
+      positiveNumber(process.env.HYBRID_SEARCH_DENSE_WEIGHT, 1)
+    ),
+    sparseWeight: positiveNumber(
+      workspace?.hybridSparseWeight,
+      positiveNumber(process.env.HYBRID_SEARCH_SPARSE_WEIGHT, 1)
+    ),
+    candidatePool:
+      Math.floor(positiveNumber(workspace?.hybridCandidatePool, envPool)) ||
+      null,
+    candidateMultiplier: Math.max(
+      1,
+      positiveNumber(process.env.HYBRID_SEARCH_CANDIDATE_MULTIPLIER, 3)
+    ),
+  };
+}
+
+/**
+ * Number of candidates each leg should fetch before fusion. Never less than topN.
+ * @param {HybridSearchConfig} config
+ * @param {number} topN
+ * @returns {number}
+ */
+function candidateLimit(config, topN = 4) {
+  const pool = config.candidatePool ?? topN * config.candidateMultiplier;
+  return Math.max(topN, pool);
+}
+
+/**
+ * Whether chats should run hybrid retrieval against this vector database.
+ * Hybrid search is used when the workspace search mode is "hybrid" or it is
+ * switched on for every workspace by EMBEDDING_ENGINE=hybrid - and only when
+ * the provider declares it can serve it.
+ * @param {import("../helpers").BaseVectorDatabaseProvider} VectorDb
+ * @param {import("../../models/workspace").Workspace|null} workspace
+ * @returns {boolean}
+ */
+function shouldUseHybridSearch(VectorDb, workspace = null) {
+  if (typeof VectorDb?.performHybridSearch !== "function") return false;
+  if (typeof VectorDb?.supportsHybridSearch !== "function") return false;
+  if (VectorDb.supportsHybridSearch() !== true) return false;
+  return (
+    workspace?.vectorSearchMode === "hybrid" ||
+    process.env.EMBEDDING_ENGINE?.toLowerCase() === "hybrid"
+  );
+}
+
+/**
+ * Returns the dense part of an embedding result. The hybrid embedder returns
+ * `{ dense, sparse }` while every other embedder returns a plain array.
+ * @param {number[]|{dense: number[]}} embedding
+ * @returns {number[]}
+ */
+function denseVectorOf(embedding) {
+  if (embedding && !Array.isArray(embedding) && Array.isArray(embedding.dense))
+    return embedding.dense;
+  return embedding;
+}
+
+/**
+ * Fuses several ranked result lists with weighted reciprocal rank fusion.
+ * score(d) = sum over lists of weight / (k + rank(d)), where rank starts at 1.
+ *
+ * @template T
+ * @param {Array<{results: T[], weight?: number}>} rankedLists - each list ordered best-first
+ * @param {Object} options
+ * @param {number} [options.k=60] - RRF rank constant
+ * @param {function(T): string} options.key - returns the identity of a result across lists
+ * @returns {Array<T & {_rrfScore: number}>} fused results ordered best-first. When the same
+ * result appears in several lists, the first seen copy is kept.
+ */
+function reciprocalRankFusion(rankedLists = [], { k = 60, key } = {}) {
+  if (typeof key !== "function")
+    throw new Error("reciprocalRankFusion requires a key function.");
+
+  const fused = new Map();
+  for (const { results = [], weight = 1 } of rankedLists) {
+    if (!weight) continue;
+    results.forEach((result, index) => {
+      const id = key(result);
+      const contribution = weight / (k + index + 1);
+      const existing = fused.get(id);
+      if (existing) existing.score += contribution;
+      else fused.set(id, { result, score: contribution });
+    });
+  }
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .map(({ result, score }) => ({ ...result, _rrfScore: score }));
+}
+
+/**
+ * Normalizes an RRF score to 0-1 by dividing by the best score a result can
+ * get - ranking first in every list.
+ * @param {number} score
+ * @param {{k: number, weights: number[]}} params
+ * @returns {number}
+ */
+function normalizeRrfScore(score, { k = 60, weights = [] } = {}) {
+  const best = weights.reduce((sum, w) => sum + w / (k + 1), 0);
+  if (!best) return 0;
+  return Math.min(1, score / best);
+}
+
+/**
+ * Fuses several scored result lists by a weighted sum of their min-max
+ * normalized scores. Results missing from a list contribute 0 for that list.
+ *
+ * @template T
+ * @param {Array<{results: T[], weight?: number, score: function(T): number}>} scoredLists
+ * @param {Object} options
+ * @param {function(T): string} options.key - returns the identity of a result across lists
+ * @returns {Array<T & {_weightedScore: number}>} fused results ordered best-first with a 0-1 score.
+ */
+function weightedScoreFusion(scoredLists = [], { key } = {}) {
+  if (typeof key !== "function")
+    throw new Error("weightedScoreFusion requires a key function.");
+
+  const totalWeight = scoredLists.reduce((sum, l) => sum + (l.weight ?? 1), 0);
+  const fused = new Map();
+  for (const { results = [], weight = 1, score } of scoredLists) {
+    if (!weight || results.length === 0) continue;
+    const scores = results.map((result) => Number(score(result)) || 0);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    results.forEach((result, index) => {
+      const normalized = max === min ? 1 : (scores[index] - min) / (max - min);
+      const contribution = (weight * normalized) / (totalWeight || 1);
+      const id = key(result);
+      const existing = fused.get(id);
+      if (existing) existing.score += contribution;
+      else fused.set(id, { result, score: contribution });
+    });
+  }
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .map(({ result, score }) => ({ ...result, _weightedScore: score }));
+}
+
+/**
+ * Fuses a dense and a lexical result list with the configured fusion method.
+ * @template T
+ * @param {Object} params
+ * @param {T[]} params.dense - dense results ordered best-first
+ * @param {function(T): number} params.denseScore - similarity of a dense result
+ * @param {T[]} params.lexical - lexical results ordered best-first
+ * @param {function(T): number} params.lexicalScore - relevance of a lexical result
+ * @param {function(T): string} params.key - returns the identity of a result across lists
+ * @param {HybridSearchConfig} params.config
+ * @returns {Array<T & {_fusedScore: number}>} fused results ordered best-first with a 0-1 score.
+ */
+function fuseHybridResults({
+  dense = [],
+  denseScore,
+  lexical = [],
+  lexicalScore,
+  key,
+  config,
+}) {
+  const { fusionMethod, rrfK, denseWeight, sparseWeight } = config;
+  if (fusionMethod === "weighted") {
+    return weightedScoreFusion(
+      [
+        { results: dense, weight: denseWeight, score: denseScore },
+        { results: lexical, weight: sparseWeight, score: lexicalScore },
+      ],
+      { key }
+    ).map(({ _weightedScore, ...result }) => ({
+      ...result,
+      _fusedScore: _weightedScore,
+    }));
+  }
+
+  return reciprocalRankFusion(
+    [
+      { results: dense, weight: denseWeight },
+      { results: lexical, weight: sparseWeight },
+    ],
+    { k: rrfK, key }
+  ).map(({ _rrfScore, ...result }) => ({
+    ...result,
+    _fusedScore: normalizeRrfScore(_rrfScore, {
+      k: rrfK,
+      weights: [denseWeight, sparseWeight],
+    }),
+  }));
+}
+
+module.exports = {
+  FUSION_METHODS,
+  hybridSearchConfig,
+  candidateLimit,
+  shouldUseHybridSearch,
+  denseVectorOf,
+  reciprocalRankFusion,
+  normalizeRrfScore,
+  weightedScoreFusion,
+  fuseHybridResults,
+};
@@ -0,0 +1,154 @@
+const { v4: uuidv4 } = require("uuid");
+const { TextSplitter } = require("../TextSplitter");
+const { SystemSettings } = require("../../models/systemSettings");
+const {
+  buildCanonicalOcrContent,
+  enrichChunks,
+} = require("../documentEnrichment");
+const { denseVectorOf } = require("./hybridSearch");
+const { pageOffsets, chunkPageRanges } = require("./pageRanges");
+
+/**
+ * Shared ingestion stage used by every vector database provider.
+ *
+ * canonical content (OCR sources) -> split -> enrich -> embed -> chunk records
+ *
+ * Providers only store the records this returns, so OCR corrections and
+ * enrichment headers end up in every vector database the same way. Each record
+ * keeps the raw chunk (`text`, `metadata.text_raw`) for lexical search next to
+ * the enriched chunk that was embedded (`metadata.text`).
+ */
+
+/**
+ * @typedef {Object} ChunkRecord
+ * @property {string} id - vector id
+ * @property {number[]} values - dense embedding of the enriched chunk
+ * @property {Object|null} sparseValues - sparse embedding, when the embedder produces one
+ * @property {string} text - raw chunk
+ * @property {Object} metadata - document metadata plus `text` (enriched chunk), `text_raw` (raw chunk) and, for paged documents, `pageStart`/`pageEnd`
+ */
+
+/**
+ * Embeds a document into chunk records ready to be stored.
+ * @param {Object} documentData - the loaded document JSON (metadata, pageContent, docId and ocr, if any)
+ * @param {Object} [options]
+ * @param {string} [options.namespace] - workspace namespace, used by the hybrid embedder
+ * @param {number} [options.maxChunkSize] - provider limit on chunk size, if lower than the embedder's
+ * @param {function(...any): void} [options.log]
+ * @returns {Promise<{vectors: ChunkRecord[], documentVectors: {docId: string, vectorId: string}[], vectorDimension: number|null, sparse: boolean}>}
+ */
+async function prepareDocumentChunks(
+  documentData = {},
+  { namespace = "default", maxChunkSize = null, log = console.log } = {}
+) {
+  // Content and the OCR block are only inputs to the canonical content - they are never stored per chunk.
+  // The acl block is stored as flat acl_* keys instead (see documentAccess) and
+  // page boundaries as each chunk's pageStart/pageEnd (see pageRanges). The list of
+  // OCR'd pages stays in the document JSON - not every provider can store number lists.
+  // Citations only need the hash of the original upload to open it.
+  const {
+    pageContent: _pageContent,
+    docId,
+    ocr: _ocr,
+    acl: _acl,
+    pages: _pages,
+    ocrPages: _ocrPages,
+    ocrMergeQuality: _ocrMergeQuality,
+    original,
+    ...metadata
+  } = documentData;
+  if (original?.sha256) metadata.originalSha256 = original.sha256;
+  const { getEmbeddingEngineSelection } = require("../helpers");
+
+  // 1. Build canonical text from OCR sources (falls back to pageContent)
+  let canonical;
+  try {
+    canonical = buildCanonicalOcrContent(documentData);
+  } catch (error) {
+    throw new Error(`Error processing OCR content: ${error.message}`);
+  }
+  if (!canonical.pageContent?.trim())
+    throw new Error(
+      "Document has no content after OCR processing. Check OCR fields or pageContent."
+    );
+  // Report how well the OCR sources agreed alongside each chunk - as a JSON
+  // string, since providers only store flat metadata values.
+  if (canonical.mergeQuality)
+    metadata.ocrMergeQuality = JSON.stringify(canonical.mergeQuality);
+
+  // 2. Split canonical text into raw chunks
+  const EmbedderEngine = getEmbeddingEngineSelection(namespace);
+  const chunkSize = TextSplitter.determineMaxChunkSize(
+    await SystemSettings.getValueOrFallback({
+      label: "text_splitter_chunk_size",
+    }),
+    EmbedderEngine?.embeddingMaxChunkLength
+  );
+  const textSplitter = new TextSplitter({
+    chunkSize: maxChunkSize ? Math.min(maxChunkSize, chunkSize) : chunkSize,
+    chunkOverlap: await SystemSettings.getValueOrFallback(
+      { label: "text_splitter_chunk_overlap" },
+      20
+    ),
+    chunkHeaderMeta: TextSplitter.buildHeaderMeta(metadata),
+  });
+  const rawChunks = await textSplitter.splitText(canonical.pageContent);
+  log("Chunks created from document:", rawChunks.length);
+  if (!rawChunks?.length)
+    throw new Error(
+      "No chunks created from document. Document may be too short or empty."
+    );
+  const pageRanges = chunkPageRanges(
+    canonical.pageContent,
+    rawChunks,
+    pageOffsets(canonical.pageContent, documentData),
+    textSplitter.stringifyHeader()
+  );
+
+  // 3. Enrich chunks for the dense embedding - fall back to raw chunks on failure
+  let enrichedChunks;
+  try {
+    enrichedChunks = await enrichChunks(rawChunks, metadata);
+  } catch (error) {
+    log("Error enriching chunks, using raw chunks:", error.message);
+    enrichedChunks = rawChunks;
+  }
+
+  // 4. Embed enriched chunks
+  const vectorValues = await EmbedderEngine.embedChunks(enrichedChunks);
+  if (!vectorValues?.length)
+    throw new Error(
+      "Could not embed document chunks! This document will not be recorded."
+    );
+
+  const sparse = EmbedderEngine?.supportsSparseVectors === true;
+  const vectors = [];
+  const documentVectors = [];
+  let vectorDimension = null;
+  for (const [i, embedding] of vectorValues.entries()) {
+    const values = denseVectorOf(embedding);
+    if (!vectorDimension && Array.isArray(values))
+      vectorDimension = values.length;
+
+    const record = {
+      id: uuidv4(),
+      values,
+      sparseValues: sparse ? embedding?.sparse ?? null : null,
+      text: rawChunks[i],
+      // [DO NOT REMOVE]
+      // LangChain will be unable to find your text if you embed manually and dont include the `text` key.
+      metadata: {
+        ...metadata,
+        text: enrichedChunks[i],
+        text_raw: rawChunks[i],
+        ...(pageRanges[i] ?? {}),
+      },
+    };
+    vectors.push(record);
+    documentVectors.push({ docId, vectorId: record.id });
+  }
+
+  return { vectors, documentVectors, vectorDimension, sparse };
+}
+
+module.exports = { prepareDocumentChunks };
@@ -0,0 +1,594 @@
+/**
+ * Metadata filters for vector searches.
+ *
+ * Selected OCR fields (`ocr.fields`) are written to every chunk as flat
+ * `ocr_<field>` metadata keys so searches can be limited to, for example, one
+ * patient or one date range. A request `filters` object is normalized into a
+ * list of conditions which each provider translates to its native filter syntax.
+ * Conditions a provider cannot express natively (e.g. range over strings) are
+ * returned as `residual` and applied to the results with matchesMetadataFilters.
+ * Conditions can also be grouped as `{ any: [...] }`, which matches when at
+ * least one of them does - document access control relies on this, together
+ * with the internal `missing` operator that matches chunks without a value for
+ * the field (chunks embedded before the field existed).
+ *
+ * Request format:
+ * {
+ *   "ocr.patient_name": "John Doe",                                   // equality
+ *   "ocr.date_of_service": { "gte": "2024-01-01", "lte": "2024-12-31" }, // range
+ *   "docSource": { "in": ["upload", "api"] },                         // in
+ *   "published": { "gte": "2024-01-01" }
+ * }
+ */
+
+const { documentAccessMetadata } = require("./documentAccess");
+
+const FILTER_OPERATORS = ["eq", "in", "gt", "gte", "lt", "lte"];
+const RANGE_OPERATORS = ["gt", "gte", "lt", "lte"];
+const STANDARD_FILTER_FIELDS = [
+  "title",
+  "docAuthor",
+  "docSource",
+  "chunkSource",
+  "url",
+  "published",
+];
+const OCR_FIELD_PREFIX = "ocr_";
+// `published` is a locale date string, so ranges use this numeric timestamp.
+const PUBLISHED_AT_KEY = "publishedAt";
+// How many more results to fetch when some conditions are applied after the search.
+const RESIDUAL_FILTER_OVERFETCH = 4;
+
+/**
+ * @typedef {Object} MetadataFilterCondition
+ * @property {string} field - metadata key as stored on the chunk
+ * @property {("eq"|"in"|"gt"|"gte"|"lt"|"lte"|"missing")} op - `missing` is never parsed from a request
+ * @property {string|number|boolean|Array<string|number|boolean>} [value] - unused by `missing`
+ */
+
+/**
+ * @typedef {Object} MetadataFilterGroup
+ * @property {MetadataFilterCondition[]} any - matches when at least one condition matches
+ */
+
+/**
+ * Metadata key an OCR field is stored under.
+ * @param {string} name - OCR field key, e.g. patient_name
+ * @returns {string}
+ */
+function ocrFilterKey(name) {
+  return `${OCR_FIELD_PREFIX}${String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, "_")}`;
+}
+
+/**
+ * OCR fields that are written to chunk metadata. OCR_FILTERABLE_FIELDS is a
+ * comma separated list of OCR field keys - when unset every field is written.
+ * @returns {string[]|null} - null when every field is filterable
+ */
+function filterableOcrFields() {
+  const fields = (process.env.OCR_FILTERABLE_FIELDS || "")
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  return fields.length > 0 ? fields : null;
+}
+
+function isScalar(value) {
+  return (
+    (typeof value === "string" && value.trim().length > 0) ||
+    (typeof value === "number" && Number.isFinite(value)) ||
+    typeof value === "boolean"
+  );
+}
+
+// Booleans are stored as strings - LanceDB cannot write a batch of chunks
+// that all lack a value for a boolean column.
+function ocrMetadataValue(value) {
+  if (typeof value === "string") return value.trim();
+  if (typeof value === "boolean") return String(value);
+  return value;
+}
+
+/**
+ * Flat, filterable metadata derived from a document. Repeated OCR fields are
+ * stored with their first value.
+ * @param {Object} documentData - the document object including `ocr` and `published`
+ * @returns {Object<string, string|number|boolean>}
+ */
+function filterableMetadata(documentData = {}) {
+  const metadata = {};
+  const publishedAt = Date.parse(documentData?.published);
+  if (!Number.isNaN(publishedAt)) metadata[PUBLISHED_AT_KEY] = publishedAt;
+
+  const allowed = filterableOcrFields();
+  for (const [name, fieldValue] of Object.entries(
+    documentData?.ocr?.fields ?? {}
+  )) {
+    if (allowed && !allowed.includes(name)) continue;
+    const value = Array.isArray(fieldValue) ? fieldValue[0] : fieldValue;
+    if (!isScalar(value)) continue;
+    metadata[ocrFilterKey(name)] = ocrMetadataValue(value);
+  }
+  return metadata;
+}
+
+/**
+ * Returns the document with its filterable and access control metadata added,
+ * ready to be passed to a vector database provider's addDocumentToNamespace.
+ * @param {Object} documentData
+ * @returns {Object}
+ */
+function withFilterableMetadata(documentData = {}) {
+  return {
+    ...documentData,
+    ...filterableMetadata(documentData),
+    ...documentAccessMetadata(documentData),
+  };
+}
+
+function resolveFilterField(field) {
+  if (field.startsWith("ocr.")) return ocrFilterKey(field.slice(4));
+  if (field.startsWith(OCR_FIELD_PREFIX)) return ocrFilterKey(field.slice(4));
+  if (STANDARD_FILTER_FIELDS.includes(field)) return field;
+  return null;
+}
+
+/**
+ * Validates and normalizes a request `filters` object.
+ * @param {Object|null} filters
+ * @returns {{conditions: MetadataFilterCondition[], error: string|null}}
+ */
+function parseMetadataFilters(filters = null) {
+  const conditions = [];
+  if (filters === null || filters === undefined)
+    return { conditions, error: null };
+  if (typeof filters !== "object" || Array.isArray(filters))
+    return { conditions, error: "filters must be an object." };
+
+  for (const [field, spec] of Object.entries(filters)) {
+    const key = resolveFilterField(field);
+    if (!key)
+      return {
+        conditions: [],
+        error: `Unknown filter field ${field}. Use ocr.<field> or one of ${STANDARD_FILTER_FIELDS.join(", ")}.`,
+      };
+
+    const operations =
+      spec !== null && typeof spec === "object" && !Array.isArray(spec)
+        ? spec
+        : { eq: spec };
+    if (Object.keys(operations).length === 0)
+      return { conditions: [], error: `Filter ${field} has no operators.` };
+
+    for (const [op, value] of Object.entries(operations)) {
+      if (!FILTER_OPERATORS.includes(op))
+        return {
+          conditions: [],
+          error: `Unknown operator ${op} on ${field}. Use one of ${FILTER_OPERATORS.join(", ")}.`,
+        };
+
+      if (op === "in") {
+        if (
+          !Array.isArray(value) ||
+          value.length === 0 ||
+          !value.every(isScalar)
+        )
+          return {
+            conditions: [],
+            error: `${field}.in must be a non-empty array of values.`,
+          };
+      } else if (!isScalar(value)) {
+        return {
+          conditions: [],
+          error: `${field}.${op} must be a string, number or boolean.`,
+        };
+      }
+
+      if (key === "published" && RANGE_OPERATORS.includes(op)) {
+        const timestamp =
+          typeof value === "number" ? value : Date.parse(String(value));
+        if (Number.isNaN(timestamp))
+          return {
+            conditions: [],
+            error: `${field}.${op} must be a date or timestamp.`,
+          };
+        conditions.push({ field: PUBLISHED_AT_KEY, op, value: timestamp });
+        continue;
+      }
+      // OCR values are compared the way filterableMetadata stores them.
+      const normalize = key.startsWith(OCR_FIELD_PREFIX)
+        ? ocrMetadataValue
+        : (v) => v;
+      conditions.push({
+        field: key,
+        op,
+        value: op === "in" ? value.map(normalize) : normalize(value),
+      });
+    }
+  }
+  return { conditions, error: null };
+}
+
+function compareValues(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  // Plain code unit order, like the providers' native string comparisons.
+  const [x, y] = [String(a), String(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function valuesEqual(a, b) {
+  if (a === undefined || a === null) return false;
+  return String(a) === String(b);
+}
+
+function isGroup(condition) {
+  return Array.isArray(condition?.any);
+}
+
+function matchesCondition(metadata, { field, op, value }) {
+  const actual = metadata?.[field];
+  if (op === "missing") return actual === undefined || actual === null;
+  if (op === "eq") return valuesEqual(actual, value);
+  if (op === "in") return value.some((option) => valuesEqual(actual, option));
+  if (actual === undefined || actual === null) return false;
+
+  const order = compareValues(actual, value);
+  if (op === "gt") return order > 0;
+  if (op === "gte") return order >= 0;
+  if (op === "lt") return order < 0;
+  return order <= 0;
+}
+
+/**
+ * Whether chunk metadata satisfies every condition.
+ * @param {Object} metadata
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @returns {boolean}
+ */
+function matchesMetadataFilters(metadata = {}, conditions = []) {
+  return conditions.every((condition) =>
+    isGroup(condition)
+      ? condition.any.some((member) => matchesCondition(metadata, member))
+      : matchesCondition(metadata, condition)
+  );
+}
+
+/**
+ * Drops the conditions on fields a store with a fixed schema does not have.
+ * A missing field has no value on any chunk, so a `missing` condition on it
+ * matches every chunk and any other condition matches nothing - a group keeps
+ * its other conditions, anything else means no chunk can match at all.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @param {string[]} fields - fields the store has
+ * @returns {Array<MetadataFilterCondition|MetadataFilterGroup>|null} - null when nothing can match
+ */
+function conditionsOnFields(conditions = [], fields = []) {
+  const known = ({ field }) => fields.includes(field);
+  const matchesAll = (condition) =>
+    condition.op === "missing" && !known(condition);
+  const kept = [];
+  for (const condition of conditions) {
+    if (!isGroup(condition)) {
+      if (matchesAll(condition)) continue;
+      if (!known(condition)) return null;
+      kept.push(condition);
+      continue;
+    }
+    if (condition.any.some(matchesAll)) continue;
+    const any = condition.any.filter(known);
+    if (any.length === 0) return null;
+    kept.push({ any });
+  }
+  return kept;
+}
+
+/**
+ * Number of results to request from a provider when residual conditions will
+ * be applied to the results afterwards.
+ * @param {number} topN
+ * @param {MetadataFilterCondition[]} residual
+ * @returns {number}
+ */
+function filteredSearchLimit(topN, residual = []) {
+  return residual.length > 0 ? topN * RESIDUAL_FILTER_OVERFETCH : topN;
+}
+
+// Providers with numeric-only range filters apply string ranges after the search.
+function isNumericRange({ op, value }) {
+  return !RANGE_OPERATORS.includes(op) || typeof value === "number";
+}
+
+// Providers that cannot match an absent key apply `missing` after the search.
+function isNumericRangeOrPresent(condition) {
+  return condition.op !== "missing" && isNumericRange(condition);
+}
+
+// A group is only translated when every condition in it can be.
+function splitConditions(conditions, nativelySupported) {
+  const native = [];
+  const residual = [];
+  for (const condition of conditions) {
+    const supported = isGroup(condition)
+      ? condition.any.every(nativelySupported)
+      : nativelySupported(condition);
+    (supported ? native : residual).push(condition);
+  }
+  return { native, residual };
+}
+
+/**
+ * Translates conditions one by one, joining the members of a group with `or`.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @param {function(MetadataFilterCondition): any} translate
+ * @param {function(any[]): any} or
+ * @returns {any[]}
+ */
+function translateConditions(conditions, translate, or) {
+  return conditions.map((condition) => {
+    if (!isGroup(condition)) return translate(condition);
+    const members = condition.any.map(translate);
+    return members.length === 1 ? members[0] : or(members);
+  });
+}
+
+const SQL_OPERATORS = { gt: ">", gte: ">=", lt: "<", lte: "<=" };
+
+function sqlLiteral(value) {
+  if (typeof value === "number") return String(value);
+  if (typeof value === "boolean") return value ? "TRUE" : "FALSE";
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * LanceDB SQL predicate for `.where()`.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @returns {string|null}
+ */
+function toLanceFilter(conditions = []) {
+  if (conditions.length === 0) return null;
+  return translateConditions(
+    conditions,
+    ({ field, op, value }) => {
+      const column = `\`${field.replace(/`/g, "")}\``;
+      if (op === "missing") return `${column} IS NULL`;
+      if (op === "eq") return `${column} = ${sqlLiteral(value)}`;
+      if (op === "in")
+        return `${column} IN (${value.map(sqlLiteral).join(", ")})`;
+      return `${column} ${SQL_OPERATORS[op]} ${sqlLiteral(value)}`;
+    },
+    (members) => `(${members.join(" OR ")})`
+  ).join(" AND ");
+}
+
+/**
+ * PGVector predicate over the JSONB metadata column. Values are compared as
+ * JSONB so numbers compare numerically and strings lexicographically.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @param {number} firstParam - index of the first query parameter to use
+ * @returns {{sql: string, params: any[]}} - sql is empty when there are no conditions
+ */
+function toPGVectorFilter(conditions = [], firstParam = 1) {
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${firstParam + params.length - 1}`;
+  };
+
+  const clauses = translateConditions(
+    conditions,
+    ({ field, op, value }) => {
+      const column = `metadata->(${param(field)}::text)`;
+      if (op === "missing") return `${column} IS NULL`;
+      if (op === "eq")
+        return `${column} = ${param(JSON.stringify(value))}::jsonb`;
+      if (op === "in")
+        return `${column} = ANY(${param(value.map((v) => JSON.stringify(v)))}::jsonb[])`;
+      return `${column} ${SQL_OPERATORS[op]} ${param(JSON.stringify(value))}::jsonb`;
+    },
+    (members) => `(${members.join(" OR ")})`
+  );
+  return { sql: clauses.join(" AND "), params };
+}
+
+/**
+ * Milvus/Zilliz boolean expression over the JSON metadata field.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @param {string} metadataField - name of the JSON field holding chunk metadata
+ * @returns {string|null}
+ */
+function toMilvusFilter(conditions = [], metadataField = "metadata") {
+  if (conditions.length === 0) return null;
+  const OPERATORS = { eq: "==", ...SQL_OPERATORS };
+  return translateConditions(
+    conditions,
+    ({ field, op, value }) => {
+      const key = `${metadataField}[${JSON.stringify(field)}]`;
+      if (op === "missing") return `not exists ${key}`;
+      if (op === "in")
+        return `${key} in [${value.map((v) => JSON.stringify(v)).join(", ")}]`;
+      return `${key} ${OPERATORS[op]} ${JSON.stringify(value)}`;
+    },
+    (members) => `(${members.join(" or ")})`
+  ).join(" and ");
+}
+
+function mongoStyleCondition({ field, op, value }) {
+  if (op === "missing") return { [field]: { $exists: false } };
+  return { [field]: { [`$${op}`]: value } };
+}
+
+/**
+ * Chroma `where` filter. Chroma only supports ranges over numbers and cannot
+ * match an absent key.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @returns {{where: Object|null, residual: Array<MetadataFilterCondition|MetadataFilterGroup>}}
+ */
+function toChromaFilter(conditions = []) {
+  const { native, residual } = splitConditions(
+    conditions,
+    isNumericRangeOrPresent
+  );
+  const clauses = translateConditions(
+    native,
+    mongoStyleCondition,
+    (members) => ({ $or: members })
+  );
+  return {
+    where:
+      clauses.length === 0
+        ? null
+        : clauses.length === 1
+          ? clauses[0]
+          : { $and: clauses },
+    residual,
+  };
+}
+
+/**
+ * Pinecone metadata filter. Pinecone only supports ranges over numbers.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @returns {{filter: Object|null, residual: Array<MetadataFilterCondition|MetadataFilterGroup>}}
+ */
+function toPineconeFilter(conditions = []) {
+  const { native, residual } = splitConditions(conditions, isNumericRange);
+  return {
+    filter:
+      native.length === 0
+        ? null
+        : {
+            $and: translateConditions(
+              native,
+              mongoStyleCondition,
+              (members) => ({ $or: members })
+            ),
+          },
+    residual,
+  };
+}
+
+/**
+ * AstraDB `find` filter over the nested `metadata` document. Ranges over
+ * strings and `missing` are applied after the search.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @returns {{filter: Object, residual: Array<MetadataFilterCondition|MetadataFilterGroup>}}
+ */
+function toAstraFilter(conditions = []) {
+  const { native, residual } = splitConditions(
+    conditions,
+    isNumericRangeOrPresent
+  );
+  const clauses = translateConditions(
+    native,
+    ({ field, op, value }) =>
+      mongoStyleCondition({ field: `metadata.${field}`, op, value }),
+    (members) => ({ $or: members })
+  );
+  return {
+    filter:
+      clauses.length === 0
+        ? {}
+        : clauses.length === 1
+          ? clauses[0]
+          : { $and: clauses },
+    residual,
+  };
+}
+
+/**
+ * Qdrant payload filter. Qdrant ranges are numeric and exact matches are
+ * limited to keywords, integers and booleans, so floats match as a closed range.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @returns {{filter: Object|null, residual: Array<MetadataFilterCondition|MetadataFilterGroup>}}
+ */
+function toQdrantFilter(conditions = []) {
+  const { native, residual } = splitConditions(conditions, isNumericRange);
+  const must = translateConditions(
+    native,
+    ({ field, op, value }) => {
+      if (op === "missing") return { is_empty: { key: field } };
+      if (op === "in") return { key: field, match: { any: value } };
+      if (op === "eq")
+        return typeof value === "number" && !Number.isInteger(value)
+          ? { key: field, range: { gte: value, lte: value } }
+          : { key: field, match: { value } };
+      return { key: field, range: { [op]: value } };
+    },
+    (members) => ({ should: members })
+  );
+  return { filter: must.length === 0 ? null : { must }, residual };
+}
+
+/**
+ * Weaviate `where` filter over the flattened chunk properties. Ranges over
+ * strings and `missing` (which needs null state indexing) are applied after
+ * the search.
+ * @param {Array<MetadataFilterCondition|MetadataFilterGroup>} conditions
+ * @returns {{where: Object|null, residual: Array<MetadataFilterCondition|MetadataFilterGroup>}}
+ */
+function toWeaviateFilter(conditions = []) {
+  const OPERATORS = {
+    eq: "Equal",
+    gt: "GreaterThan",
+    gte: "GreaterThanEqual",
+    lt: "LessThan",
+    lte: "LessThanEqual",
+  };
+  const operand = (field, operator, value) => ({
+    path: [field],
+    operator,
+    ...(typeof value === "number"
+      ? { valueNumber: value }
+      : typeof value === "boolean"
+        ? { valueBoolean: value }
+        : { valueText: String(value) }),
+  });
+
+  const { native, residual } = splitConditions(
+    conditions,
+    isNumericRangeOrPresent
+  );
+  const operands = translateConditions(
+    native,
+    ({ field, op, value }) => {
+      if (op !== "in") return operand(field, OPERATORS[op], value);
+      return {
+        operator: "Or",
+        operands: value.map((option) => operand(field, "Equal", option)),
+      };
+    },
+    (members) => ({ operator: "Or", operands: members })
+  );
+  return {
+    where:
+      operands.length === 0
+        ? null
+        : operands.length === 1
+          ? operands[0]
+          : { operator: "And", operands },
+    residual,
+  };
+}
+
+module.exports = {
+  FILTER_OPERATORS,
+  STANDARD_FILTER_FIELDS,
+  PUBLISHED_AT_KEY,
+  ocrFilterKey,
+  filterableMetadata,
+  withFilterableMetadata,
+  parseMetadataFilters,
+  matchesMetadataFilters,
+  conditionsOnFields,
+  filteredSearchLimit,
+  toLanceFilter,
+  toPGVectorFilter,
+  toMilvusFilter,
+  toChromaFilter,
+  toPineconeFilter,
+  toAstraFilter,
+  toQdrantFilter,
+  toWeaviateFilter,
+};
@@ -0,0 +1,105 @@
+/**
+ * Page numbers for chunks of paged documents (PDFs).
+ *
+ * The collector records where each page sits in a document's `pageContent` as
+ * `pages: [{pageNumber, start, end}]`. Chunks are cut from the canonical content,
+ * which is not always `pageContent` (OCR text, corrections), so pages are found in
+ * the canonical content by their text rather than trusted by offset. A page that
+ * cannot be found is treated as part of the page before it.
+ */
+
+/**
+ * @typedef {Object} PageRange
+ * @property {number} pageStart - first page the chunk comes from
+ * @property {number} pageEnd - last page the chunk comes from (same as pageStart unless the chunk spans pages)
+ */
+
+/**
+ * Finds where each page of a document starts in the content its chunks were cut from.
+ * @param {string} content - canonical document content
+ * @param {{pageContent: string, pages: {pageNumber: number, start: number, end: number}[]}} documentData
+ * @returns {{pageNumber: number, start: number}[]} page starts in content order, empty when the document has no pages
+ */
+function pageOffsets(content = "", documentData = {}) {
+  const { pageContent = "", pages = [] } = documentData;
+  if (!content || !Array.isArray(pages) || pages.length === 0) return [];
+
+  const offsets = [];
+  let cursor = 0;
+  for (const page of pages) {
+    const pageNumber = Number(page?.pageNumber);
+    if (!Number.isInteger(pageNumber)) continue;
+    const text = String(pageContent)
+      .slice(Number(page.start) || 0, Number(page.end) || 0)
+      .trim();
+    if (!text) continue;
+
+    const start = content.indexOf(text, cursor);
+    if (start === -1) continue;
+    offsets.push({ pageNumber, start });
+    cursor = start + text.length;
+  }
+  return offsets;
+}
+
+/**
+ * Tags each chunk with the pages it was cut from.
+ * @param {string} content - canonical document content the chunks were split from
+ * @param {string[]} chunks - chunks in document order, possibly with a chunk header
+ * @param {{pageNumber: number, start: number}[]} offsets - from pageOffsets
+ * @param {string|null} [chunkHeader] - header the splitter prepended to every chunk
+ * @returns {(PageRange|null)[]} one range per chunk, or nulls when the document has no pages
+ */
+function chunkPageRanges(
+  content = "",
+  chunks = [],
+  offsets = [],
+  chunkHeader = null
+) {
+  if (!offsets.length) return chunks.map(() => null);
+
+  const pageAt = (position) => {
+    let pageNumber = offsets[0].pageNumber;
+    for (const offset of offsets) {
+      if (offset.start > position) break;
+      pageNumber = offset.pageNumber;
+    }
+    return pageNumber;
+  };
+
+  let cursor = 0;
+  return chunks.map((chunk) => {
+    const text = (
+      chunkHeader && chunk.startsWith(chunkHeader)
+        ? chunk.slice(chunkHeader.length)
+        : chunk
+    ).trim();
+    // Chunks overlap, so the next one can start anywhere after this one does.
+    const found = content.indexOf(text, cursor);
+    const start = found === -1 ? cursor : found;
+    if (found !== -1) cursor = found + 1;
+    return {
+      pageStart: pageAt(start),
+      pageEnd: pageAt(start + Math.max(text.length - 1, 0)),
+    };
+  });
+}
+
+/**
+ * Page fields for a citation, read from a search result's metadata.
+ * @param {Object} source - a source returned by a vector database provider
+ * @returns {{pageStart: number, pageEnd: number}|{pageStart: null, pageEnd: null}}
+ */
+function pageCitation(source = {}) {
+  const pageStart = Number(source?.pageStart);
+  if (!Number.isInteger(pageStart) || pageStart < 1)
+    return { pageStart: null, pageEnd: null };
+  const pageEnd = Number(source?.pageEnd);
+  return {
+    pageStart,
+    pageEnd:
+      Number.isInteger(pageEnd) && pageEnd >= pageStart ? pageEnd : pageStart,
+  };
+}
+
+module.exports = { pageOffsets, chunkPageRanges, pageCitation };
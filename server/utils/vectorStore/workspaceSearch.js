@@ -0,0 +1,52 @@
+const { getVectorDbClass, getLLMProvider } = require("../helpers");
+const { shouldUseHybridSearch, hybridSearchConfig } = require("./hybridSearch");
+
+/**
+ * Searches a workspace the way its chats do - hybrid search when the provider
+ * and workspace support it, similarity search otherwise.
+ * @param {Object} params
+ * @param {import("../../models/workspace").Workspace} params.workspace
+ * @param {string} params.query
+ * @param {number} [params.topN] - defaults to the workspace topN
+ * @param {number} [params.similarityThreshold] - defaults to the workspace threshold
+ * @param {import("./metadataFilters").MetadataFilterCondition[]} [params.filters] - including any document access filters
+ * @param {Object} [params.LLMConnector] - defaults to the workspace chat provider
+ * @returns {Promise<{contextTexts: string[], sources: Object[], message: string|null}>}
+ */
+async function searchWorkspace({
+  workspace,
+  query,
+  topN = null,
+  similarityThreshold = null,
+  filters = [],
+  LLMConnector = null,
+}) {
+  const VectorDb = getVectorDbClass();
+  const embeddingsCount = await VectorDb.namespaceCount(workspace.slug);
+  if (embeddingsCount === 0)
+    return { contextTexts: [], sources: [], message: null };
+
+  const searchParams = {
+    namespace: workspace.slug,
+    input: String(query),
+    LLMConnector:
+      LLMConnector ??
+      getLLMProvider({
+        provider: workspace?.chatProvider,
+        model: workspace?.chatModel,
+      }),
+    similarityThreshold:
+      similarityThreshold ?? workspace?.similarityThreshold ?? 0.25,
+    topN: topN ?? workspace?.topN ?? 4,
+    rerank: workspace?.vectorSearchMode === "rerank",
+    filters,
+  };
+  return shouldUseHybridSearch(VectorDb, workspace)
+    ? await VectorDb.performHybridSearch({
+        ...searchParams,
+        hybridConfig: hybridSearchConfig(workspace),
+      })
+    : await VectorDb.performSimilaritySearch(searchParams);
+}
+
+module.exports = { searchWorkspace };